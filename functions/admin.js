@@ -0,0 +1,34 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+initializeApp();
+
+export const db = getFirestore();
+
+// The name a pick is shown under: its author's current display name, or
+// the name saved on the pick. Mirrors getDisplayName in src/profiles.js,
+// so email addresses are cut down to the part before the @.
+export const getDisplayName = (profile, fallback = null) => {
+  const withoutDomain = (name) => (name && name.includes('@') ? name.split('@')[0] : name);
+  return profile?.displayName?.trim() || withoutDomain(fallback) || 'Former member';
+};
+
+// The owner is always an admin; keep in sync with isGroupAdmin in src/groups.js
+export const isGroupAdmin = (group, userId) =>
+  !!group && (group.ownerId === userId || (group.adminIds || []).includes(userId));
+
+// Firestore batches take at most 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// Commits writes, each a (batch) => void adding one write, in order and in
+// as many batches as they need. Writes that must land together go first.
+export const commitInBatches = async (writes) => {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+    await batch.commit();
+  }
+};
+
+// Songs store createdAt as a Timestamp; ones saved before that as an ISO string
+export const toMillis = (value) => (value?.toMillis ? value.toMillis() : Date.parse(value));
@@ -0,0 +1,43 @@
+import { createPrivateKey, sign } from 'node:crypto';
+import { defineSecret } from 'firebase-functions/params';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+
+const appleTeamId = defineSecret('APPLE_MUSIC_TEAM_ID');
+const appleKeyId = defineSecret('APPLE_MUSIC_KEY_ID');
+const applePrivateKey = defineSecret('APPLE_MUSIC_PRIVATE_KEY');
+
+// Apple allows up to six months; a shorter lifetime limits a leaked token
+const TOKEN_LIFETIME_SECONDS = 12 * 60 * 60;
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+let developerToken = null;
+
+// MusicKit developer token: an ES256 JWT signed with the team's private key
+const createDeveloperToken = () => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = base64Url(JSON.stringify({ alg: 'ES256', kid: appleKeyId.value() }));
+  const payload = base64Url(JSON.stringify({
+    iss: appleTeamId.value(),
+    iat: issuedAt,
+    exp: issuedAt + TOKEN_LIFETIME_SECONDS
+  }));
+  const signature = sign('sha256', Buffer.from(`${header}.${payload}`), {
+    key: createPrivateKey(applePrivateKey.value()),
+    dsaEncoding: 'ieee-p1363'
+  });
+  return { token: `${header}.${payload}.${base64Url(signature)}`, expiresAt: (issuedAt + TOKEN_LIFETIME_SECONDS) * 1000 };
+};
+
+export const getAppleMusicToken = onCall({
+  secrets: [appleTeamId, appleKeyId, applePrivateKey]
+}, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to continue.');
+  }
+
+  if (!developerToken || developerToken.expiresAt < Date.now() + 60 * 60 * 1000) {
+    developerToken = createDeveloperToken();
+  }
+  return developerToken;
+});
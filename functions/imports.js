@@ -0,0 +1,113 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { db, getDisplayName, commitInBatches } from './admin.js';
+import { getCanonicalKey } from './matching.js';
+import { isWeekKey, getWeekKey } from './weeks.js';
+
+// Keep in sync with src/songImport.js
+const MAX_IMPORT_ROWS = 500;
+const MAX_FIELD_LENGTH = 200;
+const MAX_LINK_LENGTH = 500;
+const PLATFORMS = ['Spotify', 'Apple Music', 'YouTube Music', 'Deezer', 'SoundCloud', 'Other'];
+
+const isText = (value, maxLength, required = true) =>
+  typeof value === 'string' && value.length <= maxLength && (!required || value.trim().length > 0);
+
+const validateRow = (row, memberIds, currentWeekKey) => {
+  if (!isText(row.songName, MAX_FIELD_LENGTH) || !isText(row.artist, MAX_FIELD_LENGTH)) {
+    return 'Song name and artist are required.';
+  }
+  if (!memberIds.includes(row.userId)) return 'The submitter isn\'t a member of this group.';
+  if (!isWeekKey(row.weekKey) || row.weekKey > currentWeekKey) return 'Invalid week.';
+  if (Number.isNaN(new Date(row.createdAt).getTime())) return 'Invalid date.';
+  if (!PLATFORMS.includes(row.platform)) return 'Unknown platform.';
+  if (!isText(row.link || '', MAX_LINK_LENGTH, false) || (row.link && !/^https?:\/\//i.test(row.link))) {
+    return 'Invalid link.';
+  }
+  return null;
+};
+
+// Backfills picks tracked before the group used the app. Only the owner may
+// import, since rows are written on other members' behalf and into past
+// weeks the security rules keep closed. Rows were validated in the browser
+// already; they are checked again here and duplicates are skipped.
+export const importSongs = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to continue.');
+  }
+  const { groupId, rows } = request.data || {};
+  if (typeof groupId !== 'string' || !Array.isArray(rows) || rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpsError('invalid-argument', `Send between 1 and ${MAX_IMPORT_ROWS} rows.`);
+  }
+
+  const groupDoc = await db.doc(`groups/${groupId}`).get();
+  if (!groupDoc.exists || groupDoc.data().ownerId !== request.auth.uid) {
+    throw new HttpsError('permission-denied', 'Only the group owner can import picks.');
+  }
+  const group = groupDoc.data();
+  const currentWeekKey = getWeekKey(new Date(), group.timeZone);
+
+  const usersSnapshot = await db.getAll(...group.memberIds.map(uid => db.doc(`users/${uid}`)));
+  // Saved on each pick as its fallback name, so never an email address
+  const names = Object.fromEntries(usersSnapshot.map(userDoc => [userDoc.id, getDisplayName(userDoc.data(), 'Member')]));
+
+  // Existing picks, for duplicates and the next free slot per member-week
+  const songsSnapshot = await db.collection('songs').where('groupId', '==', groupId).get();
+  const seen = new Set();
+  const usedSlots = new Map();
+  songsSnapshot.docs.forEach(songDoc => {
+    const song = songDoc.data();
+    seen.add(`${song.userId}|${song.weekKey}|${getCanonicalKey(song.songName, song.artist)}`);
+    const slotKey = `${song.userId}|${song.weekKey}`;
+    usedSlots.set(slotKey, new Set([...(usedSlots.get(slotKey) || []), song.slot]));
+  });
+
+  const results = [];
+  const writes = [];
+  rows.forEach(row => {
+    const error = validateRow(row, group.memberIds, currentWeekKey);
+    if (error) {
+      results.push({ rowNumber: row.rowNumber, status: 'error', message: error });
+      return;
+    }
+
+    const key = `${row.userId}|${row.weekKey}|${getCanonicalKey(row.songName, row.artist)}`;
+    if (seen.has(key)) {
+      results.push({ rowNumber: row.rowNumber, status: 'duplicate', message: 'Already picked by this member that week.' });
+      return;
+    }
+    seen.add(key);
+
+    const slotKey = `${row.userId}|${row.weekKey}`;
+    const slots = usedSlots.get(slotKey) || new Set();
+    let slot = 0;
+    while (slots.has(slot)) slot++;
+    slots.add(slot);
+    usedSlots.set(slotKey, slots);
+
+    writes.push({
+      ref: db.doc(`songs/${groupId}_${row.weekKey}_${row.userId}_${slot}`),
+      data: {
+        groupId,
+        user: names[row.userId],
+        userId: row.userId,
+        songName: row.songName.trim(),
+        artist: row.artist.trim(),
+        platform: row.platform,
+        link: (row.link || '').trim(),
+        artworkUrl: '',
+        weekKey: row.weekKey,
+        slot,
+        hidden: false,
+        reactionCount: 0,
+        createdAt: Timestamp.fromDate(new Date(row.createdAt)),
+        importedBy: request.auth.uid
+      }
+    });
+    results.push({ rowNumber: row.rowNumber, status: 'imported', message: null });
+  });
+
+  await commitInBatches(writes.map(({ ref, data }) => batch => batch.create(ref, data)));
+
+  return { results };
+});
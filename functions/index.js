@@ -0,0 +1,10 @@
+export { openWeeks, syncGroupWeeks, revealPicks, tallyWeeks, cleanUpSong, releaseClaims, recordSongVersion, countComments, countReactions } from './schedule.js';
+export { runMigrations } from './migrations.js';
+export { matchSongOnWrite } from './matching.js';
+export { getAppleMusicToken } from './appleMusic.js';
+export { connectYouTube, refreshYouTubeToken, disconnectYouTube } from './youtube.js';
+export { importSongs } from './imports.js';
+export { sendReminders, sendDigests } from './notifications.js';
+export { getRecap } from './recaps.js';
+export { moveSong, logGroupChanges, logWeekLocks } from './moderation.js';
+export { trashSong, restoreSong, purgeTrash, cleanUpTrash } from './trash.js';
@@ -0,0 +1,305 @@
+import { defineSecret } from 'firebase-functions/params';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { db } from './admin.js';
+
+const spotifyClientId = defineSecret('SPOTIFY_CLIENT_ID');
+const spotifyClientSecret = defineSecret('SPOTIFY_CLIENT_SECRET');
+const youtubeApiKey = defineSecret('YOUTUBE_API_KEY');
+
+// Platforms every pick gets "Listen on" links for
+export const MATCH_PLATFORMS = ['Spotify', 'Apple Music', 'YouTube Music', 'Deezer'];
+
+const MAX_CANDIDATES = 3;
+
+// Lowercase, strip accents, punctuation and the usual decorations so the
+// same recording compares equal across platforms.
+export const normalizeTitle = (title) =>
+  String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s*[([][^)\]]*(feat\.?|ft\.?|with|remaster(ed)?|radio edit|single version|official (music )?video|audio|lyrics?)[^)\]]*[)\]]/g, '')
+    .replace(/\s+-\s+(\d{4}\s+)?remaster(ed)?.*$/, '')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Only the primary artist counts; features are listed inconsistently
+export const normalizeArtist = (artist) =>
+  normalizeTitle(String(artist || '').split(/,|&| feat\.? | ft\.? | x | and /i)[0]);
+
+export const getCanonicalKey = (songName, artist) => `${normalizeArtist(artist)}|${normalizeTitle(songName)}`;
+
+// Picks claim their song for the week under this key when the group blocks
+// duplicates. A key with an empty half (a title in a script the
+// normalisation drops) would collide with unrelated songs, so it never claims.
+export const isClaimable = (canonicalKey) => typeof canonicalKey === 'string' && /^[^|]+\|[^|]+$/.test(canonicalKey);
+
+// Platform track IDs in links, as "spotify:<id>"; mirrors src/duplicates.js
+const TRACK_ID_PATTERNS = [
+  ['spotify', /open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([a-zA-Z0-9]{22})/],
+  ['apple', /music\.apple\.com\/.*[?&]i=(\d+)/],
+  ['apple', /music\.apple\.com\/(?:[^?]*\/)?song\/(?:[^/?]+\/)?(\d+)/],
+  ['youtube', /youtube\.com\/watch\?(?:.*&)?v=([\w-]+)/],
+  ['youtube', /youtu\.be\/([\w-]+)/],
+  ['deezer', /deezer\.com\/(?:[a-z]{2}\/)?track\/(\d+)/]
+];
+
+const getLinkTrackId = (link) => {
+  for (const [prefix, pattern] of TRACK_ID_PATTERNS) {
+    const match = String(link || '').match(pattern);
+    if (match) return `${prefix}:${match[1]}`;
+  }
+  return null;
+};
+
+// Every ID the pick is known by: its ISRC and the tracks on each platform.
+// The Submit form looks picks up by these to catch repeats.
+export const getTrackIds = (song, matches = {}, isrc = null) => {
+  const links = [song.link, ...Object.values(matches).map(match => match?.url)];
+  const trackIds = links.map(getLinkTrackId).filter(Boolean);
+  if (isrc) trackIds.push(`isrc:${isrc}`);
+  return [...new Set(trackIds)];
+};
+
+const getJson = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`${url} failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+let spotifyToken = null;
+
+// App-level token through the client credentials flow
+const getSpotifyToken = async () => {
+  if (spotifyToken && spotifyToken.expiresAt > Date.now() + 60 * 1000) {
+    return spotifyToken.value;
+  }
+  const credentials = Buffer.from(`${spotifyClientId.value()}:${spotifyClientSecret.value()}`).toString('base64');
+  const body = await getJson('https://accounts.spotify.com/api/token', {
+    method: 'POST',
+    headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'grant_type=client_credentials'
+  });
+  spotifyToken = { value: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+  return spotifyToken.value;
+};
+
+const spotifyGet = async (path) =>
+  getJson(`https://api.spotify.com/v1${path}`, { headers: { Authorization: `Bearer ${await getSpotifyToken()}` } });
+
+const fromSpotify = (track) => ({
+  url: track.external_urls.spotify,
+  songName: track.name,
+  artist: track.artists.map(a => a.name).join(', '),
+  isrc: track.external_ids?.isrc || null
+});
+
+const fromDeezer = (track) => ({
+  url: track.link,
+  songName: track.title,
+  artist: track.artist.name,
+  isrc: track.isrc || null
+});
+
+// Each platform can look up the submitted track (to learn its ISRC) and
+// search for candidates by ISRC or by title and artist.
+const PLATFORM_CLIENTS = {
+  Spotify: {
+    lookup: async (link) => {
+      const id = (link.match(/track\/([a-zA-Z0-9]{22})/) || [])[1];
+      return id ? fromSpotify(await spotifyGet(`/tracks/${id}`)) : null;
+    },
+    search: async ({ isrc, songName, artist }) => {
+      const q = isrc ? `isrc:${isrc}` : `track:${songName} artist:${normalizeArtist(artist)}`;
+      const { tracks } = await spotifyGet(`/search?type=track&limit=5&q=${encodeURIComponent(q)}`);
+      return tracks.items.map(fromSpotify);
+    }
+  },
+  Deezer: {
+    lookup: async (link) => {
+      const id = (link.match(/track\/(\d+)/) || [])[1];
+      if (!id) return null;
+      const track = await getJson(`https://api.deezer.com/track/${id}`);
+      return track.error ? null : fromDeezer(track);
+    },
+    search: async ({ isrc, songName, artist }) => {
+      if (isrc) {
+        const track = await getJson(`https://api.deezer.com/track/isrc:${isrc}`);
+        if (!track.error) return [fromDeezer(track)];
+      }
+      const q = `artist:"${normalizeArtist(artist)}" track:"${songName}"`;
+      const { data = [] } = await getJson(`https://api.deezer.com/search?limit=5&q=${encodeURIComponent(q)}`);
+      return data.map(fromDeezer);
+    }
+  },
+  'Apple Music': {
+    lookup: async () => null,
+    search: async ({ songName, artist }) => {
+      const term = `${normalizeArtist(artist)} ${songName}`;
+      const { results } = await getJson(`https://itunes.apple.com/search?entity=song&limit=5&term=${encodeURIComponent(term)}`);
+      return results.map(result => ({
+        url: result.trackViewUrl.replace('itunes.apple.com', 'music.apple.com'),
+        songName: result.trackName,
+        artist: result.artistName,
+        isrc: null
+      }));
+    }
+  },
+  'YouTube Music': {
+    lookup: async () => null,
+    search: async ({ songName, artist }) => {
+      if (!youtubeApiKey.value()) return [];
+      const q = `${normalizeArtist(artist)} ${songName}`;
+      const { items } = await getJson(
+        `https://www.googleapis.com/youtube/v3/search?part=snippet&type=video&videoCategoryId=10&maxResults=5&q=${encodeURIComponent(q)}&key=${youtubeApiKey.value()}`
+      );
+      return items.map(item => ({
+        url: `https://music.youtube.com/watch?v=${item.id.videoId}`,
+        songName: item.snippet.title,
+        artist: item.snippet.channelTitle.replace(/ - Topic$/, ''),
+        isrc: null
+      }));
+    }
+  }
+};
+
+// A candidate is a match when the ISRC agrees, or when the normalised
+// artist matches and the normalised title matches or contains the other.
+const isMatch = (candidate, identity) => {
+  if (identity.isrc && candidate.isrc) return candidate.isrc === identity.isrc;
+  const title = normalizeTitle(candidate.songName);
+  const wantedTitle = normalizeTitle(identity.songName);
+  const titleMatches = title === wantedTitle || title.includes(wantedTitle) || wantedTitle.includes(title);
+  return titleMatches && normalizeArtist(candidate.artist) === normalizeArtist(identity.artist);
+};
+
+const matchOnPlatform = async (platform, identity) => {
+  try {
+    const candidates = await PLATFORM_CLIENTS[platform].search(identity);
+    const matches = candidates.filter(candidate => isMatch(candidate, identity));
+    if (matches.length > 0 && (identity.isrc || new Set(matches.map(m => normalizeTitle(m.songName))).size === 1)) {
+      return { status: 'matched', url: matches[0].url };
+    }
+    const shortlist = (matches.length > 0 ? matches : candidates).slice(0, MAX_CANDIDATES);
+    if (shortlist.length === 0) {
+      return { status: 'unmatched', url: null };
+    }
+    return {
+      status: 'ambiguous',
+      url: null,
+      candidates: shortlist.map(({ url, songName, artist }) => ({ url, songName, artist }))
+    };
+  } catch (err) {
+    console.error(`Error matching on ${platform}:`, err);
+    return { status: 'unmatched', url: null };
+  }
+};
+
+// Rough mood quadrant from Spotify's valence (positivity) and energy
+const getMood = ({ valence, energy }) => {
+  if (valence >= 0.5) return energy >= 0.5 ? 'Upbeat' : 'Chill';
+  return energy >= 0.5 ? 'Intense' : 'Melancholy';
+};
+
+// Genre, release year and mood for the Stats view. Spotify only has genres
+// on artists, and audio features aren't available to every app, so mood is
+// left out when that request fails.
+export const getSpotifyMetadata = async (spotifyUrl) => {
+  const id = ((spotifyUrl || '').match(/track\/([a-zA-Z0-9]{22})/) || [])[1];
+  if (!id) return null;
+
+  const track = await spotifyGet(`/tracks/${id}`);
+  const { artists } = await spotifyGet(`/artists?ids=${track.artists.map(a => a.id).join(',')}`);
+  let mood = null;
+  try {
+    mood = getMood(await spotifyGet(`/audio-features/${id}`));
+  } catch (err) {
+    console.warn('Audio features unavailable:', err.message);
+  }
+  return {
+    genres: [...new Set(artists.flatMap(artist => artist.genres || []))],
+    releaseYear: parseInt(track.album.release_date, 10) || null,
+    mood
+  };
+};
+
+const getMetadataSafely = async (spotifyUrl) => {
+  try {
+    return await getSpotifyMetadata(spotifyUrl);
+  } catch (err) {
+    console.error('Error loading Spotify metadata:', err);
+    return null;
+  }
+};
+
+// Resolve the pick to an identity (ISRC when the source platform offers
+// one, otherwise normalised title and artist) and find it everywhere else.
+export const matchSong = async (song) => {
+  let identity = { songName: song.songName, artist: song.artist, isrc: null };
+  const sourceClient = PLATFORM_CLIENTS[song.platform];
+  if (sourceClient && song.link) {
+    try {
+      const source = await sourceClient.lookup(song.link);
+      if (source?.isrc) identity = { ...identity, isrc: source.isrc };
+    } catch (err) {
+      console.error(`Error looking up ${song.platform} link:`, err);
+    }
+  }
+
+  const matches = {};
+  for (const platform of MATCH_PLATFORMS) {
+    if (platform === song.platform && song.link) {
+      matches[platform] = { status: 'source', url: song.link };
+    } else {
+      matches[platform] = await matchOnPlatform(platform, identity);
+    }
+  }
+
+  const needsReview = Object.values(matches).some(match => match.status === 'ambiguous' || match.status === 'unmatched');
+  return {
+    isrc: identity.isrc,
+    canonicalKey: getCanonicalKey(song.songName, song.artist),
+    trackIds: getTrackIds(song, matches, identity.isrc),
+    matches,
+    matchStatus: needsReview ? 'needs-review' : 'matched',
+    metadata: await getMetadataSafely(matches.Spotify.url)
+  };
+};
+
+const MATCHED_FIELDS = ['songName', 'artist', 'platform', 'link'];
+
+// Re-match whenever what identifies the song changes. Writes that only
+// touch the matches, ours or the submitter's corrections, are ignored,
+// except that corrections refresh the track IDs and a newly confirmed
+// Spotify match refreshes the metadata.
+export const matchSongOnWrite = onDocumentWritten({
+  document: 'songs/{songId}',
+  secrets: [spotifyClientId, spotifyClientSecret, youtubeApiKey]
+}, async (event) => {
+  if (!event.data.after.exists) return;
+
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const song = event.data.after.data();
+  const identityChanged = !before || MATCHED_FIELDS.some(field => before[field] !== song[field]);
+  if (!identityChanged) {
+    const updates = {};
+    const trackIds = getTrackIds(song, song.matches, song.isrc);
+    if (song.matches && trackIds.join() !== (song.trackIds || []).join()) {
+      updates.trackIds = trackIds;
+    }
+    const spotifyUrl = song.matches?.Spotify?.url;
+    if (spotifyUrl && spotifyUrl !== before.matches?.Spotify?.url) {
+      updates.metadata = await getMetadataSafely(spotifyUrl);
+    }
+    if (Object.keys(updates).length > 0) {
+      await db.doc(`songs/${event.params.songId}`).update(updates);
+    }
+    return;
+  }
+
+  const result = await matchSong(song);
+  await db.doc(`songs/${event.params.songId}`).update(result);
+});
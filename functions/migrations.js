@@ -0,0 +1,190 @@
+import { randomInt } from 'node:crypto';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { db, toMillis, commitInBatches } from './admin.js';
+import { DEFAULT_TIME_ZONE, getWeekKey } from './weeks.js';
+import { getCanonicalKey, getTrackIds } from './matching.js';
+
+const DEFAULT_GROUP_ID = 'default';
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = (length = 8) =>
+  Array.from({ length }, () => INVITE_ALPHABET[randomInt(INVITE_ALPHABET.length)]).join('');
+
+// Songs used to store only a "Week of Oct 19, 2026" label
+const getWeekKeyFromLabel = (label) => {
+  const date = new Date(`${String(label).replace(/^Week of\s+/, '')} UTC`);
+  return Number.isNaN(date.getTime()) ? null : getWeekKey(date, 'UTC');
+};
+
+const updateAll = (updates) => commitInBatches(updates.map(({ ref, data }) => batch => batch.update(ref, data)));
+
+// Every song from the single global feed goes into a default group whose
+// members are everyone who could see them before. A default group left by
+// an earlier, interrupted run keeps its owner and invite code.
+const migrateSongsToGroups = async (uid, songDocs) => {
+  const legacySongs = songDocs.filter(songDoc => !songDoc.data().groupId);
+  const usersSnapshot = await db.collection('users').get();
+  const memberIds = new Set(usersSnapshot.docs.map(userDoc => userDoc.id));
+  legacySongs.forEach(songDoc => memberIds.add(songDoc.data().userId));
+  memberIds.add(uid);
+
+  const groupRef = db.doc(`groups/${DEFAULT_GROUP_ID}`);
+  if ((await groupRef.get()).exists) {
+    await groupRef.update({ memberIds: FieldValue.arrayUnion(...[...memberIds].filter(Boolean)) });
+  } else {
+    await groupRef.create({
+      name: 'Weekly Tunes',
+      ownerId: uid,
+      memberIds: [...memberIds].filter(Boolean),
+      inviteCode: generateInviteCode(),
+      timeZone: DEFAULT_TIME_ZONE,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  await updateAll(legacySongs.map(songDoc => ({ ref: songDoc.ref, data: { groupId: DEFAULT_GROUP_ID } })));
+};
+
+const migrateWeekKeys = async (uid, songDocs) => {
+  const updates = songDocs
+    .filter(songDoc => !songDoc.data().weekKey)
+    .map(songDoc => {
+      const song = songDoc.data();
+      const weekKey = getWeekKeyFromLabel(song.week) || getWeekKey(new Date(toMillis(song.createdAt)), DEFAULT_TIME_ZONE);
+      return { ref: songDoc.ref, data: { weekKey } };
+    });
+  await updateAll(updates);
+};
+
+// Feeds only query songs with `hidden == false`
+const migrateVisibility = async (uid, songDocs) => {
+  const updates = songDocs
+    .filter(songDoc => songDoc.data().hidden === undefined)
+    .map(songDoc => ({ ref: songDoc.ref, data: { hidden: false } }));
+  await updateAll(updates);
+};
+
+// Invite codes are looked up through invites/{code} rather than by querying groups
+const migrateInvites = async () => {
+  const groupsSnapshot = await db.collection('groups').get();
+  await commitInBatches(groupsSnapshot.docs.map(groupDoc =>
+    batch => batch.set(db.doc(`invites/${groupDoc.data().inviteCode}`), { groupId: groupDoc.id })
+  ));
+};
+
+// Playlist records were Spotify-only and keyed by week; each service now
+// has its own record at {providerId}_{key}
+const migratePlaylistProviders = async () => {
+  const playlistsSnapshot = await db.collectionGroup('playlists').get();
+  const legacy = playlistsSnapshot.docs.filter(playlistDoc => !playlistDoc.data().provider);
+  await commitInBatches(legacy.flatMap(playlistDoc => {
+    const { spotifyPlaylistId, ...record } = playlistDoc.data();
+    return [
+      batch => batch.set(playlistDoc.ref.parent.doc(`spotify_${playlistDoc.id}`), {
+        ...record,
+        provider: 'spotify',
+        playlistKey: playlistDoc.id,
+        playlistId: spotifyPlaylistId
+      }),
+      batch => batch.delete(playlistDoc.ref)
+    ];
+  }));
+};
+
+// The feed sorts by canonicalKey and reactionCount, and Firestore leaves
+// out documents missing the field being ordered by
+const migrateFeedSortKeys = async (uid, songDocs) => {
+  const reactionsSnapshot = await db.collection('reactions').get();
+  const reactionCounts = {};
+  reactionsSnapshot.docs.forEach(reactionDoc => {
+    const { songId } = reactionDoc.data();
+    reactionCounts[songId] = (reactionCounts[songId] || 0) + 1;
+  });
+
+  const updates = songDocs.map(songDoc => {
+    const song = songDoc.data();
+    return {
+      ref: songDoc.ref,
+      data: {
+        canonicalKey: song.canonicalKey || getCanonicalKey(song.songName, song.artist),
+        reactionCount: reactionCounts[songDoc.id] || 0
+      }
+    };
+  });
+  await updateAll(updates);
+};
+
+// Repeat checks look picks up by track ID
+const migrateTrackIds = async (uid, songDocs) => {
+  const updates = songDocs
+    .filter(songDoc => !songDoc.data().trackIds)
+    .map(songDoc => {
+      const song = songDoc.data();
+      return { ref: songDoc.ref, data: { trackIds: getTrackIds(song, song.matches, song.isrc) } };
+    });
+  await updateAll(updates);
+};
+
+// Songs are stamped with server timestamps, which Firestore orders apart
+// from strings, so older ISO string dates are converted
+const migrateSongTimestamps = async (uid, songDocs) => {
+  const updates = songDocs
+    .map(songDoc => {
+      const { createdAt, updatedAt } = songDoc.data();
+      const data = {};
+      if (typeof createdAt === 'string') data.createdAt = Timestamp.fromMillis(toMillis(createdAt));
+      if (typeof updatedAt === 'string') data.updatedAt = Timestamp.fromMillis(toMillis(updatedAt));
+      return { ref: songDoc.ref, data };
+    })
+    .filter(({ data }) => Object.keys(data).length > 0);
+  await updateAll(updates);
+};
+
+const MIGRATIONS = [
+  { id: 'groups', run: migrateSongsToGroups },
+  { id: 'weekKeys', run: migrateWeekKeys },
+  { id: 'visibility', run: migrateVisibility },
+  { id: 'invites', run: migrateInvites },
+  { id: 'playlistProviders', run: migratePlaylistProviders },
+  { id: 'feedSortKeys', run: migrateFeedSortKeys },
+  { id: 'trackIds', run: migrateTrackIds },
+  { id: 'songTimestamps', run: migrateSongTimestamps }
+];
+
+// Every client calls this after login, so a run takes a lease on the marker
+// and others return straight away. The lease runs out with the function's
+// timeout, so a crashed run doesn't hold up the next.
+const TIMEOUT_SECONDS = 540;
+
+const claimPendingMigrations = (markerRef) => db.runTransaction(async (transaction) => {
+  const marker = await transaction.get(markerRef);
+  const completed = marker.exists ? marker.data() : {};
+  const pending = MIGRATIONS.filter(migration => !completed[migration.id]);
+  if (pending.length === 0 || (completed.runningUntil && completed.runningUntil.toMillis() > Date.now())) {
+    return [];
+  }
+  transaction.set(markerRef, { runningUntil: Timestamp.fromMillis(Date.now() + TIMEOUT_SECONDS * 1000) }, { merge: true });
+  return pending;
+});
+
+export const runMigrations = onCall({ timeoutSeconds: TIMEOUT_SECONDS }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to continue.');
+  }
+
+  const markerRef = db.doc('meta/migrations');
+  const pending = await claimPendingMigrations(markerRef);
+
+  try {
+    for (const migration of pending) {
+      const songsSnapshot = await db.collection('songs').get();
+      await migration.run(request.auth.uid, songsSnapshot.docs);
+      await markerRef.set({ [migration.id]: true }, { merge: true });
+    }
+  } finally {
+    if (pending.length > 0) await markerRef.update({ runningUntil: FieldValue.delete() });
+  }
+
+  return { migrated: pending.map(migration => migration.id) };
+});
@@ -0,0 +1,148 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentUpdatedWithAuthContext } from 'firebase-functions/v2/firestore';
+import { db, isGroupAdmin, commitInBatches } from './admin.js';
+import { DEFAULT_TIME_ZONE, getWeekKey, isWeekKey } from './weeks.js';
+import { getFreeSlot, getRekeyWrites } from './picks.js';
+import { isClaimable } from './matching.js';
+
+// The audit log at groups/{groupId}/auditLog: { action, actorId,
+// targetUserId, songId, details, createdAt }. Only the functions write it,
+// so every admin action is logged whichever way it reaches the database.
+// Actions mirror AUDIT_ACTIONS in src/moderation.js.
+export const addAuditEntry = (batch, groupId, actorId, { action, targetUserId = null, songId = null, details = '' }) =>
+  batch.set(db.collection(`groups/${groupId}/auditLog`).doc(), {
+    action,
+    actorId,
+    targetUserId,
+    songId,
+    details,
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+const without = (list = [], removed = []) => list.filter(item => !removed.includes(item));
+
+// What an update to a group doc did, as audit entries. Members leaving and
+// joining aren't moderation; a handover also moves the old owner into
+// adminIds, which belongs to the handover.
+export const getGroupAuditEntries = (before, after, actorId) => {
+  const removedMembers = without(before.memberIds, after.memberIds);
+  const entries = removedMembers
+    .filter(memberId => memberId !== actorId)
+    .map(memberId => ({ action: 'remove-member', targetUserId: memberId }));
+
+  if (before.ownerId !== after.ownerId) {
+    return [...entries, { action: 'transfer-ownership', targetUserId: after.ownerId }];
+  }
+  return [
+    ...entries,
+    ...without(after.adminIds, before.adminIds).map(memberId => ({ action: 'make-admin', targetUserId: memberId })),
+    ...without(without(before.adminIds, after.adminIds), removedMembers)
+      .map(memberId => ({ action: 'remove-admin', targetUserId: memberId }))
+  ];
+};
+
+// Admins change members, roles and ownership on the group doc directly
+// (see firestore.rules), so the log is kept by a trigger that knows who
+// made the change
+export const logGroupChanges = onDocumentUpdatedWithAuthContext('groups/{groupId}', async (event) => {
+  if (event.authType !== 'app_user') return;
+  const entries = getGroupAuditEntries(event.data.before.data(), event.data.after.data(), event.authId);
+  if (entries.length === 0) return;
+
+  const batch = db.batch();
+  entries.forEach(entry => addAuditEntry(batch, event.params.groupId, event.authId, entry));
+  await batch.commit();
+});
+
+export const logWeekLocks = onDocumentUpdatedWithAuthContext('groups/{groupId}/weeks/{weekKey}', async (event) => {
+  const locked = !!event.data.after.data().locked;
+  if (event.authType !== 'app_user' || locked === !!event.data.before.data().locked) return;
+
+  const batch = db.batch();
+  addAuditEntry(batch, event.params.groupId, event.authId, { action: locked ? 'lock-week' : 'unlock-week', details: event.params.weekKey });
+  await batch.commit();
+});
+
+// Moves a pick filed under the wrong week. A pick's week is part of its doc
+// ID, so the pick is copied to a free slot of its author's in the new week
+// and the old doc deleted. Comments, reactions and edit history move with
+// it; votes stay behind with the week they were cast in, where the
+// cleanUpSong trigger removes them.
+export const moveSong = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to continue.');
+  }
+  const { songId, weekKey } = request.data || {};
+  if (typeof songId !== 'string' || !isWeekKey(weekKey)) {
+    throw new HttpsError('invalid-argument', 'Choose a week to move the pick to.');
+  }
+
+  const songRef = db.doc(`songs/${songId}`);
+  // The new week's pick limit and duplicate claim are checked and taken
+  // together with the new pick, as the rules do for members' own picks
+  const { song, newSongId, hidden } = await db.runTransaction(async (transaction) => {
+    const songDoc = await transaction.get(songRef);
+    if (!songDoc.exists) {
+      throw new HttpsError('not-found', 'That pick no longer exists.');
+    }
+    const song = songDoc.data();
+    const group = (await transaction.get(db.doc(`groups/${song.groupId}`))).data();
+    if (!isGroupAdmin(group, request.auth.uid)) {
+      throw new HttpsError('permission-denied', 'Only group admins can move picks.');
+    }
+    if (weekKey > getWeekKey(new Date(), group.timeZone || DEFAULT_TIME_ZONE)) {
+      throw new HttpsError('invalid-argument', 'Picks can\'t be moved into a future week.');
+    }
+    if (weekKey === song.weekKey) {
+      throw new HttpsError('invalid-argument', 'The pick is already in that week.');
+    }
+
+    const claimable = isClaimable(song.canonicalKey);
+    const claimRef = db.doc(`groups/${song.groupId}/weeks/${weekKey}/claims/${song.canonicalKey}`);
+    const oldClaimRef = db.doc(`groups/${song.groupId}/weeks/${song.weekKey}/claims/${song.canonicalKey}`);
+    const [slot, weekDoc, claim, oldClaim] = await Promise.all([
+      getFreeSlot(song.groupId, song.userId, weekKey, transaction),
+      transaction.get(db.doc(`groups/${song.groupId}/weeks/${weekKey}`)),
+      claimable ? transaction.get(claimRef) : null,
+      claimable ? transaction.get(oldClaimRef) : null
+    ]);
+    const week = weekDoc.exists ? weekDoc.data() : null;
+    if (week?.maxPicksPerWeek && slot >= week.maxPicksPerWeek) {
+      throw new HttpsError('failed-precondition', `That week already has ${week.maxPicksPerWeek === 1 ? 'a pick' : `${week.maxPicksPerWeek} picks`} from this member.`);
+    }
+    const newSongId = `${song.groupId}_${weekKey}_${song.userId}_${slot}`;
+    const needsClaim = !!week?.blockDuplicates && claimable;
+    if (needsClaim && claim.exists && claim.data().songId !== newSongId) {
+      throw new HttpsError('failed-precondition', 'Someone has already picked this song that week.');
+    }
+
+    // Votes and the Pick of the Week belonged to the old week's tally, and
+    // the countReactions trigger counts the moved reactions again
+    const { votes, pickOfTheWeek, ...details } = song;
+    const hidden = !!week?.blind && !week.revealed;
+    transaction.set(db.doc(`songs/${newSongId}`), { ...details, weekKey, slot, hidden, reactionCount: 0 });
+    if (needsClaim) {
+      transaction.set(claimRef, { songId: newSongId, userId: song.userId, createdAt: new Date().toISOString() });
+    }
+    if (oldClaim?.exists && oldClaim.data().songId === songId) {
+      transaction.delete(oldClaimRef);
+    }
+    addAuditEntry(transaction, song.groupId, request.auth.uid, {
+      action: 'move-pick',
+      targetUserId: song.userId,
+      songId: newSongId,
+      details: `${song.songName} by ${song.artist}: ${song.weekKey} → ${weekKey}`
+    });
+    return { song, newSongId, hidden };
+  });
+
+  // The new pick is in place, so the copied reactions have a pick to count
+  // on; the old one goes last, once nothing points at it
+  await commitInBatches([
+    ...await getRekeyWrites(songId, newSongId, { weekKey, hidden }),
+    batch => batch.delete(songRef)
+  ]);
+
+  return { songId: newSongId };
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from 'vitest';
+import { getGroupAuditEntries } from './moderation.js';
+
+vi.mock('firebase-admin/app', () => ({ initializeApp: () => ({}) }));
+vi.mock('firebase-admin/firestore', async (importOriginal) => ({ ...await importOriginal(), getFirestore: () => ({}) }));
+
+const GROUP = { ownerId: 'owner', adminIds: ['admin'], memberIds: ['owner', 'admin', 'alice', 'bob'] };
+
+describe('getGroupAuditEntries', () => {
+  it('logs members removed by someone else', () => {
+    const after = { ...GROUP, memberIds: ['owner', 'admin', 'bob'] };
+    expect(getGroupAuditEntries(GROUP, after, 'admin')).toEqual([{ action: 'remove-member', targetUserId: 'alice' }]);
+  });
+
+  it('leaves out members leaving and joining', () => {
+    expect(getGroupAuditEntries(GROUP, { ...GROUP, memberIds: ['owner', 'admin', 'bob'] }, 'alice')).toEqual([]);
+    expect(getGroupAuditEntries(GROUP, { ...GROUP, memberIds: [...GROUP.memberIds, 'carol'] }, 'carol')).toEqual([]);
+  });
+
+  it('logs admins made and removed', () => {
+    expect(getGroupAuditEntries(GROUP, { ...GROUP, adminIds: ['admin', 'alice'] }, 'owner'))
+      .toEqual([{ action: 'make-admin', targetUserId: 'alice' }]);
+    expect(getGroupAuditEntries(GROUP, { ...GROUP, adminIds: [] }, 'owner'))
+      .toEqual([{ action: 'remove-admin', targetUserId: 'admin' }]);
+  });
+
+  it('logs removing an admin from the group once', () => {
+    const after = { ...GROUP, adminIds: [], memberIds: ['owner', 'alice', 'bob'] };
+    expect(getGroupAuditEntries(GROUP, after, 'owner')).toEqual([{ action: 'remove-member', targetUserId: 'admin' }]);
+  });
+
+  it('logs a handover without the admin changes that come with it', () => {
+    const after = { ...GROUP, ownerId: 'admin', adminIds: ['owner'] };
+    expect(getGroupAuditEntries(GROUP, after, 'owner')).toEqual([{ action: 'transfer-ownership', targetUserId: 'admin' }]);
+  });
+
+  it('ignores changes to the group\'s details', () => {
+    expect(getGroupAuditEntries(GROUP, { ...GROUP, name: 'Renamed' }, 'owner')).toEqual([]);
+  });
+});
@@ -0,0 +1,210 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+import { getMessaging } from 'firebase-admin/messaging';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { defineString } from 'firebase-functions/params';
+import { logger } from 'firebase-functions';
+import { db, toMillis, getDisplayName } from './admin.js';
+
+// Reminders go to members who haven't picked by the group's reminder time;
+// the digest goes to everyone once a week has been tallied.
+//
+// Email is sent by writing to the `mail` collection, which the Trigger Email
+// extension delivers. Web push goes through FCM to the tokens each member's
+// devices store in users/{uid}/pushTokens. In the emulators the mail docs are
+// written as usual and push messages are logged rather than sent, so
+// `firebase emulators:start` followed by `sendReminders()` or `sendDigests()`
+// in `firebase functions:shell` runs the whole flow locally. Tests run
+// against the Firestore and Auth emulators and pass a stand-in for FCM,
+// which has no emulator, as `services.messaging`.
+
+const appUrl = defineString('APP_URL', { default: 'http://localhost:5173' });
+
+// Keep in sync with src/notifications.js
+export const DEFAULT_NOTIFICATION_PREFS = {
+  reminderEmail: false,
+  reminderPush: true,
+  digestEmail: false,
+  digestPush: true
+};
+
+const getServices = () => ({ auth: getAuth(), messaging: getMessaging() });
+
+const getPrefs = (profile) => ({ ...DEFAULT_NOTIFICATION_PREFS, ...profile?.notifications });
+
+const isEmulator = () => process.env.FUNCTIONS_EMULATOR === 'true';
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// Same labels as src/weeks.js
+const formatWeekLabel = (weekKey) =>
+  `Week of ${new Date(`${weekKey}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+
+// Auth looks up at most 100 users per call
+const MAX_AUTH_LOOKUPS = 100;
+
+// Email addresses come from Firebase Auth, where sign-in keeps them current
+const loadProfiles = async (userIds, auth) => {
+  if (userIds.length === 0) return [];
+  const lookups = [];
+  for (let i = 0; i < userIds.length; i += MAX_AUTH_LOOKUPS) {
+    lookups.push(auth.getUsers(userIds.slice(i, i + MAX_AUTH_LOOKUPS).map(uid => ({ uid }))));
+  }
+  const [profileDocs, results] = await Promise.all([
+    Promise.all(userIds.map(userId => db.doc(`users/${userId}`).get())),
+    Promise.all(lookups)
+  ]);
+  const emails = Object.fromEntries(results.flatMap(({ users }) => users).map(authUser => [authUser.uid, authUser.email]));
+  return profileDocs.map(profileDoc => ({ id: profileDoc.id, ...profileDoc.data(), email: emails[profileDoc.id] }));
+};
+
+const sendEmail = (to, { subject, text, html }) =>
+  db.collection('mail').add({ to, message: { subject, text, html }, createdAt: new Date().toISOString() });
+
+// Tokens FCM no longer recognises belong to uninstalled apps or revoked
+// permissions, so they are dropped
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+const sendPush = async (userId, { title, body, url }, messaging) => {
+  const tokensSnapshot = await db.collection(`users/${userId}/pushTokens`).get();
+  if (tokensSnapshot.empty) return;
+
+  const messages = tokensSnapshot.docs.map(tokenDoc => ({
+    token: tokenDoc.data().token,
+    data: { title, body, url }
+  }));
+  if (isEmulator()) {
+    logger.info('Push notification (not sent in the emulator)', { userId, title, body, url, devices: messages.length });
+    return;
+  }
+
+  const { responses } = await messaging.sendEach(messages);
+  await Promise.all(responses.map((response, index) =>
+    !response.success && STALE_TOKEN_ERRORS.includes(response.error?.code)
+      ? tokensSnapshot.docs[index].ref.delete()
+      : null
+  ));
+};
+
+// One member's notification, by whichever channels they turned on
+const notify = async (profile, kind, { subject, text, html, pushBody }, messaging) => {
+  const prefs = getPrefs(profile);
+  const url = appUrl.value();
+  const sends = [];
+  if (prefs[`${kind}Email`] && profile.email) {
+    sends.push(sendEmail(profile.email, { subject, text, html }));
+  }
+  if (prefs[`${kind}Push`]) {
+    sends.push(sendPush(profile.id, { title: subject, body: pushBody, url }, messaging));
+  }
+  const results = await Promise.allSettled(sends);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error(`Error sending ${kind} to ${profile.id}:`, result.reason));
+};
+
+export const sendDueReminders = async (now = Timestamp.now(), services = getServices()) => {
+  const dueWeeks = await db.collectionGroup('weeks')
+    .where('remindersSent', '==', false)
+    .where('reminderAt', '<=', now)
+    .get();
+
+  for (const weekDoc of dueWeeks.docs) {
+    const groupId = weekDoc.ref.parent.parent.id;
+    const week = weekDoc.data();
+    const [groupDoc, songsSnapshot] = await Promise.all([
+      db.doc(`groups/${groupId}`).get(),
+      db.collection('songs').where('groupId', '==', groupId).where('weekKey', '==', weekDoc.id).get()
+    ]);
+    const group = groupDoc.data();
+    // A reminder that comes due after the deadline has nothing left to remind about
+    if (group && week.deadlineAt.toMillis() > now.toMillis()) {
+      const pickedUserIds = new Set(songsSnapshot.docs.map(songDoc => songDoc.data().userId));
+      const profiles = await loadProfiles((group.memberIds || []).filter(userId => !pickedUserIds.has(userId)), services.auth);
+      const deadline = week.deadlineAt.toDate().toLocaleString('en-US', {
+        weekday: 'long', hour: 'numeric', minute: '2-digit', timeZone: group.timeZone || 'UTC'
+      });
+
+      await Promise.all(profiles.map(profile => notify(profile, 'reminder', {
+        subject: `${group.name}: time to pick this week's song`,
+        text: `You haven't shared a song with ${group.name} this week. Picks close ${deadline}.\n\n${appUrl.value()}`,
+        html: `<p>You haven't shared a song with <strong>${escapeHtml(group.name)}</strong> this week. Picks close ${escapeHtml(deadline)}.</p>` +
+          `<p><a href="${escapeHtml(appUrl.value())}">Add your pick</a></p>`,
+        pushBody: `Picks close ${deadline}.`
+      }, services.messaging)));
+    }
+    await weekDoc.ref.update({ remindersSent: true });
+  }
+};
+
+const renderDigest = (group, weekKey, songs, playlists, theme) => {
+  const label = theme ? `${formatWeekLabel(weekKey)}: ${theme.name}` : formatWeekLabel(weekKey);
+  const songLine = (song) =>
+    `${song.pickOfTheWeek ? '🏆 ' : ''}${song.songName} by ${song.artist} (picked by ${song.user})`;
+
+  const text = [
+    `${group.name} - ${label}`,
+    '',
+    ...songs.map(song => `${songLine(song)}${song.link ? `\n  ${song.link}` : ''}`),
+    ...(playlists.length > 0 ? ['', ...playlists.map(playlist => `${playlist.title}: ${playlist.url}`)] : []),
+    '',
+    appUrl.value()
+  ].join('\n');
+
+  const html = [
+    `<h2>${escapeHtml(group.name)} - ${escapeHtml(label)}</h2>`,
+    '<ul>',
+    ...songs.map(song => `<li>${song.link
+      ? `<a href="${escapeHtml(song.link)}">${escapeHtml(songLine(song))}</a>`
+      : escapeHtml(songLine(song))}</li>`),
+    '</ul>',
+    ...playlists.map(playlist => `<p><a href="${escapeHtml(playlist.url)}">${escapeHtml(playlist.title)}</a></p>`),
+    `<p><a href="${escapeHtml(appUrl.value())}">Open Weekly Tunes</a></p>`
+  ].join('\n');
+
+  return { text, html };
+};
+
+// Waits for the tally so the digest can name the pick of the week
+export const sendDueDigests = async (now = Timestamp.now(), services = getServices()) => {
+  const endedWeeks = await db.collectionGroup('weeks')
+    .where('digestSent', '==', false)
+    .where('endsAt', '<=', now)
+    .get();
+
+  for (const weekDoc of endedWeeks.docs.filter(endedWeek => endedWeek.data().tallied)) {
+    const groupId = weekDoc.ref.parent.parent.id;
+    const [groupDoc, songsSnapshot, playlistsSnapshot, themeDoc] = await Promise.all([
+      db.doc(`groups/${groupId}`).get(),
+      db.collection('songs').where('groupId', '==', groupId).where('weekKey', '==', weekDoc.id).get(),
+      db.collection(`groups/${groupId}/playlists`).where('playlistKey', '==', weekDoc.id).get(),
+      db.doc(`groups/${groupId}/themes/${weekDoc.id}`).get()
+    ]);
+    const group = groupDoc.data();
+    const picks = songsSnapshot.docs
+      .map(songDoc => songDoc.data())
+      .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+
+    if (group && picks.length > 0) {
+      const profiles = await loadProfiles(group.memberIds || [], services.auth);
+      const songs = picks.map(song => ({
+        ...song,
+        user: getDisplayName(profiles.find(profile => profile.id === song.userId), song.user)
+      }));
+      const playlists = playlistsSnapshot.docs.map(playlistDoc => playlistDoc.data()).filter(playlist => playlist.url);
+      const { text, html } = renderDigest(group, weekDoc.id, songs, playlists, themeDoc.data());
+      await Promise.all(profiles.map(profile => notify(profile, 'digest', {
+        subject: `${group.name}: ${formatWeekLabel(weekDoc.id)} (${songs.length} ${songs.length === 1 ? 'pick' : 'picks'})`,
+        text,
+        html,
+        pushBody: songs.slice(0, 3).map(song => `${song.songName} by ${song.artist}`).join(', ') + (songs.length > 3 ? '...' : '')
+      }, services.messaging)));
+    }
+    await weekDoc.ref.update({ digestSent: true });
+  }
+};
+
+export const sendReminders = onSchedule('every 15 minutes', () => sendDueReminders());
+
+export const sendDigests = onSchedule('every 15 minutes', () => sendDueDigests());
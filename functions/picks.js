@@ -0,0 +1,41 @@
+import { db } from './admin.js';
+
+// Helpers for functions that give a pick a new doc ID: moving it to another
+// week, sending it to the trash and restoring it from there.
+
+// The author's lowest slot in the week with no pick in it, read in the
+// transaction when there is one
+export const getFreeSlot = async (groupId, userId, weekKey, transaction = null) => {
+  const query = db.collection('songs')
+    .where('groupId', '==', groupId)
+    .where('userId', '==', userId)
+    .where('weekKey', '==', weekKey);
+  const picks = await (transaction ? transaction.get(query) : query.get());
+  const usedSlots = new Set(picks.docs.map(pickDoc => pickDoc.data().slot));
+  let slot = 0;
+  while (usedSlots.has(slot)) slot++;
+  return slot;
+};
+
+// The writes that take a pick's comments, reactions and edit history from
+// one ID to another, for commitInBatches. Reaction IDs include the song ID,
+// so reactions are copied to new docs and the old ones deleted. Counts
+// aren't touched: the countReactions trigger counts the copies on the new
+// pick. A pick that changes week passes its new weekKey and hidden for its
+// history.
+export const getRekeyWrites = async (fromId, toId, versionFields = {}) => {
+  const [comments, reactions, versions] = await Promise.all(['comments', 'reactions', 'songVersions'].map(collectionName =>
+    db.collection(collectionName).where('songId', '==', fromId).get()
+  ));
+  return [
+    ...comments.docs.map(commentDoc => batch => batch.update(commentDoc.ref, { songId: toId })),
+    ...reactions.docs.flatMap(reactionDoc => {
+      const reaction = reactionDoc.data();
+      return [
+        batch => batch.set(db.doc(`reactions/${toId}_${reaction.userId}_${reaction.reaction}`), { ...reaction, songId: toId }),
+        batch => batch.delete(reactionDoc.ref)
+      ];
+    }),
+    ...versions.docs.map(versionDoc => batch => batch.update(versionDoc.ref, { songId: toId, ...versionFields }))
+  ];
+};
@@ -0,0 +1,70 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { db, getDisplayName } from './admin.js';
+
+const LISTEN_PLATFORMS = ['Spotify', 'Apple Music', 'YouTube Music', 'Deezer'];
+
+// Tokens come from src/recaps.js: 24 random bytes, base64url-encoded
+const isToken = (value) => typeof value === 'string' && /^[A-Za-z0-9_-]{32}$/.test(value);
+
+// What a public recap shows: the week's revealed picks with the name they
+// were submitted under, and nothing that identifies members' accounts
+const toRecapSong = (song, profiles) => ({
+  songName: song.songName,
+  artist: song.artist,
+  user: getDisplayName(profiles[song.userId], song.user),
+  platform: song.platform,
+  link: song.link || '',
+  artworkUrl: song.artworkUrl || '',
+  listenLinks: LISTEN_PLATFORMS
+    .filter(platform => song.matches?.[platform]?.url)
+    .map(platform => ({ platform, url: song.matches[platform].url })),
+  onTheme: song.onTheme ?? null,
+  pickOfTheWeek: !!song.pickOfTheWeek
+});
+
+// Serves shared recaps to anyone holding the link, signed in or not. Recap
+// docs can't be read by non-members, so looking one up needs the token.
+export const getRecap = onCall(async (request) => {
+  const { token } = request.data || {};
+  if (!isToken(token)) {
+    throw new HttpsError('invalid-argument', 'That recap link isn\'t valid.');
+  }
+
+  const recapDoc = await db.doc(`recaps/${token}`).get();
+  if (!recapDoc.exists) {
+    throw new HttpsError('not-found', 'This recap is no longer shared.');
+  }
+  const { groupId, weekKey } = recapDoc.data();
+
+  const [groupDoc, themeDoc, songsSnapshot, playlistsSnapshot] = await Promise.all([
+    db.doc(`groups/${groupId}`).get(),
+    db.doc(`groups/${groupId}/themes/${weekKey}`).get(),
+    db.collection('songs')
+      .where('groupId', '==', groupId)
+      .where('weekKey', '==', weekKey)
+      .where('hidden', '==', false)
+      .orderBy('createdAt', 'asc')
+      .get(),
+    db.collection(`groups/${groupId}/playlists`).where('playlistKey', '==', weekKey).get()
+  ]);
+  if (!groupDoc.exists) {
+    throw new HttpsError('not-found', 'This recap is no longer shared.');
+  }
+
+  const songs = songsSnapshot.docs.map(songDoc => songDoc.data());
+  const userIds = [...new Set(songs.map(song => song.userId))];
+  const profileDocs = userIds.length > 0 ? await db.getAll(...userIds.map(userId => db.doc(`users/${userId}`))) : [];
+  const profiles = Object.fromEntries(profileDocs.map(profileDoc => [profileDoc.id, profileDoc.data()]));
+
+  const theme = themeDoc.exists ? themeDoc.data() : null;
+  return {
+    groupName: groupDoc.data().name,
+    weekKey,
+    theme: theme && { name: theme.name, description: theme.description },
+    songs: songs.map(song => toRecapSong(song, profiles)),
+    playlists: playlistsSnapshot.docs
+      .map(playlistDoc => playlistDoc.data())
+      .filter(playlist => playlist.url)
+      .map(playlist => ({ provider: playlist.provider, url: playlist.url }))
+  };
+});
@@ -0,0 +1,270 @@
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onDocumentWritten, onDocumentUpdated, onDocumentDeleted } from 'firebase-functions/v2/firestore';
+import { db, toMillis, commitInBatches } from './admin.js';
+import { DEFAULT_TIME_ZONE, getWeekKey, getWeekSchedule, shiftWeek } from './weeks.js';
+import { isClaimable } from './matching.js';
+import { addAuditEntry } from './moderation.js';
+
+const toWeekDoc = (schedule, now) => ({
+  weekKey: schedule.weekKey,
+  startsAt: Timestamp.fromDate(schedule.startsAt),
+  endsAt: Timestamp.fromDate(schedule.endsAt),
+  deadlineAt: Timestamp.fromDate(schedule.deadlineAt),
+  revealAt: Timestamp.fromDate(schedule.revealAt),
+  reminderAt: schedule.reminderAt && Timestamp.fromDate(schedule.reminderAt),
+  blind: schedule.blind,
+  maxPicksPerWeek: schedule.maxPicksPerWeek,
+  blockDuplicates: schedule.blockDuplicates,
+  votesPerWeek: schedule.votesPerWeek,
+  revealed: !schedule.blind || schedule.revealAt <= now,
+  tallied: false,
+  remindersSent: false,
+  digestSent: false
+});
+
+// The security rules only accept picks for a week whose doc exists and is
+// still before its deadline, so keep the current and next week written.
+const syncWeeks = async (groupId, group, now = new Date()) => {
+  const currentWeekKey = getWeekKey(now, group.timeZone || DEFAULT_TIME_ZONE);
+  const batch = db.batch();
+
+  for (const weekKey of [currentWeekKey, shiftWeek(currentWeekKey, 1)]) {
+    const weekRef = db.doc(`groups/${groupId}/weeks/${weekKey}`);
+    const existing = await weekRef.get();
+    const weekDoc = toWeekDoc(getWeekSchedule(weekKey, group), now);
+    // A week that has already been revealed, tallied or notified stays that way
+    if (existing.exists) {
+      weekDoc.revealed = weekDoc.revealed || !!existing.data().revealed;
+      weekDoc.tallied = !!existing.data().tallied;
+      weekDoc.remindersSent = !!existing.data().remindersSent;
+      weekDoc.digestSent = !!existing.data().digestSent;
+    }
+    batch.set(weekRef, weekDoc, { merge: true });
+  }
+
+  await batch.commit();
+};
+
+// Picks made before duplicates were blocked claim their songs too, earliest
+// first; duplicates already in the week stay, but no new ones get in
+const claimExistingPicks = async (groupId, weekKey) => {
+  const songsSnapshot = await db.collection('songs')
+    .where('groupId', '==', groupId)
+    .where('weekKey', '==', weekKey)
+    .get();
+  const claimsRef = db.collection(`groups/${groupId}/weeks/${weekKey}/claims`);
+  const claimed = new Set((await claimsRef.get()).docs.map(claimDoc => claimDoc.id));
+
+  const batch = db.batch();
+  const songDocs = [...songsSnapshot.docs].sort((a, b) => toMillis(a.data().createdAt) - toMillis(b.data().createdAt));
+  songDocs.forEach(songDoc => {
+    const { canonicalKey, userId } = songDoc.data();
+    if (!isClaimable(canonicalKey) || claimed.has(canonicalKey)) return;
+    claimed.add(canonicalKey);
+    batch.set(claimsRef.doc(canonicalKey), { songId: songDoc.id, userId, createdAt: new Date().toISOString() });
+  });
+  await batch.commit();
+};
+
+export const openWeeks = onSchedule('every 15 minutes', async () => {
+  const groupsSnapshot = await db.collection('groups').get();
+  for (const groupDoc of groupsSnapshot.docs) {
+    await syncWeeks(groupDoc.id, groupDoc.data());
+  }
+});
+
+export const syncGroupWeeks = onDocumentWritten('groups/{groupId}', async (event) => {
+  if (!event.data.after.exists) return;
+
+  const before = event.data.before.exists ? event.data.before.data() : {};
+  const after = event.data.after.data();
+  const scheduleChanged = !event.data.before.exists ||
+    before.timeZone !== after.timeZone ||
+    JSON.stringify(before.settings || {}) !== JSON.stringify(after.settings || {});
+
+  if (scheduleChanged) {
+    await syncWeeks(event.params.groupId, after);
+  }
+  if (after.settings?.blockDuplicates && !before.settings?.blockDuplicates) {
+    await claimExistingPicks(event.params.groupId, getWeekKey(new Date(), after.timeZone || DEFAULT_TIME_ZONE));
+  }
+});
+
+// Blind picks are written with `hidden: true`; flip them once the week's reveal time passes
+export const revealPicks = onSchedule('every 5 minutes', async () => {
+  const dueWeeks = await db.collectionGroup('weeks')
+    .where('revealed', '==', false)
+    .where('revealAt', '<=', Timestamp.now())
+    .get();
+
+  for (const weekDoc of dueWeeks.docs) {
+    const groupId = weekDoc.ref.parent.parent.id;
+    const [hiddenSongs, hiddenVersions] = await Promise.all(['songs', 'songVersions'].map(collectionName =>
+      db.collection(collectionName)
+        .where('groupId', '==', groupId)
+        .where('weekKey', '==', weekDoc.id)
+        .where('hidden', '==', true)
+        .get()
+    ));
+
+    // The week is marked revealed last, so a run that fails part way is picked up again
+    await commitInBatches([
+      ...[...hiddenSongs.docs, ...hiddenVersions.docs].map(hiddenDoc => batch => batch.update(hiddenDoc.ref, { hidden: false })),
+      batch => batch.update(weekDoc.ref, { revealed: true })
+    ]);
+  }
+});
+
+// Once a week ends, count its votes, crown the pick(s) of the week and
+// add the results to the group's running leaderboard.
+export const tallyWeeks = onSchedule('every 15 minutes', async () => {
+  const endedWeeks = await db.collectionGroup('weeks')
+    .where('tallied', '==', false)
+    .where('endsAt', '<=', Timestamp.now())
+    .get();
+
+  for (const weekDoc of endedWeeks.docs) {
+    const groupId = weekDoc.ref.parent.parent.id;
+    const [songsSnapshot, votesSnapshot] = await Promise.all([
+      db.collection('songs').where('groupId', '==', groupId).where('weekKey', '==', weekDoc.id).get(),
+      db.collection('votes').where('groupId', '==', groupId).where('weekKey', '==', weekDoc.id).get()
+    ]);
+
+    const votesBySong = {};
+    votesSnapshot.docs.forEach(voteDoc => {
+      const { songId } = voteDoc.data();
+      votesBySong[songId] = (votesBySong[songId] || 0) + 1;
+    });
+    const topVotes = Math.max(0, ...Object.values(votesBySong));
+    const winnerSongIds = topVotes > 0
+      ? Object.keys(votesBySong).filter(songId => votesBySong[songId] === topVotes)
+      : [];
+
+    const standings = {};
+    songsSnapshot.docs.forEach(songDoc => {
+      const { userId } = songDoc.data();
+      const votes = votesBySong[songDoc.id] || 0;
+      const stats = standings[userId] || (standings[userId] = { picks: 0, votesReceived: 0, wins: 0 });
+      stats.picks += 1;
+      stats.votesReceived += votes;
+      if (winnerSongIds.includes(songDoc.id)) stats.wins += 1;
+    });
+
+    const batch = db.batch();
+    songsSnapshot.docs.forEach(songDoc => {
+      batch.update(songDoc.ref, {
+        votes: votesBySong[songDoc.id] || 0,
+        pickOfTheWeek: winnerSongIds.includes(songDoc.id)
+      });
+    });
+    Object.entries(standings).forEach(([userId, stats]) => {
+      batch.set(db.doc(`groups/${groupId}/leaderboard/${userId}`), {
+        picks: FieldValue.increment(stats.picks),
+        votesReceived: FieldValue.increment(stats.votesReceived),
+        wins: FieldValue.increment(stats.wins)
+      }, { merge: true });
+    });
+    batch.update(weekDoc.ref, { tallied: true, winnerSongIds });
+    await batch.commit();
+  }
+});
+
+// Reactions, votes and comments belong to their song, as do the claims
+// that keep each member to one vote per pick
+export const cleanUpSong = onDocumentDeleted('songs/{songId}', async (event) => {
+  const { songId } = event.params;
+  const snapshots = await Promise.all(['reactions', 'votes', 'comments', 'songVersions'].map(collectionName =>
+    db.collection(collectionName).where('songId', '==', songId).get()
+  ));
+
+  await commitInBatches([
+    ...snapshots.flatMap(snapshot => snapshot.docs).map(relatedDoc => batch => batch.delete(relatedDoc.ref)),
+    ...snapshots[1].docs.map(voteDoc => {
+      const { groupId, weekKey, userId } = voteDoc.data();
+      return batch => batch.delete(db.doc(`groups/${groupId}/weeks/${weekKey}/voteClaims/${userId}_${songId}`));
+    })
+  ]);
+});
+
+// Each edit to a pick's details is kept in songVersions: { songId, groupId,
+// weekKey, userId, hidden, editedBy, before, after, createdAt }, where
+// before and after hold just the fields that changed. `hidden` follows the
+// pick's, so blind picks' history stays with their author until the reveal.
+// Mirrors EDITABLE_FIELDS in src/picks.js.
+const VERSIONED_FIELDS = ['songName', 'artist', 'platform', 'link', 'artworkUrl', 'onTheme'];
+
+export const recordSongVersion = onDocumentUpdated('songs/{songId}', async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const changed = VERSIONED_FIELDS.filter(field => (before[field] ?? null) !== (after[field] ?? null));
+  if (changed.length === 0) return;
+
+  // Edits by anyone but the author are admins moderating the pick
+  const batch = db.batch();
+  batch.set(db.collection('songVersions').doc(), {
+    songId: event.params.songId,
+    groupId: after.groupId,
+    weekKey: after.weekKey,
+    userId: after.userId,
+    hidden: after.hidden,
+    editedBy: after.updatedBy || null,
+    before: Object.fromEntries(changed.map(field => [field, before[field] ?? null])),
+    after: Object.fromEntries(changed.map(field => [field, after[field] ?? null])),
+    createdAt: after.updatedAt || FieldValue.serverTimestamp()
+  });
+  if (after.updatedBy && after.updatedBy !== after.userId) {
+    addAuditEntry(batch, after.groupId, after.updatedBy, {
+      action: 'edit-pick',
+      targetUserId: after.userId,
+      songId: event.params.songId,
+      details: `${before.songName} by ${before.artist}`
+    });
+  }
+  await batch.commit();
+});
+
+// A pick that is deleted or becomes a different song frees its claim
+export const releaseClaims = onDocumentWritten('songs/{songId}', async (event) => {
+  if (!event.data.before.exists) return;
+
+  const before = event.data.before.data();
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  if (!isClaimable(before.canonicalKey) || after?.canonicalKey === before.canonicalKey) return;
+
+  const claimRef = db.doc(`groups/${before.groupId}/weeks/${before.weekKey}/claims/${before.canonicalKey}`);
+  const claim = await claimRef.get();
+  if (claim.exists && claim.data().songId === event.params.songId) {
+    await claimRef.delete();
+  }
+});
+
+// Keep a comment count on each song so collapsed cards don't load threads
+export const countComments = onDocumentWritten('comments/{commentId}', async (event) => {
+  const before = event.data.before.exists;
+  const after = event.data.after.exists;
+  if (before === after) return;
+
+  const { songId } = (after ? event.data.after : event.data.before).data();
+  try {
+    await db.doc(`songs/${songId}`).update({ commentCount: FieldValue.increment(after ? 1 : -1) });
+  } catch (err) {
+    // The song itself was deleted and its comments are being cleaned up
+    if (err.code !== 5) throw err;
+  }
+});
+
+// Keep a reaction count on each song so the feed can sort by it
+export const countReactions = onDocumentWritten('reactions/{reactionId}', async (event) => {
+  const before = event.data.before.exists;
+  const after = event.data.after.exists;
+  if (before === after) return;
+
+  const { songId } = (after ? event.data.after : event.data.before).data();
+  try {
+    await db.doc(`songs/${songId}`).update({ reactionCount: FieldValue.increment(after ? 1 : -1) });
+  } catch (err) {
+    // The song itself was deleted and its reactions are being cleaned up
+    if (err.code !== 5) throw err;
+  }
+});
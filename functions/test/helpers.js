@@ -0,0 +1,56 @@
+import { vi } from 'vitest';
+import { getAuth } from 'firebase-admin/auth';
+import { db } from '../admin.js';
+
+// Shared fixtures for the functions' tests, which run against the Firestore
+// and Auth emulators: `npm run test:functions` from the repo root. The
+// emulators set the hosts and project ID the Admin SDK connects with.
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT;
+
+const clearEmulator = async (host, path) => {
+  const response = await fetch(`http://${host}/emulator/v1/projects/${PROJECT_ID}/${path}`, { method: 'DELETE' });
+  if (!response.ok) throw new Error(`Clearing ${path} failed with status ${response.status}`);
+};
+
+export const clearEmulators = () => Promise.all([
+  clearEmulator(process.env.FIRESTORE_EMULATOR_HOST, 'databases/(default)/documents'),
+  clearEmulator(process.env.FIREBASE_AUTH_EMULATOR_HOST, 'accounts')
+]);
+
+export const seed = (docs) => Promise.all(Object.entries(docs).map(([path, data]) => db.doc(path).set(data)));
+
+export const read = async (path) => (await db.doc(path).get()).data();
+
+export const list = async (collectionPath) => (await db.collection(collectionPath).get()).docs.map(listedDoc => listedDoc.data());
+
+// Auth accounts with an example.com address each
+export const createUsers = async (userIds) => {
+  const { errors } = await getAuth().importUsers(userIds.map(uid => ({ uid, email: `${uid}@example.com` })));
+  if (errors.length > 0) throw errors[0].error;
+};
+
+// Records the number of writes in each batch committed from now on, until
+// the test restores its mocks
+export const recordBatchSizes = () => {
+  const sizes = [];
+  const createBatch = db.batch.bind(db);
+  vi.spyOn(db, 'batch').mockImplementation(() => {
+    const batch = createBatch();
+    let size = 0;
+    for (const method of ['create', 'set', 'update', 'delete']) {
+      const write = batch[method].bind(batch);
+      batch[method] = (...args) => {
+        size++;
+        return write(...args);
+      };
+    }
+    const commit = batch.commit.bind(batch);
+    batch.commit = () => {
+      sizes.push(size);
+      return commit();
+    };
+    return batch;
+  });
+  return sizes;
+};
@@ -0,0 +1,55 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { runMigrations } from '../migrations.js';
+import { clearEmulators, list, read, seed } from './helpers.js';
+
+const asUser = (uid) => ({ auth: { uid }, data: null });
+
+beforeEach(() => clearEmulators());
+
+describe('runMigrations', () => {
+  it('lets one of several concurrent runs migrate', async () => {
+    await seed({
+      'users/alice': { displayName: 'Alice' },
+      'users/bob': { displayName: 'Bob' },
+      'songs/legacy1': { userId: 'alice', songName: 'Heroes', artist: 'David Bowie', createdAt: '2026-10-01T12:00:00.000Z' }
+    });
+
+    const runs = await Promise.all([runMigrations.run(asUser('alice')), runMigrations.run(asUser('bob'))]);
+
+    expect(runs.filter(({ migrated }) => migrated.length > 0)).toHaveLength(1);
+    const group = await read('groups/default');
+    const migratedBy = runs.findIndex(({ migrated }) => migrated.length > 0) === 0 ? 'alice' : 'bob';
+    expect(group.ownerId).toBe(migratedBy);
+    expect(await list('invites')).toEqual([{ groupId: 'default' }]);
+    expect(await read('meta/migrations')).not.toHaveProperty('runningUntil');
+  });
+
+  it('leaves an existing default group its owner and invite code', async () => {
+    await seed({
+      'groups/default': { name: 'Weekly Tunes', ownerId: 'alice', memberIds: ['alice'], inviteCode: 'KEEPTHIS' },
+      'songs/legacy1': { userId: 'bob', songName: 'Heroes', artist: 'David Bowie', createdAt: '2026-10-01T12:00:00.000Z' }
+    });
+
+    await runMigrations.run(asUser('bob'));
+
+    expect(await read('groups/default')).toMatchObject({ ownerId: 'alice', inviteCode: 'KEEPTHIS', memberIds: ['alice', 'bob'] });
+  });
+
+  it('indexes the invites of any number of groups', async () => {
+    const groups = Object.fromEntries(Array.from({ length: 600 }, (_, index) => [
+      `groups/group${index}`,
+      { name: `Group ${index}`, ownerId: 'alice', memberIds: ['alice'], inviteCode: `CODE${index}` }
+    ]));
+    await seed({ ...groups, 'meta/migrations': { groups: true, weekKeys: true, visibility: true } });
+
+    await runMigrations.run(asUser('alice'));
+
+    expect(await list('invites')).toHaveLength(600);
+    expect(await read('invites/CODE599')).toEqual({ groupId: 'group599' });
+  });
+
+  it('does nothing once everything has run', async () => {
+    await runMigrations.run(asUser('alice'));
+    await expect(runMigrations.run(asUser('alice'))).resolves.toEqual({ migrated: [] });
+  });
+});
@@ -0,0 +1,76 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { Timestamp } from 'firebase-admin/firestore';
+import { moveSong } from '../moderation.js';
+import { clearEmulators, list, read, seed } from './helpers.js';
+
+const FROM_WEEK = '2026-10-11';
+const TO_WEEK = '2026-10-04';
+const SONG_ID = `group1_${FROM_WEEK}_alice_0`;
+const CLAIM = 'heroes|david bowie';
+
+const asUser = (uid, data) => ({ auth: { uid }, data });
+
+const seedWeek = (weekKey, week = {}) => seed({
+  [`groups/group1/weeks/${weekKey}`]: { deadlineAt: Timestamp.now(), maxPicksPerWeek: 2, blockDuplicates: true, blind: false, ...week }
+});
+
+const makePick = (overrides = {}) => ({
+  groupId: 'group1',
+  userId: 'alice',
+  user: 'Alice',
+  songName: 'Heroes',
+  artist: 'David Bowie',
+  weekKey: FROM_WEEK,
+  slot: 0,
+  hidden: false,
+  canonicalKey: CLAIM,
+  reactionCount: 0,
+  ...overrides
+});
+
+beforeEach(async () => {
+  await clearEmulators();
+  await seed({
+    'groups/group1': { ownerId: 'owner', adminIds: ['admin'], memberIds: ['owner', 'admin', 'alice', 'bob'], timeZone: 'UTC' },
+    [`songs/${SONG_ID}`]: makePick(),
+    [`groups/group1/weeks/${FROM_WEEK}/claims/${CLAIM}`]: { songId: SONG_ID, userId: 'alice' },
+    'comments/c1': { songId: SONG_ID, text: 'Great pick' }
+  });
+  await Promise.all([seedWeek(FROM_WEEK), seedWeek(TO_WEEK)]);
+});
+
+describe('moveSong', () => {
+  it('moves the pick and its claim to the other week', async () => {
+    const newSongId = `group1_${TO_WEEK}_alice_0`;
+    await expect(moveSong.run(asUser('admin', { songId: SONG_ID, weekKey: TO_WEEK }))).resolves.toEqual({ songId: newSongId });
+
+    expect(await read(`songs/${SONG_ID}`)).toBeUndefined();
+    expect(await read(`songs/${newSongId}`)).toMatchObject({ weekKey: TO_WEEK, slot: 0 });
+    expect(await read(`groups/group1/weeks/${TO_WEEK}/claims/${CLAIM}`)).toMatchObject({ songId: newSongId });
+    expect(await read(`groups/group1/weeks/${FROM_WEEK}/claims/${CLAIM}`)).toBeUndefined();
+    expect((await read('comments/c1')).songId).toBe(newSongId);
+    expect(await list('groups/group1/auditLog')).toEqual([expect.objectContaining({ action: 'move-pick', songId: newSongId })]);
+  });
+
+  it('keeps to the other week\'s pick limit', async () => {
+    await seedWeek(TO_WEEK, { maxPicksPerWeek: 1 });
+    await seed({ [`songs/group1_${TO_WEEK}_alice_0`]: makePick({ weekKey: TO_WEEK, songName: 'Changes', canonicalKey: 'changes|david bowie' }) });
+
+    await expect(moveSong.run(asUser('admin', { songId: SONG_ID, weekKey: TO_WEEK }))).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(await read(`songs/${SONG_ID}`)).toBeDefined();
+  });
+
+  it('won\'t duplicate a song the other week already has', async () => {
+    await seed({
+      [`songs/group1_${TO_WEEK}_bob_0`]: makePick({ userId: 'bob', user: 'Bob', weekKey: TO_WEEK }),
+      [`groups/group1/weeks/${TO_WEEK}/claims/${CLAIM}`]: { songId: `group1_${TO_WEEK}_bob_0`, userId: 'bob' }
+    });
+
+    await expect(moveSong.run(asUser('admin', { songId: SONG_ID, weekKey: TO_WEEK }))).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(await read(`groups/group1/weeks/${FROM_WEEK}/claims/${CLAIM}`)).toMatchObject({ songId: SONG_ID });
+  });
+
+  it('is for admins only', async () => {
+    await expect(moveSong.run(asUser('alice', { songId: SONG_ID, weekKey: TO_WEEK }))).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
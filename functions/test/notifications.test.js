@@ -0,0 +1,192 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getAuth } from 'firebase-admin/auth';
+import { Timestamp } from 'firebase-admin/firestore';
+import { sendDueReminders, sendDueDigests } from '../notifications.js';
+import { clearEmulators, createUsers, list, read, seed } from './helpers.js';
+
+process.env.APP_URL = 'https://tunes.example.com';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Timestamp.fromMillis(Date.UTC(2026, 9, 21, 12));
+const hoursFromNow = (hours) => Timestamp.fromMillis(NOW.toMillis() + hours * HOUR_MS);
+
+const WEEK_PATH = 'groups/group1/weeks/2026-10-18';
+
+let services;
+
+// FCM has no emulator, so a stand-in answers; `results` maps a token to the
+// error code its send fails with
+const createMessaging = (results = {}) => ({
+  sendEach: vi.fn(async (messages) => ({
+    responses: messages.map(({ token }) => (results[token]
+      ? { success: false, error: { code: results[token] } }
+      : { success: true }))
+  }))
+});
+
+const pushedUserIds = () => services.messaging.sendEach.mock.calls
+  .flatMap(([messages]) => messages.map(({ token }) => token.split('-')[0]));
+
+const mailedTo = async () => (await list('mail')).map(mail => mail.to).sort();
+
+beforeEach(async () => {
+  await clearEmulators();
+  services = { auth: getAuth(), messaging: createMessaging() };
+  await createUsers(['alice', 'bob', 'carol', 'dave']);
+  await seed({
+    'groups/group1': { name: 'Test Group', ownerId: 'alice', memberIds: ['alice', 'bob', 'carol', 'dave'], timeZone: 'UTC' },
+    'users/alice': { displayName: 'Alice' },
+    'users/bob': { displayName: 'Bob' },
+    'users/carol': { displayName: 'Carol', notifications: { reminderEmail: true, digestEmail: true } },
+    'users/dave': { displayName: 'Dave', notifications: { reminderPush: false, digestPush: false } },
+    'users/alice/pushTokens/alice-phone': { token: 'alice-phone' },
+    'users/alice/pushTokens/alice-laptop': { token: 'alice-laptop' },
+    'users/bob/pushTokens/bob-phone': { token: 'bob-phone' },
+    'users/carol/pushTokens/carol-phone': { token: 'carol-phone' },
+    'users/dave/pushTokens/dave-phone': { token: 'dave-phone' }
+  });
+});
+
+describe('sendDueReminders', () => {
+  const seedWeek = (week = {}) => seed({
+    [WEEK_PATH]: { reminderAt: hoursFromNow(-1), deadlineAt: hoursFromNow(24), remindersSent: false, ...week },
+    'songs/group1_2026-10-18_bob_0': { groupId: 'group1', weekKey: '2026-10-18', userId: 'bob', songName: 'Heroes', artist: 'David Bowie' }
+  });
+
+  it('reminds members who haven\'t picked, by the channels they chose', async () => {
+    await seedWeek();
+    await sendDueReminders(NOW, services);
+
+    // bob has picked; dave turned reminder pushes off; carol also gets email
+    expect(pushedUserIds().sort()).toEqual(['alice', 'alice', 'carol']);
+    expect(await mailedTo()).toEqual(['carol@example.com']);
+    expect((await list('mail'))[0].message.subject).toBe('Test Group: time to pick this week\'s song');
+    expect((await read(WEEK_PATH)).remindersSent).toBe(true);
+  });
+
+  it('sends push data with a link back to the app', async () => {
+    await seedWeek();
+    await sendDueReminders(NOW, services);
+
+    const [[messages]] = services.messaging.sendEach.mock.calls;
+    expect(messages[0].data).toMatchObject({ title: 'Test Group: time to pick this week\'s song', url: 'https://tunes.example.com' });
+    expect(messages[0].data.body).toMatch(/^Picks close Thursday/);
+  });
+
+  it('waits until the reminder time', async () => {
+    await seedWeek({ reminderAt: hoursFromNow(1) });
+    await sendDueReminders(NOW, services);
+
+    expect(services.messaging.sendEach).not.toHaveBeenCalled();
+    expect((await read(WEEK_PATH)).remindersSent).toBe(false);
+  });
+
+  it('sends each week\'s reminders once', async () => {
+    await seedWeek({ remindersSent: true });
+    await sendDueReminders(NOW, services);
+
+    expect(services.messaging.sendEach).not.toHaveBeenCalled();
+    expect(await mailedTo()).toEqual([]);
+  });
+
+  it('skips reminders that come due after the deadline', async () => {
+    await seedWeek({ reminderAt: hoursFromNow(-3), deadlineAt: hoursFromNow(-2) });
+    await sendDueReminders(NOW, services);
+
+    expect(services.messaging.sendEach).not.toHaveBeenCalled();
+    expect((await read(WEEK_PATH)).remindersSent).toBe(true);
+  });
+
+  it('drops tokens FCM no longer recognises', async () => {
+    await seedWeek();
+    services.messaging = createMessaging({
+      'alice-phone': 'messaging/registration-token-not-registered',
+      'alice-laptop': 'messaging/internal-error',
+      'carol-phone': 'messaging/invalid-registration-token'
+    });
+    await sendDueReminders(NOW, services);
+
+    expect(await read('users/alice/pushTokens/alice-phone')).toBeUndefined();
+    expect(await read('users/carol/pushTokens/carol-phone')).toBeUndefined();
+    // Other failures may be temporary, so the token stays
+    expect(await read('users/alice/pushTokens/alice-laptop')).toEqual({ token: 'alice-laptop' });
+    expect(await read('users/bob/pushTokens/bob-phone')).toEqual({ token: 'bob-phone' });
+  });
+
+  it('looks up any number of members', async () => {
+    const memberIds = Array.from({ length: 150 }, (_, index) => `member${index}`);
+    await createUsers(memberIds);
+    await seed({
+      'groups/group1': { name: 'Big Group', ownerId: 'member0', memberIds, timeZone: 'UTC' },
+      ...Object.fromEntries(memberIds.map(uid => [`users/${uid}`, { displayName: uid, notifications: { reminderEmail: true } }]))
+    });
+    await seedWeek();
+    await sendDueReminders(NOW, services);
+
+    expect(await mailedTo()).toHaveLength(150);
+    expect(await mailedTo()).toContain('member149@example.com');
+  });
+});
+
+describe('sendDueDigests', () => {
+  const seedWeek = (week = {}) => seed({
+    [WEEK_PATH]: { endsAt: hoursFromNow(-1), tallied: true, digestSent: false, ...week },
+    'songs/group1_2026-10-18_bob_0': {
+      groupId: 'group1', weekKey: '2026-10-18', userId: 'bob', user: 'bob@example.com',
+      songName: 'Heroes', artist: 'David Bowie', link: 'https://open.spotify.com/track/abc',
+      pickOfTheWeek: true, createdAt: hoursFromNow(-30)
+    },
+    'songs/group1_2026-10-18_alice_0': {
+      groupId: 'group1', weekKey: '2026-10-18', userId: 'alice', user: 'Alice',
+      songName: 'Changes', artist: 'David Bowie', link: '', createdAt: hoursFromNow(-40)
+    }
+  });
+
+  it('sends the week\'s picks to every member who wants the digest', async () => {
+    await seedWeek();
+    await sendDueDigests(NOW, services);
+
+    // dave turned both digest channels off
+    expect(pushedUserIds().sort()).toEqual(['alice', 'alice', 'bob', 'carol']);
+    expect(await mailedTo()).toEqual(['carol@example.com']);
+    const [mail] = await list('mail');
+    expect(mail.message.subject).toBe('Test Group: Week of Oct 18, 2026 (2 picks)');
+    // In submission order, under the members' current names
+    expect(mail.message.text).toContain('Changes by David Bowie (picked by Alice)\n🏆 Heroes by David Bowie (picked by Bob)');
+    expect((await read(WEEK_PATH)).digestSent).toBe(true);
+  });
+
+  it('waits for the week to end and be tallied', async () => {
+    await seedWeek({ endsAt: hoursFromNow(1) });
+    await sendDueDigests(NOW, services);
+    expect(services.messaging.sendEach).not.toHaveBeenCalled();
+
+    await seedWeek({ tallied: false });
+    await sendDueDigests(NOW, services);
+    expect(services.messaging.sendEach).not.toHaveBeenCalled();
+    expect((await read(WEEK_PATH)).digestSent).toBe(false);
+  });
+
+  it('sends each week\'s digest once', async () => {
+    await seedWeek({ digestSent: true });
+    await sendDueDigests(NOW, services);
+    expect(services.messaging.sendEach).not.toHaveBeenCalled();
+  });
+
+  it('skips weeks without picks', async () => {
+    await seed({ [WEEK_PATH]: { endsAt: hoursFromNow(-1), tallied: true, digestSent: false } });
+    await sendDueDigests(NOW, services);
+
+    expect(services.messaging.sendEach).not.toHaveBeenCalled();
+    expect((await read(WEEK_PATH)).digestSent).toBe(true);
+  });
+
+  it('drops stale tokens here too', async () => {
+    await seedWeek();
+    services.messaging = createMessaging({ 'bob-phone': 'messaging/registration-token-not-registered' });
+    await sendDueDigests(NOW, services);
+
+    expect(await read('users/bob/pushTokens/bob-phone')).toBeUndefined();
+    expect(await read('users/alice/pushTokens/alice-phone')).toEqual({ token: 'alice-phone' });
+  });
+});
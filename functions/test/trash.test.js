@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Timestamp } from 'firebase-admin/firestore';
+import { trashSong, restoreSong } from '../trash.js';
+import { clearEmulators, list, read, recordBatchSizes, seed } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursFromNow = (hours) => Timestamp.fromMillis(Date.now() + hours * HOUR_MS);
+
+const WEEK_KEY = '2026-10-18';
+const SONG_ID = `group1_${WEEK_KEY}_alice_0`;
+const WEEK_PATH = `groups/group1/weeks/${WEEK_KEY}`;
+
+const asUser = (uid, data) => ({ auth: { uid }, data });
+
+const seedWeek = (week = {}) => seed({
+  [WEEK_PATH]: { deadlineAt: hoursFromNow(24), maxPicksPerWeek: 2, blockDuplicates: false, blind: false, ...week }
+});
+
+const PICK = {
+  groupId: 'group1',
+  userId: 'alice',
+  user: 'Alice',
+  songName: 'Heroes',
+  artist: 'David Bowie',
+  weekKey: WEEK_KEY,
+  slot: 0,
+  hidden: false,
+  canonicalKey: 'heroes|david bowie',
+  reactionCount: 0
+};
+
+const trashedBy = (deletedBy) => ({ ...PICK, songId: SONG_ID, deletedAt: hoursFromNow(-1), deletedBy });
+
+beforeEach(async () => {
+  await clearEmulators();
+  await seed({
+    'groups/group1': { ownerId: 'owner', adminIds: ['admin'], memberIds: ['owner', 'admin', 'alice', 'bob'] }
+  });
+  await seedWeek();
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('trashSong', () => {
+  it('moves the pick and its comments to the trash', async () => {
+    await seed({ [`songs/${SONG_ID}`]: PICK, 'comments/c1': { songId: SONG_ID, text: 'Great pick' } });
+    const { trashId } = await trashSong.run(asUser('alice', { songId: SONG_ID }));
+
+    expect(await read(`songs/${SONG_ID}`)).toBeUndefined();
+    expect(await read(`trash/${trashId}`)).toMatchObject({ songName: 'Heroes', songId: SONG_ID, deletedBy: 'alice' });
+    expect((await read('comments/c1')).songId).toBe(trashId);
+    expect(await list('groups/group1/auditLog')).toEqual([]);
+  });
+
+  it('logs admins removing someone else\'s pick', async () => {
+    await seed({ [`songs/${SONG_ID}`]: PICK });
+    await trashSong.run(asUser('admin', { songId: SONG_ID }));
+
+    expect(await list('groups/group1/auditLog')).toEqual([
+      expect.objectContaining({ action: 'delete-pick', actorId: 'admin', targetUserId: 'alice', songId: SONG_ID, details: 'Heroes by David Bowie' })
+    ]);
+  });
+
+  it('keeps other members and closed weeks out', async () => {
+    await seed({ [`songs/${SONG_ID}`]: PICK });
+    await expect(trashSong.run(asUser('bob', { songId: SONG_ID }))).rejects.toMatchObject({ code: 'permission-denied' });
+
+    await seedWeek({ locked: true });
+    await expect(trashSong.run(asUser('alice', { songId: SONG_ID }))).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
+
+describe('restoreSong', () => {
+  it('puts the pick back in its slot', async () => {
+    await seed({ 'trash/t1': trashedBy('alice') });
+    await expect(restoreSong.run(asUser('alice', { trashId: 't1' }))).resolves.toEqual({ songId: SONG_ID });
+
+    expect(await read(`songs/${SONG_ID}`)).toMatchObject({ songName: 'Heroes', slot: 0 });
+    expect(await read(`songs/${SONG_ID}`)).not.toHaveProperty('deletedBy');
+    expect(await read('trash/t1')).toBeUndefined();
+  });
+
+  it('lets authors restore only while the week is open to them', async () => {
+    await seed({ 'trash/t1': trashedBy('alice') });
+
+    await seedWeek({ deadlineAt: hoursFromNow(-1) });
+    await expect(restoreSong.run(asUser('alice', { trashId: 't1' }))).rejects.toMatchObject({ code: 'failed-precondition' });
+    await seedWeek({ locked: true });
+    await expect(restoreSong.run(asUser('alice', { trashId: 't1' }))).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(await read('trash/t1')).toBeDefined();
+
+    await expect(restoreSong.run(asUser('admin', { trashId: 't1' }))).resolves.toEqual({ songId: SONG_ID });
+  });
+
+  it('leaves picks an admin removed to the admins', async () => {
+    await seed({ 'trash/t1': trashedBy('admin') });
+    await expect(restoreSong.run(asUser('alice', { trashId: 't1' }))).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  it('moves any number of comments and reactions back, the trash entry last', async () => {
+    const related = {};
+    for (let i = 0; i < 400; i++) {
+      related[`comments/c${i}`] = { songId: 't1', text: `Comment ${i}` };
+      related[`reactions/t1_user${i}_fire`] = { songId: 't1', userId: `user${i}`, reaction: 'fire' };
+    }
+    await seed({ 'trash/t1': trashedBy('alice'), ...related });
+
+    const batchSizes = recordBatchSizes();
+    await restoreSong.run(asUser('alice', { trashId: 't1' }));
+
+    // 1 pick + 400 comments + 800 reaction writes + 1 trash delete
+    expect(batchSizes).toEqual([500, 500, 202]);
+    expect((await list('comments')).every(comment => comment.songId === SONG_ID)).toBe(true);
+    expect(await list('reactions')).toHaveLength(400);
+    expect(await read(`reactions/${SONG_ID}_user0_fire`)).toMatchObject({ songId: SONG_ID });
+    expect(await read('trash/t1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,153 @@
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onDocumentDeleted } from 'firebase-functions/v2/firestore';
+import { db, toMillis, isGroupAdmin, commitInBatches } from './admin.js';
+import { isClaimable } from './matching.js';
+import { getFreeSlot, getRekeyWrites } from './picks.js';
+import { addAuditEntry } from './moderation.js';
+
+// Deleted picks wait in trash/{trashId} for 30 days: the pick's fields
+// plus { songId, deletedAt, deletedBy }. A new pick can take the deleted
+// one's slot, and with it its doc ID, so the trashed pick gets an ID of
+// its own and its comments, reactions and history go with it. Votes are
+// dropped by the cleanUpSong trigger, as for any deleted pick. Keep
+// TRASH_DAYS in sync with src/picks.js.
+const TRASH_DAYS = 30;
+const TRASH_MS = TRASH_DAYS * 24 * 60 * 60 * 1000;
+
+const requireAuth = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to continue.');
+  }
+  return request.auth.uid;
+};
+
+const getGroup = async (groupId) => (await db.doc(`groups/${groupId}`).get()).data();
+
+// Authors can change their picks until the deadline, unless an admin has
+// locked the week
+const isOpenToAuthor = (week) => !!week && Date.now() < toMillis(week.deadlineAt) && !week.locked;
+
+// Authors can delete their picks while the week is open to them, like
+// editing; admins can delete any pick
+export const trashSong = onCall(async (request) => {
+  const uid = requireAuth(request);
+  const { songId } = request.data || {};
+  if (typeof songId !== 'string' || !songId) {
+    throw new HttpsError('invalid-argument', 'Choose a pick to delete.');
+  }
+
+  const songRef = db.doc(`songs/${songId}`);
+  const songDoc = await songRef.get();
+  if (!songDoc.exists) {
+    throw new HttpsError('not-found', 'That pick no longer exists.');
+  }
+  const song = songDoc.data();
+  const [group, weekDoc] = await Promise.all([
+    getGroup(song.groupId),
+    db.doc(`groups/${song.groupId}/weeks/${song.weekKey}`).get()
+  ]);
+  const openToAuthor = song.userId === uid && isOpenToAuthor(weekDoc.data());
+  if (!openToAuthor && !isGroupAdmin(group, uid)) {
+    throw new HttpsError('permission-denied', 'This pick can no longer be deleted.');
+  }
+
+  // The pick leaves the feed last, once its comments and reactions are in
+  // the trash with it
+  const trashRef = db.collection('trash').doc();
+  await commitInBatches([
+    batch => batch.set(trashRef, { ...song, songId, deletedAt: FieldValue.serverTimestamp(), deletedBy: uid }),
+    ...(song.userId !== uid ? [batch => addAuditEntry(batch, song.groupId, uid, {
+      action: 'delete-pick',
+      targetUserId: song.userId,
+      songId,
+      details: `${song.songName} by ${song.artist}`
+    })] : []),
+    ...await getRekeyWrites(songId, trashRef.id),
+    batch => batch.delete(songRef)
+  ]);
+
+  return { trashId: trashRef.id };
+});
+
+// Authors can restore the picks they deleted themselves while the week is
+// still open to them, as for deleting; admins can restore any. The pick goes back into its old slot if that is still free, or the
+// author's next free one, as long as the week's pick limit allows it.
+export const restoreSong = onCall(async (request) => {
+  const uid = requireAuth(request);
+  const { trashId } = request.data || {};
+  if (typeof trashId !== 'string' || !trashId) {
+    throw new HttpsError('invalid-argument', 'Choose a pick to restore.');
+  }
+
+  const trashRef = db.doc(`trash/${trashId}`);
+  const trashDoc = await trashRef.get();
+  if (!trashDoc.exists) {
+    throw new HttpsError('not-found', 'That pick is no longer in the trash.');
+  }
+  const { songId, deletedAt, deletedBy, ...song } = trashDoc.data();
+  const [group, weekDoc, existing] = await Promise.all([
+    getGroup(song.groupId),
+    db.doc(`groups/${song.groupId}/weeks/${song.weekKey}`).get(),
+    db.doc(`songs/${songId}`).get()
+  ]);
+  const week = weekDoc.exists ? weekDoc.data() : null;
+  if (!isGroupAdmin(group, uid)) {
+    if (!(song.userId === uid && deletedBy === uid && group?.memberIds.includes(uid))) {
+      throw new HttpsError('permission-denied', 'Only the person who deleted this pick or a group admin can restore it.');
+    }
+    if (!isOpenToAuthor(week)) {
+      throw new HttpsError('failed-precondition', 'That week has closed, so only a group admin can restore this pick.');
+    }
+  }
+  if (Date.now() - toMillis(deletedAt) > TRASH_MS) {
+    throw new HttpsError('failed-precondition', `Picks can only be restored within ${TRASH_DAYS} days.`);
+  }
+
+  const slot = existing.exists ? await getFreeSlot(song.groupId, song.userId, song.weekKey) : song.slot;
+  if (week?.maxPicksPerWeek && slot >= week.maxPicksPerWeek) {
+    throw new HttpsError('failed-precondition', 'There\'s no free pick slot left that week. Delete another pick first.');
+  }
+
+  const claimRef = db.doc(`groups/${song.groupId}/weeks/${song.weekKey}/claims/${song.canonicalKey}`);
+  const needsClaim = !!week?.blockDuplicates && isClaimable(song.canonicalKey);
+  const restoredId = `${song.groupId}_${song.weekKey}_${song.userId}_${slot}`;
+  if (needsClaim) {
+    const claim = await claimRef.get();
+    if (claim.exists && claim.data().songId !== restoredId) {
+      throw new HttpsError('failed-precondition', 'Someone else has picked this song for that week since.');
+    }
+  }
+
+  // The pick and its claim land together; the trash entry goes last, as
+  // cleanUpTrash deletes whatever still points at it
+  const hidden = !!week?.blind && !week.revealed;
+  await commitInBatches([
+    batch => batch.set(db.doc(`songs/${restoredId}`), { ...song, slot, hidden, reactionCount: 0 }),
+    ...(needsClaim ? [batch => batch.set(claimRef, { songId: restoredId, userId: song.userId, createdAt: new Date().toISOString() })] : []),
+    ...await getRekeyWrites(trashId, restoredId, { hidden }),
+    batch => batch.delete(trashRef)
+  ]);
+
+  return { songId: restoredId };
+});
+
+// Empty the trash of anything older than TRASH_DAYS
+export const purgeTrash = onSchedule('every 24 hours', async () => {
+  const expired = await db.collection('trash')
+    .where('deletedAt', '<=', Timestamp.fromMillis(Date.now() - TRASH_MS))
+    .get();
+  await commitInBatches(expired.docs.map(trashDoc => batch => batch.delete(trashDoc.ref)));
+});
+
+// A pick deleted for good takes its comments, reactions and history with it.
+// A restored pick has already taken them back, so there is nothing left.
+export const cleanUpTrash = onDocumentDeleted('trash/{trashId}', async (event) => {
+  const { trashId } = event.params;
+  const snapshots = await Promise.all(['reactions', 'comments', 'songVersions'].map(collectionName =>
+    db.collection(collectionName).where('songId', '==', trashId).get()
+  ));
+
+  await commitInBatches(snapshots.flatMap(snapshot => snapshot.docs).map(relatedDoc => batch => batch.delete(relatedDoc.ref)));
+});
@@ -0,0 +1,100 @@
+// Week keys are the ISO date of the week's Sunday in the group's time zone.
+// Keep the key helpers in sync with src/weeks.js.
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+export const DEFAULT_VOTES_PER_WEEK = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toKey = (utcDate) =>
+  `${utcDate.getUTCFullYear()}-${pad(utcDate.getUTCMonth() + 1)}-${pad(utcDate.getUTCDate())}`;
+
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+const startOfWeek = (utcDate) => new Date(utcDate.getTime() - utcDate.getUTCDay() * DAY_MS);
+
+export const parseWeekKey = (weekKey) => {
+  const [year, month, day] = weekKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const isWeekKey = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseWeekKey(value).getUTCDay() === 0;
+
+export const getWeekKey = (date = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return toKey(startOfWeek(new Date(Date.UTC(year, month - 1, day))));
+};
+
+export const shiftWeek = (weekKey, weeks) =>
+  toKey(new Date(parseWeekKey(weekKey).getTime() + weeks * 7 * DAY_MS));
+
+// Milliseconds the time zone's wall clock is ahead of UTC at an instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the group's wall clock reads `time` on `day` (0 = Sunday) of a week.
+// Resolving the offset twice settles times that fall next to a DST change.
+export const getZonedTime = (weekKey, { day = 0, time = '00:00' } = {}, timeZone = DEFAULT_TIME_ZONE) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = parseWeekKey(weekKey).getTime() + day * DAY_MS + (hours * 60 + minutes) * MINUTE_MS;
+  const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffset(new Date(firstGuess), timeZone));
+};
+
+// Submission window for a group-week, derived from the group's settings:
+//   settings.maxPicksPerWeek  picks allowed per member (unset = unlimited)
+//   settings.deadline         { day, time } after which picks are locked (unset = end of week)
+//   settings.blind            hide picks from other members until the reveal
+//   settings.reveal           { day, time } for blind weeks (unset = at the deadline)
+//   settings.votesPerWeek     votes each member can cast on the week's picks
+//   settings.reminder         { day, time } to remind members who haven't picked (unset = no reminder)
+export const getWeekSchedule = (weekKey, group) => {
+  const timeZone = group.timeZone || DEFAULT_TIME_ZONE;
+  const settings = group.settings || {};
+  const startsAt = getZonedTime(weekKey, {}, timeZone);
+  const endsAt = getZonedTime(shiftWeek(weekKey, 1), {}, timeZone);
+  const deadlineAt = settings.deadline ? getZonedTime(weekKey, settings.deadline, timeZone) : endsAt;
+  const blind = !!settings.blind;
+  const revealAt = blind && settings.reveal ? getZonedTime(weekKey, settings.reveal, timeZone) : deadlineAt;
+  const reminderAt = settings.reminder ? getZonedTime(weekKey, settings.reminder, timeZone) : null;
+
+  return {
+    weekKey,
+    startsAt,
+    endsAt,
+    deadlineAt,
+    revealAt: blind ? revealAt : startsAt,
+    reminderAt: reminderAt && reminderAt < deadlineAt ? reminderAt : null,
+    blind,
+    maxPicksPerWeek: settings.maxPicksPerWeek || null,
+    blockDuplicates: !!settings.blockDuplicates,
+    votesPerWeek: settings.votesPerWeek || DEFAULT_VOTES_PER_WEEK
+  };
+};
@@ -0,0 +1,105 @@
+import { defineSecret } from 'firebase-functions/params';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { db } from './admin.js';
+
+const googleClientId = defineSecret('GOOGLE_CLIENT_ID');
+const googleClientSecret = defineSecret('GOOGLE_CLIENT_SECRET');
+
+// Overridable so the emulators can run against a local stand-in server
+const GOOGLE_OAUTH_URL = process.env.GOOGLE_OAUTH_URL || 'https://oauth2.googleapis.com';
+
+// Google requires the client secret for web clients even with PKCE, so the
+// code exchange and refreshes happen here and the refresh token never
+// reaches the browser.
+const sessionRef = (uid) => db.doc(`users/${uid}/private/youtube`);
+
+const requestToken = async (params) => {
+  let response;
+  try {
+    response = await fetch(`${GOOGLE_OAUTH_URL}/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: googleClientId.value(),
+        client_secret: googleClientSecret.value(),
+        ...params
+      })
+    });
+  } catch (err) {
+    throw new HttpsError('unavailable', 'Couldn\'t reach Google.', { reason: 'network' });
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Google doesn't tell revoked and expired refresh tokens apart
+    if (body.error === 'invalid_grant') {
+      throw new HttpsError('failed-precondition', 'YouTube access has expired or was revoked.', { reason: 'session-expired' });
+    }
+    throw new HttpsError('internal', 'Couldn\'t connect to YouTube.', { reason: 'auth' });
+  }
+  return body;
+};
+
+const requireAuth = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to continue.');
+  }
+  return request.auth.uid;
+};
+
+export const connectYouTube = onCall({
+  secrets: [googleClientId, googleClientSecret]
+}, async (request) => {
+  const uid = requireAuth(request);
+  const { code, codeVerifier, redirectUri } = request.data || {};
+  if (!code || !codeVerifier || !redirectUri) {
+    throw new HttpsError('invalid-argument', 'Missing authorization code.');
+  }
+
+  const tokens = await requestToken({
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: redirectUri
+  });
+  await sessionRef(uid).set({
+    refreshToken: tokens.refresh_token,
+    scope: tokens.scope || '',
+    updatedAt: new Date().toISOString()
+  });
+  return { accessToken: tokens.access_token, expiresIn: tokens.expires_in };
+});
+
+export const refreshYouTubeToken = onCall({
+  secrets: [googleClientId, googleClientSecret]
+}, async (request) => {
+  const uid = requireAuth(request);
+  const saved = await sessionRef(uid).get();
+  if (!saved.exists) {
+    throw new HttpsError('failed-precondition', 'YouTube is not connected.', { reason: 'session-expired' });
+  }
+
+  try {
+    const tokens = await requestToken({ grant_type: 'refresh_token', refresh_token: saved.data().refreshToken });
+    return { accessToken: tokens.access_token, expiresIn: tokens.expires_in };
+  } catch (err) {
+    if (err.details?.reason === 'session-expired') {
+      await sessionRef(uid).delete();
+    }
+    throw err;
+  }
+});
+
+export const disconnectYouTube = onCall({
+  secrets: [googleClientId, googleClientSecret]
+}, async (request) => {
+  const uid = requireAuth(request);
+  const saved = await sessionRef(uid).get();
+  if (!saved.exists) return { disconnected: true };
+
+  // Revoke with Google too, so the app drops off the user's connected apps
+  await fetch(`${GOOGLE_OAUTH_URL}/revoke?token=${encodeURIComponent(saved.data().refreshToken)}`, { method: 'POST' })
+    .catch(err => console.error('Error revoking YouTube token:', err));
+  await sessionRef(uid).delete();
+  return { disconnected: true };
+});
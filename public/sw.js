@@ -0,0 +1,67 @@
+// Caches the app shell so Weekly Tunes opens offline. Firestore keeps its
+// own cache of the feed in IndexedDB, so API traffic is never touched here.
+const CACHE_NAME = 'weekly-tunes-v1';
+const APP_SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-maskable.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheResponse = async (request, response) => {
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Firebase Hosting's reserved /__/ URLs (auth helpers, config) stay live
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/__/')) return;
+
+  // Pages: the network when there is one, so deploys show up straight away
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => cacheResponse('/', response))
+        .catch(() => caches.match('/'))
+    );
+    return;
+  }
+
+  // Built assets have hashed names, so a cached copy is always right
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => cacheResponse(request, response)))
+  );
+});
+
+// Reminders and digests arrive as FCM data messages (see functions/notifications.js)
+self.addEventListener('push', (event) => {
+  const { data = {} } = event.data?.json() || {};
+  event.waitUntil(self.registration.showNotification(data.title || 'Weekly Tunes', {
+    body: data.body,
+    icon: '/icon.svg',
+    data: { url: data.url || '/' }
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(windows => {
+      const open = windows.find(client => client.url.startsWith(self.location.origin));
+      return open ? open.focus() : self.clients.openWindow(event.notification.data.url);
+    })
+  );
+});
@@ -1,39 +1,193 @@
-import React, { useState, useEffect } from 'react';
-import { Music, Plus, List, Settings, Trash2, Edit2, Search, X, LogOut } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Music, Plus, List, Settings, Trash2, Edit2, Search, X, LogOut, Users, Copy, Calendar, ChevronLeft, ChevronRight, Clock, EyeOff, Trophy, ThumbsUp, MessageCircle, AlertTriangle, BarChart3, Download, CloudOff, RefreshCw, Check, Play, Share2, User, Lock, Unlock, Shield } from 'lucide-react';
 import { onAuthStateChanged, signOut } from 'firebase/auth';
-import { auth, db } from './firebase';
-import { collection, addDoc, onSnapshot, deleteDoc, doc, updateDoc, query, orderBy, getDoc } from 'firebase/firestore';
+import { auth } from './firebase';
+import './persistence';
+import { getFunctions, httpsCallable } from 'firebase/functions';
 import Auth from './Auth';
-import { redirectToSpotifyAuth, getAccessTokenFromUrl, getValidAccessToken, disconnectSpotify, searchTracks, createPlaylist } from './spotify';
+import CommentThread from './CommentThread';
+import MatchReview from './MatchReview';
+import StatsView from './StatsView';
+import ImportSongs from './ImportSongs';
+import MiniPlayer from './MiniPlayer';
+import TrashView from './TrashView';
+import VersionHistory from './VersionHistory';
+import RecapPage from './RecapPage';
+import ProfileView, { Avatar } from './ProfileView';
+import { PROVIDERS } from './providers';
+import { ProviderError, needsReconnect } from './providerRequest';
+import { createGroup, resolveInviteCode, joinGroup, leaveGroup, regenerateInviteCode, updateGroupTimeZone, updateGroupSettings, getInviteLink, getInviteCodeFromUrl, getMemberRole, isGroupAdmin } from './groups';
+import { DEFAULT_TIME_ZONE, WEEKDAYS, getWeekKey, getWeekKeyForDateString, shiftWeek, formatWeekLabel, formatWeekTime, getTimeZones } from './weeks';
+import { LISTENING_SERVICES, validateListeningUsername, loadSuggestions } from './listeningHistory';
+import { DuplicatePickError, getNextSlot, countPicks, isWeekOpen, TRASH_DAYS } from './picks';
+import { DEMO_MODE, songRepository, userRepository, groupRepository } from './repositories';
+import { DEMO_USER } from './localRepository';
+import { findPreviousPicks } from './duplicates';
+import { getCanonicalKey } from './normalize';
+import { FEED_SORTS, parseFeedQuery, resolveFeedQuery, getServerFilter, matchesFeedQuery, hasFeedQuery, compareSongs } from './feedQuery';
+import { REACTIONS, toggleReaction, castVote, removeVote, groupReactions } from './votes';
+import { PLATFORMS, LISTEN_PLATFORMS } from './platforms';
+import { parseSongLink, validateSongLink, normalizeSongLink, fetchSongMetadata } from './links';
+import { ALL_TIME_PLAYLIST, PlaylistOwnerError, getPlaylistDocId, getPlaylistTitle, syncPlaylist } from './playlists';
+import { EXPORT_FORMATS, exportSongs } from './songExport';
+import { getPreviewUrl, getEmbedUrl, isPlayable } from './player';
+import { shareRecap, unshareRecap, getRecapLink, getRecapTokenFromUrl } from './recaps';
+import { downloadRecapImage } from './recapImage';
+import { getDisplayName, getDefaultDisplayName, saveProfile } from './profiles';
+import { AUDIT_ACTIONS, removeMember, setAdmin, transferOwnership, setWeekLocked, moveSong } from './moderation';
+import { MAX_THEME_NAME_LENGTH, MAX_THEME_DESCRIPTION_LENGTH, saveTheme, deleteTheme } from './themes';
+import { OUTBOX_STORAGE_KEY, getOutbox, isQueuedPick, getBase, isOfflineError, queueChange, updateEntry, removeEntry, sendEntry, syncOutbox } from './outbox';
+import { registerServiceWorker } from './serviceWorker';
+import { NOTIFICATION_KINDS, getNotificationPrefs, saveNotificationPrefs, isPushAvailable, isPushEnabled, enablePush, disablePush } from './notifications';
+
+// The feed loads this many picks at a time, and keeps loading on its own
+// while the end of the list is on screen, up to the auto limit
+const FEED_PAGE_SIZE = 20;
+const MAX_AUTO_FEED_LIMIT = 200;
+
+// Profiles show a member's picks this many at a time
+const PROFILE_PAGE_SIZE = 25;
+
+// Admins see this many of the latest audit log entries
+const AUDIT_LOG_LIMIT = 50;
+
+const EMPTY_SONG = {
+  songName: '',
+  artist: '',
+  platform: 'Spotify',
+  link: '',
+  artworkUrl: '',
+  isrc: null,
+  onTheme: true
+};
+
+const EMPTY_THEME_DRAFT = { weekKey: '', name: '', description: '' };
+
+// An unsent Submit form is kept here so a reload or lost tab doesn't lose it
+const DRAFT_STORAGE_KEY = 'songDraft';
+
+const loadDraft = () => {
+  try {
+    return { ...EMPTY_SONG, ...JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY)) };
+  } catch {
+    return EMPTY_SONG;
+  }
+};
 
 export default function WeeklyMusicApp() {
   // Authentication state
   const [user, setUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
 
-  // Spotify state
-  const [spotifyConnected, setSpotifyConnected] = useState(false);
-  const [spotifySearchQuery, setSpotifySearchQuery] = useState('');
-  const [spotifyResults, setSpotifyResults] = useState([]);
-  const [searchingSpotify, setSearchingSpotify] = useState(false);
+  // Streaming service state, keyed by provider ID
+  const [connectedProviders, setConnectedProviders] = useState({});
+  const [searchProviderId, setSearchProviderId] = useState(null);
+  const [trackSearchQuery, setTrackSearchQuery] = useState('');
+  const [trackResults, setTrackResults] = useState([]);
+  const [searchingTracks, setSearchingTracks] = useState(false);
+  const [suggestions, setSuggestions] = useState(null);
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+  const [listeningAccounts, setListeningAccounts] = useState({});
+  const [listeningDraft, setListeningDraft] = useState(null);
+  const [playlists, setPlaylists] = useState({});
+  const [syncingPlaylistKey, setSyncingPlaylistKey] = useState(null);
+  const [playlistReport, setPlaylistReport] = useState(null);
 
   // App state
   const [currentView, setCurrentView] = useState('submit');
-  const [songs, setSongs] = useState([]);
+  const [feedPage, setFeedPage] = useState({ key: null, songs: [], hasMore: false });
+  const [feedWindow, setFeedWindow] = useState({ key: null, limit: FEED_PAGE_SIZE });
+  const [ownHiddenSongs, setOwnHiddenSongs] = useState([]);
+  const [myWeekSongs, setMyWeekSongs] = useState([]);
+  const [songCount, setSongCount] = useState(null);
+  const [historySongs, setHistorySongs] = useState(null);
   const [userProfile, setUserProfile] = useState(null);
+  const [profileUserId, setProfileUserId] = useState(null);
+  const [profileSongs, setProfileSongs] = useState(null);
+  const [profileLimit, setProfileLimit] = useState(PROFILE_PAGE_SIZE);
+  const [profileHasMore, setProfileHasMore] = useState(false);
+
+  // Group state
+  const [groups, setGroups] = useState([]);
+  const [groupsLoading, setGroupsLoading] = useState(true);
+  const [activeGroupId, setActiveGroupId] = useState(() => localStorage.getItem('activeGroupId'));
+  const [groupMembers, setGroupMembers] = useState([]);
+  const [newGroupName, setNewGroupName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [pendingInviteCode, setPendingInviteCode] = useState(() => getInviteCodeFromUrl());
+  const [settingsDraft, setSettingsDraft] = useState(null);
+  const [currentWeek, setCurrentWeek] = useState(null);
+  const [themes, setThemes] = useState({});
+  const [themeDraft, setThemeDraft] = useState(EMPTY_THEME_DRAFT);
+
+  // Voting state
+  const [reactions, setReactions] = useState([]);
+  const [myVotes, setMyVotes] = useState([]);
+  const [leaderboard, setLeaderboard] = useState([]);
+
+  // Archive state
+  const [archiveWeekKey, setArchiveWeekKey] = useState(null);
+  const [archiveSongs, setArchiveSongs] = useState([]);
+
+  // Public recap links by week, and the one this page was opened with
+  const [recaps, setRecaps] = useState({});
+  const [recapToken] = useState(() => getRecapTokenFromUrl());
+
+  // In-app listening
+  const [playerQueue, setPlayerQueue] = useState(null);
+  const [embedSongId, setEmbedSongId] = useState(null);
+  const [listenedIds, setListenedIds] = useState([]);
   
-  const [newSong, setNewSong] = useState({
-    songName: '',
-    artist: '',
-    platform: 'Spotify',
-    link: ''
-  });
+  const [newSong, setNewSong] = useState(loadDraft);
+  const [linkError, setLinkError] = useState(null);
+  const [linkNotice, setLinkNotice] = useState(null);
+  const [linkLookupPending, setLinkLookupPending] = useState(false);
+  const [previousPicks, setPreviousPicks] = useState([]);
+  const [repeatConfirmed, setRepeatConfirmed] = useState(false);
 
   const [editingId, setEditingId] = useState(null);
+  const [editingSong, setEditingSong] = useState(null);
+  const [movingSong, setMovingSong] = useState(null);
+  const [auditLog, setAuditLog] = useState([]);
+  const [openCommentsId, setOpenCommentsId] = useState(null);
+  const [historySongId, setHistorySongId] = useState(null);
+  const [trash, setTrash] = useState([]);
+  const [undoTrash, setUndoTrash] = useState(null);
+  const [reviewingMatchesId, setReviewingMatchesId] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [feedQueryText, setFeedQueryText] = useState('');
+  const [feedSort, setFeedSort] = useState('newest');
+  const [loadMoreVisible, setLoadMoreVisible] = useState(false);
+  const loadMoreRef = useRef(null);
+  const [exportScope, setExportScope] = useState('all');
+  const [exportFormat, setExportFormat] = useState('csv');
+
+  // Offline state: changes made without a connection wait in the outbox
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [outbox, setOutbox] = useState([]);
+  const [resolvingEntryId, setResolvingEntryId] = useState(null);
+  const syncingOutboxRef = useRef(false);
+
+  // Notification state
+  const [pushAvailable, setPushAvailable] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(() => isPushEnabled());
+  const [updatingPush, setUpdatingPush] = useState(false);
+
+  useEffect(() => {
+    registerServiceWorker()
+      .then(isPushAvailable)
+      .then(setPushAvailable)
+      .catch(err => console.error('Error checking push support:', err));
+  }, []);
 
   // Listen for auth state changes
   useEffect(() => {
+    if (DEMO_MODE) {
+      setUser(DEMO_USER);
+      setAuthLoading(false);
+      return;
+    }
+
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
       setUser(currentUser);
       setAuthLoading(false);
@@ -42,45 +196,380 @@ export default function WeeklyMusicApp() {
     return () => unsubscribe();
   }, []);
 
-  // Check for Spotify token on mount and after redirect
+  const refreshOutbox = () => setOutbox(user ? getOutbox(user.uid) : []);
+
+  // Send queued changes, one run at a time
+  const flushOutbox = async () => {
+    if (!user || DEMO_MODE || syncingOutboxRef.current || !navigator.onLine) return;
+    syncingOutboxRef.current = true;
+    try {
+      await syncOutbox(user.uid, refreshOutbox);
+    } finally {
+      syncingOutboxRef.current = false;
+      refreshOutbox();
+    }
+  };
+
+  // Track the connection, send the outbox on sign-in and whenever the
+  // connection comes back, and pick up changes queued in other tabs
   useEffect(() => {
-    const token = getAccessTokenFromUrl();
-    if (token) {
-      setSpotifyConnected(true);
-    } else {
-      const existingToken = getValidAccessToken();
-      setSpotifyConnected(!!existingToken);
+    refreshOutbox();
+    flushOutbox();
+
+    const handleOnline = () => {
+      setOnline(true);
+      flushOutbox();
+    };
+    const handleOffline = () => setOnline(false);
+    const handleStorage = (event) => {
+      if (event.key === OUTBOX_STORAGE_KEY) refreshOutbox();
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [user]);
+
+  // Keep the Submit form between visits, except while editing a pick
+  useEffect(() => {
+    if (!editingId) localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(newSong));
+  }, [newSong, editingId]);
+
+  // Finish a streaming service redirect, then load the user's saved connections
+  useEffect(() => {
+    if (!user || DEMO_MODE) {
+      setConnectedProviders({});
+      return;
     }
-  }, []);
 
-  // Load user profile
+    PROVIDERS.forEach(provider => {
+      provider.completeConnect(user.uid)
+        .catch(err => {
+          console.error(`Error connecting ${provider.platform}:`, err);
+          alert(err.message);
+        })
+        .then(() => provider.loadSession(user.uid))
+        .then(connected => setConnectedProviders(current => ({ ...current, [provider.id]: connected })))
+        .catch(err => console.error(`Error loading ${provider.platform} connection:`, err));
+    });
+  }, [user]);
+
+  // Load the usernames listening history is looked up by
   useEffect(() => {
-    if (user) {
-      const loadUserProfile = async () => {
-        const userDoc = await getDoc(doc(db, 'users', user.uid));
-        if (userDoc.exists()) {
-          setUserProfile(userDoc.data());
-        }
-      };
-      loadUserProfile();
+    if (!user) {
+      setListeningAccounts({});
+      return;
+    }
+
+    userRepository.getListeningAccounts(user.uid)
+      .then(setListeningAccounts)
+      .catch(err => console.error('Error loading listening accounts:', err));
+  }, [user]);
+
+  // Keep the user's profile live; members without a display name get one,
+  // so their picks never go out under an email address
+  useEffect(() => {
+    if (!user) {
+      setUserProfile(null);
+      return;
     }
+
+    return userRepository.subscribe(user.uid, (profile) => {
+      setUserProfile(profile);
+      if (!profile?.displayName) {
+        userRepository.update(user.uid, { displayName: getDefaultDisplayName(user) })
+          .catch(err => console.error('Error saving default display name:', err));
+      }
+    }, err => console.error('Error loading profile:', err));
   }, [user]);
 
-  // Load songs from Firestore in real-time
+  // Bring songs saved by older versions of the app up to date
+  useEffect(() => {
+    if (!user || DEMO_MODE) return;
+    httpsCallable(getFunctions(), 'runMigrations')()
+      .catch(err => console.error('Error migrating songs:', err));
+  }, [user]);
+
+  // Load the groups the user belongs to in real-time
   useEffect(() => {
     if (!user) return;
+    return groupRepository.subscribeGroups(user.uid, (groupsData) => {
+      setGroups(groupsData);
+      setGroupsLoading(false);
+    }, err => console.error('Error loading groups:', err));
+  }, [user]);
+
+  // Keep the active group valid as memberships change
+  useEffect(() => {
+    if (groupsLoading) return;
+    if (!groups.some(group => group.id === activeGroupId)) {
+      setActiveGroupId(groups.length > 0 ? groups[0].id : null);
+    }
+  }, [groups, groupsLoading, activeGroupId]);
+
+  useEffect(() => {
+    if (activeGroupId) {
+      localStorage.setItem('activeGroupId', activeGroupId);
+    } else {
+      localStorage.removeItem('activeGroupId');
+    }
+    // Suggestions leave out the group's picks, so they don't carry over
+    setSuggestions(null);
+  }, [activeGroupId]);
+
+  // Join a group from an invite link once signed in
+  useEffect(() => {
+    if (!user || groupsLoading || !pendingInviteCode) return;
+
+    joinWithInviteCode(pendingInviteCode)
+      .then(groupId => {
+        setActiveGroupId(groupId);
+        setCurrentView('feed');
+      })
+      .catch(err => {
+        console.error('Error joining group:', err);
+        alert('That invite link is no longer valid.');
+      })
+      .finally(() => setPendingInviteCode(null));
+  }, [user, groupsLoading, pendingInviteCode]);
+
+  const activeGroup = groups.find(group => group.id === activeGroupId) || null;
+  const isAdmin = !!user && isGroupAdmin(activeGroup, user.uid);
+  const groupTimeZone = activeGroup?.timeZone || DEFAULT_TIME_ZONE;
+  const currentWeekKey = getWeekKey(new Date(), groupTimeZone);
+
+  // Submission window for the current week, maintained by the backend
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setCurrentWeek(null);
+      return;
+    }
+
+    return groupRepository.subscribeWeek(activeGroupId, currentWeekKey, setCurrentWeek,
+      err => console.error('Error loading week:', err));
+  }, [user, activeGroupId, currentWeekKey]);
+
+  // Load the user's votes this week and the leaderboard in real-time
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setMyVotes([]);
+      setLeaderboard([]);
+      return;
+    }
+
+    const unsubscribeVotes = groupRepository.subscribeVotes(activeGroupId, currentWeekKey, user.uid, setMyVotes,
+      err => console.error('Error loading votes:', err));
+    const unsubscribeLeaderboard = groupRepository.subscribeLeaderboard(activeGroupId, setLeaderboard,
+      err => console.error('Error loading leaderboard:', err));
+
+    return () => {
+      unsubscribeVotes();
+      unsubscribeLeaderboard();
+    };
+  }, [user, activeGroupId, currentWeekKey]);
+
+  // Load the group's weekly themes, keyed by week
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setThemes({});
+      return;
+    }
+
+    return groupRepository.subscribeThemes(activeGroupId, setThemes,
+      err => console.error('Error loading themes:', err));
+  }, [user, activeGroupId]);
+
+  // Load the group's shared recap links, keyed by week
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setRecaps({});
+      return;
+    }
 
-    const q = query(collection(db, 'songs'), orderBy('createdAt', 'desc'));
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const songsData = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setSongs(songsData);
+    return groupRepository.subscribeRecaps(activeGroupId, setRecaps, (err) => {
+      console.error('Error loading recap links:', err);
     });
+  }, [user, activeGroupId]);
 
-    return () => unsubscribe();
-  }, [user]);
+  // Load the group's playlist records in real-time
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setPlaylists({});
+      return;
+    }
+
+    return groupRepository.subscribePlaylists(activeGroupId, setPlaylists,
+      err => console.error('Error loading playlists:', err));
+  }, [user, activeGroupId]);
+
+  // Load the latest audit log entries while an admin has the group open
+  useEffect(() => {
+    if (!user || !activeGroupId || !isAdmin || currentView !== 'group') {
+      setAuditLog([]);
+      return;
+    }
+
+    return groupRepository.subscribeAuditLog(activeGroupId, AUDIT_LOG_LIMIT, setAuditLog, (err) => {
+      console.error('Error loading audit log:', err);
+    });
+  }, [user, activeGroupId, isAdmin, currentView]);
+
+  // Start the rules form from the group's saved settings
+  useEffect(() => {
+    const settings = activeGroup?.settings || {};
+    setSettingsDraft({
+      maxPicksPerWeek: settings.maxPicksPerWeek ? String(settings.maxPicksPerWeek) : '',
+      deadline: settings.deadline || null,
+      blind: !!settings.blind,
+      reveal: settings.reveal || null,
+      blockDuplicates: !!settings.blockDuplicates,
+      reminder: settings.reminder || null,
+      votesPerWeek: settings.votesPerWeek ? String(settings.votesPerWeek) : ''
+    });
+  }, [activeGroup?.id, JSON.stringify(activeGroup?.settings || {})]);
+
+  // Member profiles for the active group, kept live so renames and new
+  // avatars show up everywhere straight away
+  useEffect(() => {
+    if (!activeGroup) {
+      setGroupMembers([]);
+      return;
+    }
+
+    const memberIds = activeGroup.memberIds;
+    return userRepository.subscribeMany(memberIds, (profiles) => {
+      setGroupMembers(memberIds.map(memberId => ({ ...profiles.find(profile => profile.id === memberId), id: memberId })));
+    }, err => console.error('Error loading group members:', err));
+  }, [activeGroup?.id, activeGroup?.memberIds.join(',')]);
+
+  // The pick history shown on a profile
+  useEffect(() => {
+    if (!user || !activeGroupId || currentView !== 'profile') return;
+
+    // One extra pick tells whether there are more to show
+    let cancelled = false;
+    songRepository.loadMemberSongs(activeGroupId, profileUserId || user.uid, user.uid, profileLimit + 1)
+      .then(songs => {
+        if (cancelled) return;
+        setProfileSongs(songs.slice(0, profileLimit));
+        setProfileHasMore(songs.length > profileLimit);
+      })
+      .catch(err => console.error('Error loading pick history:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [user, activeGroupId, currentView, profileUserId, profileLimit]);
+
+  // Each profile starts from its first page
+  useEffect(() => {
+    setProfileSongs(null);
+    setProfileLimit(PROFILE_PAGE_SIZE);
+  }, [activeGroupId, profileUserId]);
+
+  // Blind picks stay hidden from everyone but their author until the reveal,
+  // so the feed adds the user's own hidden picks to the group's visible ones
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setOwnHiddenSongs([]);
+      return;
+    }
+
+    return songRepository.subscribeOwnHidden(activeGroupId, user.uid, setOwnHiddenSongs,
+      err => console.error('Error loading hidden picks:', err));
+  }, [user, activeGroupId]);
+
+  // The user's own picks this week, for the pick limit and free slots
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setMyWeekSongs([]);
+      return;
+    }
+
+    return songRepository.subscribeUserWeek(activeGroupId, user.uid, currentWeekKey, setMyWeekSongs,
+      err => console.error('Error loading this week\'s picks:', err));
+  }, [user, activeGroupId, currentWeekKey]);
+
+  // Counted on the server so the feed never has to load every pick
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setSongCount(null);
+      return;
+    }
+
+    songRepository.countVisible(activeGroupId)
+      .then(setSongCount)
+      .catch(err => console.error('Error counting songs:', err));
+  }, [user, activeGroupId, myWeekSongs.length]);
+
+  // Stats and the owner's import check need every pick, so they are loaded
+  // once when those views open rather than kept in sync
+  const needsHistory = currentView === 'stats' || (currentView === 'group' && activeGroup?.ownerId === user?.uid);
+  useEffect(() => {
+    setHistorySongs(null);
+    if (!user || !activeGroupId || !needsHistory) return;
+
+    let cancelled = false;
+    songRepository.loadGroupSongs(activeGroupId, user.uid)
+      .then(loaded => {
+        if (!cancelled) setHistorySongs(loaded);
+      })
+      .catch(err => console.error('Error loading songs:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, activeGroupId, needsHistory]);
+
+  // Search filters that narrow the Firestore query wait for a pause in typing
+  useEffect(() => {
+    const timer = setTimeout(() => setFeedQueryText(searchTerm), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Load the lineup for the week being browsed in the archive
+  useEffect(() => {
+    if (!user || !activeGroupId || !archiveWeekKey) {
+      setArchiveSongs([]);
+      return;
+    }
+
+    return songRepository.subscribeWeek(activeGroupId, archiveWeekKey, setArchiveSongs,
+      err => console.error('Error loading the archive:', err));
+  }, [user, activeGroupId, archiveWeekKey]);
+
+  // Which of the group's picks this user has listened to
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setListenedIds([]);
+      return;
+    }
+
+    return userRepository.subscribeListened(user.uid, activeGroupId, setListenedIds,
+      err => console.error('Error loading listened picks:', err));
+  }, [user, activeGroupId]);
+
+  // Deleted picks: the user's own, or the whole group's for admins
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setTrash([]);
+      return;
+    }
+
+    return songRepository.subscribeTrash(activeGroupId, isAdmin ? null : user.uid, setTrash,
+      err => console.error('Error loading the trash:', err));
+  }, [user, activeGroupId, isAdmin]);
+
+  // The Undo offer after a delete goes away by itself
+  useEffect(() => {
+    if (!undoTrash) return;
+    const timer = setTimeout(() => setUndoTrash(null), 8000);
+    return () => clearTimeout(timer);
+  }, [undoTrash]);
 
   // Logout function
   const handleLogout = async () => {
@@ -91,184 +580,953 @@ export default function WeeklyMusicApp() {
     }
   };
 
-  // Spotify search
-  const handleSpotifySearch = async () => {
-    if (!spotifySearchQuery.trim()) return;
+  // Show what went wrong; an expired or revoked session means reconnecting
+  const handleProviderError = (provider, err, fallbackMessage) => {
+    if (err instanceof ProviderError) {
+      if (needsReconnect(err)) {
+        setConnectedProviders(current => ({ ...current, [provider.id]: false }));
+      }
+      alert(err.message);
+    } else {
+      alert(fallbackMessage);
+    }
+  };
+
+  const searchProviders = PROVIDERS.filter(provider => connectedProviders[provider.id]);
+  const searchProvider = searchProviders.find(provider => provider.id === searchProviderId) || searchProviders[0];
+
+  // Search the chosen streaming service
+  const handleTrackSearch = async () => {
+    if (!trackSearchQuery.trim()) return;
     
-    setSearchingSpotify(true);
+    setSearchingTracks(true);
     try {
-      const results = await searchTracks(spotifySearchQuery);
-      setSpotifyResults(results);
+      const results = await searchProvider.search(trackSearchQuery);
+      setTrackResults(results);
     } catch (err) {
-      console.error('Error searching Spotify:', err);
-      alert('Error searching Spotify. Please try connecting again.');
-      setSpotifyConnected(false);
+      console.error(`Error searching ${searchProvider.platform}:`, err);
+      handleProviderError(searchProvider, err, `Error searching ${searchProvider.platform}. Please try again.`);
     } finally {
-      setSearchingSpotify(false);
+      setSearchingTracks(false);
     }
   };
 
-  // Select song from Spotify search
-  const handleSelectSpotifyTrack = (track) => {
-    setNewSong({
-      songName: track.name,
-      artist: track.artists.map(a => a.name).join(', '),
-      platform: 'Spotify',
-      link: track.external_urls.spotify
-    });
-    setSpotifyResults([]);
-    setSpotifySearchQuery('');
+  // Select song from search results
+  const handleSelectTrack = (track) => {
+    setNewSong(prev => ({
+      ...prev,
+      songName: track.songName,
+      artist: track.artist,
+      platform: track.platform,
+      link: track.link,
+      artworkUrl: track.artworkUrl,
+      isrc: track.isrc
+    }));
+    setLinkError(null);
+    setLinkNotice(null);
+    setTrackResults([]);
+    setTrackSearchQuery('');
   };
 
-  // Submit song
-  const handleSubmit = async () => {
-    if (!newSong.songName || !newSong.artist) return;
-    
-    const today = new Date();
-    const weekStart = new Date(today.setDate(today.getDate() - today.getDay()));
-    const weekStr = `Week of ${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
-    
+  const suggestionSources = [
+    ...searchProviders.filter(provider => provider.getListeningHistory).map(provider => provider.platform),
+    ...LISTENING_SERVICES.filter(service => listeningAccounts[service.id]).map(service => service.name)
+  ];
+
+  // Songs from the user's listening that nobody in the group has picked
+  const handleLoadSuggestions = async () => {
+    setLoadingSuggestions(true);
     try {
-      if (editingId) {
-        await updateDoc(doc(db, 'songs', editingId), {
-          songName: newSong.songName,
-          artist: newSong.artist,
-          platform: newSong.platform,
-          link: newSong.link,
-          updatedAt: new Date().toISOString()
-        });
-        setEditingId(null);
-      } else {
-        await addDoc(collection(db, 'songs'), {
-          user: userProfile?.displayName || user.email,
-          userId: user.uid,
-          songName: newSong.songName,
-          artist: newSong.artist,
-          platform: newSong.platform,
-          link: newSong.link,
-          week: weekStr,
-          createdAt: new Date().toISOString()
-        });
-      }
-      
-      setNewSong({
-        songName: '',
-        artist: '',
-        platform: 'Spotify',
-        link: ''
+      const pickedSongs = [...await songRepository.loadGroupSongs(activeGroupId, user.uid), ...myWeekSongs];
+      const result = await loadSuggestions({ accounts: listeningAccounts, providers: searchProviders, pickedSongs });
+      result.errors.filter(needsReconnect).forEach(err => {
+        const provider = PROVIDERS.find(candidate => candidate.platform === err.providerName);
+        if (provider) setConnectedProviders(current => ({ ...current, [provider.id]: false }));
       });
+      setSuggestions(result);
     } catch (err) {
-      console.error('Error saving song:', err);
-      alert('Error saving song. Please try again.');
+      console.error('Error loading suggestions:', err);
+      alert('Error loading suggestions. Please try again.');
+    } finally {
+      setLoadingSuggestions(false);
     }
   };
 
-  const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this song?')) {
+  // Suggestions with a streaming link fill the form like a search result;
+  // the rest are looked up on the chosen streaming service first, if any
+  const handleSelectSuggestion = async (suggestion) => {
+    if (suggestion.link) {
+      handleSelectTrack({ artworkUrl: '', isrc: null, ...suggestion });
+      return;
+    }
+    let match = null;
+    if (searchProvider) {
       try {
-        await deleteDoc(doc(db, 'songs', id));
+        const candidates = await searchProvider.searchForSong(suggestion);
+        match = candidates.find(track => getCanonicalKey(track.songName, track.artist) === suggestion.key) || null;
       } catch (err) {
-        console.error('Error deleting song:', err);
-        alert('Error deleting song. Please try again.');
+        console.error(`Error searching ${searchProvider.platform}:`, err);
       }
     }
+    if (match) {
+      handleSelectTrack(match);
+      return;
+    }
+    handleSelectTrack({ songName: suggestion.songName, artist: suggestion.artist, platform: 'Other', link: '', artworkUrl: '', isrc: suggestion.isrc || null });
+    setLinkNotice('Add a link so the group can listen.');
   };
 
-  const handleEdit = (song) => {
-    setNewSong({
-      songName: song.songName,
-      artist: song.artist,
-      platform: song.platform,
-      link: song.link
-    });
-    setEditingId(song.id);
-    setCurrentView('submit');
+  const handleSaveListeningAccounts = async () => {
+    const accounts = Object.fromEntries(Object.entries(listeningDraft).map(([id, username]) => [id, username.trim()]));
+    const problem = Object.values(accounts).map(validateListeningUsername).find(Boolean);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    try {
+      await userRepository.setListeningAccounts(user.uid, accounts);
+      setListeningAccounts(accounts);
+      setListeningDraft(null);
+      setSuggestions(null);
+    } catch (err) {
+      console.error('Error saving listening accounts:', err);
+      alert('Error saving your usernames. Please try again.');
+    }
   };
 
-  const cancelEdit = () => {
-    setEditingId(null);
-    setNewSong({
-      songName: '',
-      artist: '',
-      platform: 'Spotify',
-      link: ''
-    });
+  // Queued picks show as cards until they are sent, and queued edits and
+  // deletes show on the picks they change
+  const queuedPicks = outbox
+    .filter(entry => entry.type === 'add' && entry.song.groupId === activeGroupId)
+    .map(entry => ({ ...entry.song, id: entry.id, createdAt: entry.queuedAt, outboxEntry: entry }));
+
+  const withOutbox = (song) => {
+    const entry = outbox.find(queued => queued.songId === song.id);
+    if (!entry) return song;
+    return { ...song, ...(entry.type === 'update' ? entry.changes : {}), outboxEntry: entry };
   };
 
-  const getSongCounts = () => {
-    const counts = {};
-    songs.forEach(song => {
-      counts[song.user] = (counts[song.user] || 0) + 1;
-    });
-    return counts;
+  // Offline, or while a pick still has changes waiting, changes go through
+  // the outbox so they reach the server in the order they were made
+  const pendingChanges = outbox.filter(entry => entry.status === 'pending').length;
+
+  const shouldQueue = (songId) =>
+    !DEMO_MODE && (!navigator.onLine || (songId && (isQueuedPick(songId) || outbox.some(entry => entry.songId === songId))));
+
+  const queueOutboxChange = (change) => {
+    queueChange({ userId: user.uid, ...change });
+    refreshOutbox();
+    flushOutbox();
   };
 
-  const filteredSongs = songs.filter(song => 
-    song.songName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    song.artist.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    song.user.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    song.platform.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const currentTheme = themes[currentWeekKey] || null;
+  // The theme of the week the pick being edited belongs to
+  const formTheme = themes[editingSong?.weekKey || currentWeekKey] || null;
+  const weekOpen = isWeekOpen(currentWeek);
+  const myPicksThisWeek = user ? countPicks([...myWeekSongs, ...queuedPicks], user.uid, currentWeekKey) : 0;
+  const pickLimitReached = !!currentWeek?.maxPicksPerWeek && myPicksThisWeek >= currentWeek.maxPicksPerWeek;
+
+  // Authors can change picks until their week's deadline or a lock; admins
+  // can change any pick that has reached the server
+  const isAuthorEditable = (song) =>
+    song.userId === user.uid && song.weekKey === currentWeekKey && weekOpen;
+
+  const canModifySong = (song) => isAuthorEditable(song) || (isAdmin && !isQueuedPick(song.id));
+
+  // Recognise a typed or pasted link once the user pauses, then fill in the
+  // platform and whatever song details the platform will tell us
+  useEffect(() => {
+    if (!linkLookupPending) return;
+
+    const timer = setTimeout(async () => {
+      setLinkLookupPending(false);
+      if (!newSong.link.trim()) return;
+
+      let parsedLink;
+      try {
+        parsedLink = parseSongLink(newSong.link);
+      } catch (err) {
+        if (newSong.platform !== 'Other') setLinkError(err.message);
+        return;
+      }
+
+      // Show the link as it will be saved
+      setNewSong(prev => ({ ...prev, platform: parsedLink.platform, link: parsedLink.url }));
+      setLinkNotice('Looking up song details...');
+      try {
+        const details = await fetchSongMetadata(parsedLink);
+        setNewSong(prev => prev.link !== parsedLink.url ? prev : {
+          ...prev,
+          songName: details?.songName || prev.songName,
+          artist: details?.artist || prev.artist,
+          artworkUrl: details?.artworkUrl || prev.artworkUrl
+        });
+        setLinkNotice(details?.artist ? null : 'Please fill in the artist.');
+      } catch (err) {
+        console.error('Error looking up song link:', err);
+        setLinkNotice(`Couldn't load details from ${parsedLink.platform}. Please fill them in.`);
+      }
+    }, 500);
 
-  // Handle Spotify connection
-  const handleSpotifyConnect = () => {
-    redirectToSpotifyAuth();
+    return () => clearTimeout(timer);
+  }, [newSong.link, linkLookupPending]);
+
+  const handleLinkChange = (link) => {
+    setNewSong({...newSong, link, artworkUrl: '', isrc: null});
+    setLinkError(null);
+    setLinkNotice(null);
+    setLinkLookupPending(true);
   };
 
-  const handleSpotifyDisconnect = () => {
-    disconnectSpotify();
-    setSpotifyConnected(false);
+  const handlePlatformChange = (platform) => {
+    setNewSong({...newSong, platform});
+    setLinkError(validateSongLink(newSong.link, platform));
   };
 
-  // Create playlist from current week's songs
-  const handleCreatePlaylist = async () => {
-    if (!spotifyConnected) {
-      alert('Please connect to Spotify first!');
+  // Look the pick up in the group's history once the user pauses typing,
+  // by normalised title and artist and by track ID
+  useEffect(() => {
+    setRepeatConfirmed(false);
+    if (!activeGroupId || !newSong.songName.trim() || !newSong.artist.trim()) {
+      setPreviousPicks([]);
       return;
     }
 
-    const today = new Date();
-    const weekStart = new Date(today.setDate(today.getDate() - today.getDay()));
-    const weekStr = `Week of ${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      findPreviousPicks(activeGroupId, newSong, { excludeSongId: editingId, ownSongs: ownHiddenSongs })
+        .then(found => {
+          if (!cancelled) setPreviousPicks(found);
+        })
+        .catch(err => console.error('Error checking for repeat picks:', err));
+    }, 500);
 
-    const weekSongs = songs.filter(song => song.week === weekStr && song.platform === 'Spotify' && song.link);
-    
-    if (weekSongs.length === 0) {
-      alert('No Spotify songs for this week yet!');
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeGroupId, editingId, newSong.songName, newSong.artist, newSong.link, newSong.isrc]);
+
+  // Same-week duplicates can be blocked by the group; anything else only warns
+  const duplicateBlocked = !!currentWeek?.blockDuplicates && previousPicks.some(song => song.weekKey === currentWeekKey);
+
+  // Submit song
+  const handleSubmit = async () => {
+    if (!newSong.songName || !newSong.artist || !activeGroupId) return;
+
+    const invalidLink = validateSongLink(newSong.link, newSong.platform);
+    if (invalidLink) {
+      setLinkError(invalidLink);
+      return;
+    }
+
+    // Admins changing someone else's pick, or one from a closed week
+    const moderatedSong = editingSong && !isAuthorEditable(editingSong) ? editingSong : null;
+    if (moderatedSong && !navigator.onLine) {
+      alert('Changing other members\' picks needs a connection. Please try again once you\'re online.');
+      return;
+    }
+    if (!weekOpen && !moderatedSong) {
+      alert('Submissions are closed for this week.');
       return;
     }
+    if (!editingId && pickLimitReached) {
+      alert(`You've already made ${currentWeek.maxPicksPerWeek} ${currentWeek.maxPicksPerWeek === 1 ? 'pick' : 'picks'} this week.`);
+      return;
+    }
+    if (duplicateBlocked || (previousPicks.length > 0 && !repeatConfirmed)) return;
+    
+    const link = normalizeSongLink(newSong.link, newSong.platform);
+    const changes = {
+      songName: newSong.songName,
+      artist: newSong.artist,
+      platform: newSong.platform,
+      link,
+      artworkUrl: newSong.artworkUrl,
+      ...(formTheme ? { onTheme: newSong.onTheme } : {}),
+      updatedBy: user.uid
+    };
+    const editedSong = myWeekSongs.find(song => song.id === editingId) || editingSong;
+    const pick = {
+      groupId: activeGroupId,
+      user: getDisplayName(userProfile) || getDefaultDisplayName(user),
+      userId: user.uid,
+      songName: newSong.songName,
+      artist: newSong.artist,
+      platform: newSong.platform,
+      link,
+      artworkUrl: newSong.artworkUrl,
+      weekKey: currentWeekKey,
+      canonicalKey: getCanonicalKey(newSong.songName, newSong.artist),
+      reactionCount: 0,
+      ...(currentTheme ? { onTheme: newSong.onTheme } : {})
+    };
+    const queueSubmit = () => (editingId
+      ? queueOutboxChange({ type: 'update', songId: editingId, changes, base: editedSong && getBase(editedSong) })
+      : queueOutboxChange({ type: 'add', song: pick }));
 
     try {
-      const trackUris = weekSongs
-        .map(song => {
-          const match = song.link.match(/track\/([a-zA-Z0-9]+)/);
-          return match ? `spotify:track:${match[1]}` : null;
-        })
-        .filter(uri => uri !== null);
+      if (moderatedSong) {
+        await songRepository.update(moderatedSong, changes, {
+          blockDuplicates: moderatedSong.weekKey === currentWeekKey ? currentWeek.blockDuplicates : false
+        });
+      } else if (shouldQueue(editingId)) {
+        queueSubmit();
+      } else if (editingId) {
+        await songRepository.update(editedSong, changes, { blockDuplicates: currentWeek.blockDuplicates });
+      } else {
+        await songRepository.add({
+          ...pick,
+          slot: getNextSlot(myWeekSongs, user.uid, currentWeekKey),
+          hidden: currentWeek.blind && !currentWeek.revealed
+        }, { blockDuplicates: currentWeek.blockDuplicates });
+      }
+    } catch (err) {
+      if (!isOfflineError(err)) {
+        console.error('Error saving song:', err);
+        alert(err instanceof DuplicatePickError
+          ? `${err.message} Your group doesn't allow the same song twice in one week.`
+          : 'Error saving song. Please try again.');
+        return;
+      }
+      queueSubmit();
+    }
 
-      const playlist = await createPlaylist(
-        `Weekly Tunes - ${weekStr}`,
-        `Collaborative playlist created by the Weekly Tunes group`,
-        trackUris
-      );
+    setEditingId(null);
+    setEditingSong(null);
+    setNewSong(EMPTY_SONG);
+  };
+
+  const handleDelete = async (song) => {
+    if (!isAuthorEditable(song)) {
+      await handleModeratorDelete(song);
+      return;
+    }
+    if (window.confirm(`Delete this song? It goes to the trash, where you can restore it for ${TRASH_DAYS} days.`)) {
+      const queueDelete = () => queueOutboxChange({ type: 'delete', songId: song.id, base: getBase(song.outboxEntry?.base || song) });
+      try {
+        if (shouldQueue(song.id)) {
+          queueDelete();
+        } else {
+          const trashId = await songRepository.remove(song.id);
+          setUndoTrash({ trashId, songName: song.songName });
+        }
+      } catch (err) {
+        if (isOfflineError(err)) {
+          queueDelete();
+          return;
+        }
+        console.error('Error deleting song:', err);
+        alert('Error deleting song. Please try again.');
+      }
+    }
+  };
 
-      alert(`Playlist created successfully! Check your Spotify account.`);
-      window.open(playlist.external_urls.spotify, '_blank');
+  const handleModeratorDelete = async (song) => {
+    if (!window.confirm(`Remove "${song.songName}" picked by ${getMemberName(song.userId)}? It goes to the trash for ${TRASH_DAYS} days.`)) return;
+    try {
+      const trashId = await songRepository.remove(song.id);
+      setUndoTrash({ trashId, songName: song.songName });
     } catch (err) {
-      console.error('Error creating playlist:', err);
-      alert('Error creating playlist. Please try again.');
+      console.error('Error removing song:', err);
+      alert('Error removing song. Please try again.');
     }
   };
 
-  const renderSubmitView = () => (
-    <div className="max-w-2xl mx-auto">
-      <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold mb-4 text-gray-800">
-          {editingId ? 'Edit Song' : 'Submit Your Weekly Pick'}
-        </h2>
+  const handleRestoreSong = async (trashId) => {
+    try {
+      await songRepository.restore(trashId);
+      setUndoTrash(null);
+    } catch (err) {
+      console.error('Error restoring song:', err);
+      alert(err.code === 'functions/failed-precondition' ? err.message : 'Error restoring song. Please try again.');
+    }
+  };
+
+  const handlePurgeSong = async (song) => {
+    if (!window.confirm(`Delete "${song.songName}" for good? Its comments and reactions will be deleted too. This can't be undone.`)) return;
+    try {
+      await songRepository.purge(song.id);
+    } catch (err) {
+      console.error('Error deleting song:', err);
+      alert('Error deleting song. Please try again.');
+    }
+  };
+
+  const handleMoveSong = async () => {
+    const weekKey = getWeekKeyForDateString(movingSong.date);
+    if (!window.confirm(`Move "${movingSong.song.songName}" to ${formatWeekLabel(weekKey)}? Its votes stay with the old week.`)) return;
+    try {
+      await moveSong(movingSong.song.id, weekKey);
+      setMovingSong(null);
+    } catch (err) {
+      console.error('Error moving song:', err);
+      alert(['functions/invalid-argument', 'functions/failed-precondition'].includes(err.code) ? err.message : 'Error moving song. Please try again.');
+    }
+  };
+
+  const handleEdit = (song) => {
+    setEditingSong(song);
+    setNewSong({
+      songName: song.songName,
+      artist: song.artist,
+      platform: song.platform,
+      link: song.link,
+      artworkUrl: song.artworkUrl || '',
+      isrc: song.isrc || null,
+      onTheme: song.onTheme ?? true
+    });
+    setLinkError(null);
+    setLinkNotice(null);
+    setEditingId(song.id);
+    setCurrentView('submit');
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setEditingSong(null);
+    setNewSong(EMPTY_SONG);
+    setLinkError(null);
+    setLinkNotice(null);
+  };
+
+  const playSongs = (songs, index, label) => {
+    setEmbedSongId(null);
+    setPlayerQueue({ id: Date.now(), songs, index, label });
+  };
+
+  // A week's lineup in the order it was submitted
+  const handlePlayWeek = async (weekKey, loadedSongs = null) => {
+    try {
+      const songs = loadedSongs || await songRepository.loadGroupSongs(activeGroupId, user.uid, weekKey);
+      if (songs.length === 0) {
+        alert('Nobody has picked a song this week yet.');
+        return;
+      }
+      const theme = themes[weekKey];
+      playSongs(
+        [...songs].sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+        0,
+        theme ? `${formatWeekLabel(weekKey)}: ${theme.name}` : formatWeekLabel(weekKey)
+      );
+    } catch (err) {
+      console.error('Error loading the week:', err);
+      alert('Error loading the week. Please try again.');
+    }
+  };
+
+  // Cards play the preview in the mini-player, or open the platform's
+  // embed player in place when there is no preview
+  const handlePlaySong = async (song) => {
+    if (embedSongId === song.id) {
+      setEmbedSongId(null);
+    } else if (await getPreviewUrl(song)) {
+      playSongs([song], 0, `Submitted by ${getMemberName(song.userId)}`);
+    } else {
+      setEmbedSongId(song.id);
+    }
+  };
+
+  const handleToggleListened = async (song, listened) => {
+    try {
+      await userRepository.setListened(user.uid, song, listened);
+    } catch (err) {
+      console.error('Error updating listened marker:', err);
+      alert('Error updating the listened marker. Please try again.');
+    }
+  };
+
+  // Previews that play to the end count as listened
+  const handleListened = (song) => {
+    if (listenedIds.includes(song.id)) return;
+    userRepository.setListened(user.uid, song, true)
+      .catch(err => console.error('Error updating listened marker:', err));
+  };
+
+  // "Keep mine" sends a conflicting change over the server's version;
+  // "Discard" drops it and leaves the server's version as it is
+  const handleKeepMine = async (entry) => {
+    setResolvingEntryId(entry.id);
+    try {
+      await sendEntry(entry, { force: true });
+      removeEntry(entry.id);
+    } catch (err) {
+      console.error('Error syncing queued change:', err);
+      updateEntry(entry.id, { message: err.message });
+      alert('Error sending your change. Please try again.');
+    } finally {
+      setResolvingEntryId(null);
+      refreshOutbox();
+    }
+  };
+
+  const handleDiscardEntry = (entry) => {
+    removeEntry(entry.id);
+    refreshOutbox();
+  };
+
+  // A queued pick the server turned down goes back into the Submit form
+  const handleEditFailedPick = (entry) => {
+    setNewSong({
+      ...EMPTY_SONG,
+      songName: entry.song.songName,
+      artist: entry.song.artist,
+      platform: entry.song.platform,
+      link: entry.song.link,
+      artworkUrl: entry.song.artworkUrl || '',
+      onTheme: entry.song.onTheme ?? true
+    });
+    setEditingId(null);
+    handleDiscardEntry(entry);
+    setCurrentView('submit');
+  };
+
+  // Names come from the member's profile; a pick's saved `user` name only
+  // covers people who have left the group
+  const getMemberName = (userId) => {
+    const member = groupMembers.find(m => m.id === userId);
+    const song = [...ownHiddenSongs, ...feedPage.songs].find(s => s.userId === userId);
+    return getDisplayName(member, song?.user) || 'Former member';
+  };
+
+  const withMemberName = (song) => ({ ...song, user: getMemberName(song.userId) });
+
+  const openProfile = (userId) => {
+    setProfileUserId(userId === user.uid ? null : userId);
+    setCurrentView('profile');
+  };
+
+  const handleSaveProfile = (draft) => saveProfile(user.uid, draft);
+
+  // Totals from tallied weeks, best first
+  const getLeaderboard = () =>
+    leaderboard
+      .map(entry => ({ ...entry, name: getMemberName(entry.id) }))
+      .sort((a, b) => b.wins - a.wins || b.votesReceived - a.votesReceived || b.picks - a.picks);
+
+  const reactionsBySong = groupReactions(reactions);
+  const votesLeft = currentWeek ? Math.max(0, currentWeek.votesPerWeek - myVotes.length) : 0;
+  const votingOpen = !!currentWeek && new Date() < currentWeek.endsAt.toDate();
+
+  const handleToggleReaction = async (song, reaction) => {
+    const active = (reactionsBySong[song.id]?.[reaction] || []).includes(user.uid);
+    try {
+      await toggleReaction(song, reaction, user.uid, active);
+    } catch (err) {
+      console.error('Error updating reaction:', err);
+    }
+  };
+
+  const handleToggleVote = async (song) => {
+    const existingVote = myVotes.find(vote => vote.songId === song.id);
+    try {
+      if (existingVote) {
+        await removeVote(existingVote);
+      } else if (votesLeft > 0) {
+        await castVote(song, user.uid, myVotes);
+      }
+    } catch (err) {
+      console.error('Error voting:', err);
+      alert('Error saving your vote. Please try again.');
+    }
+  };
+
+  // The feed is one window of a Firestore query, sorted and narrowed by the
+  // one filter the server can apply; the full search runs in the browser
+  const feedSearch = resolveFeedQuery(parseFeedQuery(searchTerm), groupMembers, getMemberName);
+  const serverFilter = getServerFilter(resolveFeedQuery(parseFeedQuery(feedQueryText), groupMembers, getMemberName));
+  const feedKey = `${activeGroupId}|${feedSort}|${JSON.stringify(serverFilter)}`;
+  const feedLimit = feedWindow.key === feedKey ? feedWindow.limit : FEED_PAGE_SIZE;
+  const feedPageKey = `${feedKey}|${feedLimit}`;
+  const feedLoading = feedPage.key !== feedPageKey;
+  const searching = hasFeedQuery(feedSearch);
+
+  const filteredSongs = [...queuedPicks, ...[...ownHiddenSongs, ...feedPage.songs].map(withOutbox)]
+    .map(withMemberName)
+    .filter(song => matchesFeedQuery(song, feedSearch, getMemberName))
+    .sort(compareSongs(feedSort, getMemberName));
+
+  const loadMoreSongs = () => setFeedWindow({ key: feedKey, limit: feedLimit + FEED_PAGE_SIZE });
+
+  useEffect(() => {
+    if (!user || !activeGroupId) {
+      setFeedPage({ key: null, songs: [], hasMore: false });
+      return;
+    }
+
+    const feedQuery = { groupId: activeGroupId, filter: serverFilter, sortId: feedSort, limit: feedLimit };
+    return songRepository.subscribeFeed(feedQuery, (songs) => {
+      setFeedPage({ key: feedPageKey, songs, hasMore: songs.length >= feedLimit });
+    }, (err) => {
+      console.error('Error loading songs:', err);
+      setFeedPage(current => ({ ...current, key: feedPageKey, hasMore: false }));
+    });
+  }, [user, activeGroupId, feedPageKey]);
+
+  // Watch the end of the list; while it stays on screen, keep widening the
+  // window, which also fills the page when the search skips most picks
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel) {
+      setLoadMoreVisible(false);
+      return;
+    }
+
+    const observer = new IntersectionObserver(([entry]) => setLoadMoreVisible(entry.isIntersecting), { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [currentView, feedPage.hasMore]);
+
+  useEffect(() => {
+    if (loadMoreVisible && feedPage.hasMore && !feedLoading && feedLimit < MAX_AUTO_FEED_LIMIT) {
+      loadMoreSongs();
+    }
+  }, [loadMoreVisible, feedPage.hasMore, feedLoading, feedLimit]);
+
+  // Reactions for the picks loaded into the feed only
+  const loadedSongIds = feedPage.songs.map(song => song.id).join(',');
+  useEffect(() => {
+    if (!user || !activeGroupId || !loadedSongIds) {
+      setReactions([]);
+      return;
+    }
+
+    return songRepository.subscribeReactions(activeGroupId, loadedSongIds.split(','), setReactions,
+      err => console.error('Error loading reactions:', err));
+  }, [user, activeGroupId, loadedSongIds]);
+
+  const handleExport = async (scope) => {
+    try {
+      const scopeSongs = (scope.songs || await scope.load()).map(withMemberName);
+      if (scopeSongs.length === 0) {
+        alert('There are no picks to export.');
+        return;
+      }
+      exportSongs(scopeSongs, exportFormat, scope.title);
+    } catch (err) {
+      console.error('Error exporting songs:', err);
+      alert('Error exporting songs. Please try again.');
+    }
+  };
+
+  // Streaming service connections
+  const handleConnectProvider = async (provider) => {
+    try {
+      const connected = await provider.connect();
+      if (connected) {
+        setConnectedProviders(current => ({ ...current, [provider.id]: true }));
+      }
+    } catch (err) {
+      console.error(`Error connecting ${provider.platform}:`, err);
+      handleProviderError(provider, err, `Error connecting ${provider.platform}. Please try again.`);
+    }
+  };
+
+  const notificationPrefs = getNotificationPrefs(userProfile);
+
+  const handleNotificationPrefChange = async (key, value) => {
+    const prefs = { ...notificationPrefs, [key]: value };
+    setUserProfile(current => ({ ...current, notifications: prefs }));
+    try {
+      await saveNotificationPrefs(user.uid, prefs);
+    } catch (err) {
+      console.error('Error saving notification settings:', err);
+      alert('Error saving notification settings. Please try again.');
+    }
+  };
+
+  // Push is turned on per device; the preferences above say what it carries
+  const handleTogglePush = async () => {
+    setUpdatingPush(true);
+    try {
+      if (pushEnabled) {
+        await disablePush(user.uid);
+      } else {
+        await enablePush(user.uid);
+      }
+    } catch (err) {
+      console.error('Error updating push notifications:', err);
+      alert(err.message || 'Error updating push notifications. Please try again.');
+    } finally {
+      setPushEnabled(isPushEnabled());
+      setUpdatingPush(false);
+    }
+  };
+
+  const handleDisconnectProvider = async (provider) => {
+    try {
+      await provider.disconnect();
+      setConnectedProviders(current => ({ ...current, [provider.id]: false }));
+    } catch (err) {
+      console.error(`Error disconnecting ${provider.platform}:`, err);
+      alert(`Error disconnecting ${provider.platform}. Please try again.`);
+    }
+  };
+
+  // Create or update the group's playlist for a week (or all time)
+  const handleSyncPlaylist = async (provider, playlistKey) => {
+    if (!connectedProviders[provider.id]) {
+      alert(`Please connect to ${provider.platform} first!`);
+      return;
+    }
+
+    const docId = getPlaylistDocId(provider.id, playlistKey);
+    setSyncingPlaylistKey(docId);
+    try {
+      const isNew = !playlists[docId];
+      const result = await syncPlaylist(activeGroup, provider, playlistKey, user);
+      setPlaylistReport({ key: docId, ...result });
+      if (isNew) {
+        window.open(result.url, '_blank');
+      }
+    } catch (err) {
+      console.error('Error syncing playlist:', err);
+      if (err instanceof PlaylistOwnerError) {
+        alert(err.message);
+      } else {
+        handleProviderError(provider, err, 'Error syncing playlist. Please try again.');
+      }
+    } finally {
+      setSyncingPlaylistKey(null);
+    }
+  };
+
+  // Group management
+  const handleCreateGroup = async () => {
+    if (!newGroupName.trim()) return;
+
+    try {
+      const groupId = await createGroup(newGroupName, user);
+      setActiveGroupId(groupId);
+      setNewGroupName('');
+    } catch (err) {
+      console.error('Error creating group:', err);
+      alert('Error creating group. Please try again.');
+    }
+  };
+
+  const joinWithInviteCode = async (code) => {
+    const groupId = await resolveInviteCode(code);
+    if (!groups.some(group => group.id === groupId)) {
+      await joinGroup(groupId, code, user);
+    }
+    return groupId;
+  };
+
+  const handleJoinGroup = async () => {
+    if (!joinCode.trim()) return;
+
+    try {
+      const groupId = await joinWithInviteCode(joinCode);
+      setActiveGroupId(groupId);
+      setJoinCode('');
+    } catch (err) {
+      console.error('Error joining group:', err);
+      alert('No group found for that invite code.');
+    }
+  };
+
+  const handleLeaveGroup = async () => {
+    if (!activeGroup) return;
+    if (activeGroup.ownerId === user.uid) {
+      alert('Group owners cannot leave their own group.');
+      return;
+    }
+
+    if (window.confirm(`Are you sure you want to leave ${activeGroup.name}?`)) {
+      try {
+        await leaveGroup(activeGroup.id, user);
+      } catch (err) {
+        console.error('Error leaving group:', err);
+        alert('Error leaving group. Please try again.');
+      }
+    }
+  };
+
+  const handleRegenerateInvite = async () => {
+    if (window.confirm('Generate a new invite code? The old link will stop working.')) {
+      try {
+        await regenerateInviteCode(activeGroup);
+      } catch (err) {
+        console.error('Error regenerating invite code:', err);
+        alert('Error generating a new invite code. Please try again.');
+      }
+    }
+  };
+
+  const handleRemoveMember = async (memberId) => {
+    if (!window.confirm(`Remove ${getMemberName(memberId)} from ${activeGroup.name}? Their picks stay in the group.`)) return;
+    try {
+      await removeMember(activeGroup, memberId);
+    } catch (err) {
+      console.error('Error removing member:', err);
+      alert('Error removing member. Please try again.');
+    }
+  };
+
+  const handleSetAdmin = async (memberId, admin) => {
+    try {
+      await setAdmin(activeGroup, memberId, admin);
+    } catch (err) {
+      console.error('Error updating admins:', err);
+      alert('Error updating admins. Please try again.');
+    }
+  };
+
+  const handleTransferOwnership = async (memberId) => {
+    if (!window.confirm(`Make ${getMemberName(memberId)} the owner of ${activeGroup.name}? You'll stay on as an admin.`)) return;
+    try {
+      await transferOwnership(activeGroup, memberId);
+    } catch (err) {
+      console.error('Error transferring ownership:', err);
+      alert('Error transferring ownership. Please try again.');
+    }
+  };
+
+  const handleToggleWeekLock = async () => {
+    const locked = !currentWeek.locked;
+    if (locked && !window.confirm(`Lock ${formatWeekLabel(currentWeekKey)}? Members won't be able to add or change picks until it's unlocked.`)) return;
+    try {
+      await setWeekLocked(activeGroupId, currentWeekKey, locked);
+    } catch (err) {
+      console.error('Error updating week lock:', err);
+      alert('Error updating the week. Please try again.');
+    }
+  };
+
+  const handleTimeZoneChange = async (timeZone) => {
+    try {
+      await updateGroupTimeZone(activeGroup.id, timeZone);
+    } catch (err) {
+      console.error('Error updating time zone:', err);
+      alert('Error updating time zone. Please try again.');
+    }
+  };
+
+  const handleSaveTheme = async () => {
+    if (!themeDraft.weekKey || !themeDraft.name.trim()) return;
+    try {
+      await saveTheme(activeGroup.id, themeDraft.weekKey, themeDraft, user.uid);
+      setThemeDraft(EMPTY_THEME_DRAFT);
+    } catch (err) {
+      console.error('Error saving theme:', err);
+      alert('Error saving theme. Please try again.');
+    }
+  };
+
+  const handleDeleteTheme = async (weekKey) => {
+    if (!window.confirm(`Remove the theme for ${formatWeekLabel(weekKey)}?`)) return;
+    try {
+      await deleteTheme(activeGroup.id, weekKey);
+    } catch (err) {
+      console.error('Error removing theme:', err);
+      alert('Error removing theme. Please try again.');
+    }
+  };
+
+  const handleShareRecap = async (weekKey) => {
+    try {
+      const token = await shareRecap(activeGroup.id, weekKey, user.uid);
+      await navigator.clipboard.writeText(getRecapLink(token)).catch(() => {});
+    } catch (err) {
+      console.error('Error sharing recap:', err);
+      alert('Error sharing the recap. Please try again.');
+    }
+  };
+
+  const handleUnshareRecap = async (weekKey) => {
+    if (!window.confirm('Stop sharing this recap? The link will stop working for everyone who has it.')) return;
+    try {
+      await unshareRecap(recaps[weekKey]);
+    } catch (err) {
+      console.error('Error unsharing recap:', err);
+      alert('Error unsharing the recap. Please try again.');
+    }
+  };
+
+  const handleCopyRecapLink = async (weekKey) => {
+    try {
+      await navigator.clipboard.writeText(getRecapLink(recaps[weekKey]));
+      alert('Recap link copied!');
+    } catch (err) {
+      console.error('Error copying recap link:', err);
+    }
+  };
+
+  const handleDownloadRecapImage = async (weekKey) => {
+    try {
+      await downloadRecapImage({ groupName: activeGroup.name, weekKey, theme: themes[weekKey], songs: archiveSongs });
+    } catch (err) {
+      console.error('Error creating recap image:', err);
+      alert('Error creating the image. Please try again.');
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    const maxPicksPerWeek = parseInt(settingsDraft.maxPicksPerWeek, 10);
+    const votesPerWeek = parseInt(settingsDraft.votesPerWeek, 10);
+    const settings = {
+      maxPicksPerWeek: maxPicksPerWeek > 0 ? maxPicksPerWeek : null,
+      votesPerWeek: votesPerWeek > 0 ? votesPerWeek : null,
+      deadline: settingsDraft.deadline,
+      blind: settingsDraft.blind,
+      reveal: settingsDraft.blind ? settingsDraft.reveal : null,
+      blockDuplicates: settingsDraft.blockDuplicates,
+      reminder: settingsDraft.reminder
+    };
+
+    try {
+      await updateGroupSettings(activeGroup.id, settings);
+      alert('Group rules saved.');
+    } catch (err) {
+      console.error('Error saving group rules:', err);
+      alert('Error saving group rules. Please try again.');
+    }
+  };
+
+  const openArchive = () => {
+    setArchiveWeekKey(currentWeekKey);
+    setCurrentView('archive');
+  };
+
+  const handleCopyInviteLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(activeGroup.inviteCode));
+      alert('Invite link copied!');
+    } catch (err) {
+      console.error('Error copying invite link:', err);
+    }
+  };
+
+  const renderThemeBanner = (theme, label) => (
+    <div className="mb-4 p-3 bg-purple-50 rounded-lg text-sm text-purple-900">
+      <p><span className="font-semibold">{label}:</span> {theme.name}</p>
+      {theme.description && <p className="mt-1 text-purple-800">{theme.description}</p>}
+    </div>
+  );
+
+  const renderThemeBadge = (song) => {
+    if (typeof song.onTheme !== 'boolean') return null;
+    return (
+      <span className={`px-2 py-0.5 rounded-full text-xs ${song.onTheme ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-600'}`}>
+        {song.onTheme ? 'On theme' : 'Off theme'}
+      </span>
+    );
+  };
+
+  const renderSubmitView = () => (
+    <div className="max-w-2xl mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold mb-4 text-gray-800">
+          {editingId ? 'Edit Song' : 'Submit Your Weekly Pick'}
+        </h2>
         {editingId && (
           <div className="mb-4 p-3 bg-blue-50 rounded-lg flex items-center justify-between">
-            <span className="text-sm text-blue-800">Editing mode - make your changes below</span>
+            <span className="text-sm text-blue-800">
+              {editingSong && editingSong.userId !== user.uid
+                ? `Editing ${getMemberName(editingSong.userId)}'s pick as an admin`
+                : 'Editing mode - make your changes below'}
+            </span>
             <button 
               onClick={cancelEdit}
               className="text-blue-600 hover:text-blue-800 text-sm font-medium"
@@ -278,235 +1536,1418 @@ export default function WeeklyMusicApp() {
           </div>
         )}
 
-        {/* Spotify Search */}
-        {spotifyConnected && !editingId && (
-          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
-            <h3 className="text-sm font-semibold text-gray-800 mb-2">Search Spotify</h3>
-            <div className="flex gap-2">
-              <input
-                type="text"
-                value={spotifySearchQuery}
-                onChange={(e) => setSpotifySearchQuery(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && handleSpotifySearch()}
-                placeholder="Search for a song..."
-                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-              />
-              <button
-                onClick={handleSpotifySearch}
-                disabled={searchingSpotify}
-                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 transition-colors disabled:bg-gray-300"
-              >
-                {searchingSpotify ? 'Searching...' : 'Search'}
-              </button>
-            </div>
+        {currentTheme && renderThemeBanner(currentTheme, "This week's theme")}
+
+        {currentWeek && (
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-700">
+            {currentWeek.maxPicksPerWeek && (
+              <span>{myPicksThisWeek} of {currentWeek.maxPicksPerWeek} picks used this week</span>
+            )}
+            <span className="inline-flex items-center gap-1">
+              {currentWeek.locked ? <Lock className="w-4 h-4" /> : <Clock className="w-4 h-4" />}
+              {currentWeek.locked
+                ? 'Submissions are locked by an admin'
+                : weekOpen
+                  ? `Submissions close ${formatWeekTime(currentWeek.deadlineAt.toDate(), groupTimeZone)}`
+                  : 'Submissions are closed for this week'}
+            </span>
+            {currentWeek.blind && !currentWeek.revealed && (
+              <span className="inline-flex items-center gap-1">
+                <EyeOff className="w-4 h-4" />
+                Picks revealed {formatWeekTime(currentWeek.revealAt.toDate(), groupTimeZone)}
+              </span>
+            )}
+          </div>
+        )}
+        {!currentWeek && (
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+            Submissions for {formatWeekLabel(currentWeekKey)} will open shortly.
+          </div>
+        )}
+
+        {/* Streaming service search */}
+        {searchProvider && !editingId && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-800">Search {searchProvider.platform}</h3>
+              {searchProviders.length > 1 && (
+                <select
+                  value={searchProvider.id}
+                  onChange={(e) => {
+                    setSearchProviderId(e.target.value);
+                    setTrackResults([]);
+                  }}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                >
+                  {searchProviders.map(provider => (
+                    <option key={provider.id} value={provider.id}>{provider.platform}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={trackSearchQuery}
+                onChange={(e) => setTrackSearchQuery(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleTrackSearch()}
+                placeholder="Search for a song..."
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+              />
+              <button
+                onClick={handleTrackSearch}
+                disabled={searchingTracks}
+                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 transition-colors disabled:bg-gray-300"
+              >
+                {searchingTracks ? 'Searching...' : 'Search'}
+              </button>
+            </div>
+
+            {trackResults.length > 0 && (
+              <div className="mt-3 max-h-60 overflow-y-auto space-y-2">
+                {trackResults.map((track) => (
+                  <div
+                    key={track.id}
+                    onClick={() => handleSelectTrack(track)}
+                    className="p-3 bg-white border border-gray-200 rounded-md hover:bg-gray-50 cursor-pointer"
+                  >
+                    <div className="flex items-center gap-3">
+                      {track.thumbnailUrl && (
+                        <img src={track.thumbnailUrl} alt="" className="w-10 h-10 rounded object-cover" />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-sm text-gray-900 truncate">{track.songName}</p>
+                        <p className="text-xs text-gray-600 truncate">{track.artist}</p>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Suggestions from the user's listening history */}
+        {!editingId && (
+          <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <h3 className="text-sm font-semibold text-gray-800">Suggestions from your listening</h3>
+                <p className="text-xs text-gray-600">
+                  {suggestionSources.length > 0
+                    ? `From ${suggestionSources.join(', ')}, leaving out songs the group has already picked.`
+                    : 'Connect Spotify or add a Last.fm or ListenBrainz username on the Connect tab.'}
+                </p>
+              </div>
+              {suggestionSources.length > 0 && (
+                <button
+                  onClick={handleLoadSuggestions}
+                  disabled={loadingSuggestions}
+                  className="px-3 py-1 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors text-sm disabled:bg-gray-400 whitespace-nowrap"
+                >
+                  {loadingSuggestions ? 'Loading...' : suggestions ? 'Refresh' : 'Suggest picks'}
+                </button>
+              )}
+            </div>
+            {suggestions?.errors.map(err => (
+              <p key={err.providerName} className="mt-2 text-xs text-red-600">{err.message}</p>
+            ))}
+            {suggestions && suggestions.suggestions.length === 0 && suggestions.errors.length === 0 && (
+              <p className="mt-2 text-sm text-gray-600">Nothing new to suggest. Everything you've played lately has been picked already.</p>
+            )}
+            {suggestions?.suggestions.length > 0 && (
+              <div className="mt-3 max-h-60 overflow-y-auto space-y-2">
+                {suggestions.suggestions.map((suggestion) => (
+                  <div
+                    key={suggestion.key}
+                    onClick={() => handleSelectSuggestion(suggestion)}
+                    className="p-3 bg-white border border-gray-200 rounded-md hover:bg-gray-50 cursor-pointer"
+                  >
+                    <div className="flex items-center gap-3">
+                      {suggestion.thumbnailUrl && (
+                        <img src={suggestion.thumbnailUrl} alt="" className="w-10 h-10 rounded object-cover" />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-sm text-gray-900 truncate">{suggestion.songName}</p>
+                        <p className="text-xs text-gray-600 truncate">{suggestion.artist}</p>
+                      </div>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">
+                        {suggestion.plays} {suggestion.plays === 1 ? 'play' : 'plays'} • {suggestion.sources.join(', ')}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Song Name
+            </label>
+            <input
+              type="text"
+              value={newSong.songName}
+              onChange={(e) => setNewSong({...newSong, songName: e.target.value})}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Enter song name"
+            />
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Artist
+            </label>
+            <input
+              type="text"
+              value={newSong.artist}
+              onChange={(e) => setNewSong({...newSong, artist: e.target.value})}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Enter artist name"
+            />
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Platform
+            </label>
+            <select
+              value={newSong.platform}
+              onChange={(e) => handlePlatformChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {PLATFORMS.map(platform => (
+                <option key={platform}>{platform}</option>
+              ))}
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Song Link (Optional)
+            </label>
+            <div className="flex items-center gap-3">
+              {newSong.artworkUrl && (
+                <img src={newSong.artworkUrl} alt="" className="w-10 h-10 rounded object-cover" />
+              )}
+              <input
+                type="url"
+                value={newSong.link}
+                onChange={(e) => handleLinkChange(e.target.value)}
+                className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 ${
+                  linkError ? 'border-red-400 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'
+                }`}
+                placeholder="Paste a Spotify, Apple Music, YouTube Music, Deezer or SoundCloud link"
+              />
+            </div>
+            {linkError && <p className="text-sm text-red-600 mt-1">{linkError}</p>}
+            {!linkError && linkNotice && <p className="text-sm text-gray-500 mt-1">{linkNotice}</p>}
+          </div>
+
+          {formTheme && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={newSong.onTheme}
+                onChange={(e) => setNewSong({...newSong, onTheme: e.target.checked})}
+              />
+              This pick fits the theme ({formTheme.name})
+            </label>
+          )}
+
+          {previousPicks.length > 0 && (
+            <div className={`p-3 rounded-lg text-sm ${duplicateBlocked ? 'bg-red-50 text-red-800' : 'bg-yellow-50 text-yellow-800'}`}>
+              <div className="flex items-center gap-2 font-medium mb-1">
+                <AlertTriangle className="w-4 h-4" />
+                {duplicateBlocked
+                  ? 'This song has already been picked this week, and your group doesn\'t allow duplicates.'
+                  : 'This song has been picked before.'}
+              </div>
+              <ul className="space-y-0.5">
+                {previousPicks.slice(0, 3).map(song => (
+                  <li key={song.id}>
+                    Already picked by {song.userId === user.uid ? 'you' : getMemberName(song.userId)}, {formatWeekLabel(song.weekKey).replace(/^Week/, 'week')}
+                    {song.songName !== newSong.songName && ` (as "${song.songName}")`}
+                  </li>
+                ))}
+                {previousPicks.length > 3 && <li>and {previousPicks.length - 3} more {previousPicks.length === 4 ? 'time' : 'times'}</li>}
+              </ul>
+              {!duplicateBlocked && (
+                <label className="flex items-center gap-2 mt-2">
+                  <input
+                    type="checkbox"
+                    checked={repeatConfirmed}
+                    onChange={(e) => setRepeatConfirmed(e.target.checked)}
+                  />
+                  Still submit it
+                </label>
+              )}
+            </div>
+          )}
+          
+          <button
+            onClick={handleSubmit}
+            disabled={!newSong.songName || !newSong.artist || !!linkError || (!weekOpen && !(editingSong && isAdmin)) || (!editingId && pickLimitReached) || duplicateBlocked || (previousPicks.length > 0 && !repeatConfirmed)}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            {editingId ? 'Update Song' : 'Submit Song'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  // "Listen on" links for every service the song was matched on
+  const renderListenLinks = (song) => {
+    const links = LISTEN_PLATFORMS
+      .map(platform => ({ platform, url: song.matches?.[platform]?.url }))
+      .filter(({ url }) => url);
+    const showReview = song.userId === user.uid && song.matchStatus === 'needs-review';
+    if (links.length === 0 && !showReview) return null;
+
+    return (
+      <div className="flex flex-wrap items-center gap-x-2 gap-y-1 mt-1 text-xs">
+        {links.length > 0 && <span className="text-gray-500">Listen on</span>}
+        {links.map(({ platform, url }, index) => (
+          <React.Fragment key={platform}>
+            {index > 0 && <span className="text-gray-300">•</span>}
+            <a
+              href={url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-blue-600 hover:text-blue-800 font-medium"
+            >
+              {platform}
+            </a>
+          </React.Fragment>
+        ))}
+        {showReview && (
+          <button
+            onClick={() => setReviewingMatchesId(reviewingMatchesId === song.id ? null : song.id)}
+            className="inline-flex items-center gap-1 text-yellow-700 hover:text-yellow-900 font-medium"
+          >
+            <AlertTriangle className="w-3 h-3" />
+            Check links
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderPlayButton = (song) => isPlayable(song) && (
+    <button
+      onClick={() => handlePlaySong(song)}
+      className={`p-2 rounded transition-colors ${
+        playerQueue?.songs[playerQueue.index]?.id === song.id || embedSongId === song.id
+          ? 'text-blue-600 bg-blue-50'
+          : 'text-gray-600 hover:text-blue-600 hover:bg-blue-50'
+      }`}
+      title="Play here"
+    >
+      <Play className="w-4 h-4" />
+    </button>
+  );
+
+  const renderEmbed = (song) => embedSongId === song.id && (
+    <iframe
+      src={getEmbedUrl(song)}
+      title={`${song.songName} player`}
+      allow="autoplay; encrypted-media; clipboard-write"
+      className="w-full h-20 mt-2 rounded border-0"
+    />
+  );
+
+  const renderListenedToggle = (song) => {
+    const listened = listenedIds.includes(song.id);
+    return (
+      <button
+        onClick={() => handleToggleListened(song, !listened)}
+        className={`inline-flex items-center gap-1 ${listened ? 'text-green-700 font-medium' : 'hover:text-gray-700'}`}
+        title={listened ? 'Mark as not listened' : 'Mark as listened'}
+      >
+        {listened && <Check className="w-3 h-3" />}
+        {listened ? 'Listened' : 'Mark listened'}
+      </button>
+    );
+  };
+
+  const renderOutboxActions = (entry) => (
+    <div className="mt-2 p-2 bg-amber-50 rounded text-xs text-amber-900">
+      <p className="flex items-center gap-1">
+        <AlertTriangle className="w-3 h-3" />
+        {entry.message}
+      </p>
+      <div className="mt-1 flex gap-3">
+        {entry.status === 'conflict' && (
+          <button
+            onClick={() => handleKeepMine(entry)}
+            disabled={resolvingEntryId === entry.id}
+            className="font-medium text-blue-700 hover:text-blue-900 disabled:opacity-50"
+          >
+            Keep mine
+          </button>
+        )}
+        {entry.status === 'failed' && entry.type === 'add' && (
+          <button onClick={() => handleEditFailedPick(entry)} className="font-medium text-blue-700 hover:text-blue-900">
+            Edit
+          </button>
+        )}
+        <button
+          onClick={() => handleDiscardEntry(entry)}
+          disabled={resolvingEntryId === entry.id}
+          className="font-medium text-red-700 hover:text-red-900 disabled:opacity-50"
+        >
+          {entry.status === 'conflict' ? 'Discard mine' : 'Discard'}
+        </button>
+      </div>
+    </div>
+  );
+
+  // Own picks show whether they have reached the server yet
+  const renderSyncStatus = (song) => {
+    if (song.userId !== user.uid) return null;
+    const entry = song.outboxEntry;
+    if (entry && entry.status !== 'pending') return renderOutboxActions(entry);
+
+    const [Icon, label, className] = entry
+      ? [CloudOff, entry.type === 'delete' ? 'Will be deleted when back online' : 'Waiting to sync', 'text-amber-700']
+      : song.syncing
+        ? [RefreshCw, 'Syncing...', 'text-blue-700']
+        : [Check, 'Synced', 'text-green-700'];
+    return (
+      <span className={`inline-flex items-center gap-1 text-xs ${className}`}>
+        <Icon className="w-3 h-3" />
+        {label}
+      </span>
+    );
+  };
+
+  const renderSongReactions = (song) => {
+    const songReactions = reactionsBySong[song.id] || {};
+    const votedFor = myVotes.some(vote => vote.songId === song.id);
+    const canVote = votingOpen && song.weekKey === currentWeekKey && song.userId !== user.uid;
+
+    return (
+      <div className="flex flex-wrap items-center gap-1 mt-2">
+        {REACTIONS.map(({ key, emoji }) => {
+          const reactors = songReactions[key] || [];
+          const active = reactors.includes(user.uid);
+          return (
+            <button
+              key={key}
+              onClick={() => handleToggleReaction(song, key)}
+              className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+                active ? 'bg-blue-50 border-blue-300 text-blue-800' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {emoji}{reactors.length > 0 && ` ${reactors.length}`}
+            </button>
+          );
+        })}
+        <button
+          onClick={() => setOpenCommentsId(openCommentsId === song.id ? null : song.id)}
+          className={`ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border transition-colors ${
+            openCommentsId === song.id ? 'bg-blue-50 border-blue-300 text-blue-800' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+          }`}
+          title={openCommentsId === song.id ? 'Hide comments' : 'Show comments'}
+        >
+          <MessageCircle className="w-3 h-3" />
+          {song.commentCount || 0}
+        </button>
+        {canVote && (
+          <button
+            onClick={() => handleToggleVote(song)}
+            disabled={!votedFor && votesLeft === 0}
+            className={`ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border transition-colors disabled:opacity-50 ${
+              votedFor ? 'bg-yellow-50 border-yellow-300 text-yellow-800' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+            title={votedFor ? 'Remove your vote' : 'Vote for this pick'}
+          >
+            <ThumbsUp className="w-3 h-3" />
+            {votedFor ? 'Voted' : 'Vote'}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  // Scope picker plus format; `scopes` are { id, label, title } with either
+  // the `songs` at hand or a `load` function for picks not in memory
+  const renderExportControls = (scopes) => {
+    const scope = scopes.find(s => s.id === exportScope) || scopes[0];
+    return (
+      <div className="flex flex-wrap items-center gap-2">
+        {scopes.length > 1 && (
+          <select
+            value={scope.id}
+            onChange={(e) => setExportScope(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {scopes.map(s => (
+              <option key={s.id} value={s.id}>{s.label}{s.songs ? ` (${s.songs.length})` : ''}</option>
+            ))}
+          </select>
+        )}
+        <select
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {EXPORT_FORMATS.map(format => (
+            <option key={format.id} value={format.id}>{format.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => handleExport(scope)}
+          disabled={scope.songs?.length === 0}
+          className="inline-flex items-center gap-2 px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors text-sm disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          Export
+        </button>
+      </div>
+    );
+  };
+
+  const renderFeedView = () => {
+    const standings = getLeaderboard();
+    // Problems with changes to picks that aren't on screen, such as ones
+    // deleted on another device, are listed above the feed instead
+    const unplacedOutboxProblems = outbox.filter(entry =>
+      entry.status !== 'pending' && !filteredSongs.some(song => song.outboxEntry?.id === entry.id)
+    );
+    
+    return (
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold text-gray-800">Weekly Picks Feed</h2>
+            <div className="flex items-center gap-3 text-sm text-gray-600">
+              {songCount !== null && `${songCount + ownHiddenSongs.length} ${songCount + ownHiddenSongs.length === 1 ? 'song' : 'songs'} total`}
+              <button
+                onClick={() => handlePlayWeek(currentWeekKey)}
+                className="inline-flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                <Play className="w-4 h-4" />
+                Play this week
+              </button>
+              {trash.length > 0 && (
+                <button
+                  onClick={() => setCurrentView('trash')}
+                  className="inline-flex items-center gap-1 px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Trash ({trash.length})
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="mb-4 flex flex-wrap items-start gap-2">
+            <div className="relative flex-1 min-w-[16rem]">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder='Search, or filter with user:alex artist:"the cure" week:2026-10 platform:spotify'
+                className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {searchTerm && (
+                <button
+                  onClick={() => setSearchTerm('')}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              )}
+            </div>
+            <select
+              value={feedSort}
+              onChange={(e) => setFeedSort(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              title="Sort picks"
+            >
+              {FEED_SORTS.map(sort => (
+                <option key={sort.id} value={sort.id}>{sort.label}</option>
+              ))}
+            </select>
+            <p className="w-full text-xs text-gray-500">
+              Spelling, accents and punctuation don't need to match. A week can be a date, a month (2026-10) or a year.
+            </p>
+          </div>
+
+          <div className="mb-4">
+            {renderExportControls([
+              { id: 'all', label: 'Whole history', load: () => songRepository.loadGroupSongs(activeGroupId, user.uid), title: `${activeGroup.name} - All Picks` },
+              { id: 'week', label: 'This week', load: () => songRepository.loadGroupSongs(activeGroupId, user.uid, currentWeekKey), title: getPlaylistTitle(activeGroup, currentWeekKey, currentTheme) },
+              ...(searching ? [{
+                id: 'search',
+                label: 'Search results',
+                load: async () => (await songRepository.loadGroupSongs(activeGroupId, user.uid)).filter(song => matchesFeedQuery(song, feedSearch, getMemberName)),
+                title: `${activeGroup.name} - ${searchTerm}`
+              }] : [])
+            ])}
+          </div>
+
+          {standings.length > 0 && (
+            <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Leaderboard</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="py-1 font-medium">#</th>
+                    <th className="py-1 font-medium">Member</th>
+                    <th className="py-1 font-medium text-right">Wins</th>
+                    <th className="py-1 font-medium text-right">Votes</th>
+                    <th className="py-1 font-medium text-right">Picks</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {standings.map((entry, index) => (
+                    <tr key={entry.id} className="border-t border-gray-200">
+                      <td className="py-1 text-gray-500">{index + 1}</td>
+                      <td className="py-1 text-gray-900">{entry.name}</td>
+                      <td className="py-1 text-right text-gray-900">{entry.wins}</td>
+                      <td className="py-1 text-right text-gray-700">{entry.votesReceived}</td>
+                      <td className="py-1 text-right text-gray-700">{entry.picks}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {currentTheme && renderThemeBanner(currentTheme, `Theme for ${formatWeekLabel(currentWeekKey)}`)}
+
+          {votingOpen && currentWeek.revealed && (
+            <p className="text-sm text-gray-600">
+              You have {votesLeft} of {currentWeek.votesPerWeek} votes left for {formatWeekLabel(currentWeekKey)}.
+              Results are announced when the week ends.
+            </p>
+          )}
+        </div>
+
+        {currentWeek?.blind && !currentWeek.revealed && (
+          <div className="mb-4 p-3 bg-indigo-50 rounded-lg flex items-center gap-2 text-sm text-indigo-800">
+            <EyeOff className="w-4 h-4" />
+            This week's picks are hidden until {formatWeekTime(currentWeek.revealAt.toDate(), groupTimeZone)}. Only your own picks are shown.
+          </div>
+        )}
+
+        {unplacedOutboxProblems.length > 0 && (
+          <div className="mb-4 p-3 bg-white rounded-lg shadow-md">
+            <h3 className="text-sm font-semibold text-gray-700">Changes that couldn't be sent</h3>
+            {unplacedOutboxProblems.map(entry => (
+              <div key={entry.id} className="mt-2">
+                <p className="text-sm text-gray-900">
+                  {entry.type === 'add' ? entry.song.songName : entry.changes?.songName || 'A deleted pick'}
+                </p>
+                {renderOutboxActions(entry)}
+              </div>
+            ))}
+          </div>
+        )}
 
-            {spotifyResults.length > 0 && (
-              <div className="mt-3 max-h-60 overflow-y-auto space-y-2">
-                {spotifyResults.map((track) => (
-                  <div
-                    key={track.id}
-                    onClick={() => handleSelectSpotifyTrack(track)}
-                    className="p-3 bg-white border border-gray-200 rounded-md hover:bg-gray-50 cursor-pointer"
-                  >
-                    <div className="flex items-center gap-3">
-                      {track.album.images[2] && (
-                        <img src={track.album.images[2].url} alt="" className="w-10 h-10 rounded" />
-                      )}
-                      <div className="flex-1 min-w-0">
-                        <p className="font-medium text-sm text-gray-900 truncate">{track.name}</p>
-                        <p className="text-xs text-gray-600 truncate">
-                          {track.artists.map(a => a.name).join(', ')}
-                        </p>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          {filteredSongs.length === 0 && !feedPage.hasMore ? (
+            <p className="text-gray-500 text-center py-8">
+              {feedLoading ? 'Loading songs...' : searching ? 'No songs match your search.' : 'No songs submitted yet. Be the first!'}
+            </p>
+          ) : (
+            <div className="space-y-4">
+              {filteredSongs.map((song) => (
+                <div key={song.id} className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
+                  <div className="flex items-start justify-between">
+                    {song.artworkUrl && (
+                      <img src={song.artworkUrl} alt="" className="w-14 h-14 rounded object-cover mr-4" />
+                    )}
+                    <div className="flex-1">
+                      <div className="flex items-center gap-2 mb-1">
+                        <Music className="w-4 h-4 text-blue-600" />
+                        <span className="font-semibold text-gray-900">{song.songName}</span>
+                        {song.hidden && (
+                          <span className="inline-flex items-center gap-1 px-2 py-0.5 bg-indigo-100 text-indigo-800 rounded-full text-xs">
+                            <EyeOff className="w-3 h-3" />
+                            Hidden until reveal
+                          </span>
+                        )}
+                        {song.pickOfTheWeek && (
+                          <span className="inline-flex items-center gap-1 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full text-xs">
+                            <Trophy className="w-3 h-3" />
+                            Pick of the Week
+                          </span>
+                        )}
+                        {renderThemeBadge(song)}
+                      </div>
+                      <p className="text-gray-600 text-sm mb-1">by {song.artist}</p>
+                      <div className="flex items-center gap-3 text-xs text-gray-500">
+                        <button
+                          onClick={() => openProfile(song.userId)}
+                          className="inline-flex items-center gap-1 hover:text-blue-600"
+                        >
+                          <Avatar profile={groupMembers.find(m => m.id === song.userId)} name={song.user} size="w-4 h-4 text-[10px]" />
+                          Submitted by {song.user}
+                        </button>
+                        <span>•</span>
+                        <span>{song.platform}</span>
+                        <span>•</span>
+                        <span>{song.weekKey ? formatWeekLabel(song.weekKey) : song.week}</span>
+                        {song.updatedAt && !isQueuedPick(song.id) && (
+                          <>
+                            <span>•</span>
+                            <button
+                              onClick={() => setHistorySongId(historySongId === song.id ? null : song.id)}
+                              className="hover:text-blue-600 underline decoration-dotted"
+                              title="Show edit history"
+                            >
+                              edited
+                            </button>
+                          </>
+                        )}
+                        {song.votes > 0 && (
+                          <>
+                            <span>•</span>
+                            <span>{song.votes} {song.votes === 1 ? 'vote' : 'votes'}</span>
+                          </>
+                        )}
+                        {!isQueuedPick(song.id) && (
+                          <>
+                            <span>•</span>
+                            {renderListenedToggle(song)}
+                          </>
+                        )}
                       </div>
+                      {renderListenLinks(song)}
+                      {renderEmbed(song)}
+                      {renderSyncStatus(song)}
+                      {historySongId === song.id && (
+                        <VersionHistory song={song} getMemberName={getMemberName} />
+                      )}
+                      {reviewingMatchesId === song.id && (
+                        <MatchReview song={song} onDone={() => setReviewingMatchesId(null)} />
+                      )}
+                      {!song.hidden && !isQueuedPick(song.id) && renderSongReactions(song)}
+                      {openCommentsId === song.id && (
+                        <CommentThread
+                          song={song}
+                          user={user}
+                          members={groupMembers}
+                          getMemberName={getMemberName}
+                        />
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2 ml-4">
+                      {renderPlayButton(song)}
+                      {song.link && (
+                        <a
+                          href={song.link}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                        >
+                          Listen
+                        </a>
+                      )}
+                      {canModifySong(song) && (
+                        <>
+                          <button
+                            onClick={() => handleEdit(song)}
+                            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                            title="Edit song"
+                          >
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(song)}
+                            className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                            title="Delete song"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                      {isAdmin && !DEMO_MODE && !isQueuedPick(song.id) && (
+                        <button
+                          onClick={() => setMovingSong(movingSong?.song.id === song.id ? null : { song, date: '' })}
+                          className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                          title="Move to another week"
+                        >
+                          <Calendar className="w-4 h-4" />
+                        </button>
+                      )}
                     </div>
                   </div>
-                ))}
-              </div>
-            )}
-          </div>
-        )}
+                  {movingSong?.song.id === song.id && (
+                    <div className="mt-3 pt-3 border-t border-gray-100 flex flex-wrap items-center gap-2 text-sm">
+                      <span className="text-gray-700">Move to the week of</span>
+                      <input
+                        type="date"
+                        value={movingSong.date}
+                        onChange={(e) => setMovingSong({ ...movingSong, date: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {movingSong.date && (
+                        <span className="text-xs text-gray-500">{formatWeekLabel(getWeekKeyForDateString(movingSong.date))}</span>
+                      )}
+                      <button
+                        onClick={handleMoveSong}
+                        disabled={!movingSong.date}
+                        className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:bg-gray-400"
+                      >
+                        Move
+                      </button>
+                      <button
+                        onClick={() => setMovingSong(null)}
+                        className="text-gray-600 hover:text-gray-800 font-medium"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          {feedPage.hasMore && (
+            <div ref={loadMoreRef} className="pt-4 text-center">
+              {feedLoading ? (
+                <span className="text-sm text-gray-500">Loading more songs...</span>
+              ) : (
+                <button
+                  onClick={loadMoreSongs}
+                  className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors text-sm"
+                >
+                  Load more
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
 
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Song Name
-            </label>
-            <input
-              type="text"
-              value={newSong.songName}
-              onChange={(e) => setNewSong({...newSong, songName: e.target.value})}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              placeholder="Enter song name"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Artist
-            </label>
-            <input
-              type="text"
-              value={newSong.artist}
-              onChange={(e) => setNewSong({...newSong, artist: e.target.value})}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              placeholder="Enter artist name"
-            />
+  const renderArchiveView = () => {
+    const weekKey = archiveWeekKey || currentWeekKey;
+    const isCurrentWeek = weekKey >= currentWeekKey;
+
+    return (
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold text-gray-800">Weekly Archive</h2>
+            <div className="flex items-center gap-3 text-sm text-gray-600">
+              {archiveSongs.length} {archiveSongs.length === 1 ? 'song' : 'songs'} this week
+              {archiveSongs.length > 0 && (
+                <button
+                  onClick={() => handlePlayWeek(weekKey, archiveSongs)}
+                  className="inline-flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                >
+                  <Play className="w-4 h-4" />
+                  Play this week
+                </button>
+              )}
+              {weekKey === currentWeekKey && currentWeek && isAdmin && !DEMO_MODE && (
+                <button
+                  onClick={handleToggleWeekLock}
+                  className="inline-flex items-center gap-1 px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+                  title={currentWeek.locked ? 'Let members add and change picks again' : 'Stop members adding or changing picks'}
+                >
+                  {currentWeek.locked ? <Unlock className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+                  {currentWeek.locked ? 'Unlock week' : 'Lock week'}
+                </button>
+              )}
+            </div>
           </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Platform
-            </label>
-            <select
-              value={newSong.platform}
-              onChange={(e) => setNewSong({...newSong, platform: e.target.value})}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+
+          <div className="flex items-center justify-between gap-2">
+            <button
+              onClick={() => setArchiveWeekKey(shiftWeek(weekKey, -1))}
+              className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+              title="Previous week"
             >
-              <option>Spotify</option>
-              <option>Apple Music</option>
-              <option>YouTube Music</option>
-              <option>Deezer</option>
-              <option>SoundCloud</option>
-              <option>Other</option>
-            </select>
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Song Link (Optional)
-            </label>
-            <input
-              type="url"
-              value={newSong.link}
-              onChange={(e) => setNewSong({...newSong, link: e.target.value})}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              placeholder="Paste link to song"
-            />
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <div className="text-center">
+              <p className="font-semibold text-gray-900">{formatWeekLabel(weekKey)}</p>
+              <div className="mt-2 flex items-center justify-center gap-2">
+                <input
+                  type="date"
+                  value={weekKey}
+                  max={shiftWeek(currentWeekKey, 1)}
+                  onChange={(e) => e.target.value && setArchiveWeekKey(getWeekKeyForDateString(e.target.value))}
+                  className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                {!isCurrentWeek && (
+                  <button
+                    onClick={() => setArchiveWeekKey(currentWeekKey)}
+                    className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                  >
+                    This week
+                  </button>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={() => setArchiveWeekKey(shiftWeek(weekKey, 1))}
+              disabled={isCurrentWeek}
+              className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+              title="Next week"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
           </div>
-          
-          <button
-            onClick={handleSubmit}
-            disabled={!newSong.songName || !newSong.artist}
-            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
-          >
-            {editingId ? 'Update Song' : 'Submit Song'}
-          </button>
+
+          {themes[weekKey] && <div className="mt-4">{renderThemeBanner(themes[weekKey], 'Theme')}</div>}
+
+          {archiveSongs.length > 0 && PROVIDERS
+            .filter(provider => connectedProviders[provider.id] || playlists[getPlaylistDocId(provider.id, weekKey)])
+            .map(provider => (
+              <div key={provider.id} className="mt-4 pt-4 border-t border-gray-200">
+                {renderPlaylistControls(provider, weekKey, `${provider.platform} Playlist`)}
+              </div>
+            ))}
+
+          {archiveSongs.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              {renderExportControls([
+                { id: 'week', label: 'This week', songs: archiveSongs, title: getPlaylistTitle(activeGroup, weekKey, themes[weekKey]) }
+              ])}
+            </div>
+          )}
+
+          {archiveSongs.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-medium text-gray-700">Recap</span>
+                <button
+                  onClick={() => handleDownloadRecapImage(weekKey)}
+                  className="inline-flex items-center gap-1 px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                  Download image
+                </button>
+                {recaps[weekKey] ? (
+                  <>
+                    <button
+                      onClick={() => handleCopyRecapLink(weekKey)}
+                      className="inline-flex items-center gap-1 px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+                    >
+                      <Copy className="w-4 h-4" />
+                      Copy public link
+                    </button>
+                    {isAdmin && (
+                      <button
+                        onClick={() => handleUnshareRecap(weekKey)}
+                        className="text-red-600 hover:text-red-800 font-medium"
+                      >
+                        Stop sharing
+                      </button>
+                    )}
+                  </>
+                ) : isAdmin && !DEMO_MODE && (
+                  <button
+                    onClick={() => handleShareRecap(weekKey)}
+                    className="inline-flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    <Share2 className="w-4 h-4" />
+                    Share public page
+                  </button>
+                )}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                {recaps[weekKey]
+                  ? 'Anyone with the link can see this week\'s picks without signing in.'
+                  : 'A public page lets people outside the group see this week\'s picks, read-only.'}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          {archiveSongs.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No songs were picked this week.</p>
+          ) : (
+            <ol className="space-y-3">
+              {archiveSongs.map((song, index) => (
+                <li key={song.id} className="flex items-start gap-3 border border-gray-200 rounded-lg p-4">
+                  <span className="text-sm font-semibold text-gray-400 w-6">{index + 1}</span>
+                  <div className="flex-1">
+                    <p className="font-semibold text-gray-900">{song.songName} {renderThemeBadge(song)}</p>
+                    <p className="text-gray-600 text-sm">by {song.artist}</p>
+                    <p className="text-xs text-gray-500 mt-1">Submitted by <button onClick={() => openProfile(song.userId)} className="hover:text-blue-600">{getMemberName(song.userId)}</button> • {song.platform} • {renderListenedToggle(song)}</p>
+                    {renderEmbed(song)}
+                  </div>
+                  {renderPlayButton(song)}
+                  {song.link && (
+                    <a
+                      href={song.link}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                    >
+                      Listen
+                    </a>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
         </div>
       </div>
+    );
+  };
+
+  const renderWeekTimeInputs = (value, onChange) => (
+    <div className="mt-2 ml-6 flex gap-2">
+      <select
+        value={value.day}
+        onChange={(e) => onChange({...value, day: Number(e.target.value)})}
+        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {WEEKDAYS.map((dayName, day) => (
+          <option key={dayName} value={day}>{dayName}</option>
+        ))}
+      </select>
+      <input
+        type="time"
+        value={value.time}
+        onChange={(e) => e.target.value && onChange({...value, time: e.target.value})}
+        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
     </div>
   );
 
-  const renderFeedView = () => {
-    const songCounts = getSongCounts();
-    
+  const renderPlaylistControls = (provider, playlistKey, label) => {
+    const docId = getPlaylistDocId(provider.id, playlistKey);
+    const playlist = playlists[docId];
+    const canSync = connectedProviders[provider.id] && (!playlist || playlist.createdBy === user.uid);
+    const report = playlistReport?.key === docId ? playlistReport : null;
+
     return (
-      <div className="max-w-4xl mx-auto">
-        <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+      <div className="space-y-2">
+        <div className="flex items-center gap-2">
+          {canSync && (
+            <button
+              onClick={() => handleSyncPlaylist(provider, playlistKey)}
+              disabled={syncingPlaylistKey !== null}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors text-sm font-medium disabled:bg-gray-300"
+            >
+              {syncingPlaylistKey === docId
+                ? 'Syncing...'
+                : `${playlist ? 'Sync' : 'Create'} ${label}`}
+            </button>
+          )}
+          {playlist && (
+            <a
+              href={playlist.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+            >
+              Open in {provider.platform}
+            </a>
+          )}
+        </div>
+        {playlist && (
+          <p className="text-xs text-gray-500">
+            {playlist.trackCount} {playlist.trackCount === 1 ? 'track' : 'tracks'} • last synced {new Date(playlist.syncedAt).toLocaleString()}
+          </p>
+        )}
+        {report && report.unmatched.length > 0 && (
+          <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <p className="text-sm font-medium text-yellow-800 mb-1">
+              {report.unmatched.length} {report.unmatched.length === 1 ? 'pick' : 'picks'} couldn't be found on {provider.platform}:
+            </p>
+            <ul className="text-sm text-yellow-800 list-disc list-inside">
+              {report.unmatched.map(song => (
+                <li key={song.songId}>{song.songName} by {song.artist} ({song.userId ? getMemberName(song.userId) : song.user})</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // The owner manages admins and ownership; admins can remove members, but
+  // only the owner can remove an admin and nobody can remove the owner
+  const renderMemberActions = (memberId) => {
+    const role = getMemberRole(activeGroup, memberId);
+    const isOwner = activeGroup.ownerId === user.uid;
+    if (DEMO_MODE || memberId === user.uid || role === 'owner' || !isAdmin) return null;
+    return (
+      <>
+        {isOwner && (
+          <button
+            onClick={() => handleSetAdmin(memberId, role !== 'admin')}
+            className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+          >
+            {role === 'admin' ? 'Remove admin' : 'Make admin'}
+          </button>
+        )}
+        {isOwner && (
+          <button
+            onClick={() => handleTransferOwnership(memberId)}
+            className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+          >
+            Make owner
+          </button>
+        )}
+        {(isOwner || role === 'member') && (
+          <button
+            onClick={() => handleRemoveMember(memberId)}
+            className="text-xs text-red-600 hover:text-red-800 font-medium"
+          >
+            Remove
+          </button>
+        )}
+      </>
+    );
+  };
+
+  const renderGroupView = () => (
+    <div className="max-w-2xl mx-auto space-y-4">
+      {activeGroup && (
+        <div className="bg-white rounded-lg shadow-md p-6">
           <div className="flex items-center justify-between mb-4">
-            <h2 className="text-2xl font-bold text-gray-800">Weekly Picks Feed</h2>
+            <h2 className="text-2xl font-bold text-gray-800">{activeGroup.name}</h2>
             <div className="text-sm text-gray-600">
-              {songs.length} {songs.length === 1 ? 'song' : 'songs'} total
+              {activeGroup.memberIds.length} {activeGroup.memberIds.length === 1 ? 'member' : 'members'}
+            </div>
+          </div>
+
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Invite Friends</h3>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 px-3 py-2 bg-white border border-gray-300 rounded-md text-sm tracking-widest">
+                {activeGroup.inviteCode}
+              </code>
+              <button
+                onClick={handleCopyInviteLink}
+                className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm"
+              >
+                <Copy className="w-4 h-4" />
+                Copy Link
+              </button>
+            </div>
+            {activeGroup.ownerId === user.uid && (
+              <button
+                onClick={handleRegenerateInvite}
+                className="mt-2 text-blue-600 hover:text-blue-800 text-sm font-medium"
+              >
+                Generate new code
+              </button>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-1">
+              Week Time Zone
+            </label>
+            <select
+              value={groupTimeZone}
+              onChange={(e) => handleTimeZoneChange(e.target.value)}
+              disabled={activeGroup.ownerId !== user.uid}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+            >
+              {getTimeZones().map(timeZone => (
+                <option key={timeZone} value={timeZone}>{timeZone}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Weeks start at midnight on Sunday in this time zone.</p>
+          </div>
+
+          {activeGroup.ownerId === user.uid && (
+            <ImportSongs
+              key={activeGroup.id}
+              group={activeGroup}
+              members={groupMembers}
+              existingSongs={historySongs || []}
+              currentWeekKey={currentWeekKey}
+              getMemberName={getMemberName}
+            />
+          )}
+
+          {activeGroup.ownerId === user.uid && settingsDraft && (
+            <div className="mb-4 p-3 bg-gray-50 rounded-lg space-y-3">
+              <h3 className="text-sm font-semibold text-gray-700">Weekly Rules</h3>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Max picks per member each week</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settingsDraft.maxPicksPerWeek}
+                  onChange={(e) => setSettingsDraft({...settingsDraft, maxPicksPerWeek: e.target.value})}
+                  placeholder="Unlimited"
+                  className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Votes per member each week</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settingsDraft.votesPerWeek}
+                  onChange={(e) => setSettingsDraft({...settingsDraft, votesPerWeek: e.target.value})}
+                  placeholder="3"
+                  className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!settingsDraft.deadline}
+                    onChange={(e) => setSettingsDraft({...settingsDraft, deadline: e.target.checked ? { day: 0, time: '20:00' } : null})}
+                  />
+                  Submission deadline
+                </label>
+                {settingsDraft.deadline && renderWeekTimeInputs(settingsDraft.deadline, (deadline) => setSettingsDraft({...settingsDraft, deadline}))}
+                <p className="text-xs text-gray-500 mt-1">Picks can't be added, edited or deleted after the deadline.</p>
+              </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settingsDraft.blind}
+                    onChange={(e) => setSettingsDraft({...settingsDraft, blind: e.target.checked})}
+                  />
+                  Blind mode: hide picks until the reveal
+                </label>
+                {settingsDraft.blind && (
+                  <>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 mt-2 ml-6">
+                      <input
+                        type="checkbox"
+                        checked={!!settingsDraft.reveal}
+                        onChange={(e) => setSettingsDraft({...settingsDraft, reveal: e.target.checked ? { day: 0, time: '21:00' } : null})}
+                      />
+                      Reveal at a different time than the deadline
+                    </label>
+                    {settingsDraft.reveal && renderWeekTimeInputs(settingsDraft.reveal, (reveal) => setSettingsDraft({...settingsDraft, reveal}))}
+                  </>
+                )}
+              </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settingsDraft.blockDuplicates}
+                    onChange={(e) => setSettingsDraft({...settingsDraft, blockDuplicates: e.target.checked})}
+                  />
+                  Block the same song being picked twice in one week
+                </label>
+                <p className="text-xs text-gray-500 mt-1">Members are always warned about songs the group has picked before.</p>
+              </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!settingsDraft.reminder}
+                    onChange={(e) => setSettingsDraft({...settingsDraft, reminder: e.target.checked ? { day: 0, time: '18:00' } : null})}
+                  />
+                  Remind members who haven't picked yet
+                </label>
+                {settingsDraft.reminder && renderWeekTimeInputs(settingsDraft.reminder, (reminder) => setSettingsDraft({...settingsDraft, reminder}))}
+                <p className="text-xs text-gray-500 mt-1">Sent before the deadline to members who turned reminders on.</p>
+              </div>
+              <button
+                onClick={handleSaveSettings}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm"
+              >
+                Save Rules
+              </button>
             </div>
-          </div>
+          )}
 
-          <div className="mb-4">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-              <input
-                type="text"
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Search by song, artist, user, or platform..."
-                className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-              {searchTerm && (
+          {isAdmin && (
+            <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Weekly Themes</h3>
+              {Object.keys(themes).filter(weekKey => weekKey >= currentWeekKey).sort().map(weekKey => (
+                <div key={weekKey} className="flex items-start justify-between gap-2 py-2 border-b border-gray-200">
+                  <div className="text-sm">
+                    <p className="text-gray-900"><span className="text-gray-500">{formatWeekLabel(weekKey)}:</span> {themes[weekKey].name}</p>
+                    {themes[weekKey].description && <p className="text-xs text-gray-500">{themes[weekKey].description}</p>}
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => setThemeDraft({ weekKey, name: themes[weekKey].name, description: themes[weekKey].description || '' })}
+                      className="p-1 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                      title="Edit theme"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteTheme(weekKey)}
+                      className="p-1 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                      title="Remove theme"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <div className="mt-3 space-y-2">
+                <div className="flex items-center gap-2">
+                  <input
+                    type="date"
+                    value={themeDraft.weekKey}
+                    min={currentWeekKey}
+                    onChange={(e) => setThemeDraft({...themeDraft, weekKey: e.target.value ? getWeekKeyForDateString(e.target.value) : ''})}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {themeDraft.weekKey && <span className="text-xs text-gray-500">{formatWeekLabel(themeDraft.weekKey)}</span>}
+                </div>
+                <input
+                  type="text"
+                  value={themeDraft.name}
+                  maxLength={MAX_THEME_NAME_LENGTH}
+                  onChange={(e) => setThemeDraft({...themeDraft, name: e.target.value})}
+                  placeholder="Theme, e.g. Songs from your hometown"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <textarea
+                  value={themeDraft.description}
+                  maxLength={MAX_THEME_DESCRIPTION_LENGTH}
+                  onChange={(e) => setThemeDraft({...themeDraft, description: e.target.value})}
+                  placeholder="Description (optional)"
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
                 <button
-                  onClick={() => setSearchTerm('')}
-                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  onClick={handleSaveTheme}
+                  disabled={!themeDraft.weekKey || !themeDraft.name.trim()}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm disabled:bg-gray-300"
                 >
-                  <X className="w-5 h-5" />
+                  {themes[themeDraft.weekKey] ? 'Update Theme' : 'Schedule Theme'}
                 </button>
-              )}
+              </div>
             </div>
-          </div>
+          )}
 
-          {Object.keys(songCounts).length > 0 && (
-            <div className="mb-4 p-3 bg-gray-50 rounded-lg">
-              <h3 className="text-sm font-semibold text-gray-700 mb-2">Submissions by User</h3>
-              <div className="flex flex-wrap gap-2">
-                {Object.entries(songCounts).map(([user, count]) => (
-                  <div key={user} className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm">
-                    {user}: {count}
-                  </div>
-                ))}
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Members</h3>
+          <div className="space-y-2">
+            {groupMembers.map(member => (
+              <div key={member.id} className="flex items-center justify-between px-3 py-2 border border-gray-200 rounded-md">
+                <button
+                  onClick={() => openProfile(member.id)}
+                  className="inline-flex items-center gap-2 text-sm text-gray-900 hover:text-blue-600"
+                >
+                  <Avatar profile={member} name={getMemberName(member.id)} size="w-6 h-6 text-xs" />
+                  {getMemberName(member.id)}
+                </button>
+                <div className="flex items-center gap-2">
+                  {getMemberRole(activeGroup, member.id) === 'owner' && (
+                    <span className="px-2 py-0.5 bg-blue-100 text-blue-800 rounded-full text-xs">Owner</span>
+                  )}
+                  {getMemberRole(activeGroup, member.id) === 'admin' && (
+                    <span className="px-2 py-0.5 bg-indigo-100 text-indigo-800 rounded-full text-xs">Admin</span>
+                  )}
+                  {renderMemberActions(member.id)}
+                </div>
               </div>
+            ))}
+          </div>
+
+          {isAdmin && !DEMO_MODE && (
+            <div className="mt-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2 inline-flex items-center gap-1">
+                <Shield className="w-4 h-4" />
+                Audit Log
+              </h3>
+              {auditLog.length === 0 ? (
+                <p className="text-sm text-gray-500">No admin actions yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {auditLog.map(entry => (
+                    <li key={entry.id} className="py-2">
+                      <p className="text-gray-900">
+                        <span className="font-medium">{getMemberName(entry.actorId)}</span>
+                        {' '}{(AUDIT_ACTIONS[entry.action] || entry.action).toLowerCase()}
+                        {entry.targetUserId && <> for <span className="font-medium">{getMemberName(entry.targetUserId)}</span></>}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {entry.details && `${entry.action.endsWith('-week') ? formatWeekLabel(entry.details) : entry.details} • `}
+                        {entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'Just now'}
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           )}
+
+          {activeGroup.ownerId !== user.uid && (
+            <button
+              onClick={handleLeaveGroup}
+              className="mt-4 text-red-600 hover:text-red-800 text-sm font-medium"
+            >
+              Leave group
+            </button>
+          )}
         </div>
+      )}
 
-        <div className="bg-white rounded-lg shadow-md p-6">
-          {filteredSongs.length === 0 ? (
-            <p className="text-gray-500 text-center py-8">
-              {searchTerm ? 'No songs match your search.' : 'No songs submitted yet. Be the first!'}
-            </p>
-          ) : (
-            <div className="space-y-4">
-              {filteredSongs.map((song) => (
-                <div key={song.id} className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
-                  <div className="flex items-start justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-2 mb-1">
-                        <Music className="w-4 h-4 text-blue-600" />
-                        <span className="font-semibold text-gray-900">{song.songName}</span>
-                      </div>
-                      <p className="text-gray-600 text-sm mb-1">by {song.artist}</p>
-                      <div className="flex items-center gap-3 text-xs text-gray-500">
-                        <span>Submitted by {song.user}</span>
-                        <span>•</span>
-                        <span>{song.platform}</span>
-                        <span>•</span>
-                        <span>{song.week}</span>
-                      </div>
-                    </div>
-                    <div className="flex items-center gap-2 ml-4">
-                      {song.link && (
-                        <a
-                          href={song.link}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
-                        >
-                          Listen
-                        </a>
-                      )}
-                      {song.userId === user.uid && (
-                        <>
-                          <button
-                            onClick={() => handleEdit(song)}
-                            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
-                            title="Edit song"
-                          >
-                            <Edit2 className="w-4 h-4" />
-                          </button>
-                          <button
-                            onClick={() => handleDelete(song.id)}
-                            className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
-                            title="Delete song"
-                          >
-                            <Trash2 className="w-4 h-4" />
-                          </button>
-                        </>
-                      )}
-                    </div>
-                  </div>
-                </div>
-              ))}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        {!activeGroup && (
+          <p className="text-gray-600 mb-4">
+            You're not in a group yet. Create one for your friends or join with an invite code.
+          </p>
+        )}
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Create a Group
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newGroupName}
+                onChange={(e) => setNewGroupName(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleCreateGroup()}
+                placeholder="Group name"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={handleCreateGroup}
+                disabled={!newGroupName.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:bg-gray-300"
+              >
+                Create
+              </button>
             </div>
-          )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Join with Invite Code
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={joinCode}
+                onChange={(e) => setJoinCode(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleJoinGroup()}
+                placeholder="e.g. K7M2QX9P"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 uppercase"
+              />
+              <button
+                onClick={handleJoinGroup}
+                disabled={!joinCode.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:bg-gray-300"
+              >
+                Join
+              </button>
+            </div>
+          </div>
         </div>
       </div>
-    );
-  };
+    </div>
+  );
 
   const renderConnectView = () => (
     <div className="max-w-2xl mx-auto">
@@ -517,88 +2958,163 @@ export default function WeeklyMusicApp() {
         </p>
         
         <div className="space-y-3">
-          <div className="border border-gray-200 rounded-lg p-4">
-            <div className="flex items-center justify-between mb-3">
-              <div className="flex items-center gap-3">
-                <div className="w-10 h-10 bg-green-500 rounded-full flex items-center justify-center">
-                  <Music className="w-5 h-5 text-white" />
-                </div>
-                <div>
-                  <h3 className="font-semibold text-gray-900">Spotify</h3>
-                  <p className="text-sm text-gray-500">
-                    {spotifyConnected ? 'Connected' : 'Not connected'}
-                  </p>
+          {PROVIDERS.map(provider => {
+            const connected = !!connectedProviders[provider.id];
+            return (
+              <div key={provider.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center gap-3">
+                    <div className={`w-10 h-10 ${provider.color} rounded-full flex items-center justify-center`}>
+                      <Music className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                      <h3 className="font-semibold text-gray-900">{provider.platform}</h3>
+                      <p className="text-sm text-gray-500">
+                        {connected ? 'Connected' : 'Not connected'}
+                      </p>
+                    </div>
+                  </div>
+                  {connected ? (
+                    <button 
+                      onClick={() => handleDisconnectProvider(provider)}
+                      className="bg-red-500 text-white px-4 py-2 rounded-md hover:bg-red-600 transition-colors text-sm font-medium"
+                    >
+                      Disconnect
+                    </button>
+                  ) : (
+                    <button 
+                      onClick={() => handleConnectProvider(provider)}
+                      className={`${provider.color} text-white px-4 py-2 rounded-md hover:opacity-90 transition-opacity text-sm font-medium`}
+                    >
+                      Connect
+                    </button>
+                  )}
                 </div>
+                
+                {connected && activeGroup && (
+                  <div className="mt-3 pt-3 border-t border-gray-200 space-y-4">
+                    <div>
+                      {renderPlaylistControls(provider, currentWeekKey, "This Week's Playlist")}
+                      <p className="text-xs text-gray-500 mt-2">
+                        One playlist per week with every pick in submission order, including picks from other services. Sync again to pick up changes.
+                      </p>
+                    </div>
+                    <div>
+                      {renderPlaylistControls(provider, ALL_TIME_PLAYLIST, 'All-Time Playlist')}
+                      <p className="text-xs text-gray-500 mt-2">
+                        A rolling playlist of every pick the group has ever made.
+                      </p>
+                    </div>
+                    {provider.id === 'appleMusic' && (
+                      <p className="text-xs text-gray-500">
+                        Apple Music only lets us add songs, so picks deleted after a sync stay in the playlist.
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
-              {spotifyConnected ? (
-                <button 
-                  onClick={handleSpotifyDisconnect}
-                  className="bg-red-500 text-white px-4 py-2 rounded-md hover:bg-red-600 transition-colors text-sm font-medium"
-                >
-                  Disconnect
-                </button>
-              ) : (
-                <button 
-                  onClick={handleSpotifyConnect}
-                  className="bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-600 transition-colors text-sm font-medium"
-                >
-                  Connect
-                </button>
-              )}
-            </div>
-            
-            {spotifyConnected && (
-              <div className="mt-3 pt-3 border-t border-gray-200">
-                <button
-                  onClick={handleCreatePlaylist}
-                  className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors text-sm font-medium"
-                >
-                  Create Playlist from This Week's Songs
-                </button>
-                <p className="text-xs text-gray-500 mt-2">
-                  This will create a Spotify playlist with all Spotify songs from the current week
-                </p>
-              </div>
-            )}
-          </div>
-          
-          <div className="border border-gray-200 rounded-lg p-4 flex items-center justify-between opacity-50">
-            <div className="flex items-center gap-3">
-              <div className="w-10 h-10 bg-pink-500 rounded-full flex items-center justify-center">
-                <Music className="w-5 h-5 text-white" />
-              </div>
-              <div>
-                <h3 className="font-semibold text-gray-900">Apple Music</h3>
-                <p className="text-sm text-gray-500">Coming soon</p>
-              </div>
-            </div>
-          </div>
-          
-          <div className="border border-gray-200 rounded-lg p-4 flex items-center justify-between opacity-50">
-            <div className="flex items-center gap-3">
-              <div className="w-10 h-10 bg-red-500 rounded-full flex items-center justify-center">
-                <Music className="w-5 h-5 text-white" />
-              </div>
-              <div>
-                <h3 className="font-semibold text-gray-900">YouTube Music</h3>
-                <p className="text-sm text-gray-500">Coming soon</p>
-              </div>
-            </div>
-          </div>
+            );
+          })}
         </div>
         
-        <div className="mt-6 p-4 bg-blue-50 rounded-lg">
-          <h4 className="font-semibold text-gray-900 mb-2">✨ Spotify Connected!</h4>
-          <ul className="text-sm text-gray-600 space-y-1 list-disc list-inside">
-            <li>Search Spotify's library when submitting songs</li>
-            <li>Auto-fill song details from search results</li>
-            <li>Create collaborative playlists from weekly picks</li>
-          </ul>
+        {searchProviders.length > 0 && (
+          <div className="mt-6 p-4 bg-blue-50 rounded-lg">
+            <h4 className="font-semibold text-gray-900 mb-2">✨ {searchProviders.map(provider => provider.platform).join(' & ')} Connected!</h4>
+            <ul className="text-sm text-gray-600 space-y-1 list-disc list-inside">
+              <li>Search their libraries when submitting songs</li>
+              <li>Auto-fill song details from search results</li>
+              <li>Create collaborative playlists from weekly picks</li>
+            </ul>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+        <h2 className="text-2xl font-bold mb-2 text-gray-800">Listening History</h2>
+        <p className="text-gray-600 mb-4 text-sm">
+          Add your usernames to get pick suggestions from what you've played most this past week. Your profile there needs to be public.
+        </p>
+        <div className="space-y-3">
+          {LISTENING_SERVICES.map(service => (
+            <div key={service.id}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{service.name} username</label>
+              <input
+                type="text"
+                value={(listeningDraft || listeningAccounts)[service.id] || ''}
+                onChange={(e) => setListeningDraft({ ...(listeningDraft || listeningAccounts), [service.id]: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
         </div>
+        {listeningDraft && (
+          <div className="flex gap-2 mt-4">
+            <button
+              onClick={handleSaveListeningAccounts}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors text-sm font-medium"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setListeningDraft(null)}
+              className="bg-gray-200 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-300 transition-colors text-sm font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+        <h2 className="text-2xl font-bold mb-4 text-gray-800">Notifications</h2>
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="py-1 font-medium"></th>
+              <th className="py-1 font-medium text-center">Email</th>
+              <th className="py-1 font-medium text-center">Push</th>
+            </tr>
+          </thead>
+          <tbody>
+            {NOTIFICATION_KINDS.map(kind => (
+              <tr key={kind.id} className="border-t border-gray-200">
+                <td className="py-2 text-gray-900">{kind.label}</td>
+                {['Email', 'Push'].map(channel => (
+                  <td key={channel} className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={notificationPrefs[`${kind.id}${channel}`]}
+                      onChange={(e) => handleNotificationPrefChange(`${kind.id}${channel}`, e.target.checked)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mb-4">
+          Email goes to {user.email}. Reminders are only sent if your group's owner has set a reminder time.
+        </p>
+        {pushAvailable ? (
+          <button
+            onClick={handleTogglePush}
+            disabled={updatingPush}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors text-sm disabled:opacity-50"
+          >
+            {pushEnabled ? 'Turn off push on this device' : 'Turn on push on this device'}
+          </button>
+        ) : (
+          <p className="text-xs text-gray-500">Push notifications aren't available in this browser.</p>
+        )}
       </div>
     </div>
   );
 
+  // Shared recap links open without signing in
+  if (recapToken) {
+    return <RecapPage token={recapToken} />;
+  }
+
   // Show loading while checking authentication
   if (authLoading) {
     return (
@@ -616,7 +3132,7 @@ export default function WeeklyMusicApp() {
   // Main app (only shown when logged in)
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
-      <div className="container mx-auto px-4 py-8">
+      <div className={`container mx-auto px-4 py-8 ${playerQueue ? 'pb-40' : ''}`}>
         <header className="text-center mb-8">
           <div className="flex items-center justify-center gap-2 mb-2">
             <Music className="w-8 h-8 text-blue-600" />
@@ -625,8 +3141,20 @@ export default function WeeklyMusicApp() {
           <p className="text-gray-600">Share your favorite songs with friends every Sunday</p>
           <div className="mt-3 flex items-center justify-center gap-3">
             <span className="text-sm text-gray-600">
-              Logged in as: {userProfile?.displayName || user.email}
+              Logged in as: {getDisplayName(userProfile, user.email)}
             </span>
+            {groups.length > 0 && (
+              <select
+                value={activeGroupId || ''}
+                onChange={(e) => setActiveGroupId(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title="Switch group"
+              >
+                {groups.map(group => (
+                  <option key={group.id} value={group.id}>{group.name}</option>
+                ))}
+              </select>
+            )}
             <button
               onClick={handleLogout}
               className="inline-flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 transition-colors text-sm"
@@ -660,6 +3188,28 @@ export default function WeeklyMusicApp() {
             <List className="w-4 h-4" />
             Feed
           </button>
+          <button
+            onClick={openArchive}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              currentView === 'archive'
+                ? 'bg-blue-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <Calendar className="w-4 h-4" />
+            Archive
+          </button>
+          <button
+            onClick={() => setCurrentView('stats')}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              currentView === 'stats'
+                ? 'bg-blue-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <BarChart3 className="w-4 h-4" />
+            Stats
+          </button>
           <button
             onClick={() => setCurrentView('connect')}
             className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
@@ -671,14 +3221,124 @@ export default function WeeklyMusicApp() {
             <Settings className="w-4 h-4" />
             Connect
           </button>
+          <button
+            onClick={() => setCurrentView('group')}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              currentView === 'group'
+                ? 'bg-blue-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <Users className="w-4 h-4" />
+            Group
+          </button>
+          <button
+            onClick={() => openProfile(user.uid)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              currentView === 'profile'
+                ? 'bg-blue-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <User className="w-4 h-4" />
+            Profile
+          </button>
         </nav>
 
+        {DEMO_MODE && (
+          <div className="mb-4 p-3 bg-blue-50 rounded-lg text-sm text-blue-900">
+            Demo mode: picks and profiles are saved in this browser only.
+          </div>
+        )}
+
+        {(!online || pendingChanges > 0) && (
+          <div className="mb-4 p-3 bg-amber-50 rounded-lg flex items-center gap-2 text-sm text-amber-900">
+            <CloudOff className="w-4 h-4" />
+            {!online
+              ? `You're offline, so you're seeing saved picks.${pendingChanges > 0 ? ` ${pendingChanges} ${pendingChanges === 1 ? 'change' : 'changes'} will be sent when you're back online.` : ''}`
+              : `Sending ${pendingChanges} ${pendingChanges === 1 ? 'change' : 'changes'} made offline...`}
+          </div>
+        )}
+
         <main>
-          {currentView === 'submit' && renderSubmitView()}
-          {currentView === 'feed' && renderFeedView()}
-          {currentView === 'connect' && renderConnectView()}
+          {!groupsLoading && !activeGroup && currentView !== 'connect' ? renderGroupView() : (
+            <>
+              {currentView === 'submit' && renderSubmitView()}
+              {currentView === 'feed' && renderFeedView()}
+              {currentView === 'archive' && renderArchiveView()}
+              {currentView === 'stats' && (historySongs ? (
+                <StatsView
+                  key={activeGroupId}
+                  songs={historySongs.filter(song => !song.hidden)}
+                  members={groupMembers}
+                  getMemberName={getMemberName}
+                  currentWeekKey={currentWeekKey}
+                />
+              ) : (
+                <p className="text-gray-500 text-center py-8">Loading stats...</p>
+              ))}
+              {currentView === 'connect' && renderConnectView()}
+              {currentView === 'group' && renderGroupView()}
+              {currentView === 'trash' && (
+                <TrashView
+                  songs={trash}
+                  userId={user.uid}
+                  isAdmin={isAdmin}
+                  getMemberName={getMemberName}
+                  onRestore={(song) => handleRestoreSong(song.id)}
+                  onPurge={handlePurgeSong}
+                  onClose={() => setCurrentView('feed')}
+                />
+              )}
+              {currentView === 'profile' && (
+                <ProfileView
+                  profile={profileUserId ? groupMembers.find(m => m.id === profileUserId) : userProfile}
+                  name={profileUserId ? getMemberName(profileUserId) : getDisplayName(userProfile, user.email)}
+                  isOwn={!profileUserId}
+                  songs={profileSongs}
+                  hasMore={profileHasMore}
+                  onLoadMore={() => setProfileLimit(profileLimit + PROFILE_PAGE_SIZE)}
+                  onSave={handleSaveProfile}
+                  onClose={() => setProfileUserId(null)}
+                />
+              )}
+            </>
+          )}
         </main>
       </div>
+
+      {undoTrash && (
+        <div className={`fixed inset-x-0 z-50 flex justify-center px-4 ${playerQueue ? 'bottom-28' : 'bottom-4'}`}>
+          <div className="flex items-center gap-4 px-4 py-3 bg-gray-900 text-white rounded-lg shadow-lg text-sm">
+            <span>"{undoTrash.songName}" moved to the trash</span>
+            <button
+              onClick={() => handleRestoreSong(undoTrash.trashId)}
+              className="font-semibold text-blue-300 hover:text-blue-200"
+            >
+              Undo
+            </button>
+            <button
+              onClick={() => setUndoTrash(null)}
+              className="text-gray-400 hover:text-gray-200"
+              title="Dismiss"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {playerQueue && (
+        <MiniPlayer
+          key={playerQueue.id}
+          queue={playerQueue}
+          onIndexChange={(index) => setPlayerQueue(queue => ({ ...queue, index }))}
+          onClose={() => setPlayerQueue(null)}
+          listenedIds={listenedIds}
+          onListened={handleListened}
+          onToggleListened={handleToggleListened}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
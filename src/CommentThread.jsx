@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Edit2, Trash2, Send } from 'lucide-react';
+import { songRepository } from './repositories';
+import { MAX_COMMENT_LENGTH, addComment, updateComment, deleteComment, getMentionQuery, escapeRegExp } from './comments';
+
+export default function CommentThread({ song, user, members, getMemberName }) {
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [editingCommentId, setEditingCommentId] = useState(null);
+  const [editText, setEditText] = useState('');
+
+  // Load this song's comments in real-time
+  useEffect(() => {
+    return songRepository.subscribeComments(song, setComments,
+      err => console.error('Error loading comments:', err));
+  }, [song.groupId, song.id]);
+
+  const mentionQuery = getMentionQuery(newComment);
+  const mentionSuggestions = mentionQuery === null ? [] : members.filter(member =>
+    member.id !== user.uid &&
+    member.displayName &&
+    member.displayName.toLowerCase().startsWith(mentionQuery.toLowerCase())
+  );
+
+  const handleSelectMention = (member) => {
+    setNewComment(`${newComment.slice(0, newComment.length - mentionQuery.length)}${member.displayName} `);
+  };
+
+  const handleAddComment = async () => {
+    if (!newComment.trim()) return;
+
+    try {
+      await addComment(song, user, newComment, members);
+      setNewComment('');
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      alert('Error posting comment. Please try again.');
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editText.trim()) return;
+
+    try {
+      await updateComment(editingCommentId, editText, members);
+      setEditingCommentId(null);
+    } catch (err) {
+      console.error('Error updating comment:', err);
+      alert('Error updating comment. Please try again.');
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    if (window.confirm('Delete this comment?')) {
+      try {
+        await deleteComment(commentId);
+      } catch (err) {
+        console.error('Error deleting comment:', err);
+        alert('Error deleting comment. Please try again.');
+      }
+    }
+  };
+
+  // Highlight "@Name" for members the comment mentions
+  const renderText = (comment) => {
+    const names = members
+      .filter(member => (comment.mentions || []).includes(member.id) && member.displayName)
+      .map(member => `@${member.displayName}`);
+    if (names.length === 0) return comment.text;
+
+    const pattern = new RegExp(`(${names.map(escapeRegExp).join('|')})`, 'gi');
+    return comment.text.split(pattern).map((part, index) =>
+      index % 2 === 1
+        ? <span key={index} className="text-blue-700 font-medium">{part}</span>
+        : part
+    );
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200">
+      {comments.length > 0 && (
+        <div className="space-y-3 mb-3">
+          {comments.map(comment => (
+            <div key={comment.id} className="text-sm">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-gray-900">{getMemberName(comment.userId)}</span>
+                {comment.userId === user.uid && editingCommentId !== comment.id && (
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => {
+                        setEditingCommentId(comment.id);
+                        setEditText(comment.text);
+                      }}
+                      className="p-1 text-gray-500 hover:text-blue-600 rounded transition-colors"
+                      title="Edit comment"
+                    >
+                      <Edit2 className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteComment(comment.id)}
+                      className="p-1 text-gray-500 hover:text-red-600 rounded transition-colors"
+                      title="Delete comment"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                )}
+              </div>
+              {editingCommentId === comment.id ? (
+                <div className="mt-1 flex gap-2">
+                  <input
+                    type="text"
+                    value={editText}
+                    maxLength={MAX_COMMENT_LENGTH}
+                    onChange={(e) => setEditText(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && handleSaveEdit()}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button onClick={handleSaveEdit} className="text-blue-600 hover:text-blue-800 text-xs font-medium">
+                    Save
+                  </button>
+                  <button onClick={() => setEditingCommentId(null)} className="text-gray-500 hover:text-gray-700 text-xs font-medium">
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <p className="text-gray-700 whitespace-pre-wrap break-words">
+                  {renderText(comment)}
+                  {comment.updatedAt && <span className="text-xs text-gray-400"> (edited)</span>}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="relative">
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newComment}
+            maxLength={MAX_COMMENT_LENGTH}
+            onChange={(e) => setNewComment(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && mentionSuggestions.length === 0 && handleAddComment()}
+            placeholder="Add a comment... use @ to mention someone"
+            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={handleAddComment}
+            disabled={!newComment.trim()}
+            className="p-2 text-blue-600 hover:text-blue-800 disabled:text-gray-300"
+            title="Post comment"
+          >
+            <Send className="w-4 h-4" />
+          </button>
+        </div>
+        {mentionSuggestions.length > 0 && (
+          <div className="absolute z-10 mt-1 w-64 bg-white border border-gray-200 rounded-md shadow-md">
+            {mentionSuggestions.map(member => (
+              <button
+                key={member.id}
+                onClick={() => handleSelectMention(member)}
+                className="block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                {member.displayName}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
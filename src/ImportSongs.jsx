@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Upload } from 'lucide-react';
+import { formatWeekLabel } from './weeks';
+import { MAX_IMPORT_ROWS, IMPORT_FIELDS, parseImportFile, guessMapping, guessMembers, buildImportRows, importSongs } from './songImport';
+
+const STATUS_STYLES = {
+  ready: 'text-green-700',
+  imported: 'text-green-700',
+  duplicate: 'text-yellow-700',
+  error: 'text-red-600'
+};
+
+const STATUS_LABELS = { ready: 'Ready', imported: 'Imported', duplicate: 'Duplicate', error: 'Error' };
+
+// Owner-only backfill of picks from a CSV or JSON file: choose a file, map
+// its columns and submitters, preview every row, then import
+export default function ImportSongs({ group, members, existingSongs, currentWeekKey, getMemberName }) {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [memberIds, setMemberIds] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [results, setResults] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    try {
+      const parsed = parseImportFile(selected.name, await selected.text());
+      if (parsed.records.length === 0) {
+        alert('That file has no rows to import.');
+        return;
+      }
+      if (parsed.records.length > MAX_IMPORT_ROWS) {
+        alert(`That file has ${parsed.records.length} rows. Split it into files of at most ${MAX_IMPORT_ROWS} rows.`);
+        return;
+      }
+      const guessed = guessMapping(parsed.columns);
+      setFile({ name: selected.name, ...parsed });
+      setMapping(guessed);
+      setMemberIds(guessMembers(parsed.records, guessed, members));
+      setResults(null);
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      alert(err.message);
+    }
+  };
+
+  const handleMappingChange = (field, column) => {
+    const updated = { ...mapping, [field]: column };
+    setMapping(updated);
+    if (field === 'user') {
+      setMemberIds(guessMembers(file.records, updated, members));
+    }
+  };
+
+  const rows = file ? buildImportRows({
+    records: file.records,
+    firstRowNumber: file.firstRowNumber,
+    mapping,
+    memberIds,
+    existingSongs,
+    currentWeekKey,
+    timeZone: group.timeZone
+  }) : [];
+  const readyRows = rows.filter(row => row.status === 'ready');
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const imported = await importSongs(group.id, readyRows);
+      const byRow = Object.fromEntries(imported.map(result => [result.rowNumber, result]));
+      // Rows that never left the browser keep their preview status
+      setResults(rows.map(row => byRow[row.rowNumber] || row));
+    } catch (err) {
+      console.error('Error importing songs:', err);
+      alert('Error importing songs. Please try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const shownRows = results || rows;
+  const counts = shownRows.reduce((totals, row) => ({ ...totals, [row.status]: (totals[row.status] || 0) + 1 }), {});
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg space-y-3">
+      <h3 className="text-sm font-semibold text-gray-700">Import Past Picks</h3>
+      <p className="text-xs text-gray-500">
+        Backfill picks from a CSV or JSON file, such as a spreadsheet export. Each row needs a song, artist, submitter and date.
+      </p>
+      <label className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+        <Upload className="w-4 h-4" />
+        {file ? 'Choose another file' : 'Choose file'}
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="hidden" />
+      </label>
+
+      {file && !results && (
+        <>
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Columns in {file.name}</h4>
+            <div className="grid grid-cols-2 gap-2">
+              {IMPORT_FIELDS.map(field => (
+                <label key={field.key} className="text-sm text-gray-700">
+                  <span className="block mb-1">{field.label}{field.required ? '' : ' (optional)'}</span>
+                  <select
+                    value={mapping[field.key]}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Not in file</option>
+                    {file.columns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {Object.keys(memberIds).length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Submitters</h4>
+              <div className="space-y-1">
+                {Object.keys(memberIds).map(name => (
+                  <div key={name} className="flex items-center gap-2 text-sm">
+                    <span className="flex-1 truncate text-gray-700">{name}</span>
+                    <select
+                      value={memberIds[name]}
+                      onChange={(e) => setMemberIds({ ...memberIds, [name]: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Skip these rows</option>
+                      {members.map(member => (
+                        <option key={member.id} value={member.id}>{getMemberName(member.id)}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {file && (
+        <div>
+          <p className="text-sm text-gray-700 mb-2">
+            {Object.entries(counts).map(([status, count]) => `${count} ${STATUS_LABELS[status].toLowerCase()}`).join(' • ')}
+          </p>
+          <div className="max-h-72 overflow-y-auto border border-gray-200 rounded-md bg-white">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-gray-50">
+                <tr className="text-left text-gray-500">
+                  <th className="px-2 py-1 font-medium">Row</th>
+                  <th className="px-2 py-1 font-medium">Song</th>
+                  <th className="px-2 py-1 font-medium">Week</th>
+                  <th className="px-2 py-1 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownRows.map(row => {
+                  const song = rows.find(r => r.rowNumber === row.rowNumber)?.song;
+                  return (
+                    <tr key={row.rowNumber} className="border-t border-gray-100 align-top">
+                      <td className="px-2 py-1 text-gray-500">{row.rowNumber}</td>
+                      <td className="px-2 py-1 text-gray-900">
+                        {song ? `${song.songName} by ${song.artist} (${getMemberName(song.userId)})` : '—'}
+                      </td>
+                      <td className="px-2 py-1 text-gray-700 whitespace-nowrap">{song ? formatWeekLabel(song.weekKey) : '—'}</td>
+                      <td className={`px-2 py-1 ${STATUS_STYLES[row.status]}`}>
+                        {STATUS_LABELS[row.status]}{row.message ? `: ${row.message}` : ''}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {file && !results && (
+        <button
+          onClick={handleImport}
+          disabled={importing || readyRows.length === 0}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm disabled:bg-gray-300"
+        >
+          {importing ? 'Importing...' : `Import ${readyRows.length} ${readyRows.length === 1 ? 'pick' : 'picks'}`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { LISTEN_PLATFORMS } from './platforms';
+import { parseSongLink } from './links';
+import { confirmSongMatch } from './songs';
+
+// Lets the submitter settle matches the backend flagged as ambiguous or missing
+export default function MatchReview({ song, onDone }) {
+  const [links, setLinks] = useState({});
+  const [errors, setErrors] = useState({});
+
+  const flaggedPlatforms = LISTEN_PLATFORMS.filter(platform => {
+    const match = song.matches?.[platform];
+    return match && (match.status === 'ambiguous' || match.status === 'unmatched');
+  });
+
+  const handleConfirm = async (platform, link) => {
+    // Saved as the normalised https:// link, the only kind firestore.rules takes
+    let url = null;
+    if (link) {
+      try {
+        const parsed = parseSongLink(link);
+        if (parsed.platform !== platform) {
+          setErrors({ ...errors, [platform]: `That's a ${parsed.platform} link, not ${platform}.` });
+          return;
+        }
+        url = parsed.url;
+      } catch (err) {
+        setErrors({ ...errors, [platform]: err.message });
+        return;
+      }
+    }
+
+    try {
+      await confirmSongMatch(song, platform, url);
+      setErrors({ ...errors, [platform]: null });
+      if (flaggedPlatforms.length === 1) onDone();
+    } catch (err) {
+      console.error('Error saving match:', err);
+      alert('Error saving the link. Please try again.');
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+      <p className="text-sm text-yellow-800">
+        We couldn't be sure where this song is on some services. Pick the right one so everyone can listen.
+      </p>
+      {flaggedPlatforms.map(platform => {
+        const match = song.matches[platform];
+        return (
+          <div key={platform}>
+            <h4 className="text-sm font-semibold text-gray-800 mb-1">{platform}</h4>
+            {(match.candidates || []).map(candidate => (
+              <button
+                key={candidate.url}
+                onClick={() => handleConfirm(platform, candidate.url)}
+                className="block w-full text-left px-3 py-1.5 mb-1 bg-white border border-gray-200 rounded-md text-sm hover:bg-gray-50"
+              >
+                {candidate.songName} <span className="text-gray-500">by {candidate.artist}</span>
+              </button>
+            ))}
+            <div className="flex gap-2">
+              <input
+                type="url"
+                value={links[platform] || ''}
+                onChange={(e) => setLinks({ ...links, [platform]: e.target.value })}
+                placeholder={`Paste the ${platform} link`}
+                className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={() => handleConfirm(platform, links[platform])}
+                disabled={!links[platform]}
+                className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm disabled:bg-gray-300"
+              >
+                Save
+              </button>
+              <button
+                onClick={() => handleConfirm(platform, null)}
+                className="text-gray-600 hover:text-gray-800 text-xs font-medium"
+              >
+                Not available
+              </button>
+            </div>
+            {errors[platform] && <p className="text-sm text-red-600 mt-1">{errors[platform]}</p>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, Pause, SkipBack, SkipForward, X, Check } from 'lucide-react';
+import { getPreviewUrl, getEmbedUrl, isPlayable } from './player';
+
+const AUTOPLAY_STORAGE_KEY = 'playerAutoplay';
+
+// Docked under every view while a queue is playing. Previews play here and
+// move on to the next pick when they end; a pick with only an embed player
+// shows it instead and waits for Next, and a pick with nothing to play is
+// skipped in whichever direction the listener was going.
+export default function MiniPlayer({ queue, onIndexChange, onClose, listenedIds, onListened, onToggleListened }) {
+  const { songs, index, label } = queue;
+  const song = songs[index];
+  const audioRef = useRef(null);
+  const directionRef = useRef(1);
+  const [source, setSource] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [skippedIds, setSkippedIds] = useState([]);
+  const [autoplay, setAutoplay] = useState(() => localStorage.getItem(AUTOPLAY_STORAGE_KEY) !== 'false');
+
+  const goTo = (nextIndex, direction) => {
+    directionRef.current = direction;
+    onIndexChange(nextIndex);
+  };
+
+  const skip = () => {
+    setSkippedIds(ids => ids.includes(song.id) ? ids : [...ids, song.id]);
+    const nextIndex = index + directionRef.current;
+    if (nextIndex >= 0 && nextIndex < songs.length) {
+      onIndexChange(nextIndex);
+    } else {
+      setSource({ songId: song.id, previewUrl: null, embedUrl: null });
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setSource(null);
+    setPlaying(false);
+    if (!isPlayable(song)) {
+      skip();
+      return;
+    }
+
+    getPreviewUrl(song).then((previewUrl) => {
+      if (cancelled) return;
+      const embedUrl = previewUrl ? null : getEmbedUrl(song);
+      if (!previewUrl && !embedUrl) {
+        skip();
+        return;
+      }
+      setSource({ songId: song.id, previewUrl, embedUrl });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [song.id]);
+
+  const handleEnded = () => {
+    setPlaying(false);
+    onListened(song);
+    if (autoplay && index + 1 < songs.length) goTo(index + 1, 1);
+  };
+
+  // A preview that won't load falls back to the embed player
+  const handleError = () => {
+    const embedUrl = getEmbedUrl(song);
+    if (embedUrl) {
+      setSource({ songId: song.id, previewUrl: null, embedUrl });
+    } else {
+      skip();
+    }
+  };
+
+  const handleTogglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      audio.play().catch(err => console.error('Error playing preview:', err));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const handleAutoplayChange = (enabled) => {
+    setAutoplay(enabled);
+    localStorage.setItem(AUTOPLAY_STORAGE_KEY, String(enabled));
+  };
+
+  const listened = listenedIds.includes(song.id);
+  const nothingLeft = source && !source.previewUrl && !source.embedUrl;
+  const skippedCount = skippedIds.length;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-40 bg-white border-t border-gray-200 shadow-lg">
+      <div className="container mx-auto px-4 py-3 max-w-4xl">
+        {source?.previewUrl && (
+          <audio
+            key={source.songId}
+            ref={audioRef}
+            src={source.previewUrl}
+            autoPlay
+            onPlay={() => setPlaying(true)}
+            onPause={() => setPlaying(false)}
+            onEnded={handleEnded}
+            onError={handleError}
+          />
+        )}
+        {source?.embedUrl && (
+          <iframe
+            key={source.songId}
+            src={source.embedUrl}
+            title={`${song.songName} player`}
+            allow="autoplay; encrypted-media; clipboard-write"
+            className="w-full h-20 mb-2 rounded border-0"
+          />
+        )}
+
+        <div className="flex items-center gap-3">
+          {song.artworkUrl && (
+            <img src={song.artworkUrl} alt="" className="w-10 h-10 rounded object-cover" />
+          )}
+          <div className="flex-1 min-w-0">
+            <p className="font-semibold text-gray-900 truncate">
+              {nothingLeft ? 'Nothing left to play' : `${song.songName} - ${song.artist}`}
+            </p>
+            <p className="text-xs text-gray-500 truncate">
+              {label} • {index + 1} of {songs.length}
+              {!source && !nothingLeft && ' • Loading...'}
+              {source?.embedUrl && ' • Preview not available, playing in the embed'}
+              {skippedCount > 0 && ` • Skipped ${skippedCount} ${skippedCount === 1 ? 'pick' : 'picks'} with nothing to play`}
+            </p>
+          </div>
+
+          <button
+            onClick={() => onToggleListened(song, !listened)}
+            className={`inline-flex items-center gap-1 text-xs font-medium ${listened ? 'text-green-700' : 'text-gray-500 hover:text-gray-700'}`}
+            title={listened ? 'Mark as not listened' : 'Mark as listened'}
+          >
+            <Check className="w-4 h-4" />
+            <span className="hidden sm:inline">{listened ? 'Listened' : 'Mark listened'}</span>
+          </button>
+          <button
+            onClick={() => goTo(index - 1, -1)}
+            disabled={index === 0}
+            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+            title="Previous pick"
+          >
+            <SkipBack className="w-4 h-4" />
+          </button>
+          <button
+            onClick={handleTogglePlay}
+            disabled={!source?.previewUrl}
+            className="p-2 bg-blue-600 text-white rounded-full hover:bg-blue-700 transition-colors disabled:bg-gray-300"
+            title={playing ? 'Pause' : 'Play'}
+          >
+            {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </button>
+          <button
+            onClick={() => goTo(index + 1, 1)}
+            disabled={index + 1 >= songs.length}
+            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+            title="Next pick"
+          >
+            <SkipForward className="w-4 h-4" />
+          </button>
+          <label className="hidden sm:flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={autoplay}
+              onChange={(e) => handleAutoplayChange(e.target.checked)}
+            />
+            Autoplay
+          </label>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600"
+            title="Close player"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { Music, Edit2, X } from 'lucide-react';
+import { formatWeekLabel } from './weeks';
+import { MAX_DISPLAY_NAME_LENGTH, MAX_BIO_LENGTH, getDisplayName, validateProfile, readAvatarFile } from './profiles';
+
+export const Avatar = ({ profile, name, size = 'w-8 h-8' }) => (
+  profile?.avatarUrl ? (
+    <img src={profile.avatarUrl} alt="" className={`${size} rounded-full object-cover`} />
+  ) : (
+    <span className={`${size} rounded-full bg-blue-100 text-blue-700 font-semibold inline-flex items-center justify-center`}>
+      {(name || '?').charAt(0).toUpperCase()}
+    </span>
+  )
+);
+
+const toDraft = (profile) => ({
+  displayName: profile?.displayName || '',
+  avatarUrl: profile?.avatarUrl || '',
+  bio: profile?.bio || ''
+});
+
+// A member's profile and every pick of theirs in the group, newest first.
+// Members edit their own name, avatar and bio here.
+export default function ProfileView({ profile, name, isOwn, songs, hasMore, onLoadMore, onSave, onClose }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(null);
+    setError(null);
+  }, [profile?.id]);
+
+  const handleAvatarFile = async (file) => {
+    if (!file) return;
+    try {
+      setDraft({ ...draft, avatarUrl: await readAvatarFile(file) });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = async () => {
+    const problem = validateProfile(draft);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(draft);
+      setDraft(null);
+      setError(null);
+    } catch (err) {
+      console.error('Error saving profile:', err);
+      alert('Error saving your profile. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-4">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-start gap-4">
+          <Avatar profile={draft || profile} name={draft?.displayName || name} size="w-20 h-20 text-2xl" />
+          <div className="flex-1">
+            {draft ? (
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Display name</label>
+                  <input
+                    type="text"
+                    value={draft.displayName}
+                    maxLength={MAX_DISPLAY_NAME_LENGTH}
+                    onChange={(e) => setDraft({ ...draft, displayName: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Avatar</label>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      type="file"
+                      accept="image/*"
+                      onChange={(e) => handleAvatarFile(e.target.files[0])}
+                      className="text-sm"
+                    />
+                    {draft.avatarUrl && (
+                      <button
+                        onClick={() => setDraft({ ...draft, avatarUrl: '' })}
+                        className="text-sm text-red-600 hover:text-red-800 font-medium"
+                      >
+                        Remove picture
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Bio</label>
+                  <textarea
+                    value={draft.bio}
+                    maxLength={MAX_BIO_LENGTH}
+                    rows={3}
+                    onChange={(e) => setDraft({ ...draft, bio: e.target.value })}
+                    placeholder="What do you listen to?"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 text-right">{draft.bio.length}/{MAX_BIO_LENGTH}</p>
+                </div>
+                {error && <p className="text-sm text-red-600">{error}</p>}
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm disabled:bg-gray-400"
+                  >
+                    {saving ? 'Saving...' : 'Save Profile'}
+                  </button>
+                  <button
+                    onClick={() => setDraft(null)}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-sm"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <div className="flex items-center gap-2">
+                  <h2 className="text-2xl font-bold text-gray-800">{name}</h2>
+                  {isOwn && (
+                    <button
+                      onClick={() => setDraft(toDraft(profile))}
+                      className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                      title="Edit profile"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                {profile?.bio && <p className="text-gray-700 mt-1 whitespace-pre-line">{profile.bio}</p>}
+                {isOwn && !getDisplayName(profile) && (
+                  <p className="text-sm text-gray-500 mt-1">Pick a display name so the group knows who you are.</p>
+                )}
+              </>
+            )}
+          </div>
+          {!isOwn && (
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-400 hover:text-gray-600"
+              title="Back to my profile"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">
+          Pick History{songs && !hasMore && ` (${songs.length})`}
+        </h3>
+        {!songs ? (
+          <p className="text-gray-500 text-center py-8">Loading picks...</p>
+        ) : songs.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No picks yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {songs.map(song => (
+              <li key={song.id} className="flex items-center gap-3 py-3">
+                {song.artworkUrl ? (
+                  <img src={song.artworkUrl} alt="" className="w-10 h-10 rounded object-cover" />
+                ) : (
+                  <Music className="w-10 h-10 p-2 text-blue-600 bg-blue-50 rounded" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-gray-900 truncate">{song.songName}</p>
+                  <p className="text-sm text-gray-600 truncate">by {song.artist}</p>
+                </div>
+                <span className="text-xs text-gray-500 whitespace-nowrap">
+                  {song.weekKey ? formatWeekLabel(song.weekKey) : song.week}
+                </span>
+                {song.link && (
+                  <a
+                    href={song.link}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                  >
+                    Listen
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {songs && hasMore && (
+          <div className="pt-4 text-center">
+            <button
+              onClick={onLoadMore}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors text-sm"
+            >
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { Music, Download, Trophy } from 'lucide-react';
+import { formatWeekLabel } from './weeks';
+import { PROVIDERS } from './providers';
+import { loadRecap } from './recaps';
+import { downloadRecapImage } from './recapImage';
+
+// The public, read-only lineup behind a shared recap link. Shown instead
+// of the app, signed in or not.
+export default function RecapPage({ token }) {
+  const [recap, setRecap] = useState(null);
+  const [error, setError] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    loadRecap(token)
+      .then(setRecap)
+      .catch((err) => {
+        console.error('Error loading recap:', err);
+        setError(err.code === 'functions/not-found' || err.code === 'functions/invalid-argument'
+          ? 'This recap is no longer shared.'
+          : 'Error loading the recap. Please try again.');
+      });
+  }, [token]);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadRecapImage(recap);
+    } catch (err) {
+      console.error('Error creating recap image:', err);
+      alert('Error creating the image. Please try again.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const getProviderName = (providerId) => PROVIDERS.find(provider => provider.id === providerId)?.platform || providerId;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <header className="text-center mb-8">
+          <div className="flex items-center justify-center gap-2 mb-2">
+            <Music className="w-8 h-8 text-blue-600" />
+            <h1 className="text-4xl font-bold text-gray-900">Weekly Tunes</h1>
+          </div>
+          {recap && (
+            <p className="text-gray-600">{recap.groupName} • {formatWeekLabel(recap.weekKey)}</p>
+          )}
+        </header>
+
+        {error && <p className="text-gray-600 text-center py-8">{error}</p>}
+        {!recap && !error && <p className="text-gray-500 text-center py-8">Loading recap...</p>}
+
+        {recap && (
+          <>
+            <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-800">This Week's Picks</h2>
+                  <p className="text-sm text-gray-600">
+                    {recap.songs.length} {recap.songs.length === 1 ? 'song' : 'songs'}
+                  </p>
+                </div>
+                {recap.songs.length > 0 && (
+                  <button
+                    onClick={handleDownload}
+                    disabled={downloading}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm disabled:bg-gray-400"
+                  >
+                    <Download className="w-4 h-4" />
+                    {downloading ? 'Creating image...' : 'Download image'}
+                  </button>
+                )}
+              </div>
+              {recap.theme && (
+                <div className="mt-4 p-3 bg-purple-50 rounded-lg text-sm text-purple-900">
+                  <p><span className="font-semibold">Theme:</span> {recap.theme.name}</p>
+                  {recap.theme.description && <p className="mt-1 text-purple-800">{recap.theme.description}</p>}
+                </div>
+              )}
+              {recap.playlists.length > 0 && (
+                <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+                  <span className="text-gray-500">Playlist on</span>
+                  {recap.playlists.map(playlist => (
+                    <a
+                      key={playlist.provider}
+                      href={playlist.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      {getProviderName(playlist.provider)}
+                    </a>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-md p-6">
+              {recap.songs.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No songs were picked this week.</p>
+              ) : (
+                <ol className="space-y-3">
+                  {recap.songs.map((song, index) => (
+                    <li key={index} className="flex items-start gap-3 border border-gray-200 rounded-lg p-4">
+                      <span className="text-sm font-semibold text-gray-400 w-6">{index + 1}</span>
+                      {song.artworkUrl && (
+                        <img src={song.artworkUrl} alt="" className="w-14 h-14 rounded object-cover" />
+                      )}
+                      <div className="flex-1">
+                        <p className="font-semibold text-gray-900">
+                          {song.songName}
+                          {song.pickOfTheWeek && (
+                            <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full text-xs">
+                              <Trophy className="w-3 h-3" />
+                              Pick of the Week
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-gray-600 text-sm">by {song.artist}</p>
+                        <p className="text-xs text-gray-500 mt-1">Submitted by {song.user}</p>
+                        {song.listenLinks.length > 0 && (
+                          <div className="flex flex-wrap items-center gap-x-2 mt-1 text-xs">
+                            <span className="text-gray-500">Listen on</span>
+                            {song.listenLinks.map(({ platform, url }) => (
+                              <a
+                                key={platform}
+                                href={url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-600 hover:text-blue-800 font-medium"
+                              >
+                                {platform}
+                              </a>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      {song.link && (
+                        <a
+                          href={song.link}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                        >
+                          Listen
+                        </a>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
+            <p className="text-center text-sm text-gray-500 mt-6">
+              <a href={window.location.pathname} className="text-blue-600 hover:text-blue-800 font-medium">
+                Start your own group on Weekly Tunes
+              </a>
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
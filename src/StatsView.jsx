@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Flame } from 'lucide-react';
+import { shiftWeek, formatWeekLabel, getWeekKeyForDateString } from './weeks';
+import { filterSongs, listWeeks, getMemberStreaks, getTopArtists, getPlatformSplit, getParticipation, getGenreBreakdown, getEraBreakdown, getMoodBreakdown, countEnriched } from './stats';
+
+const DEFAULT_RANGE_WEEKS = 12;
+
+// Horizontal bars scaled to the largest count
+const BarList = ({ items, color = 'bg-blue-500', emptyText }) => {
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500">{emptyText}</p>;
+  }
+  const max = Math.max(...items.map(item => item.count));
+  return (
+    <ul className="space-y-2">
+      {items.map(item => (
+        <li key={item.label} className="text-sm">
+          <div className="flex justify-between text-gray-700 mb-0.5">
+            <span className="truncate pr-2">{item.label}</span>
+            <span className="text-gray-500">{item.count}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div className={`h-2 rounded ${color}`} style={{ width: `${(item.count / max) * 100}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const Section = ({ title, children }) => (
+  <div className="bg-white rounded-lg shadow-md p-6">
+    <h3 className="text-lg font-semibold text-gray-800 mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+// Group analytics over the visible picks, filterable by week range and member
+export default function StatsView({ songs, members, getMemberName, currentWeekKey }) {
+  const [fromWeekKey, setFromWeekKey] = useState(shiftWeek(currentWeekKey, -(DEFAULT_RANGE_WEEKS - 1)));
+  const [toWeekKey, setToWeekKey] = useState(currentWeekKey);
+  const [memberId, setMemberId] = useState('');
+
+  const rangeSongs = filterSongs(songs, { fromWeekKey, toWeekKey });
+  const selectedSongs = filterSongs(rangeSongs, { userId: memberId });
+  const weeks = fromWeekKey <= toWeekKey ? listWeeks(fromWeekKey, toWeekKey) : [];
+  const memberIds = memberId ? [memberId] : members.map(member => member.id);
+  const streaks = getMemberStreaks(rangeSongs, memberIds, weeks, currentWeekKey);
+  const participation = getParticipation(selectedSongs, weeks);
+  const maxPicks = Math.max(1, ...participation.map(week => week.picks));
+  const enriched = countEnriched(selectedSongs);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-4">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4">Group Stats</h2>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">From</span>
+            <input
+              type="date"
+              value={fromWeekKey}
+              max={toWeekKey}
+              onChange={(e) => e.target.value && setFromWeekKey(getWeekKeyForDateString(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">To</span>
+            <input
+              type="date"
+              value={toWeekKey}
+              min={fromWeekKey}
+              max={currentWeekKey}
+              onChange={(e) => e.target.value && setToWeekKey(getWeekKeyForDateString(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">Member</span>
+            <select
+              value={memberId}
+              onChange={(e) => setMemberId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Everyone</option>
+              {members.map(member => (
+                <option key={member.id} value={member.id}>{getMemberName(member.id)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="text-sm text-gray-600 mt-4">
+          {selectedSongs.length} {selectedSongs.length === 1 ? 'pick' : 'picks'} over {weeks.length} {weeks.length === 1 ? 'week' : 'weeks'}
+        </p>
+      </div>
+
+      <Section title="Streaks">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 font-medium">Member</th>
+              <th className="py-2 font-medium text-right">Picks</th>
+              <th className="py-2 font-medium text-right">Current streak</th>
+              <th className="py-2 font-medium text-right">Longest</th>
+              <th className="py-2 font-medium text-right">Missed weeks</th>
+            </tr>
+          </thead>
+          <tbody>
+            {streaks.map(streak => (
+              <tr key={streak.userId} className="border-b border-gray-100 last:border-0">
+                <td className="py-2 text-gray-900">{getMemberName(streak.userId)}</td>
+                <td className="py-2 text-right text-gray-700">{streak.picks}</td>
+                <td className="py-2 text-right text-gray-700">
+                  <span className="inline-flex items-center gap-1">
+                    {streak.currentStreak >= 3 && <Flame className="w-4 h-4 text-orange-500" />}
+                    {streak.currentStreak}
+                  </span>
+                </td>
+                <td className="py-2 text-right text-gray-700">{streak.longestStreak}</td>
+                <td className="py-2 text-right text-gray-700">{streak.picks === 0 ? '—' : streak.missedWeeks}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Section>
+
+      <Section title="Participation">
+        {weeks.length === 0 ? (
+          <p className="text-sm text-gray-500">Pick a valid date range.</p>
+        ) : (
+          <div className="flex items-end gap-1 h-40 overflow-x-auto">
+            {participation.map(week => (
+              <div
+                key={week.weekKey}
+                className="flex-1 min-w-[1.5rem] flex flex-col items-center justify-end h-full"
+                title={`${formatWeekLabel(week.weekKey)}: ${week.picks} picks from ${week.submitters} ${week.submitters === 1 ? 'member' : 'members'}${week.change ? ` (${week.change > 0 ? '+' : ''}${week.change} vs. the week before)` : ''}`}
+              >
+                <span className="text-xs text-gray-500 mb-1">{week.submitters}</span>
+                <div className="w-full bg-blue-500 rounded-t" style={{ height: `${(week.picks / maxPicks) * 100}%` }} />
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="text-xs text-gray-500 mt-2">Bars show picks per week; numbers show how many members submitted.</p>
+      </Section>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Section title="Top Artists">
+          <BarList items={getTopArtists(selectedSongs)} emptyText="No picks in this range." />
+        </Section>
+        <Section title="Platforms">
+          <BarList items={getPlatformSplit(selectedSongs)} color="bg-green-500" emptyText="No picks in this range." />
+        </Section>
+        <Section title="Genres">
+          <BarList items={getGenreBreakdown(selectedSongs)} color="bg-purple-500" emptyText="No genre data yet." />
+        </Section>
+        <Section title="Eras">
+          <BarList items={getEraBreakdown(selectedSongs)} color="bg-yellow-500" emptyText="No release dates yet." />
+        </Section>
+        <Section title="Moods">
+          <BarList items={getMoodBreakdown(selectedSongs)} color="bg-pink-500" emptyText="No mood data yet." />
+        </Section>
+      </div>
+
+      {enriched < selectedSongs.length && (
+        <p className="text-xs text-gray-500 text-center">
+          Genre, era and mood come from Spotify and cover {enriched} of {selectedSongs.length} picks.
+        </p>
+      )}
+    </div>
+  );
+}
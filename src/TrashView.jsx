@@ -0,0 +1,80 @@
+import React from 'react';
+import { Music, RotateCcw, Trash2 } from 'lucide-react';
+import { formatWeekLabel } from './weeks';
+import { TRASH_DAYS } from './picks';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getDaysLeft = (song) =>
+  Math.max(0, Math.ceil(TRASH_DAYS - (Date.now() - Date.parse(song.deletedAt)) / DAY_MS));
+
+// Deleted picks, newest first. Members see their own and can restore the
+// ones they deleted; admins see and restore the whole group's.
+export default function TrashView({ songs, userId, isAdmin, getMemberName, onRestore, onPurge, onClose }) {
+  const canRestore = (song) => isAdmin || (song.userId === userId && song.deletedBy === userId);
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-2xl font-bold text-gray-800">Trash</h2>
+          <button
+            onClick={onClose}
+            className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+          >
+            Back to feed
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Deleted picks can be restored for {TRASH_DAYS} days, then they're gone for good along with their comments and reactions.
+        </p>
+
+        {songs.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">The trash is empty.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {songs.map(song => (
+              <li key={song.id} className="flex items-center gap-3 py-3">
+                {song.artworkUrl ? (
+                  <img src={song.artworkUrl} alt="" className="w-10 h-10 rounded object-cover" />
+                ) : (
+                  <Music className="w-10 h-10 p-2 text-blue-600 bg-blue-50 rounded" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-gray-900 truncate">{song.songName}</p>
+                  <p className="text-sm text-gray-600 truncate">by {song.artist}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatWeekLabel(song.weekKey)}
+                    {song.userId !== userId && ` • Picked by ${getMemberName(song.userId)}`}
+                    {` • Deleted by ${song.deletedBy === userId ? 'you' : getMemberName(song.deletedBy)}`}
+                    {` • ${getDaysLeft(song)} ${getDaysLeft(song) === 1 ? 'day' : 'days'} left`}
+                  </p>
+                </div>
+                {canRestore(song) ? (
+                  <>
+                    <button
+                      onClick={() => onRestore(song)}
+                      className="inline-flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => onPurge(song)}
+                      className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                      title="Delete for good"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-xs text-gray-500">Removed by an admin</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { songRepository } from './repositories';
+
+const FIELD_LABELS = {
+  songName: 'Title',
+  artist: 'Artist',
+  platform: 'Platform',
+  link: 'Link',
+  artworkUrl: 'Cover art',
+  onTheme: 'On theme'
+};
+
+const formatValue = (field, value) => {
+  if (field === 'onTheme') return value ? 'yes' : 'no';
+  return value || 'none';
+};
+
+// Every edit to a pick, newest first, under its card in the feed
+export default function VersionHistory({ song, getMemberName }) {
+  const [versions, setVersions] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    songRepository.loadVersions(song)
+      .then((loaded) => {
+        if (!cancelled) setVersions(loaded);
+      })
+      .catch((err) => {
+        console.error('Error loading edit history:', err);
+        if (!cancelled) setVersions([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [song.id, song.updatedAt]);
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-100 text-sm">
+      <h4 className="font-semibold text-gray-700 mb-2">Edit history</h4>
+      {!versions ? (
+        <p className="text-gray-500">Loading history...</p>
+      ) : (
+        <ul className="space-y-2">
+          {versions.map(version => (
+            <li key={version.id}>
+              <p className="text-xs text-gray-500">
+                {new Date(version.createdAt).toLocaleString()}
+                {version.editedBy && ` • ${getMemberName(version.editedBy)}`}
+              </p>
+              {Object.keys(version.after).map(field => (
+                <p key={field} className="text-gray-700">
+                  <span className="font-medium">{FIELD_LABELS[field] || field}:</span>{' '}
+                  {field === 'artworkUrl' ? 'changed' : (
+                    <>
+                      <span className="line-through text-gray-400">{formatValue(field, version.before[field])}</span>
+                      {' → '}
+                      <span className="break-all">{formatValue(field, version.after[field])}</span>
+                    </>
+                  )}
+                </p>
+              ))}
+            </li>
+          ))}
+          <li className="text-xs text-gray-500">
+            Picked {new Date(song.createdAt).toLocaleString()}
+            {versions.length === 0 && ' • earlier edits weren\'t recorded'}
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { db } from './firebase';
+import { doc, getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { ProviderError, fetchWithRetry, readResponse } from './providerRequest';
+
+// MusicKit JS handles the sign-in popup and hands back a Music User Token.
+// API calls are made directly with that token plus a developer token from
+// the getAppleMusicToken function. The user token and storefront are kept
+// in an owner-only doc (users/{uid}/private/appleMusic).
+
+const NAME = 'Apple Music';
+// Overridable so the app can run against local stand-in servers
+const MUSICKIT_URL = import.meta.env.VITE_MUSICKIT_URL || 'https://js-cdn.music.apple.com/musickit/v3/musickit.js';
+const API_URL = import.meta.env.VITE_APPLE_MUSIC_API_URL || 'https://api.music.apple.com/v1';
+
+const TRACKS_PER_REQUEST = 100;
+
+let session = { uid: null, userToken: null, storefront: null };
+let developerToken = null;
+
+const sessionRef = (uid) => doc(db, 'users', uid, 'private', 'appleMusic');
+
+const getDeveloperToken = async (forceRefresh = false) => {
+  if (forceRefresh || !developerToken || developerToken.expiresAt < Date.now() + 60 * 1000) {
+    try {
+      const result = await httpsCallable(getFunctions(), 'getAppleMusicToken')();
+      developerToken = result.data;
+    } catch (err) {
+      console.error('Error getting Apple Music developer token:', err);
+      throw new ProviderError(NAME, 'auth');
+    }
+  }
+  return developerToken.token;
+};
+
+let musicKitLoading = null;
+
+const loadMusicKit = () => {
+  if (!musicKitLoading) {
+    musicKitLoading = new Promise((resolve, reject) => {
+      if (window.MusicKit) {
+        resolve(window.MusicKit);
+        return;
+      }
+      document.addEventListener('musickitloaded', () => resolve(window.MusicKit), { once: true });
+      const script = document.createElement('script');
+      script.src = MUSICKIT_URL;
+      script.async = true;
+      script.onerror = () => {
+        musicKitLoading = null;
+        reject(new ProviderError(NAME, 'network'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return musicKitLoading;
+};
+
+const clearSession = async () => {
+  const { uid } = session;
+  session = { uid, userToken: null, storefront: null };
+  if (uid) {
+    await deleteDoc(sessionRef(uid)).catch(err => console.error('Error clearing Apple Music session:', err));
+  }
+};
+
+export const appleMusicFetch = async (path, { method = 'GET', body } = {}) => {
+  if (!session.userToken) {
+    throw new ProviderError(NAME, 'session-expired');
+  }
+
+  for (let refreshed = false; ; refreshed = true) {
+    const response = await fetchWithRetry(NAME, `${API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await getDeveloperToken(refreshed)}`,
+        'Music-User-Token': session.userToken,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    // 401 is our developer token; 403 means the user token expired or was revoked
+    if (response.status === 401 && !refreshed) continue;
+    if (response.status === 403) {
+      await clearSession();
+      throw new ProviderError(NAME, 'session-expired', 403);
+    }
+    return readResponse(NAME, response);
+  }
+};
+
+// Opens Apple's sign-in popup; resolves to true once connected
+export const connectAppleMusic = async () => {
+  const MusicKit = await loadMusicKit();
+  const music = await MusicKit.configure({
+    developerToken: await getDeveloperToken(),
+    app: { name: 'Weekly Tunes', build: '1.0.0' }
+  });
+
+  let userToken;
+  try {
+    userToken = await music.authorize();
+  } catch (err) {
+    throw new ProviderError(NAME, 'access-denied');
+  }
+  if (!userToken) {
+    throw new ProviderError(NAME, 'access-denied');
+  }
+
+  session = { ...session, userToken, storefront: null };
+  const { data } = await appleMusicFetch('/me/storefront');
+  session.storefront = data[0]?.id || 'us';
+  await setDoc(sessionRef(session.uid), {
+    userToken,
+    storefront: session.storefront,
+    updatedAt: new Date().toISOString()
+  });
+  return true;
+};
+
+export const loadAppleMusicSession = async (uid) => {
+  if (session.uid === uid && session.userToken) return true;
+
+  const saved = await getDoc(sessionRef(uid));
+  session = {
+    uid,
+    userToken: saved.exists() ? saved.data().userToken : null,
+    storefront: saved.exists() ? saved.data().storefront : null
+  };
+  return !!session.userToken;
+};
+
+export const isAppleMusicConnected = () => !!session.userToken;
+
+export const disconnectAppleMusic = async () => {
+  if (window.MusicKit) {
+    await window.MusicKit.getInstance()?.unauthorize().catch(() => {});
+  }
+  await clearSession();
+};
+
+const toTrack = (song) => ({
+  id: song.id,
+  songName: song.attributes.name,
+  artist: song.attributes.artistName,
+  artworkUrl: song.attributes.artwork?.url.replace('{w}', '300').replace('{h}', '300') || '',
+  thumbnailUrl: song.attributes.artwork?.url.replace('{w}', '80').replace('{h}', '80') || '',
+  link: song.attributes.url,
+  platform: 'Apple Music',
+  isrc: song.attributes.isrc || null
+});
+
+export const searchSongs = async (query, limit = 10) => {
+  const params = new URLSearchParams({ types: 'songs', limit: String(limit), term: query });
+  const data = await appleMusicFetch(`/catalog/${session.storefront}/search?${params}`);
+  return (data.results.songs?.data || []).map(toTrack);
+};
+
+// Catalog IDs of the songs already in a library playlist
+const listPlaylistSongIds = async (playlistId) => {
+  const ids = [];
+  let path = `/me/library/playlists/${playlistId}/tracks?limit=${TRACKS_PER_REQUEST}`;
+  while (path) {
+    const data = await appleMusicFetch(path).catch(err => {
+      // An empty playlist has no tracks relationship at all
+      if (err.status === 404) return { data: [] };
+      throw err;
+    });
+    data.data.forEach(track => ids.push(track.attributes.playParams?.catalogId));
+    path = data.next ? data.next.replace(/^\/v1/, '') : null;
+  }
+  return ids;
+};
+
+// The Apple Music API can only create library playlists and append to
+// them: renames and removals aren't supported, so syncing adds what's missing
+const syncAppleMusicPlaylist = async ({ playlistId, title, description, trackIds }) => {
+  const toData = (ids) => ids.map(id => ({ id, type: 'songs' }));
+
+  if (playlistId) {
+    const existing = new Set(await listPlaylistSongIds(playlistId));
+    const missing = trackIds.filter(id => !existing.has(id));
+    for (let i = 0; i < missing.length; i += TRACKS_PER_REQUEST) {
+      await appleMusicFetch(`/me/library/playlists/${playlistId}/tracks`, {
+        method: 'POST',
+        body: { data: toData(missing.slice(i, i + TRACKS_PER_REQUEST)) }
+      });
+    }
+  } else {
+    const created = await appleMusicFetch('/me/library/playlists', {
+      method: 'POST',
+      body: {
+        attributes: { name: title, description },
+        relationships: { tracks: { data: toData(trackIds) } }
+      }
+    });
+    playlistId = created.data[0].id;
+  }
+
+  return { playlistId, url: `https://music.apple.com/library/playlist/${playlistId}` };
+};
+
+// Streaming service interface; see providers.js
+export const appleMusicProvider = {
+  id: 'appleMusic',
+  platform: 'Apple Music',
+  color: 'bg-pink-500',
+  connect: connectAppleMusic,
+  completeConnect: async () => false,
+  loadSession: loadAppleMusicSession,
+  isConnected: isAppleMusicConnected,
+  disconnect: disconnectAppleMusic,
+  search: searchSongs,
+  searchForSong: ({ songName, artist }) => searchSongs(`${artist} ${songName}`, 5),
+  syncPlaylist: syncAppleMusicPlaylist
+};
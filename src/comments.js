@@ -0,0 +1,41 @@
+import { db } from './firebase';
+import { collection, addDoc, doc, updateDoc, deleteDoc } from 'firebase/firestore';
+
+export const MAX_COMMENT_LENGTH = 1000;
+
+export const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Members mentioned as "@Display Name" anywhere in the text
+export const findMentions = (text, members) =>
+  members
+    .filter(member => member.displayName && new RegExp(`@${escapeRegExp(member.displayName)}(?![\\w])`, 'i').test(text))
+    .map(member => member.id);
+
+// The "@partial" being typed at the end of the text, if any
+export const getMentionQuery = (text) => {
+  const match = text.match(/(?:^|\s)@([^@\n]{0,30})$/);
+  return match ? match[1] : null;
+};
+
+export const addComment = async (song, user, text, members) => {
+  await addDoc(collection(db, 'comments'), {
+    groupId: song.groupId,
+    songId: song.id,
+    userId: user.uid,
+    text: text.trim(),
+    mentions: findMentions(text, members),
+    createdAt: new Date().toISOString()
+  });
+};
+
+export const updateComment = async (commentId, text, members) => {
+  await updateDoc(doc(db, 'comments', commentId), {
+    text: text.trim(),
+    mentions: findMentions(text, members),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+export const deleteComment = async (commentId) => {
+  await deleteDoc(doc(db, 'comments', commentId));
+};
@@ -0,0 +1,60 @@
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF rows
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsv = (header, rows) =>
+  [header, ...rows].map(row => row.map(formatCell).join(',')).join('\r\n');
+
+// Undo the formula guard added by formatCsv
+const unguard = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Returns an array of rows, each an array of strings. Blank lines are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(unguard(field));
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(cell => cell !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { formatCsv, parseCsv } from './csv';
+
+describe('parseCsv', () => {
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('song,artist\n"Heroes, live","David ""The Thin White Duke"" Bowie"\n"Line\nbreak",Eno'))
+      .toEqual([['song', 'artist'], ['Heroes, live', 'David "The Thin White Duke" Bowie'], ['Line\nbreak', 'Eno']]);
+  });
+
+  it('reads CRLF, CR and LF line endings', () => {
+    expect(parseCsv('a,b\r\n1,2\r3,4\n5,6\r\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+  });
+
+  it('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa,b\n\n,\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps empty fields inside a row', () => {
+    expect(parseCsv('a,,c\n,2,')).toEqual([['a', '', 'c'], ['', '2', '']]);
+  });
+});
+
+describe('formatCsv', () => {
+  it('quotes fields that need it and joins rows with CRLF', () => {
+    expect(formatCsv(['song', 'artist'], [['Heroes, live', 'David "Bowie"'], ['Changes', null]]))
+      .toBe('song,artist\r\n"Heroes, live","David ""Bowie"""\r\nChanges,');
+  });
+
+  it('guards cells spreadsheets would run as formulas', () => {
+    expect(formatCsv(['song'], [['=HYPERLINK("x")'], ['-1'], ['@me']])).toBe('song\r\n"\'=HYPERLINK(""x"")"\r\n\'-1\r\n\'@me');
+  });
+
+  it('reads back what it writes', () => {
+    const rows = [['=SUM(A1)', 'multi\r\nline', 'plain', ''], ['+1', '"quoted"', 'a,b', '0']];
+    expect(parseCsv(formatCsv(['a', 'b', 'c', 'd'], rows))).toEqual([['a', 'b', 'c', 'd'], ...rows]);
+  });
+});
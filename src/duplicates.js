@@ -0,0 +1,69 @@
+import { db } from './firebase';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { parseSongLink } from './links';
+import { getCanonicalKey, isClaimable } from './normalize';
+import { toSong } from './songs';
+import { DEMO_MODE, songRepository } from './repositories';
+
+// Prefixes for track IDs; keep in sync with getTrackIds in functions/matching.js
+const TRACK_ID_PREFIXES = {
+  Spotify: 'spotify',
+  'Apple Music': 'apple',
+  'YouTube Music': 'youtube',
+  Deezer: 'deezer'
+};
+
+// IDs the pick being entered is known by: its link's track and, when it
+// came from a streaming service search, its ISRC
+export const getTrackIds = ({ link, isrc }) => {
+  const trackIds = [];
+  if (link?.trim()) {
+    try {
+      const { platform, id } = parseSongLink(link);
+      if (id && TRACK_ID_PREFIXES[platform]) trackIds.push(`${TRACK_ID_PREFIXES[platform]}:${id}`);
+    } catch {
+      // Not a streaming link; the title and artist still count
+    }
+  }
+  if (isrc) trackIds.push(`isrc:${isrc}`);
+  return trackIds;
+};
+
+// Picks get their trackIds from a server trigger, so ones without them yet,
+// and every local pick, fall back to their link
+const isSamePick = (song, canonicalKey, trackIds) =>
+  (isClaimable(canonicalKey) && song.canonicalKey === canonicalKey) ||
+  (song.trackIds || getTrackIds(song)).some(trackId => trackIds.includes(trackId));
+
+// Whether any of `songs` is the same song as the pick, for songs already loaded
+export const isAlreadyPicked = (songs, pick) => {
+  const canonicalKey = getCanonicalKey(pick.songName, pick.artist);
+  const trackIds = getTrackIds(pick);
+  return songs.some(song => isSamePick(song, canonicalKey, trackIds));
+};
+
+// Visible picks in the group that may be the same song. In demo mode the
+// local repository's picks are checked one by one.
+const loadCandidates = async (groupId, canonicalKey, trackIds) => {
+  if (DEMO_MODE) return songRepository.loadGroupSongs(groupId, null);
+  const visible = [where('groupId', '==', groupId), where('hidden', '==', false)];
+  const snapshots = await Promise.all([
+    ...(isClaimable(canonicalKey) ? [getDocs(query(collection(db, 'songs'), ...visible, where('canonicalKey', '==', canonicalKey)))] : []),
+    ...(trackIds.length > 0 ? [getDocs(query(collection(db, 'songs'), ...visible, where('trackIds', 'array-contains-any', trackIds)))] : [])
+  ]);
+  return snapshots.flatMap(snapshot => snapshot.docs).map(toSong);
+};
+
+// Earlier picks of the same song in the group, newest first, matched by
+// normalised title and artist or by track ID. Other members' blind picks
+// can't be read, so `ownSongs` adds the user's own hidden ones.
+export const findPreviousPicks = async (groupId, pick, { excludeSongId = null, ownSongs = [] } = {}) => {
+  const canonicalKey = getCanonicalKey(pick.songName, pick.artist);
+  const trackIds = getTrackIds(pick);
+  const candidates = await loadCandidates(groupId, canonicalKey, trackIds);
+
+  const found = new Map();
+  [...candidates, ...ownSongs].filter(song => isSamePick(song, canonicalKey, trackIds)).forEach(song => found.set(song.id, song));
+  found.delete(excludeSongId);
+  return [...found.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
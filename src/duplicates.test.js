@@ -0,0 +1,31 @@
+import { describe, expect, it, vi } from 'vitest';
+import { findPreviousPicks } from './duplicates';
+import { getCanonicalKey } from './normalize';
+
+const SPOTIFY_ID = '4uLU6hMCjMI75M1A2tKUQC';
+
+const SONGS = [
+  { id: 'a', groupId: 'g', songName: 'Heroes', artist: 'David Bowie', canonicalKey: getCanonicalKey('Heroes', 'David Bowie'), createdAt: '2026-10-01T00:00:00.000Z', link: '' },
+  { id: 'b', groupId: 'g', songName: 'Heroes (2017 Remaster)', artist: 'Bowie', canonicalKey: getCanonicalKey('Heroes (2017 Remaster)', 'Bowie'), createdAt: '2026-10-08T00:00:00.000Z', link: `https://open.spotify.com/track/${SPOTIFY_ID}` },
+  { id: 'c', groupId: 'g', songName: 'Changes', artist: 'David Bowie', canonicalKey: getCanonicalKey('Changes', 'David Bowie'), createdAt: '2026-10-09T00:00:00.000Z', link: '' }
+];
+
+// Demo mode, where picks come from the local repository and carry no trackIds
+vi.mock('./repositories', () => ({
+  DEMO_MODE: true,
+  songRepository: { loadGroupSongs: vi.fn(async () => SONGS) }
+}));
+vi.mock('./spotify', () => ({ isSpotifyConnected: vi.fn(() => false), getTrack: vi.fn() }));
+
+describe('findPreviousPicks in demo mode', () => {
+  it('matches local picks by title and artist or by their link', async () => {
+    const pick = { songName: 'Heroes', artist: 'David Bowie', link: `spotify:track:${SPOTIFY_ID}` };
+    expect((await findPreviousPicks('g', pick)).map(({ id }) => id)).toEqual(['b', 'a']);
+  });
+
+  it('adds the user\'s own hidden picks and leaves out the one being edited', async () => {
+    const hidden = { id: 'd', songName: 'Changes', artist: 'David Bowie', canonicalKey: getCanonicalKey('Changes', 'David Bowie'), createdAt: '2026-10-10T00:00:00.000Z' };
+    const found = await findPreviousPicks('g', { songName: 'Changes', artist: 'David Bowie' }, { excludeSongId: 'c', ownSongs: [hidden] });
+    expect(found.map(({ id }) => id)).toEqual(['d']);
+  });
+});
@@ -0,0 +1,172 @@
+import { PLATFORMS } from './platforms';
+import { isWeekKey, getWeekKeyForDateString, shiftWeek } from './weeks';
+
+// Feed search syntax: free words and "quoted phrases" plus key:value
+// filters, e.g. user:alex artist:"the cure" week:2026-10 platform:spotify
+export const FEED_QUERY_KEYS = ['user', 'artist', 'week', 'platform'];
+
+export const FEED_SORTS = [
+  { id: 'newest', label: 'Newest', field: 'createdAt', direction: 'desc' },
+  { id: 'artist', label: 'Artist', field: 'canonicalKey', direction: 'asc' },
+  { id: 'submitter', label: 'Submitter', field: 'userId', direction: 'asc', byName: true },
+  { id: 'reactions', label: 'Most reacted', field: 'reactionCount', direction: 'desc' }
+];
+
+// Names live on profiles, so Firestore can only sort picks by userId. That
+// keeps each member's picks together; the browser then orders members by
+// their current names (`byName`).
+export const getFeedSort = (sortId) => FEED_SORTS.find(sort => sort.id === sortId) || FEED_SORTS[0];
+
+// Firestore `in` filters take at most 30 values
+const MAX_IN_VALUES = 30;
+
+// Lowercase, strip accents and punctuation, keep letters and digits of any script
+export const foldText = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Prefixes always match; longer words also tolerate a typo or two, against
+// the whole word or against what has been typed so far
+const wordMatches = (queryWord, word) => {
+  if (word.startsWith(queryWord)) return true;
+  if (queryWord.length < 4) return false;
+  const maxEdits = queryWord.length >= 8 ? 2 : 1;
+  return editDistance(queryWord, word.slice(0, queryWord.length)) <= maxEdits ||
+    editDistance(queryWord, word) <= maxEdits;
+};
+
+// Every word of the query must match a word of the text. Spacing is ignored
+// as a fallback, so "acdc" finds "AC/DC".
+export const fuzzyMatch = (queryText, text) => {
+  const queryWords = foldText(queryText).split(' ').filter(Boolean);
+  if (queryWords.length === 0) return true;
+  const folded = foldText(text);
+  const words = folded.split(' ');
+  return queryWords.every(queryWord => words.some(word => wordMatches(queryWord, word))) ||
+    folded.replace(/ /g, '').includes(queryWords.join(''));
+};
+
+const TOKEN_PATTERN = /(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g;
+
+// { terms: [...], user, artist, week, platform }; a repeated key keeps its last value
+export const parseFeedQuery = (text) => {
+  const parsed = { terms: [], user: null, artist: null, week: null, platform: null };
+  for (const [token, quotedKey, quotedValue, key, value, phrase, word] of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const filterKey = (quotedKey || key || '').toLowerCase();
+    const filterValue = (quotedValue ?? value ?? '').trim();
+    if (FEED_QUERY_KEYS.includes(filterKey)) {
+      if (filterValue) parsed[filterKey] = filterValue;
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) parsed.terms.push(phrase.trim());
+    } else {
+      parsed.terms.push(word || token);
+    }
+  }
+  return parsed;
+};
+
+// A full date means the week containing it; a partial one such as 2026 or
+// 2026-10 means every week starting in that year or month
+const resolveWeeks = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { weekKeys: [getWeekKeyForDateString(value)], weekPrefix: null };
+  }
+  if (!/^\d{4}(-\d{2})?$/.test(value)) {
+    return { weekKeys: [], weekPrefix: null };
+  }
+  const weekKeys = [];
+  let weekKey = getWeekKeyForDateString(value.length === 4 ? `${value}-01-01` : `${value}-01`);
+  if (!weekKey.startsWith(value)) weekKey = shiftWeek(weekKey, 1);
+  for (; weekKey.startsWith(value); weekKey = shiftWeek(weekKey, 1)) {
+    weekKeys.push(weekKey);
+  }
+  return { weekKeys, weekPrefix: value };
+};
+
+// Turn the parsed query into the members, platforms and weeks it can mean
+export const resolveFeedQuery = (parsed, members, getMemberName) => {
+  const resolved = { ...parsed, userIds: null, platforms: null, weekKeys: null, weekPrefix: null };
+  if (parsed.user) {
+    resolved.userIds = members
+      .filter(member => fuzzyMatch(parsed.user, getMemberName(member.id)) || fuzzyMatch(parsed.user, member.email))
+      .map(member => member.id);
+  }
+  if (parsed.platform) {
+    resolved.platforms = PLATFORMS.filter(platform => fuzzyMatch(parsed.platform, platform));
+  }
+  if (parsed.week) {
+    Object.assign(resolved, resolveWeeks(parsed.week));
+  }
+  return resolved;
+};
+
+// The one filter Firestore applies; the rest are checked in the browser.
+// Each kind of filter has indexes for every sort, so only one is sent.
+export const getServerFilter = (resolved) => {
+  if (resolved.userIds?.length === 1) {
+    return { field: 'userId', op: '==', value: resolved.userIds[0] };
+  }
+  if (resolved.weekKeys?.length > 0 && resolved.weekKeys.length <= MAX_IN_VALUES && resolved.weekKeys.every(isWeekKey)) {
+    return { field: 'weekKey', op: 'in', value: resolved.weekKeys };
+  }
+  if (resolved.platforms?.length === 1) {
+    return { field: 'platform', op: '==', value: resolved.platforms[0] };
+  }
+  return null;
+};
+
+// getMemberName(userId) gives the name a pick is shown under
+export const matchesFeedQuery = (song, resolved, getMemberName) => {
+  const memberName = getMemberName(song.userId);
+  if (resolved.user && !resolved.userIds.includes(song.userId) && !fuzzyMatch(resolved.user, memberName)) {
+    return false;
+  }
+  if (resolved.artist && !fuzzyMatch(resolved.artist, song.artist)) return false;
+  if (resolved.platforms && !resolved.platforms.includes(song.platform)) return false;
+  if (resolved.week) {
+    const inWeeks = resolved.weekPrefix ? song.weekKey?.startsWith(resolved.weekPrefix) : resolved.weekKeys.includes(song.weekKey);
+    if (!inWeeks) return false;
+  }
+  return resolved.terms.every(term =>
+    [song.songName, song.artist, memberName, song.platform].some(text => fuzzyMatch(term, text))
+  );
+};
+
+export const hasFeedQuery = (parsed) =>
+  parsed.terms.length > 0 || FEED_QUERY_KEYS.some(key => parsed[key]);
+
+// Same order as the Firestore query, newest first among ties. With
+// getMemberName, sorts by submitter go by name rather than userId.
+export const compareSongs = (sortId, getMemberName = null) => {
+  const { field, direction, byName } = getFeedSort(sortId);
+  const valueOf = byName && getMemberName
+    ? (song) => (getMemberName(song.userId) || '').toLowerCase()
+    : (song) => song[field] ?? '';
+  return (a, b) => {
+    const aValue = valueOf(a);
+    const bValue = valueOf(b);
+    const order = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
+    return (direction === 'desc' ? -order : order) || b.createdAt.localeCompare(a.createdAt);
+  };
+};
@@ -0,0 +1,142 @@
+import { describe, expect, it } from 'vitest';
+import {
+  compareSongs,
+  fuzzyMatch,
+  getFeedSort,
+  getServerFilter,
+  matchesFeedQuery,
+  parseFeedQuery,
+  resolveFeedQuery
+} from './feedQuery';
+
+const MEMBERS = [
+  { id: 'alex', email: 'alex@example.com' },
+  { id: 'sam', email: 'sam@example.com' },
+  { id: 'alexis', email: 'lex@example.com' }
+];
+const NAMES = { alex: 'Alex Chen', sam: 'Sam Ortiz', alexis: 'Alexis Müller' };
+const getMemberName = (userId) => NAMES[userId];
+
+const resolve = (text) => resolveFeedQuery(parseFeedQuery(text), MEMBERS, getMemberName);
+
+const song = (overrides = {}) => ({
+  userId: 'sam', songName: 'Just Like Heaven', artist: 'The Cure', platform: 'Spotify',
+  weekKey: '2026-10-11', createdAt: '2026-10-12T09:00:00.000Z', ...overrides
+});
+
+describe('getFeedSort', () => {
+  it('finds each sort by id', () => {
+    expect(getFeedSort('artist')).toMatchObject({ field: 'canonicalKey', direction: 'asc' });
+    expect(getFeedSort('reactions')).toMatchObject({ field: 'reactionCount', direction: 'desc' });
+    expect(getFeedSort('submitter')).toMatchObject({ field: 'userId', byName: true });
+  });
+
+  it('falls back to newest for an unknown or missing sort', () => {
+    expect(getFeedSort('loudest').id).toBe('newest');
+    expect(getFeedSort(undefined).id).toBe('newest');
+  });
+});
+
+describe('parseFeedQuery', () => {
+  it('splits filters, phrases and words', () => {
+    expect(parseFeedQuery('user:alex artist:"the cure" week:2026-10 platform:spotify "just like" heaven')).toEqual({
+      terms: ['just like', 'heaven'],
+      user: 'alex',
+      artist: 'the cure',
+      week: '2026-10',
+      platform: 'spotify'
+    });
+  });
+
+  it('keeps unknown keys as words and the last of a repeated key', () => {
+    expect(parseFeedQuery('mood:happy user:sam User:alex artist:""')).toMatchObject({
+      terms: ['mood:happy'],
+      user: 'alex',
+      artist: null
+    });
+  });
+});
+
+describe('fuzzyMatch', () => {
+  it('ignores case, accents and punctuation', () => {
+    expect(fuzzyMatch('muller', 'Alexis Müller')).toBe(true);
+    expect(fuzzyMatch('acdc', 'AC/DC')).toBe(true);
+    expect(fuzzyMatch('dont stop', 'Don’t Stop Me Now')).toBe(true);
+  });
+
+  it('allows a typo in longer words only', () => {
+    expect(fuzzyMatch('heavan', 'Just Like Heaven')).toBe(true);
+    expect(fuzzyMatch('cur', 'The Cure')).toBe(true);
+    expect(fuzzyMatch('crue', 'The Cure')).toBe(false);
+  });
+});
+
+describe('resolveFeedQuery', () => {
+  it('maps a user filter to the members it can mean, by name or email', () => {
+    expect(resolve('user:alex').userIds).toEqual(['alex', 'alexis']);
+    expect(resolve('user:sam@example.com').userIds).toEqual(['sam']);
+    expect(resolve('user:nobody').userIds).toEqual([]);
+  });
+
+  it('maps a platform filter to platform names', () => {
+    expect(resolve('platform:apple').platforms).toEqual(['Apple Music']);
+    expect(resolve('platform:music').platforms).toEqual(['Apple Music', 'YouTube Music']);
+  });
+
+  it('maps a date to its week and a month to the weeks starting in it', () => {
+    expect(resolve('week:2026-10-14')).toMatchObject({ weekKeys: ['2026-10-11'], weekPrefix: null });
+    expect(resolve('week:2026-10')).toMatchObject({
+      weekKeys: ['2026-10-04', '2026-10-11', '2026-10-18', '2026-10-25'],
+      weekPrefix: '2026-10'
+    });
+    expect(resolve('week:soon')).toMatchObject({ weekKeys: [], weekPrefix: null });
+  });
+});
+
+describe('getServerFilter', () => {
+  it('sends one filter, preferring a single member, then weeks, then a single platform', () => {
+    expect(getServerFilter(resolve('user:sam week:2026-10 platform:apple'))).toEqual({ field: 'userId', op: '==', value: 'sam' });
+    expect(getServerFilter(resolve('user:alex week:2026-10-14 platform:apple'))).toEqual({ field: 'weekKey', op: 'in', value: ['2026-10-11'] });
+    expect(getServerFilter(resolve('user:alex platform:apple'))).toEqual({ field: 'platform', op: '==', value: 'Apple Music' });
+    expect(getServerFilter(resolve('user:alex platform:music heaven'))).toBeNull();
+  });
+
+  it('leaves spans over 30 weeks to the browser', () => {
+    expect(getServerFilter(resolve('week:2026'))).toBeNull();
+  });
+});
+
+describe('matchesFeedQuery', () => {
+  it('checks every filter and word', () => {
+    const matches = (text, overrides) => matchesFeedQuery(song(overrides), resolve(text), getMemberName);
+    expect(matches('user:sam artist:"the cure" week:2026-10 platform:spotify heaven')).toBe(true);
+    expect(matches('ortiz cure')).toBe(true);
+    expect(matches('user:alex')).toBe(false);
+    expect(matches('artist:smiths')).toBe(false);
+    expect(matches('platform:deezer')).toBe(false);
+    expect(matches('week:2026-11')).toBe(false);
+    expect(matches('heaven lovesong')).toBe(false);
+  });
+});
+
+describe('compareSongs', () => {
+  const songs = [
+    song({ userId: 'sam', canonicalKey: 'the cure', reactionCount: 2, createdAt: '2026-10-12T09:00:00.000Z' }),
+    song({ userId: 'alexis', canonicalKey: 'abba', reactionCount: 5, createdAt: '2026-10-13T09:00:00.000Z' }),
+    song({ userId: 'alex', canonicalKey: 'abba', reactionCount: 2, createdAt: '2026-10-14T09:00:00.000Z' })
+  ];
+  const order = (sortId, getName) => [...songs].sort(compareSongs(sortId, getName)).map(({ userId }) => userId);
+
+  it('orders like the Firestore query, newest first among ties', () => {
+    expect(order('newest')).toEqual(['alex', 'alexis', 'sam']);
+    expect(order('artist')).toEqual(['alex', 'alexis', 'sam']);
+    expect(order('reactions')).toEqual(['alexis', 'alex', 'sam']);
+    expect(order('unknown')).toEqual(order('newest'));
+  });
+
+  it('sorts submitters by name when names are given', () => {
+    const getName = (userId) => ({ alex: 'Zoe', sam: 'Ann', alexis: 'Mia' })[userId];
+    expect(order('submitter')).toEqual(['alex', 'alexis', 'sam']);
+    expect(order('submitter', getName)).toEqual(['sam', 'alexis', 'alex']);
+  });
+});
@@ -0,0 +1,181 @@
+import { db } from './firebase';
+import { collection, doc, deleteDoc, getDoc, onSnapshot, query, orderBy, limit, setDoc, where, documentId, serverTimestamp } from 'firebase/firestore';
+import { addSong, updateSong, toSong, toTrashedSong, getFeedQuery, countVisibleSongs, loadGroupSongs, loadMemberSongs, trashSong, restoreSong, purgeSong, loadSongVersions } from './songs';
+
+// The live backend; see repositories.js for the interface
+
+// Firestore `in` queries take at most 30 values
+const IN_QUERY_CHUNK = 30;
+
+const toDocs = (snapshot) => snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() }));
+
+const toDataById = (snapshot) =>
+  Object.fromEntries(snapshot.docs.map(snapshotDoc => [snapshotDoc.id, snapshotDoc.data()]));
+
+// Runs one query per chunk of values for an `in` filter; results arrive
+// once every chunk has loaded
+const subscribeInChunks = (values, makeQuery, onChange, onError) => {
+  if (values.length === 0) {
+    onChange([]);
+    return () => {};
+  }
+  const chunks = [];
+  for (let i = 0; i < values.length; i += IN_QUERY_CHUNK) {
+    chunks.push(values.slice(i, i + IN_QUERY_CHUNK));
+  }
+  const results = chunks.map(() => null);
+  const unsubscribes = chunks.map((chunk, index) =>
+    onSnapshot(makeQuery(chunk), (snapshot) => {
+      results[index] = toDocs(snapshot);
+      if (results.every(Boolean)) onChange(results.flat());
+    }, onError));
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+// Picks still on their way to the server are marked `syncing`
+const subscribeSongs = (songsQuery, onChange, onError) =>
+  onSnapshot(songsQuery, { includeMetadataChanges: true }, (snapshot) => {
+    onChange(snapshot.docs.map(songDoc => ({
+      ...toSong(songDoc),
+      syncing: songDoc.metadata.hasPendingWrites
+    })));
+  }, onError);
+
+export const firestoreSongs = {
+  add: addSong,
+  update: updateSong,
+  remove: trashSong,
+  restore: restoreSong,
+  purge: purgeSong,
+  countVisible: countVisibleSongs,
+  loadGroupSongs,
+  loadMemberSongs,
+  loadVersions: loadSongVersions,
+
+  subscribeTrash: (groupId, userId, onChange, onError) =>
+    onSnapshot(query(
+      collection(db, 'trash'),
+      where('groupId', '==', groupId),
+      ...(userId ? [where('userId', '==', userId)] : [])
+    ), (snapshot) => {
+      onChange(snapshot.docs.map(toTrashedSong).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+    }, onError),
+
+  subscribeFeed: ({ groupId, filter, sortId, limit }, onChange, onError) =>
+    subscribeSongs(getFeedQuery(groupId, filter, sortId, limit), onChange, onError),
+
+  subscribeOwnHidden: (groupId, userId, onChange, onError) =>
+    subscribeSongs(query(
+      collection(db, 'songs'),
+      where('groupId', '==', groupId),
+      where('userId', '==', userId),
+      where('hidden', '==', true)
+    ), onChange, onError),
+
+  subscribeUserWeek: (groupId, userId, weekKey, onChange, onError) =>
+    subscribeSongs(query(
+      collection(db, 'songs'),
+      where('groupId', '==', groupId),
+      where('userId', '==', userId),
+      where('weekKey', '==', weekKey)
+    ), onChange, onError),
+
+  subscribeWeek: (groupId, weekKey, onChange, onError) =>
+    subscribeSongs(query(
+      collection(db, 'songs'),
+      where('groupId', '==', groupId),
+      where('weekKey', '==', weekKey),
+      where('hidden', '==', false),
+      orderBy('createdAt', 'asc')
+    ), onChange, onError),
+
+  subscribeReactions: (groupId, songIds, onChange, onError) =>
+    subscribeInChunks(songIds, chunk => query(
+      collection(db, 'reactions'),
+      where('groupId', '==', groupId),
+      where('songId', 'in', chunk)
+    ), onChange, onError),
+
+  subscribeComments: (song, onChange, onError) =>
+    onSnapshot(query(
+      collection(db, 'comments'),
+      where('groupId', '==', song.groupId),
+      where('songId', '==', song.id),
+      orderBy('createdAt', 'asc')
+    ), snapshot => onChange(toDocs(snapshot)), onError)
+};
+
+export const firestoreUsers = {
+  get: async (userId) => {
+    const userDoc = await getDoc(doc(db, 'users', userId));
+    return userDoc.exists() ? { id: userDoc.id, ...userDoc.data() } : null;
+  },
+  update: (userId, changes) => setDoc(doc(db, 'users', userId), changes, { merge: true }),
+
+  subscribe: (userId, onChange, onError) =>
+    onSnapshot(doc(db, 'users', userId), (userDoc) => {
+      onChange(userDoc.exists() ? { id: userDoc.id, ...userDoc.data() } : null);
+    }, onError),
+
+  subscribeMany: (userIds, onChange, onError) =>
+    subscribeInChunks(userIds, chunk => query(collection(db, 'users'), where(documentId(), 'in', chunk)), onChange, onError),
+
+  // One doc per pick under users/{uid}/listened, named after the song
+  setListened: (userId, song, listened) => {
+    const listenedRef = doc(db, 'users', userId, 'listened', song.id);
+    return listened
+      ? setDoc(listenedRef, { groupId: song.groupId, weekKey: song.weekKey, listenedAt: serverTimestamp() })
+      : deleteDoc(listenedRef);
+  },
+
+  // Kept with the Spotify session, out of other members' sight
+  getListeningAccounts: async (userId) => {
+    const accountsDoc = await getDoc(doc(db, 'users', userId, 'private', 'listening'));
+    return accountsDoc.exists() ? accountsDoc.data() : {};
+  },
+  setListeningAccounts: (userId, accounts) => setDoc(doc(db, 'users', userId, 'private', 'listening'), accounts),
+
+  subscribeListened: (userId, groupId, onChange, onError) =>
+    onSnapshot(query(collection(db, 'users', userId, 'listened'), where('groupId', '==', groupId)),
+      (snapshot) => onChange(snapshot.docs.map(listenedDoc => listenedDoc.id)), onError)
+};
+
+export const firestoreGroups = {
+  subscribeGroups: (userId, onChange, onError) =>
+    onSnapshot(query(collection(db, 'groups'), where('memberIds', 'array-contains', userId)), (snapshot) => {
+      onChange(toDocs(snapshot).sort((a, b) => a.name.localeCompare(b.name)));
+    }, onError),
+
+  subscribeWeek: (groupId, weekKey, onChange, onError) =>
+    onSnapshot(doc(db, 'groups', groupId, 'weeks', weekKey), (weekDoc) => {
+      onChange(weekDoc.exists() ? weekDoc.data() : null);
+    }, onError),
+
+  subscribeVotes: (groupId, weekKey, userId, onChange, onError) =>
+    onSnapshot(query(
+      collection(db, 'votes'),
+      where('groupId', '==', groupId),
+      where('weekKey', '==', weekKey),
+      where('userId', '==', userId)
+    ), snapshot => onChange(toDocs(snapshot)), onError),
+
+  subscribeLeaderboard: (groupId, onChange, onError) =>
+    onSnapshot(collection(db, 'groups', groupId, 'leaderboard'), snapshot => onChange(toDocs(snapshot)), onError),
+
+  subscribeThemes: (groupId, onChange, onError) =>
+    onSnapshot(collection(db, 'groups', groupId, 'themes'), snapshot => onChange(toDataById(snapshot)), onError),
+
+  subscribeRecaps: (groupId, onChange, onError) =>
+    onSnapshot(query(collection(db, 'recaps'), where('groupId', '==', groupId)), (snapshot) => {
+      onChange(Object.fromEntries(snapshot.docs.map(recapDoc => [recapDoc.data().weekKey, recapDoc.id])));
+    }, onError),
+
+  subscribePlaylists: (groupId, onChange, onError) =>
+    onSnapshot(collection(db, 'groups', groupId, 'playlists'), snapshot => onChange(toDataById(snapshot)), onError),
+
+  // Entries the server hasn't stamped yet have no createdAt
+  subscribeAuditLog: (groupId, count, onChange, onError) =>
+    onSnapshot(query(collection(db, 'groups', groupId, 'auditLog'), orderBy('createdAt', 'desc'), limit(count)), (snapshot) => {
+      onChange(toDocs(snapshot).map(entry => ({ ...entry, createdAt: entry.createdAt ? entry.createdAt.toDate().toISOString() : null })));
+    }, onError)
+};
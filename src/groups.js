@@ -0,0 +1,95 @@
+import { db } from './firebase';
+import { collection, doc, getDoc, updateDoc, writeBatch, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { getBrowserTimeZone } from './weeks';
+
+export const DEFAULT_GROUP_ID = 'default';
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Generate a short invite code without easily-confused characters (0/O, 1/I)
+export const generateInviteCode = (length = 8) => {
+  const values = crypto.getRandomValues(new Uint32Array(length));
+  return Array.from(values, v => INVITE_ALPHABET[v % INVITE_ALPHABET.length]).join('');
+};
+
+export const getInviteLink = (inviteCode) =>
+  `${window.location.origin}${window.location.pathname}?invite=${inviteCode}`;
+
+// Read an invite code from the URL and remove it so a refresh doesn't rejoin
+export const getInviteCodeFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('invite');
+  if (code) {
+    params.delete('invite');
+    const search = params.toString();
+    window.history.replaceState({}, document.title, `${window.location.pathname}${search ? `?${search}` : ''}`);
+  }
+  return code ? code.trim().toUpperCase() : null;
+};
+
+// Roles: the owner, admins listed in adminIds, and everyone else a member.
+// Keep isGroupAdmin in sync with firestore.rules and functions/admin.js.
+export const getMemberRole = (group, userId) => {
+  if (group.ownerId === userId) return 'owner';
+  return (group.adminIds || []).includes(userId) ? 'admin' : 'member';
+};
+
+export const isGroupAdmin = (group, userId) => !!group && getMemberRole(group, userId) !== 'member';
+
+export const createGroup = async (name, user) => {
+  const groupRef = doc(collection(db, 'groups'));
+  const inviteCode = generateInviteCode();
+  const batch = writeBatch(db);
+  batch.set(groupRef, {
+    name: name.trim(),
+    ownerId: user.uid,
+    memberIds: [user.uid],
+    inviteCode,
+    timeZone: getBrowserTimeZone(),
+    settings: {},
+    createdAt: new Date().toISOString()
+  });
+  batch.set(doc(db, 'invites', inviteCode), { groupId: groupRef.id });
+  await batch.commit();
+  return groupRef.id;
+};
+
+export const resolveInviteCode = async (code) => {
+  const invite = await getDoc(doc(db, 'invites', code.trim().toUpperCase()));
+  if (!invite.exists()) {
+    throw new Error('No group found for that invite code.');
+  }
+  return invite.data().groupId;
+};
+
+// The join record lets the security rules check the invite code before
+// adding the user to memberIds.
+export const joinGroup = async (groupId, code, user) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'groups', groupId, 'joins', user.uid), {
+    inviteCode: code.trim().toUpperCase(),
+    joinedAt: new Date().toISOString()
+  });
+  batch.update(doc(db, 'groups', groupId), { memberIds: arrayUnion(user.uid) });
+  await batch.commit();
+};
+
+export const leaveGroup = async (groupId, user) => {
+  await updateDoc(doc(db, 'groups', groupId), { memberIds: arrayRemove(user.uid), adminIds: arrayRemove(user.uid) });
+};
+
+export const regenerateInviteCode = async (group) => {
+  const inviteCode = generateInviteCode();
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'invites', group.inviteCode));
+  batch.set(doc(db, 'invites', inviteCode), { groupId: group.id });
+  batch.update(doc(db, 'groups', group.id), { inviteCode });
+  await batch.commit();
+};
+
+export const updateGroupTimeZone = async (groupId, timeZone) => {
+  await updateDoc(doc(db, 'groups', groupId), { timeZone });
+};
+
+export const updateGroupSettings = async (groupId, settings) => {
+  await updateDoc(doc(db, 'groups', groupId), { settings });
+};
@@ -0,0 +1,204 @@
+import { isSpotifyConnected, getTrack } from './spotify';
+import { needsReconnect } from './providerRequest';
+
+export class SongLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SongLinkError';
+  }
+}
+
+const SUPPORTED_LIST = 'Spotify, Apple Music, YouTube Music, Deezer or SoundCloud';
+
+const matchesHost = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+// Each parser receives a URL object and returns the track ID (or null for
+// short links that can only be resolved by the platform itself), or throws
+// when the link points at something other than a single track.
+const PARSERS = [
+  {
+    platform: 'Spotify',
+    hosts: ['open.spotify.com', 'play.spotify.com'],
+    parse: (url) => {
+      const match = url.pathname.match(/^(?:\/intl-[a-z-]+)?\/track\/([a-zA-Z0-9]{22})/);
+      if (!match) throw new SongLinkError('That Spotify link isn\'t a track. Open the song and use Share → Copy Song Link.');
+      return match[1];
+    }
+  },
+  { platform: 'Spotify', hosts: ['spotify.link'], parse: () => null },
+  {
+    platform: 'Apple Music',
+    hosts: ['music.apple.com'],
+    parse: (url) => {
+      const trackId = url.searchParams.get('i') || (url.pathname.match(/\/song\/(?:[^/]+\/)?(\d+)/) || [])[1];
+      if (!trackId) throw new SongLinkError('That Apple Music link isn\'t a song. Open the song and use Share → Copy Link.');
+      return trackId;
+    }
+  },
+  {
+    platform: 'YouTube Music',
+    hosts: ['music.youtube.com', 'youtube.com', 'm.youtube.com'],
+    parse: (url) => {
+      const videoId = url.searchParams.get('v');
+      if (!videoId) throw new SongLinkError('That YouTube link isn\'t a song. Use the link from a song\'s Share menu.');
+      return videoId;
+    }
+  },
+  {
+    platform: 'YouTube Music',
+    hosts: ['youtu.be'],
+    parse: (url) => {
+      const videoId = url.pathname.slice(1);
+      if (!videoId) throw new SongLinkError('That YouTube link isn\'t a song.');
+      return videoId;
+    }
+  },
+  {
+    platform: 'Deezer',
+    hosts: ['deezer.com'],
+    parse: (url) => {
+      const match = url.pathname.match(/^(?:\/[a-z]{2})?\/track\/(\d+)/);
+      if (!match) throw new SongLinkError('That Deezer link isn\'t a track. Open the track and use Share → Copy link.');
+      return match[1];
+    }
+  },
+  { platform: 'Deezer', hosts: ['deezer.page.link', 'link.deezer.com'], parse: () => null },
+  {
+    platform: 'SoundCloud',
+    hosts: ['soundcloud.com', 'm.soundcloud.com'],
+    parse: (url) => {
+      const segments = url.pathname.split('/').filter(Boolean);
+      if (segments.length !== 2 || ['sets', 'albums', 'tracks', 'likes'].includes(segments[1])) {
+        throw new SongLinkError('That SoundCloud link isn\'t a track. Open the track and copy its link.');
+      }
+      return segments.join('/');
+    }
+  },
+  { platform: 'SoundCloud', hosts: ['on.soundcloud.com'], parse: () => null }
+];
+
+// Work out which platform a pasted link belongs to. Spotify URIs
+// ("spotify:track:…") are accepted and turned into open.spotify.com links.
+export const parseSongLink = (link) => {
+  const trimmed = link.trim();
+  const spotifyUri = trimmed.match(/^spotify:track:([a-zA-Z0-9]{22})$/);
+  if (spotifyUri) {
+    return { platform: 'Spotify', id: spotifyUri[1], url: `https://open.spotify.com/track/${spotifyUri[1]}` };
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    throw new SongLinkError('That doesn\'t look like a valid link.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+    throw new SongLinkError('That doesn\'t look like a valid link.');
+  }
+
+  const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+  const parser = PARSERS.find(({ hosts }) => hosts.some(host => matchesHost(hostname, host)));
+  if (!parser) {
+    throw new SongLinkError(`Links from ${hostname} aren't supported. Use a ${SUPPORTED_LIST} link.`);
+  }
+
+  return { platform: parser.platform, id: parser.parse(url), url: url.toString() };
+};
+
+// Inline validation for the Submit form. Links are optional; anything goes
+// for "Other" as long as it is a web link.
+export const validateSongLink = (link, platform) => {
+  if (!link.trim()) return null;
+  try {
+    if (platform === 'Other') {
+      const url = new URL(link.trim());
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Not a web link');
+      return null;
+    }
+    parseSongLink(link);
+    return null;
+  } catch (err) {
+    return err instanceof SongLinkError ? err.message : 'That doesn\'t look like a valid link.';
+  }
+};
+
+// The link as it's saved: a supported platform's link in its https:// form,
+// so Spotify URIs and links typed without a scheme pass the security rules.
+// Expects a link validateSongLink accepted.
+export const normalizeSongLink = (link, platform) => {
+  const trimmed = link.trim();
+  if (!trimmed || platform === 'Other') return trimmed;
+  return parseSongLink(trimmed).url;
+};
+
+const getJson = async (fetchFn, url, options) => {
+  const response = await fetchFn(url, options);
+  if (!response.ok) {
+    throw new Error(`Metadata request failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+const stripSuffix = (value, suffix) =>
+  suffix && value.endsWith(suffix) ? value.slice(0, -suffix.length) : value;
+
+// Per-platform lookups via oEmbed, the platform's public API or, for
+// Spotify, the member's own connection. Deezer's API can't be called from
+// the browser, so Deezer details are left for the user.
+// Each resolves to { songName, artist, artworkUrl } with whatever is known.
+const METADATA_LOOKUPS = {
+  Spotify: async ({ id, url }, fetchFn) => {
+    if (isSpotifyConnected() && id) {
+      try {
+        const track = await getTrack(id);
+        return {
+          songName: track.name,
+          artist: track.artists.map(a => a.name).join(', '),
+          artworkUrl: track.album.images[1]?.url || track.album.images[0]?.url || ''
+        };
+      } catch (err) {
+        // A lapsed Spotify session shouldn't block auto-fill; oEmbed still works
+        if (!needsReconnect(err)) throw err;
+      }
+    }
+    // oEmbed has no artist, so that is left for the user
+    const embed = await getJson(fetchFn, `https://open.spotify.com/oembed?url=${encodeURIComponent(url)}`);
+    return { songName: embed.title, artist: '', artworkUrl: embed.thumbnail_url || '' };
+  },
+  'Apple Music': async ({ id }, fetchFn) => {
+    const { results } = await getJson(fetchFn, `https://itunes.apple.com/lookup?id=${id}&entity=song`);
+    const song = results.find(result => result.wrapperType === 'track') || results[0];
+    if (!song) throw new Error('Song not found');
+    return {
+      songName: song.trackName,
+      artist: song.artistName,
+      artworkUrl: (song.artworkUrl100 || '').replace('100x100', '300x300')
+    };
+  },
+  'YouTube Music': async ({ id }, fetchFn) => {
+    const watchUrl = `https://www.youtube.com/watch?v=${id}`;
+    const embed = await getJson(fetchFn, `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(watchUrl)}`);
+    // Auto-generated YouTube Music channels are named "Artist - Topic"
+    return {
+      songName: embed.title,
+      artist: stripSuffix(embed.author_name || '', ' - Topic'),
+      artworkUrl: embed.thumbnail_url || ''
+    };
+  },
+  SoundCloud: async ({ url }, fetchFn) => {
+    const embed = await getJson(fetchFn, `https://soundcloud.com/oembed?format=json&url=${encodeURIComponent(url)}`);
+    // Titles come back as "Track by Artist"
+    return {
+      songName: stripSuffix(embed.title, ` by ${embed.author_name}`),
+      artist: embed.author_name || '',
+      artworkUrl: embed.thumbnail_url || ''
+    };
+  }
+};
+
+// Pass `fetch` to substitute the network layer, e.g. with a stub in tests
+export const fetchSongMetadata = async (parsedLink, { fetch: fetchFn = (...args) => window.fetch(...args) } = {}) => {
+  const lookup = METADATA_LOOKUPS[parsedLink.platform];
+  if (!lookup) return null;
+  return lookup(parsedLink, fetchFn);
+};
@@ -0,0 +1,157 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { isSpotifyConnected, getTrack } from './spotify';
+import { ProviderError } from './providerRequest';
+import { SongLinkError, parseSongLink, validateSongLink, normalizeSongLink, fetchSongMetadata } from './links';
+
+vi.mock('./spotify', () => ({
+  isSpotifyConnected: vi.fn(() => false),
+  getTrack: vi.fn()
+}));
+
+// A fetch that answers every request with the given JSON body
+const stubFetch = (body, { ok = true, status = 200 } = {}) =>
+  vi.fn(async () => ({ ok, status, json: async () => body }));
+
+const SPOTIFY_ID = '4uLU6hMCjMI75M1A2tKUQC';
+
+beforeEach(() => {
+  isSpotifyConnected.mockReturnValue(false);
+  getTrack.mockReset();
+});
+
+describe('parseSongLink', () => {
+  it('recognises track links and Spotify URIs', () => {
+    expect(parseSongLink(`https://open.spotify.com/intl-de/track/${SPOTIFY_ID}?si=x`)).toMatchObject({ platform: 'Spotify', id: SPOTIFY_ID });
+    expect(parseSongLink(`spotify:track:${SPOTIFY_ID}`).url).toBe(`https://open.spotify.com/track/${SPOTIFY_ID}`);
+    expect(parseSongLink('music.youtube.com/watch?v=abc123')).toMatchObject({ platform: 'YouTube Music', id: 'abc123' });
+    expect(parseSongLink('https://spotify.link/xyz')).toMatchObject({ platform: 'Spotify', id: null });
+  });
+
+  it('rejects links that aren\'t a single track', () => {
+    expect(() => parseSongLink('https://open.spotify.com/album/abc')).toThrow(SongLinkError);
+    expect(() => parseSongLink('https://example.com/song')).toThrow(/aren't supported/);
+    expect(validateSongLink('ftp://example.com/song.mp3', 'Other')).toBe('That doesn\'t look like a valid link.');
+    expect(validateSongLink('', 'Spotify')).toBeNull();
+  });
+});
+
+describe('normalizeSongLink', () => {
+  it('saves supported links as https:// links', () => {
+    expect(normalizeSongLink(`spotify:track:${SPOTIFY_ID}`, 'Spotify')).toBe(`https://open.spotify.com/track/${SPOTIFY_ID}`);
+    expect(normalizeSongLink(' deezer.com/track/3135556 ', 'Deezer')).toBe('https://deezer.com/track/3135556');
+  });
+
+  it('keeps other links and empty links as typed', () => {
+    expect(normalizeSongLink(' https://example.com/song ', 'Other')).toBe('https://example.com/song');
+    expect(normalizeSongLink('  ', 'Spotify')).toBe('');
+  });
+});
+
+describe('fetchSongMetadata', () => {
+  it('reads Apple Music lookups', async () => {
+    const fetch = stubFetch({
+      results: [
+        { wrapperType: 'collection', collectionName: 'Album' },
+        { wrapperType: 'track', trackName: 'Heroes', artistName: 'David Bowie', artworkUrl100: 'https://is1.mzstatic.com/100x100bb.jpg' }
+      ]
+    });
+    await expect(fetchSongMetadata(parseSongLink('https://music.apple.com/us/song/heroes/123'), { fetch })).resolves.toEqual({
+      songName: 'Heroes',
+      artist: 'David Bowie',
+      artworkUrl: 'https://is1.mzstatic.com/300x300bb.jpg'
+    });
+    expect(fetch).toHaveBeenCalledWith('https://itunes.apple.com/lookup?id=123&entity=song', undefined);
+  });
+
+  it('drops " - Topic" from YouTube Music channel names', async () => {
+    const fetch = stubFetch({ title: 'Heroes', author_name: 'David Bowie - Topic', thumbnail_url: 'https://i.ytimg.com/vi/abc/hq.jpg' });
+    await expect(fetchSongMetadata(parseSongLink('https://music.youtube.com/watch?v=abc'), { fetch })).resolves.toEqual({
+      songName: 'Heroes',
+      artist: 'David Bowie',
+      artworkUrl: 'https://i.ytimg.com/vi/abc/hq.jpg'
+    });
+  });
+
+  it('splits SoundCloud titles into song and artist', async () => {
+    const fetch = stubFetch({ title: 'Heroes by David Bowie', author_name: 'David Bowie' });
+    await expect(fetchSongMetadata(parseSongLink('https://soundcloud.com/davidbowie/heroes'), { fetch })).resolves.toEqual({
+      songName: 'Heroes',
+      artist: 'David Bowie',
+      artworkUrl: ''
+    });
+  });
+
+  it('leaves Deezer details to the user', async () => {
+    const fetch = vi.fn();
+    await expect(fetchSongMetadata(parseSongLink('https://www.deezer.com/en/track/42'), { fetch })).resolves.toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('falls back to Spotify oEmbed without a connection', async () => {
+    const fetch = stubFetch({ title: 'Heroes', thumbnail_url: 'https://i.scdn.co/image/abc' });
+    await expect(fetchSongMetadata(parseSongLink(`https://open.spotify.com/track/${SPOTIFY_ID}`), { fetch })).resolves.toEqual({
+      songName: 'Heroes',
+      artist: '',
+      artworkUrl: 'https://i.scdn.co/image/abc'
+    });
+  });
+
+  it('uses the Spotify connection when there is one', async () => {
+    isSpotifyConnected.mockReturnValue(true);
+    getTrack.mockResolvedValue({
+      name: 'Heroes',
+      artists: [{ name: 'David Bowie' }, { name: 'Brian Eno' }],
+      album: { images: [{ url: 'https://i.scdn.co/large' }, { url: 'https://i.scdn.co/medium' }] }
+    });
+    const fetch = vi.fn();
+    await expect(fetchSongMetadata(parseSongLink(`https://open.spotify.com/track/${SPOTIFY_ID}`), { fetch })).resolves.toEqual({
+      songName: 'Heroes',
+      artist: 'David Bowie, Brian Eno',
+      artworkUrl: 'https://i.scdn.co/medium'
+    });
+    expect(getTrack).toHaveBeenCalledWith(SPOTIFY_ID);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('falls back to oEmbed when the Spotify session has lapsed', async () => {
+    isSpotifyConnected.mockReturnValue(true);
+    getTrack.mockRejectedValue(new ProviderError('Spotify', 'session-expired', 401));
+    const fetch = stubFetch({ title: 'Heroes' });
+    await expect(fetchSongMetadata(parseSongLink(`https://open.spotify.com/track/${SPOTIFY_ID}`), { fetch })).resolves.toMatchObject({ songName: 'Heroes' });
+    expect(fetch.mock.calls[0][0]).toMatch(/^https:\/\/open\.spotify\.com\/oembed/);
+  });
+
+  it('passes on other Spotify errors', async () => {
+    isSpotifyConnected.mockReturnValue(true);
+    getTrack.mockRejectedValue(new ProviderError('Spotify', 'rate-limited', 429));
+    await expect(fetchSongMetadata(parseSongLink(`https://open.spotify.com/track/${SPOTIFY_ID}`), { fetch: vi.fn() }))
+      .rejects.toMatchObject({ code: 'rate-limited' });
+  });
+
+  it('rejects failed requests with their status', async () => {
+    const fetch = stubFetch({}, { ok: false, status: 404 });
+    await expect(fetchSongMetadata(parseSongLink('https://music.youtube.com/watch?v=abc'), { fetch }))
+      .rejects.toThrow('Metadata request failed with status 404');
+  });
+
+  it('rejects network errors', async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(fetchSongMetadata(parseSongLink('https://soundcloud.com/davidbowie/heroes'), { fetch })).rejects.toThrow('Failed to fetch');
+  });
+
+  it('rejects malformed responses', async () => {
+    const notJson = vi.fn(async () => ({ ok: true, status: 200, json: async () => { throw new SyntaxError('Unexpected token <'); } }));
+    await expect(fetchSongMetadata(parseSongLink('https://music.youtube.com/watch?v=abc'), { fetch: notJson })).rejects.toThrow(SyntaxError);
+
+    await expect(fetchSongMetadata(parseSongLink('https://music.apple.com/us/song/heroes/123'), { fetch: stubFetch({ results: [] }) }))
+      .rejects.toThrow('Song not found');
+    await expect(fetchSongMetadata(parseSongLink('https://music.apple.com/us/song/heroes/123'), { fetch: stubFetch({}) }))
+      .rejects.toThrow(TypeError);
+  });
+
+  it('has nothing to look up for other links', async () => {
+    const fetch = vi.fn();
+    await expect(fetchSongMetadata({ platform: 'Other', id: null, url: 'https://example.com' }, { fetch })).resolves.toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+import { ProviderError, fetchWithRetry, readResponse } from './providerRequest';
+import { getCanonicalKey } from './normalize';
+import { isAlreadyPicked } from './duplicates';
+
+// Pick suggestions from what the member has been listening to: their top
+// tracks of the past week on Last.fm or ListenBrainz, looked up by public
+// username, and their Spotify history when Spotify is connected. Usernames
+// are kept with the user repository's listening accounts; Last.fm is only
+// offered when the app has an API key (VITE_LASTFM_API_KEY).
+
+const HISTORY_DAYS = 7;
+const MAX_SUGGESTIONS = 20;
+
+// Overridable so the app can run against local stand-in servers
+const LASTFM_API_URL = import.meta.env.VITE_LASTFM_API_URL || 'https://ws.audioscrobbler.com/2.0';
+const LASTFM_API_KEY = import.meta.env.VITE_LASTFM_API_KEY;
+const LISTENBRAINZ_API_URL = import.meta.env.VITE_LISTENBRAINZ_API_URL || 'https://api.listenbrainz.org/1';
+
+const MAX_USERNAME_LENGTH = 64;
+
+const loadLastfmTracks = async (username) => {
+  const params = new URLSearchParams({
+    method: 'user.gettoptracks',
+    user: username,
+    period: '7day',
+    limit: '50',
+    api_key: LASTFM_API_KEY,
+    format: 'json'
+  });
+  const response = await fetchWithRetry('Last.fm', `${LASTFM_API_URL}/?${params}`);
+  // Last.fm answers an unknown user with 404 and error 6
+  if (response.status === 404) throw new ProviderError('Last.fm', 'unknown-user', 404);
+  const data = await readResponse('Last.fm', response);
+  return data.toptracks.track.map(track => ({
+    songName: track.name,
+    artist: track.artist.name,
+    plays: Number(track.playcount) || 1
+  }));
+};
+
+// ListenBrainz only has weekly stats for calendar weeks, so the past seven
+// days of listens are counted here; its API returns at most 1000 at a time
+const loadListenBrainzTracks = async (username) => {
+  const since = Math.floor((Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000) / 1000);
+  const response = await fetchWithRetry(
+    'ListenBrainz',
+    `${LISTENBRAINZ_API_URL}/user/${encodeURIComponent(username)}/listens?min_ts=${since}&count=1000`
+  );
+  if (response.status === 404) throw new ProviderError('ListenBrainz', 'unknown-user', 404);
+  const data = await readResponse('ListenBrainz', response);
+  return data.payload.listens.map(({ track_metadata: track }) => {
+    const spotifyId = track.additional_info?.spotify_id?.split('/track/')[1];
+    return {
+      songName: track.track_name,
+      artist: track.artist_name,
+      plays: 1,
+      ...(spotifyId ? { platform: 'Spotify', link: `https://open.spotify.com/track/${spotifyId}` } : {}),
+      isrc: track.additional_info?.isrc || null
+    };
+  });
+};
+
+export const LISTENING_SERVICES = [
+  { id: 'lastfm', name: 'Last.fm', loadTracks: loadLastfmTracks, available: !!LASTFM_API_KEY },
+  { id: 'listenbrainz', name: 'ListenBrainz', loadTracks: loadListenBrainzTracks, available: true }
+].filter(service => service.available);
+
+export const validateListeningUsername = (username) => {
+  if (username.length > MAX_USERNAME_LENGTH) return `Usernames can be at most ${MAX_USERNAME_LENGTH} characters.`;
+  if (/[\s/?#]/.test(username)) return 'Usernames can\'t contain spaces or slashes.';
+  return null;
+};
+
+// Adds up plays of the same song across sources, keeping the first
+// source's details; streaming services come first, with links and artwork
+const mergeTracks = (tracks) => {
+  const merged = new Map();
+  tracks.forEach(track => {
+    const key = getCanonicalKey(track.songName, track.artist);
+    const existing = merged.get(key);
+    if (existing) {
+      existing.plays += track.plays;
+      existing.sources = [...new Set([...existing.sources, track.source])];
+    } else {
+      merged.set(key, { ...track, key, sources: [track.source] });
+    }
+  });
+  return [...merged.values()];
+};
+
+// Resolves to { suggestions, errors }: the most played songs the group
+// hasn't picked yet, and the sources that couldn't be loaded. One source
+// failing doesn't hold up the others.
+export const loadSuggestions = async ({ accounts = {}, providers = [], pickedSongs }) => {
+  const sources = [
+    ...providers
+      .filter(provider => provider.getListeningHistory)
+      .map(provider => ({ name: provider.platform, load: () => provider.getListeningHistory() })),
+    ...LISTENING_SERVICES
+      .filter(service => accounts[service.id])
+      .map(service => ({ name: service.name, load: () => service.loadTracks(accounts[service.id]) }))
+  ];
+
+  const results = await Promise.allSettled(sources.map(source => source.load()));
+  const tracks = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      tracks.push(...result.value.map(track => ({ ...track, source: sources[index].name })));
+    } else {
+      console.error(`Error loading ${sources[index].name} listening history:`, result.reason);
+      errors.push(result.reason instanceof ProviderError
+        ? result.reason
+        : new ProviderError(sources[index].name, 'api'));
+    }
+  });
+
+  const suggestions = mergeTracks(tracks)
+    .filter(track => track.songName && track.artist && !isAlreadyPicked(pickedSongs, track))
+    .sort((a, b) => b.plays - a.plays)
+    .slice(0, MAX_SUGGESTIONS);
+  return { suggestions, errors };
+};
@@ -0,0 +1,316 @@
+import { createLocalStore } from './localStore';
+import { DuplicatePickError, EDITABLE_FIELDS, getSongId, getNextSlot, TRASH_DAYS } from './picks';
+import { compareSongs } from './feedQuery';
+import { getCanonicalKey, isClaimable } from './normalize';
+import { getWeekKey, parseWeekKey, shiftWeek } from './weeks';
+
+// The local backend: everything stays in this browser, so the app runs
+// without a Firebase project. It plays the part of the security rules and
+// functions the app relies on (slots, duplicate blocking, the trash and edit
+// history) and nothing more. It imports nothing from Firebase.
+// See repositories.js for the interface.
+
+export const DEMO_USER = { uid: 'demo-user', email: 'demo@example.com', displayName: 'You (demo)' };
+
+const DEMO_FRIEND_ID = 'demo-friend';
+
+// One group in UTC whose weeks are always open, so there is no backend
+// schedule to keep
+export const DEMO_GROUP = {
+  id: 'demo',
+  name: 'Demo Group',
+  ownerId: DEMO_USER.uid,
+  memberIds: [DEMO_USER.uid, DEMO_FRIEND_ID],
+  inviteCode: 'DEMO',
+  timeZone: 'UTC',
+  settings: {}
+};
+
+// Weeks keep the shape of Firestore's Timestamps, which is all the app reads
+const toTimestamp = (date) => ({ toDate: () => date, toMillis: () => date.getTime() });
+
+export const getDemoWeek = (weekKey) => {
+  const startsAt = toTimestamp(parseWeekKey(weekKey));
+  const endsAt = toTimestamp(parseWeekKey(shiftWeek(weekKey, 1)));
+  return {
+    weekKey,
+    startsAt,
+    endsAt,
+    deadlineAt: endsAt,
+    revealAt: startsAt,
+    blind: false,
+    revealed: true,
+    maxPicksPerWeek: null,
+    blockDuplicates: false,
+    votesPerWeek: 3,
+    tallied: false
+  };
+};
+
+const demoPick = (weekKey, slot, songName, artist, link) => ({
+  groupId: DEMO_GROUP.id,
+  user: 'Sam (demo)',
+  userId: DEMO_FRIEND_ID,
+  songName,
+  artist,
+  platform: 'Spotify',
+  link,
+  artworkUrl: '',
+  weekKey,
+  slot,
+  hidden: false,
+  canonicalKey: getCanonicalKey(songName, artist),
+  reactionCount: 0,
+  createdAt: new Date(parseWeekKey(weekKey).getTime() + (slot + 1) * 60 * 60 * 1000).toISOString()
+});
+
+const seedSongs = () => {
+  const weekKey = getWeekKey(new Date(), DEMO_GROUP.timeZone);
+  const lastWeekKey = shiftWeek(weekKey, -1);
+  const picks = [
+    demoPick(lastWeekKey, 0, 'Dreams', 'Fleetwood Mac', 'https://open.spotify.com/track/0ofHAoxe9vBkTCp2UQIavz'),
+    demoPick(weekKey, 0, 'Heroes', 'David Bowie', 'https://open.spotify.com/track/7Jh1bpe76CNTCgdgAdBw4Z')
+  ];
+  return Object.fromEntries(picks.map(pick => [getSongId(pick.groupId, pick.weekKey, pick.userId, pick.slot), pick]));
+};
+
+const seedUsers = () => ({
+  [DEMO_USER.uid]: { displayName: DEMO_USER.displayName, email: DEMO_USER.email },
+  [DEMO_FRIEND_ID]: { displayName: 'Sam (demo)', email: 'sam@example.com' }
+});
+
+const songStore = createLocalStore('localSongs', seedSongs);
+const userStore = createLocalStore('localUsers', seedUsers);
+const listenedStore = createLocalStore('localListened');
+const listeningAccountsStore = createLocalStore('localListeningAccounts');
+const trashStore = createLocalStore('localTrash');
+const versionStore = createLocalStore('localSongVersions');
+const reactionStore = createLocalStore('localReactions');
+const commentStore = createLocalStore('localComments');
+const voteStore = createLocalStore('localVotes');
+const leaderboardStore = createLocalStore('localLeaderboard');
+const themeStore = createLocalStore('localThemes');
+const recapStore = createLocalStore('localRecaps');
+const playlistStore = createLocalStore('localPlaylists');
+const auditLogStore = createLocalStore('localAuditLog');
+
+const TRASH_MS = TRASH_DAYS * 24 * 60 * 60 * 1000;
+
+const newLocalId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Moves a pick's history from one ID to another, as functions/picks.js does
+const rekeyVersions = (fromId, toId) => {
+  versionStore.list()
+    .filter(version => version.songId === fromId)
+    .forEach(version => versionStore.update(version.id, { songId: toId }));
+};
+
+const matchesFilter = (song, filter) =>
+  !filter || (filter.op === 'in' ? filter.value.includes(song[filter.field]) : song[filter.field] === filter.value);
+
+const byNewest = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+// Results are delivered straight away and again after every change, like onSnapshot
+const subscribeStore = (store, select, onChange) => {
+  const emit = () => onChange(select(store.list()));
+  const unsubscribe = store.subscribe(emit);
+  emit();
+  return unsubscribe;
+};
+
+const subscribeSongs = (select, onChange) => subscribeStore(songStore, select, onChange);
+
+// Docs in the group, keyed by ID without their groupId, like a Firestore
+// subcollection under the group
+const byIdInGroup = (groupId) => (docs) => Object.fromEntries(docs
+  .filter(entry => entry.groupId === groupId)
+  .map(({ id, groupId: docGroupId, ...data }) => [id, data]));
+
+const isTaken = (song, songId) =>
+  songStore.list().some(other =>
+    other.id !== songId &&
+    other.groupId === song.groupId &&
+    other.weekKey === song.weekKey &&
+    other.canonicalKey === song.canonicalKey
+  );
+
+export const localSongs = {
+  add: async (song, { blockDuplicates = false } = {}) => {
+    const songId = getSongId(song.groupId, song.weekKey, song.userId, song.slot);
+    if (songStore.get(songId)) {
+      throw new Error('That pick slot is already taken.');
+    }
+    if (blockDuplicates && isClaimable(song.canonicalKey) && isTaken(song, songId)) {
+      throw new DuplicatePickError();
+    }
+    songStore.set(songId, { ...song, createdAt: new Date().toISOString() });
+    return songId;
+  },
+
+  update: async (song, changes, { blockDuplicates = false } = {}) => {
+    const canonicalKey = getCanonicalKey(changes.songName, changes.artist);
+    const updated = { ...song, ...changes, canonicalKey };
+    if (blockDuplicates && canonicalKey !== song.canonicalKey && isClaimable(canonicalKey) && isTaken(updated, song.id)) {
+      throw new DuplicatePickError();
+    }
+    const now = new Date().toISOString();
+    const changed = EDITABLE_FIELDS.filter(field => (song[field] ?? null) !== (changes[field] ?? song[field] ?? null));
+    if (changed.length > 0) {
+      versionStore.set(newLocalId(), {
+        songId: song.id,
+        groupId: song.groupId,
+        userId: song.userId,
+        editedBy: changes.updatedBy || null,
+        before: Object.fromEntries(changed.map(field => [field, song[field] ?? null])),
+        after: Object.fromEntries(changed.map(field => [field, changes[field] ?? null])),
+        createdAt: now
+      });
+    }
+    songStore.update(song.id, { ...changes, canonicalKey, updatedAt: now });
+  },
+
+  remove: async (songId) => {
+    const { id, ...song } = songStore.get(songId);
+    const trashId = newLocalId();
+    trashStore.set(trashId, { ...song, songId, deletedAt: new Date().toISOString(), deletedBy: DEMO_USER.uid });
+    rekeyVersions(songId, trashId);
+    songStore.remove(songId);
+    return trashId;
+  },
+
+  restore: async (trashId) => {
+    const { id, songId, deletedAt, deletedBy, ...song } = trashStore.get(trashId);
+    const slot = songStore.get(songId) ? getNextSlot(songStore.list(), song.userId, song.weekKey) : song.slot;
+    const restoredId = getSongId(song.groupId, song.weekKey, song.userId, slot);
+    songStore.set(restoredId, { ...song, slot });
+    rekeyVersions(trashId, restoredId);
+    trashStore.remove(trashId);
+    return restoredId;
+  },
+
+  purge: async (trashId) => {
+    versionStore.list()
+      .filter(version => version.songId === trashId)
+      .forEach(version => versionStore.remove(version.id));
+    trashStore.remove(trashId);
+  },
+
+  countVisible: async (groupId) =>
+    songStore.list().filter(song => song.groupId === groupId && !song.hidden).length,
+
+  loadGroupSongs: async (groupId, userId, weekKey = null) =>
+    songStore.list()
+      .filter(song => song.groupId === groupId && (!song.hidden || song.userId === userId) && (!weekKey || song.weekKey === weekKey))
+      .sort(byNewest),
+
+  loadMemberSongs: async (groupId, memberId, viewerId, count) =>
+    songStore.list()
+      .filter(song => song.groupId === groupId && song.userId === memberId && (!song.hidden || memberId === viewerId))
+      .sort(byNewest)
+      .slice(0, count),
+
+  loadVersions: async (song) =>
+    versionStore.list().filter(version => version.songId === song.id).sort(byNewest),
+
+  subscribeTrash: (groupId, userId, onChange) =>
+    subscribeStore(trashStore, songs => songs
+      .filter(song => song.groupId === groupId && (!userId || song.userId === userId))
+      .filter(song => Date.now() - Date.parse(song.deletedAt) <= TRASH_MS)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)), onChange),
+
+  subscribeFeed: ({ groupId, filter, sortId, limit }, onChange) =>
+    subscribeSongs(songs => songs
+      .filter(song => song.groupId === groupId && !song.hidden && matchesFilter(song, filter))
+      .sort(compareSongs(sortId))
+      .slice(0, limit), onChange),
+
+  subscribeOwnHidden: (groupId, userId, onChange) =>
+    subscribeSongs(songs => songs.filter(song => song.groupId === groupId && song.userId === userId && song.hidden), onChange),
+
+  subscribeUserWeek: (groupId, userId, weekKey, onChange) =>
+    subscribeSongs(songs => songs.filter(song => song.groupId === groupId && song.userId === userId && song.weekKey === weekKey), onChange),
+
+  subscribeWeek: (groupId, weekKey, onChange) =>
+    subscribeSongs(songs => songs
+      .filter(song => song.groupId === groupId && song.weekKey === weekKey && !song.hidden)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt)), onChange),
+
+  subscribeReactions: (groupId, songIds, onChange) =>
+    subscribeStore(reactionStore, reactions => reactions
+      .filter(reaction => reaction.groupId === groupId && songIds.includes(reaction.songId)), onChange),
+
+  subscribeComments: (song, onChange) =>
+    subscribeStore(commentStore, comments => comments
+      .filter(comment => comment.groupId === song.groupId && comment.songId === song.id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt)), onChange)
+};
+
+export const localUsers = {
+  get: async (userId) => userStore.get(userId),
+  update: async (userId, changes) => userStore.update(userId, changes),
+
+  subscribe: (userId, onChange) =>
+    subscribeStore(userStore, () => userStore.get(userId), onChange),
+
+  subscribeMany: (userIds, onChange) =>
+    subscribeStore(userStore, () => userIds.map(userId => userStore.get(userId)).filter(Boolean), onChange),
+
+  setListened: async (userId, song, listened) => {
+    const listenedId = `${userId}_${song.id}`;
+    if (listened) {
+      listenedStore.set(listenedId, { userId, songId: song.id, groupId: song.groupId, listenedAt: new Date().toISOString() });
+    } else {
+      listenedStore.remove(listenedId);
+    }
+  },
+
+  getListeningAccounts: async (userId) => {
+    const { id, ...accounts } = listeningAccountsStore.get(userId) || {};
+    return accounts;
+  },
+  setListeningAccounts: async (userId, accounts) => listeningAccountsStore.set(userId, accounts),
+
+  subscribeListened: (userId, groupId, onChange) =>
+    subscribeStore(listenedStore, entries => entries
+      .filter(entry => entry.userId === userId && entry.groupId === groupId)
+      .map(entry => entry.songId), onChange)
+};
+
+// Votes, recaps, playlists and the audit log are written by the functions,
+// so the demo starts without any; the stores still show whatever is saved
+// under their keys.
+export const localGroups = {
+  subscribeGroups: (userId, onChange) => {
+    onChange(DEMO_GROUP.memberIds.includes(userId) ? [DEMO_GROUP] : []);
+    return () => {};
+  },
+
+  subscribeWeek: (groupId, weekKey, onChange) => {
+    onChange(groupId === DEMO_GROUP.id ? getDemoWeek(weekKey) : null);
+    return () => {};
+  },
+
+  subscribeVotes: (groupId, weekKey, userId, onChange) =>
+    subscribeStore(voteStore, votes => votes
+      .filter(vote => vote.groupId === groupId && vote.weekKey === weekKey && vote.userId === userId), onChange),
+
+  subscribeLeaderboard: (groupId, onChange) =>
+    subscribeStore(leaderboardStore, entries => entries.filter(entry => entry.groupId === groupId), onChange),
+
+  subscribeThemes: (groupId, onChange) =>
+    subscribeStore(themeStore, byIdInGroup(groupId), onChange),
+
+  subscribeRecaps: (groupId, onChange) =>
+    subscribeStore(recapStore, recaps => Object.fromEntries(recaps
+      .filter(recap => recap.groupId === groupId)
+      .map(recap => [recap.weekKey, recap.id])), onChange),
+
+  subscribePlaylists: (groupId, onChange) =>
+    subscribeStore(playlistStore, byIdInGroup(groupId), onChange),
+
+  subscribeAuditLog: (groupId, count, onChange) =>
+    subscribeStore(auditLogStore, entries => entries
+      .filter(entry => entry.groupId === groupId)
+      .sort(byNewest)
+      .slice(0, count), onChange)
+};
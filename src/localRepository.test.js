@@ -0,0 +1,267 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { isWeekOpen } from './picks';
+import { getCanonicalKey } from './normalize';
+import { getWeekKey } from './weeks';
+
+// The backend keeps its stores in module state, so each test loads a fresh
+// copy over a cleared localStorage. Nothing here mocks Firebase: the local
+// backend must load without it.
+let localSongs;
+let localUsers;
+let localGroups;
+let DEMO_USER;
+let DEMO_GROUP;
+let DuplicatePickError;
+
+const load = async () => {
+  vi.resetModules();
+  ({ localSongs, localUsers, localGroups, DEMO_USER, DEMO_GROUP } = await import('./localRepository'));
+  ({ DuplicatePickError } = await import('./picks'));
+};
+
+beforeEach(async () => {
+  localStorage.clear();
+  await load();
+});
+
+// Well before the seeded picks' weeks
+const WEEK_KEY = '2025-06-01';
+
+const makeSong = (overrides = {}) => {
+  const song = {
+    groupId: DEMO_GROUP.id,
+    userId: DEMO_USER.uid,
+    user: DEMO_USER.displayName,
+    songName: 'Changes',
+    artist: 'David Bowie',
+    platform: 'Spotify',
+    link: '',
+    artworkUrl: '',
+    weekKey: WEEK_KEY,
+    slot: 0,
+    hidden: false,
+    reactionCount: 0,
+    ...overrides
+  };
+  return { ...song, canonicalKey: getCanonicalKey(song.songName, song.artist) };
+};
+
+// Collects every value a subscription delivers
+const record = () => {
+  const calls = [];
+  const onChange = (value) => calls.push(value);
+  return { calls, onChange, latest: () => calls[calls.length - 1] };
+};
+
+describe('localSongs', () => {
+  it('seeds the demo group with a friend\'s picks', async () => {
+    const songs = await localSongs.loadGroupSongs(DEMO_GROUP.id, DEMO_USER.uid);
+    expect(songs.map(song => song.songName)).toEqual(['Heroes', 'Dreams']);
+    expect(songs[0].weekKey).toBe(getWeekKey(new Date(), DEMO_GROUP.timeZone));
+  });
+
+  it('keys picks by slot and keeps each slot to one pick', async () => {
+    const songId = await localSongs.add(makeSong());
+    expect(songId).toBe(`demo_${WEEK_KEY}_demo-user_0`);
+    await expect(localSongs.add(makeSong({ songName: 'Heroes' }))).rejects.toThrow('That pick slot is already taken.');
+  });
+
+  it('blocks a song already picked that week when asked to', async () => {
+    await localSongs.add(makeSong({ userId: 'demo-friend' }));
+    await expect(localSongs.add(makeSong(), { blockDuplicates: true })).rejects.toThrow(DuplicatePickError);
+    await expect(localSongs.add(makeSong())).resolves.toBeTruthy();
+  });
+
+  it('records each edit in the pick\'s history', async () => {
+    const songId = await localSongs.add(makeSong());
+    const [song] = await localSongs.loadGroupSongs(DEMO_GROUP.id, DEMO_USER.uid, WEEK_KEY);
+    await localSongs.update(song, { songName: 'Heroes', artist: 'David Bowie', updatedBy: DEMO_USER.uid });
+
+    const [updated] = await localSongs.loadGroupSongs(DEMO_GROUP.id, DEMO_USER.uid, WEEK_KEY);
+    expect(updated).toMatchObject({ id: songId, songName: 'Heroes', canonicalKey: getCanonicalKey('Heroes', 'David Bowie') });
+    const versions = await localSongs.loadVersions(updated);
+    expect(versions).toHaveLength(1);
+    expect(versions[0]).toMatchObject({ before: { songName: 'Changes' }, after: { songName: 'Heroes' }, editedBy: DEMO_USER.uid });
+  });
+
+  it('moves deleted picks and their history through the trash', async () => {
+    const songId = await localSongs.add(makeSong());
+    const [song] = await localSongs.loadGroupSongs(DEMO_GROUP.id, DEMO_USER.uid, WEEK_KEY);
+    await localSongs.update(song, { songName: 'Heroes', artist: 'David Bowie' });
+
+    const trash = record();
+    localSongs.subscribeTrash(DEMO_GROUP.id, DEMO_USER.uid, trash.onChange);
+    const trashId = await localSongs.remove(songId);
+    expect(trash.latest()).toEqual([expect.objectContaining({ id: trashId, songId, deletedBy: DEMO_USER.uid })]);
+    expect(await localSongs.loadGroupSongs(DEMO_GROUP.id, DEMO_USER.uid, WEEK_KEY)).toEqual([]);
+
+    // The slot was taken again in the meantime, so the pick comes back in the next one
+    await localSongs.add(makeSong({ songName: 'Starman' }));
+    const restoredId = await localSongs.restore(trashId);
+    expect(restoredId).toBe(`demo_${WEEK_KEY}_demo-user_1`);
+    expect(trash.latest()).toEqual([]);
+    expect(await localSongs.loadVersions({ id: restoredId })).toHaveLength(1);
+  });
+
+  it('purges trashed picks with their history', async () => {
+    const songId = await localSongs.add(makeSong());
+    const [song] = await localSongs.loadGroupSongs(DEMO_GROUP.id, DEMO_USER.uid, WEEK_KEY);
+    await localSongs.update(song, { songName: 'Heroes', artist: 'David Bowie' });
+    const trashId = await localSongs.remove(songId);
+
+    await localSongs.purge(trashId);
+    expect(await localSongs.loadVersions({ id: trashId })).toEqual([]);
+    await expect(localSongs.restore(trashId)).rejects.toThrow();
+  });
+
+  it('keeps blind picks out of others\' view', async () => {
+    await localSongs.add(makeSong({ userId: 'demo-friend', hidden: true }));
+    expect(await localSongs.loadGroupSongs(DEMO_GROUP.id, DEMO_USER.uid, WEEK_KEY)).toEqual([]);
+    expect(await localSongs.loadGroupSongs(DEMO_GROUP.id, 'demo-friend', WEEK_KEY)).toHaveLength(1);
+
+    const hidden = record();
+    localSongs.subscribeOwnHidden(DEMO_GROUP.id, 'demo-friend', hidden.onChange);
+    expect(hidden.latest()).toHaveLength(1);
+  });
+
+  it('loads one member\'s picks a page at a time', async () => {
+    await localSongs.add(makeSong({ userId: 'demo-friend', slot: 1, hidden: true }));
+    await localSongs.add(makeSong());
+
+    const friendSongs = await localSongs.loadMemberSongs(DEMO_GROUP.id, 'demo-friend', DEMO_USER.uid, 1);
+    expect(friendSongs.map(song => song.songName)).toEqual(['Heroes']);
+    expect(await localSongs.loadMemberSongs(DEMO_GROUP.id, 'demo-friend', DEMO_USER.uid, 10)).toHaveLength(2);
+    expect(await localSongs.loadMemberSongs(DEMO_GROUP.id, 'demo-friend', 'demo-friend', 10)).toHaveLength(3);
+  });
+
+  it('delivers feed pages straight away and after every change', async () => {
+    const feed = record();
+    const unsubscribe = localSongs.subscribeFeed({ groupId: DEMO_GROUP.id, filter: null, sortId: 'newest', limit: 2 }, feed.onChange);
+    expect(feed.calls).toHaveLength(1);
+
+    await localSongs.add(makeSong());
+    expect(feed.calls).toHaveLength(2);
+    expect(feed.latest()).toHaveLength(2);
+    expect(feed.latest()[0].songName).toBe('Changes');
+
+    unsubscribe();
+    await localSongs.add(makeSong({ slot: 1, songName: 'Heroes' }));
+    expect(feed.calls).toHaveLength(2);
+  });
+
+  it('filters the feed the way the server query would', async () => {
+    await localSongs.add(makeSong());
+    const feed = record();
+    localSongs.subscribeFeed({
+      groupId: DEMO_GROUP.id,
+      filter: { field: 'weekKey', op: '==', value: WEEK_KEY },
+      sortId: 'newest',
+      limit: 20
+    }, feed.onChange);
+    expect(feed.latest().map(song => song.songName)).toEqual(['Changes']);
+  });
+
+  it('picks up changes made in another tab', async () => {
+    const week = record();
+    localSongs.subscribeWeek(DEMO_GROUP.id, WEEK_KEY, week.onChange);
+    expect(week.latest()).toEqual([]);
+
+    const songId = `demo_${WEEK_KEY}_demo-friend_0`;
+    const saved = JSON.parse(localStorage.getItem('localSongs'));
+    localStorage.setItem('localSongs', JSON.stringify({
+      ...saved,
+      [songId]: { ...makeSong({ userId: 'demo-friend' }), createdAt: new Date().toISOString() }
+    }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'localSongs' }));
+
+    expect(week.latest().map(song => song.id)).toEqual([songId]);
+  });
+});
+
+describe('localUsers', () => {
+  it('merges profile changes and tells subscribers', async () => {
+    const profile = record();
+    localUsers.subscribe(DEMO_USER.uid, profile.onChange);
+    expect(profile.latest()).toMatchObject({ id: DEMO_USER.uid, displayName: DEMO_USER.displayName });
+
+    await localUsers.update(DEMO_USER.uid, { displayName: 'Demo' });
+    expect(profile.latest()).toMatchObject({ displayName: 'Demo', email: DEMO_USER.email });
+  });
+
+  it('leaves out profiles that don\'t exist', () => {
+    const profiles = record();
+    localUsers.subscribeMany([DEMO_USER.uid, 'nobody'], profiles.onChange);
+    expect(profiles.latest().map(profile => profile.id)).toEqual([DEMO_USER.uid]);
+  });
+
+  it('tracks listened picks per group', async () => {
+    const listened = record();
+    localUsers.subscribeListened(DEMO_USER.uid, DEMO_GROUP.id, listened.onChange);
+
+    await localUsers.setListened(DEMO_USER.uid, { id: 'song1', groupId: DEMO_GROUP.id, weekKey: WEEK_KEY }, true);
+    await localUsers.setListened(DEMO_USER.uid, { id: 'song2', groupId: 'other', weekKey: WEEK_KEY }, true);
+    expect(listened.latest()).toEqual(['song1']);
+
+    await localUsers.setListened(DEMO_USER.uid, { id: 'song1', groupId: DEMO_GROUP.id, weekKey: WEEK_KEY }, false);
+    expect(listened.latest()).toEqual([]);
+  });
+
+  it('keeps listening accounts', async () => {
+    expect(await localUsers.getListeningAccounts(DEMO_USER.uid)).toEqual({});
+    await localUsers.setListeningAccounts(DEMO_USER.uid, { lastfm: 'bowiefan' });
+    expect(await localUsers.getListeningAccounts(DEMO_USER.uid)).toEqual({ lastfm: 'bowiefan' });
+  });
+});
+
+describe('localGroups', () => {
+  it('puts the demo user in the demo group', () => {
+    const groups = record();
+    localGroups.subscribeGroups(DEMO_USER.uid, groups.onChange);
+    expect(groups.latest()).toEqual([DEMO_GROUP]);
+
+    localGroups.subscribeGroups('someone-else', groups.onChange);
+    expect(groups.latest()).toEqual([]);
+  });
+
+  it('keeps the demo week open', () => {
+    const week = record();
+    localGroups.subscribeWeek(DEMO_GROUP.id, getWeekKey(new Date(), DEMO_GROUP.timeZone), week.onChange);
+    expect(isWeekOpen(week.latest())).toBe(true);
+    expect(week.latest().endsAt.toMillis()).toBeGreaterThan(Date.now());
+  });
+
+  it('reads group data saved under the local stores', async () => {
+    localStorage.setItem('localThemes', JSON.stringify({
+      [WEEK_KEY]: { groupId: DEMO_GROUP.id, name: 'Covers' },
+      '2026-10-11': { groupId: 'other', name: 'Duets' }
+    }));
+    localStorage.setItem('localRecaps', JSON.stringify({ token1: { groupId: DEMO_GROUP.id, weekKey: WEEK_KEY } }));
+    localStorage.setItem('localAuditLog', JSON.stringify({
+      entry1: { groupId: DEMO_GROUP.id, action: 'lock-week', createdAt: '2026-10-18T10:00:00.000Z' },
+      entry2: { groupId: DEMO_GROUP.id, action: 'unlock-week', createdAt: '2026-10-18T11:00:00.000Z' }
+    }));
+    await load();
+
+    const themes = record();
+    const recaps = record();
+    const auditLog = record();
+    localGroups.subscribeThemes(DEMO_GROUP.id, themes.onChange);
+    localGroups.subscribeRecaps(DEMO_GROUP.id, recaps.onChange);
+    localGroups.subscribeAuditLog(DEMO_GROUP.id, 1, auditLog.onChange);
+
+    expect(themes.latest()).toEqual({ [WEEK_KEY]: { name: 'Covers' } });
+    expect(recaps.latest()).toEqual({ [WEEK_KEY]: 'token1' });
+    expect(auditLog.latest().map(entry => entry.action)).toEqual(['unlock-week']);
+  });
+
+  it('starts without votes, playlists or a leaderboard', () => {
+    const votes = record();
+    const leaderboard = record();
+    const playlists = record();
+    localGroups.subscribeVotes(DEMO_GROUP.id, WEEK_KEY, DEMO_USER.uid, votes.onChange);
+    localGroups.subscribeLeaderboard(DEMO_GROUP.id, leaderboard.onChange);
+    localGroups.subscribePlaylists(DEMO_GROUP.id, playlists.onChange);
+    expect([votes.latest(), leaderboard.latest(), playlists.latest()]).toEqual([[], [], {}]);
+  });
+});
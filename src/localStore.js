@@ -0,0 +1,53 @@
+// A small document collection kept in memory and mirrored to localStorage,
+// for the local data backend. Listeners hear about every change, including
+// writes made in other tabs, which arrive through the storage event.
+export const createLocalStore = (storageKey, seed = () => ({})) => {
+  const load = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      if (saved) return saved;
+    } catch {
+      // Unreadable data is replaced by the seed
+    }
+    return seed();
+  };
+
+  let docs = load();
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const save = () => {
+    localStorage.setItem(storageKey, JSON.stringify(docs));
+    notify();
+  };
+
+  window.addEventListener('storage', (event) => {
+    if (event.key !== storageKey) return;
+    docs = load();
+    notify();
+  });
+
+  return {
+    get: (id) => (docs[id] ? { id, ...docs[id] } : null),
+    list: () => Object.entries(docs).map(([id, data]) => ({ id, ...data })),
+    set: (id, data) => {
+      docs = { ...docs, [id]: data };
+      save();
+    },
+    update: (id, changes) => {
+      docs = { ...docs, [id]: { ...docs[id], ...changes } };
+      save();
+    },
+    remove: (id) => {
+      const { [id]: removed, ...rest } = docs;
+      docs = rest;
+      save();
+    },
+    // Calls the listener on every change; returns the unsubscribe function
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,43 @@
+import { db } from './firebase';
+import { doc, updateDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+
+// Admin actions and the audit log that records them, at
+// groups/{groupId}/auditLog: { action, actorId, targetUserId, songId,
+// details, createdAt }. The functions write every entry as the changes
+// happen (see functions/moderation.js), so the app only makes the changes.
+// Keep the actions in sync with functions/moderation.js.
+export const AUDIT_ACTIONS = {
+  'edit-pick': 'Edited a pick',
+  'delete-pick': 'Removed a pick',
+  'move-pick': 'Moved a pick to another week',
+  'remove-member': 'Removed a member',
+  'make-admin': 'Made an admin',
+  'remove-admin': 'Removed an admin',
+  'transfer-ownership': 'Handed over ownership',
+  'lock-week': 'Locked a week',
+  'unlock-week': 'Unlocked a week'
+};
+
+export const removeMember = (group, memberId) =>
+  updateDoc(doc(db, 'groups', group.id), { memberIds: arrayRemove(memberId), adminIds: arrayRemove(memberId) });
+
+export const setAdmin = (group, memberId, admin) =>
+  updateDoc(doc(db, 'groups', group.id), { adminIds: admin ? arrayUnion(memberId) : arrayRemove(memberId) });
+
+// The old owner stays on as an admin
+export const transferOwnership = (group, newOwnerId) =>
+  updateDoc(doc(db, 'groups', group.id), {
+    ownerId: newOwnerId,
+    adminIds: [...(group.adminIds || []).filter(adminId => adminId !== newOwnerId), group.ownerId]
+  });
+
+// A locked week takes no new picks and no changes from their authors
+export const setWeekLocked = (groupId, weekKey, locked) =>
+  updateDoc(doc(db, 'groups', groupId, 'weeks', weekKey), { locked });
+
+// Resolves to the pick's new song ID; see functions/moderation.js
+export const moveSong = async (songId, weekKey) => {
+  const result = await httpsCallable(getFunctions(), 'moveSong')({ songId, weekKey });
+  return result.data.songId;
+};
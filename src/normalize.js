@@ -0,0 +1,23 @@
+// Lowercase, strip accents, punctuation and the usual decorations so the
+// same recording compares equal across platforms. Mirrors functions/matching.js.
+export const normalizeTitle = (title) =>
+  String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s*[([][^)\]]*(feat\.?|ft\.?|with|remaster(ed)?|radio edit|single version|official (music )?video|audio|lyrics?)[^)\]]*[)\]]/g, '')
+    .replace(/\s+-\s+(\d{4}\s+)?remaster(ed)?.*$/, '')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Only the primary artist counts; features are listed inconsistently
+export const normalizeArtist = (artist) =>
+  normalizeTitle(String(artist || '').split(/,|&| feat\.? | ft\.? | x | and /i)[0]);
+
+export const getCanonicalKey = (songName, artist) => `${normalizeArtist(artist)}|${normalizeTitle(songName)}`;
+
+// A key with an empty half (a title in a script the normalisation drops)
+// would collide with unrelated songs, so it is never used to find repeats
+// or claim a song. Mirrors functions/matching.js.
+export const isClaimable = (canonicalKey) => typeof canonicalKey === 'string' && /^[^|]+\|[^|]+$/.test(canonicalKey);
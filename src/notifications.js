@@ -0,0 +1,62 @@
+import { db } from './firebase';
+import { doc, setDoc, deleteDoc } from 'firebase/firestore';
+import { getMessaging, getToken, deleteToken, isSupported } from 'firebase/messaging';
+import { DEMO_MODE, userRepository } from './repositories';
+
+// What each member hears about, stored as `notifications` on users/{uid}.
+// Push only reaches devices where it has been turned on.
+// Keep in sync with functions/notifications.js.
+export const DEFAULT_NOTIFICATION_PREFS = {
+  reminderEmail: false,
+  reminderPush: true,
+  digestEmail: false,
+  digestPush: true
+};
+
+export const NOTIFICATION_KINDS = [
+  { id: 'reminder', label: "Reminder when I haven't picked yet" },
+  { id: 'digest', label: "Weekly digest of the group's picks" }
+];
+
+// The token this device registered, so it can be removed again
+const PUSH_TOKEN_STORAGE_KEY = 'pushToken';
+
+export const getNotificationPrefs = (profile) => ({ ...DEFAULT_NOTIFICATION_PREFS, ...profile?.notifications });
+
+export const saveNotificationPrefs = async (userId, prefs) => {
+  await userRepository.update(userId, { notifications: prefs });
+};
+
+// Push needs the service worker, which only runs in production builds, and
+// a Firebase project to send from
+export const isPushAvailable = async () =>
+  !DEMO_MODE && 'Notification' in window && !!(await navigator.serviceWorker?.getRegistration()) && isSupported();
+
+export const isPushEnabled = () =>
+  'Notification' in window && Notification.permission === 'granted' && !!localStorage.getItem(PUSH_TOKEN_STORAGE_KEY);
+
+export const enablePush = async (userId) => {
+  if (await Notification.requestPermission() !== 'granted') {
+    throw new Error('Notifications are blocked for this site. Allow them in your browser settings first.');
+  }
+  const token = await getToken(getMessaging(), {
+    vapidKey: import.meta.env.VITE_FIREBASE_VAPID_KEY,
+    serviceWorkerRegistration: await navigator.serviceWorker.ready
+  });
+  await setDoc(doc(db, 'users', userId, 'pushTokens', token), {
+    token,
+    userAgent: navigator.userAgent,
+    createdAt: new Date().toISOString()
+  });
+  localStorage.setItem(PUSH_TOKEN_STORAGE_KEY, token);
+};
+
+export const disablePush = async (userId) => {
+  const token = localStorage.getItem(PUSH_TOKEN_STORAGE_KEY);
+  localStorage.removeItem(PUSH_TOKEN_STORAGE_KEY);
+  if (!token) return;
+  await Promise.all([
+    deleteToken(getMessaging()),
+    deleteDoc(doc(db, 'users', userId, 'pushTokens', token))
+  ]);
+};
@@ -0,0 +1,174 @@
+import { db } from './firebase';
+import { collection, doc, getDocFromServer, getDocsFromServer, query, where } from 'firebase/firestore';
+import { addSong, updateSong, trashSong } from './songs';
+import { EDITABLE_FIELDS, getNextSlot, isWeekOpen, DuplicatePickError } from './picks';
+import { formatWeekLabel } from './weeks';
+
+// Submissions, edits and deletes made without a connection wait here until
+// they can be sent. Entries live in localStorage so they survive a reload:
+//   { id, userId, type: 'add' | 'update' | 'delete', songId, song, changes,
+//     base, queuedAt, status: 'pending' | 'conflict' | 'failed', message }
+// A conflict can be sent anyway over the server's version; a failure can
+// only be discarded (or, for a pick, edited and submitted again).
+// Queued picks use their entry ID as a stand-in song ID until they are sent.
+// `base` holds the pick's fields as they were when the change was made, so
+// sending can tell whether it was changed elsewhere in the meantime.
+export const OUTBOX_STORAGE_KEY = 'songOutbox';
+
+export class OutboxError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'OutboxError';
+    this.status = status;
+  }
+}
+
+const readEntries = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeEntries = (entries) => localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+
+export const getOutbox = (userId) => readEntries().filter(entry => entry.userId === userId);
+
+export const isQueuedPick = (songId) => String(songId).startsWith('queued_');
+
+export const getBase = (song) => Object.fromEntries(EDITABLE_FIELDS.map(field => [field, song[field] ?? '']));
+
+// Firestore reports a lost connection as `unavailable`, and functions as
+// `functions/unavailable`; requests can also fail outright once the browser
+// knows it is offline
+export const isOfflineError = (err) =>
+  err?.code === 'unavailable' || err?.code === 'functions/unavailable' || !navigator.onLine;
+
+// A change to a pick that is already queued is folded into its entry
+export const queueChange = ({ userId, type, songId, song, changes, base }) => {
+  const entries = readEntries();
+  const queuedAdd = entries.find(entry => entry.id === songId);
+  const queuedChange = entries.find(entry => entry.songId === songId && entry.type !== 'add');
+  const now = new Date().toISOString();
+
+  if (type === 'add') {
+    const id = `queued_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    entries.push({ id, userId, type, songId: null, song, queuedAt: now, status: 'pending', message: null });
+  } else if (queuedAdd) {
+    if (type === 'delete') {
+      entries.splice(entries.indexOf(queuedAdd), 1);
+    } else {
+      Object.assign(queuedAdd, { song: { ...queuedAdd.song, ...changes }, status: 'pending', message: null });
+    }
+  } else if (queuedChange) {
+    Object.assign(queuedChange, {
+      type,
+      changes: type === 'update' ? { ...queuedChange.changes, ...changes } : null,
+      queuedAt: now,
+      status: 'pending',
+      message: null
+    });
+  } else {
+    entries.push({ id: `change_${songId}`, userId, type, songId, changes: changes || null, base, queuedAt: now, status: 'pending', message: null });
+  }
+  writeEntries(entries);
+};
+
+export const updateEntry = (id, updates) => {
+  writeEntries(readEntries().map(entry => (entry.id === id ? { ...entry, ...updates } : entry)));
+};
+
+export const removeEntry = (id) => {
+  writeEntries(readEntries().filter(entry => entry.id !== id));
+};
+
+// The slot, visibility and duplicate claim are worked out when the pick is
+// sent, against the week as it is then. `outboxId` makes a retry after a
+// send that did reach the server a no-op.
+const sendAdd = async ({ id, song }) => {
+  const [weekDoc, ownSnapshot] = await Promise.all([
+    getDocFromServer(doc(db, 'groups', song.groupId, 'weeks', song.weekKey)),
+    getDocsFromServer(query(
+      collection(db, 'songs'),
+      where('groupId', '==', song.groupId),
+      where('userId', '==', song.userId),
+      where('weekKey', '==', song.weekKey)
+    ))
+  ]);
+  const ownSongs = ownSnapshot.docs.map(songDoc => songDoc.data());
+  if (ownSongs.some(ownSong => ownSong.outboxId === id)) return;
+
+  const week = weekDoc.data();
+  if (!isWeekOpen(week)) {
+    throw new OutboxError(`Submissions for ${formatWeekLabel(song.weekKey)} closed before this pick could be sent.`, 'failed');
+  }
+  if (week.maxPicksPerWeek && ownSongs.length >= week.maxPicksPerWeek) {
+    throw new OutboxError(`You already have ${week.maxPicksPerWeek} ${week.maxPicksPerWeek === 1 ? 'pick' : 'picks'} that week.`, 'failed');
+  }
+  try {
+    await addSong({
+      ...song,
+      slot: getNextSlot(ownSongs, song.userId, song.weekKey),
+      hidden: week.blind && !week.revealed,
+      outboxId: id
+    }, { blockDuplicates: week.blockDuplicates });
+  } catch (err) {
+    if (err instanceof DuplicatePickError) throw new OutboxError(err.message, 'failed');
+    throw err;
+  }
+};
+
+// Edits and deletes only go through untouched if the pick still looks the
+// way it did when they were made; otherwise the user decides. `force` is
+// their choice to keep their version.
+const sendChange = async (entry, force) => {
+  const songRef = doc(db, 'songs', entry.songId);
+  const snapshot = await getDocFromServer(songRef);
+  if (!snapshot.exists()) {
+    if (entry.type === 'delete') return;
+    throw new OutboxError('This pick was deleted on another device.', 'failed');
+  }
+
+  const current = { id: snapshot.id, ...snapshot.data() };
+  const changedElsewhere = EDITABLE_FIELDS.some(field => (current[field] ?? '') !== entry.base[field]);
+  if (changedElsewhere && !force) {
+    throw new OutboxError(entry.type === 'delete'
+      ? 'This pick was changed on another device after you deleted it.'
+      : 'This pick was changed on another device.', 'conflict');
+  }
+
+  if (entry.type === 'delete') {
+    await trashSong(entry.songId);
+    return;
+  }
+  const weekDoc = await getDocFromServer(doc(db, 'groups', current.groupId, 'weeks', current.weekKey));
+  try {
+    // Stamped with who made the edit, for the pick's history
+    await updateSong(current, { ...entry.changes, updatedBy: entry.userId }, { blockDuplicates: weekDoc.data()?.blockDuplicates });
+  } catch (err) {
+    if (err instanceof DuplicatePickError) throw new OutboxError(err.message, 'failed');
+    throw err;
+  }
+};
+
+export const sendEntry = (entry, { force = false } = {}) =>
+  entry.type === 'add' ? sendAdd(entry) : sendChange(entry, force);
+
+// Send pending entries in the order they were made. Stops at the first
+// connection error; anything else is recorded on the entry for the user.
+export const syncOutbox = async (userId, onProgress) => {
+  for (const entry of getOutbox(userId).filter(queued => queued.status === 'pending')) {
+    try {
+      await sendEntry(entry);
+      removeEntry(entry.id);
+    } catch (err) {
+      if (isOfflineError(err)) return;
+      console.error('Error syncing queued change:', err);
+      updateEntry(entry.id, err instanceof OutboxError
+        ? { status: err.status, message: err.message }
+        : { status: 'failed', message: 'The server didn\'t accept this change.' });
+    }
+    onProgress();
+  }
+};
@@ -0,0 +1,10 @@
+import { db } from './firebase';
+import { enableMultiTabIndexedDbPersistence } from 'firebase/firestore';
+
+// Keep Firestore's cache in IndexedDB so groups, weeks and the feed load
+// offline. This has to run before anything reads from Firestore, so it is
+// imported for its side effect right after ./firebase.
+enableMultiTabIndexedDbPersistence(db).catch(err => {
+  // Private browsing or an unsupported browser; everything still works online
+  console.error('Error enabling offline cache:', err);
+});
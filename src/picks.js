@@ -0,0 +1,37 @@
+// Rules for picks that hold whichever backend stores them: slots, the
+// weekly window, duplicates, the trash and which fields an edit can change.
+
+export class DuplicatePickError extends Error {
+  constructor(message = 'That song has already been picked this week.') {
+    super(message);
+    this.name = 'DuplicatePickError';
+  }
+}
+
+// Each member gets numbered slots per group-week; the security rules cap the
+// slot number at the week's pick limit, so the ID itself enforces the limit.
+export const getSongId = (groupId, weekKey, userId, slot) => `${groupId}_${weekKey}_${userId}_${slot}`;
+
+export const getNextSlot = (songs, userId, weekKey) => {
+  const usedSlots = new Set(
+    songs.filter(song => song.userId === userId && song.weekKey === weekKey).map(song => song.slot)
+  );
+  let slot = 0;
+  while (usedSlots.has(slot)) slot++;
+  return slot;
+};
+
+export const countPicks = (songs, userId, weekKey) =>
+  songs.filter(song => song.userId === userId && song.weekKey === weekKey).length;
+
+// Picks are open from the start of the week until its deadline, unless an
+// admin has locked the week
+export const isWeekOpen = (week, now = new Date()) =>
+  !!week && !week.locked && now >= week.startsAt.toDate() && now < week.deadlineAt.toDate();
+
+// Deleted picks go to the trash, where their author or an admin can
+// restore them for TRASH_DAYS; see functions/trash.js
+export const TRASH_DAYS = 30;
+
+// The fields a member can change when editing a pick
+export const EDITABLE_FIELDS = ['songName', 'artist', 'platform', 'link', 'artworkUrl', 'onTheme'];
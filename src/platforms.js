@@ -0,0 +1,5 @@
+// Options in the Submit view's platform <select>
+export const PLATFORMS = ['Spotify', 'Apple Music', 'YouTube Music', 'Deezer', 'SoundCloud', 'Other'];
+
+// Platforms every pick is matched on; keep in sync with functions/matching.js
+export const LISTEN_PLATFORMS = ['Spotify', 'Apple Music', 'YouTube Music', 'Deezer'];
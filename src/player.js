@@ -0,0 +1,81 @@
+import { parseSongLink } from './links';
+
+// What the in-app player can play for a pick. Apple Music gives out
+// 30-second previews without signing in, so those play in the mini-player;
+// the other platforms only have an embed player, which can't report when a
+// song ends. (Deezer's previews come from an API browsers can't call.)
+
+// Platforms with previews, in the order they are tried
+const PREVIEW_PLATFORMS = ['Apple Music'];
+
+// Embed players, by platform; each receives the parsed link
+const EMBEDS = {
+  Spotify: ({ id }) => id && `https://open.spotify.com/embed/track/${id}`,
+  'Apple Music': ({ id, url }) => id && url.replace('//music.apple.com', '//embed.music.apple.com'),
+  'YouTube Music': ({ id }) => id && `https://www.youtube.com/embed/${id}`,
+  Deezer: ({ id }) => id && `https://widget.deezer.com/widget/auto/track/${id}`,
+  SoundCloud: ({ url }) => `https://w.soundcloud.com/player/?url=${encodeURIComponent(url)}`
+};
+
+// The pick's link on a platform: its own link, or the one it was matched to
+const getTrack = (song, platform) => {
+  const link = song.platform === platform && song.link ? song.link : song.matches?.[platform]?.url;
+  if (!link) return null;
+  try {
+    const track = parseSongLink(link);
+    return track.platform === platform ? track : null;
+  } catch {
+    return null;
+  }
+};
+
+const hasPreviewTrack = (song) => PREVIEW_PLATFORMS.some(platform => getTrack(song, platform)?.id);
+
+export const getEmbedUrl = (song) => {
+  const platforms = [song.platform, ...Object.keys(EMBEDS).filter(platform => platform !== song.platform)];
+  for (const platform of platforms) {
+    const track = EMBEDS[platform] && getTrack(song, platform);
+    const embedUrl = track && EMBEDS[platform](track);
+    if (embedUrl) return embedUrl;
+  }
+  return null;
+};
+
+// Picks with nothing to play are skipped by the queue and get no play button
+export const isPlayable = (song) => hasPreviewTrack(song) || !!getEmbedUrl(song);
+
+const PREVIEW_LOOKUPS = {
+  'Apple Music': async ({ id }, fetchFn) => {
+    const response = await fetchFn(`https://itunes.apple.com/lookup?id=${id}&entity=song`);
+    if (!response.ok) throw new Error(`Preview request failed with status ${response.status}`);
+    const { results } = await response.json();
+    return results.find(result => result.previewUrl)?.previewUrl || null;
+  }
+};
+
+// Looked-up previews by song ID and link, so going back and forth through
+// the queue doesn't ask again
+const previewCache = new Map();
+
+// Resolves to a preview URL, or null when no platform has one
+export const getPreviewUrl = async (song, { fetch: fetchFn = (...args) => window.fetch(...args) } = {}) => {
+  const cacheKey = `${song.id}|${song.link}`;
+  if (previewCache.has(cacheKey)) return previewCache.get(cacheKey);
+
+  let previewUrl = null;
+  let failed = false;
+  for (const platform of PREVIEW_PLATFORMS) {
+    const track = getTrack(song, platform);
+    if (!track?.id) continue;
+    try {
+      previewUrl = await PREVIEW_LOOKUPS[platform](track, fetchFn);
+    } catch (err) {
+      console.error(`Error loading ${platform} preview:`, err);
+      failed = true;
+    }
+    if (previewUrl) break;
+  }
+  // A lookup that failed is worth trying again later
+  if (previewUrl || !failed) previewCache.set(cacheKey, previewUrl);
+  return previewUrl;
+};
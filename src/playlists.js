@@ -0,0 +1,108 @@
+import { db } from './firebase';
+import { collection, doc, getDoc, getDocs, setDoc, query, where, orderBy } from 'firebase/firestore';
+import { parseSongLink } from './links';
+import { formatWeekLabel } from './weeks';
+import { normalizeTitle, normalizeArtist } from './normalize';
+import { toSong } from './songs';
+import { getTheme } from './themes';
+
+export const ALL_TIME_PLAYLIST = 'all-time';
+
+export class PlaylistOwnerError extends Error {
+  constructor(message = 'Only the member who created this playlist can sync it.') {
+    super(message);
+    this.name = 'PlaylistOwnerError';
+  }
+}
+
+// Each service gets its own record per group-week
+export const getPlaylistDocId = (providerId, playlistKey) => `${providerId}_${playlistKey}`;
+
+const getTrackIdFromLink = (link, platform) => {
+  if (!link) return null;
+  try {
+    const parsed = parseSongLink(link);
+    return parsed.platform === platform ? parsed.id : null;
+  } catch {
+    return null;
+  }
+};
+
+// The pick's own link first, then the backend's cross-platform match, then a search
+const resolveTrackId = async (provider, song) => {
+  const id = (song.platform === provider.platform && getTrackIdFromLink(song.link, provider.platform)) ||
+    getTrackIdFromLink(song.matches?.[provider.platform]?.url, provider.platform);
+  if (id) return id;
+
+  const results = await provider.searchForSong({ songName: song.songName, artist: normalizeArtist(song.artist) });
+  const match = results.find(track =>
+    normalizeTitle(track.songName) === normalizeTitle(song.songName) &&
+    normalizeArtist(track.artist) === normalizeArtist(song.artist)
+  );
+  return match ? match.id : null;
+};
+
+// Visible picks for one week, or the group's whole history, in submission order
+const loadPlaylistSongs = async (groupId, playlistKey) => {
+  const constraints = [where('groupId', '==', groupId), where('hidden', '==', false)];
+  if (playlistKey !== ALL_TIME_PLAYLIST) {
+    constraints.push(where('weekKey', '==', playlistKey));
+  }
+  const snapshot = await getDocs(query(collection(db, 'songs'), ...constraints, orderBy('createdAt', 'asc')));
+  return snapshot.docs.map(toSong);
+};
+
+// Weekly playlists are named after the week's theme when it has one
+export const getPlaylistTitle = (group, playlistKey, theme = null) => {
+  if (playlistKey === ALL_TIME_PLAYLIST) return `${group.name} - All Time`;
+  return theme
+    ? `${group.name} - ${theme.name} (${formatWeekLabel(playlistKey)})`
+    : `${group.name} - ${formatWeekLabel(playlistKey)}`;
+};
+
+// One playlist per service and group-week (or the rolling all-time
+// playlist), recorded in groups/{groupId}/playlists/{providerId}_{key}.
+// Re-syncing updates the playlist in place, so new picks are added and the
+// order follows submission order; see each provider for what it can remove.
+export const syncPlaylist = async (group, provider, playlistKey, user) => {
+  const recordRef = doc(db, 'groups', group.id, 'playlists', getPlaylistDocId(provider.id, playlistKey));
+  const record = await getDoc(recordRef);
+  if (record.exists() && record.data().createdBy !== user.uid) {
+    throw new PlaylistOwnerError();
+  }
+
+  const songs = await loadPlaylistSongs(group.id, playlistKey);
+  const trackIds = [];
+  const unmatched = [];
+  for (const song of songs) {
+    const trackId = await resolveTrackId(provider, song);
+    if (trackId && !trackIds.includes(trackId)) {
+      trackIds.push(trackId);
+    } else if (!trackId) {
+      unmatched.push({ songId: song.id, songName: song.songName, artist: song.artist, userId: song.userId, user: song.user });
+    }
+  }
+
+  const theme = playlistKey === ALL_TIME_PLAYLIST ? null : await getTheme(group.id, playlistKey);
+  const title = getPlaylistTitle(group, playlistKey, theme);
+  const { playlistId, url } = await provider.syncPlaylist({
+    playlistId: record.exists() ? record.data().playlistId : null,
+    title,
+    description: `Collaborative playlist created by the ${group.name} group`,
+    trackIds
+  });
+
+  const result = {
+    provider: provider.id,
+    playlistKey,
+    playlistId,
+    url,
+    title,
+    trackCount: trackIds.length,
+    unmatched,
+    createdBy: record.exists() ? record.data().createdBy : user.uid,
+    syncedAt: new Date().toISOString()
+  };
+  await setDoc(recordRef, result);
+  return result;
+};
@@ -0,0 +1,64 @@
+import { userRepository } from './repositories';
+
+// Member profiles live on users/{uid}: { displayName, avatarUrl, bio }, next
+// to settings such as notifications. Picks are shown under their author's
+// current profile, looked up by userId; the `user` name saved on a pick is
+// only a fallback for people who have since left. Keep the limits in sync
+// with firestore.rules.
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+export const MAX_BIO_LENGTH = 300;
+export const MAX_AVATAR_URL_LENGTH = 60000;
+
+// Uploaded avatars are scaled down and stored inline as JPEG data URLs
+const AVATAR_SIZE = 128;
+
+// Email addresses are never shown to other members, only the part before the @
+const withoutDomain = (name) => (name && name.includes('@') ? name.split('@')[0] : name);
+
+export const getDisplayName = (profile, fallback = null) =>
+  profile?.displayName?.trim() || withoutDomain(fallback) || withoutDomain(profile?.email) || null;
+
+// What a new member is called until they pick a name
+export const getDefaultDisplayName = (user) =>
+  (user.displayName || withoutDomain(user.email) || 'Member').slice(0, MAX_DISPLAY_NAME_LENGTH);
+
+export const validateProfile = ({ displayName, avatarUrl, bio }) => {
+  if (!displayName.trim()) return 'Enter a display name.';
+  if (displayName.trim().length > MAX_DISPLAY_NAME_LENGTH) return `Display names can be up to ${MAX_DISPLAY_NAME_LENGTH} characters.`;
+  if (bio.length > MAX_BIO_LENGTH) return `Bios can be up to ${MAX_BIO_LENGTH} characters.`;
+  if (avatarUrl.length > MAX_AVATAR_URL_LENGTH) return 'That picture is too large.';
+  if (avatarUrl && !/^(https:\/\/|data:image\/)/.test(avatarUrl)) return 'Avatars need to be an image or an https:// link.';
+  return null;
+};
+
+export const saveProfile = async (userId, { displayName, avatarUrl, bio }) => {
+  await userRepository.update(userId, {
+    displayName: displayName.trim(),
+    avatarUrl: avatarUrl.trim(),
+    bio: bio.trim()
+  });
+};
+
+// Crops the picked image to a square and shrinks it to avatar size
+export const readAvatarFile = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    const side = Math.min(image.width, image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = AVATAR_SIZE;
+    canvas.height = AVATAR_SIZE;
+    canvas.getContext('2d').drawImage(
+      image,
+      (image.width - side) / 2, (image.height - side) / 2, side, side,
+      0, 0, AVATAR_SIZE, AVATAR_SIZE
+    );
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/jpeg', 0.85));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('That file isn\'t an image.'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,99 @@
+// Error type and retrying fetch shared by the streaming service modules
+// (spotify.js, appleMusic.js, youtube.js) and listeningHistory.js.
+
+const MAX_RETRIES = 3;
+
+const MESSAGES = {
+  'session-expired': (name) => `Your ${name} session has expired. Please connect ${name} again.`,
+  'access-revoked': (name) => `${name} access was revoked. Please connect ${name} again to keep using it here.`,
+  'access-denied': (name) => `${name} connection was cancelled.`,
+  auth: (name) => `Couldn't connect to ${name}. Please try again.`,
+  network: (name) => `Couldn't reach ${name}. Check your connection and try again.`,
+  'rate-limited': (name) => `${name} is busy right now. Please try again in a minute.`,
+  forbidden: (name) => `${name} didn't allow that. Try connecting ${name} again.`,
+  'unknown-user': (name) => `${name} doesn't know that username. Check it and try again.`,
+  api: (name) => `${name} couldn't complete that request. Please try again.`
+};
+
+// `code` tells callers how to react; `message` is safe to show to users
+export class ProviderError extends Error {
+  constructor(providerName, code, status = null) {
+    super(MESSAGES[code](providerName));
+    this.name = 'ProviderError';
+    this.providerName = providerName;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The user has to connect again before the service can be used
+export const needsReconnect = (err) =>
+  err instanceof ProviderError && (err.code === 'session-expired' || err.code === 'access-revoked');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const backoff = (attempt) => Math.min(1000 * 2 ** attempt, 8000) + Math.random() * 250;
+
+// Retries rate limits (honouring Retry-After), server errors and dropped
+// connections with backoff. Other responses are returned as they are.
+export const fetchWithRetry = async (providerName, url, options) => {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (err) {
+      if (attempt < MAX_RETRIES) {
+        await sleep(backoff(attempt));
+        continue;
+      }
+      throw new ProviderError(providerName, 'network');
+    }
+
+    if (response.status === 429 && attempt < MAX_RETRIES) {
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      await sleep(retryAfter > 0 ? retryAfter * 1000 : backoff(attempt));
+      continue;
+    }
+    if (response.status >= 500 && attempt < MAX_RETRIES) {
+      await sleep(backoff(attempt));
+      continue;
+    }
+    return response;
+  }
+};
+
+// Parse a successful response, or turn a failed one into a ProviderError
+export const readResponse = async (providerName, response) => {
+  if (response.ok) {
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+  if (response.status === 401) throw new ProviderError(providerName, 'session-expired', 401);
+  if (response.status === 403) throw new ProviderError(providerName, 'forbidden', 403);
+  if (response.status === 429) throw new ProviderError(providerName, 'rate-limited', 429);
+  throw new ProviderError(providerName, 'api', response.status);
+};
+
+// PKCE helpers for the redirect-based connections
+const base64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+export const randomString = (byteLength) => base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+export const getCodeChallenge = async (verifier) =>
+  base64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+
+// Both redirect flows land on the app's root with ?code=&state=. The state
+// is prefixed with the provider ID so each flow only picks up its own.
+export const readAuthRedirect = (providerId) => {
+  const params = new URLSearchParams(window.location.search);
+  const state = params.get('state') || '';
+  if (!state.startsWith(`${providerId}.`) || !(params.get('code') || params.get('error'))) {
+    return null;
+  }
+
+  const redirect = { code: params.get('code'), error: params.get('error'), state };
+  ['code', 'error', 'state', 'scope'].forEach(key => params.delete(key));
+  const search = params.toString();
+  window.history.replaceState({}, document.title, `${window.location.pathname}${search ? `?${search}` : ''}`);
+  return redirect;
+};
@@ -0,0 +1,23 @@
+import { spotifyProvider } from './spotify';
+import { appleMusicProvider } from './appleMusic';
+import { youTubeMusicProvider } from './youtube';
+
+// Streaming services members can connect. Each provider implements:
+//   id, platform (its name in PLATFORMS), color (Tailwind background class)
+//   connect()                 start connecting; may redirect away, or resolve to true when done in place
+//   completeConnect(uid)      finish a redirect back to the app; resolves to true if one was handled
+//   loadSession(uid)          load the user's saved connection; resolves to whether there is one
+//   isConnected()
+//   disconnect()
+//   search(query)             resolves to tracks: { id, songName, artist, artworkUrl, thumbnailUrl, link, platform, isrc }
+//   searchForSong({ songName, artist })   candidate tracks for an existing pick
+//   getListeningHistory()     optional; recent tracks as above, each with `plays`
+//   syncPlaylist({ playlistId, title, description, trackIds })   create or update; resolves to { playlistId, url }
+// Failures are ProviderErrors (providerRequest.js).
+//
+// API hosts can be pointed at local stand-in servers with VITE_SPOTIFY_ACCOUNTS_URL,
+// VITE_SPOTIFY_API_URL, VITE_APPLE_MUSIC_API_URL, VITE_MUSICKIT_URL, VITE_GOOGLE_AUTH_URL
+// and VITE_YOUTUBE_API_URL, and GOOGLE_OAUTH_URL for the functions.
+export const PROVIDERS = [spotifyProvider, appleMusicProvider, youTubeMusicProvider];
+
+export const getProvider = (providerId) => PROVIDERS.find(provider => provider.id === providerId);
@@ -0,0 +1,289 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+
+// The providers talk to stand-in hosts, set through the same overrides the
+// app uses for local servers, and a stubbed fetch answers for them.
+vi.mock('firebase/firestore', () => ({
+  doc: (db, ...path) => path.join('/'),
+  getDoc: vi.fn(),
+  setDoc: vi.fn(),
+  deleteDoc: vi.fn()
+}));
+vi.mock('firebase/functions', () => ({
+  getFunctions: () => ({}),
+  httpsCallable: vi.fn()
+}));
+
+const SPOTIFY_ACCOUNTS = 'http://spotify-accounts.test';
+const SPOTIFY_API = 'http://spotify-api.test/v1';
+const APPLE_MUSIC_API = 'http://apple-music.test/v1';
+const YOUTUBE_API = 'http://youtube.test/youtube/v3';
+
+let savedDocs;
+let callableResults;
+let routes;
+let requests;
+
+// Answers each request from the first route whose "METHOD url-prefix" key
+// matches; requests nothing matches fail the test
+const stubFetch = vi.fn(async (url, { method = 'GET', body } = {}) => {
+  requests.push({ method, url, body: typeof body === 'string' ? JSON.parse(body) : body });
+  const key = Object.keys(routes).find(route => {
+    const [routeMethod, prefix] = route.split(' ');
+    return routeMethod === method && url.startsWith(prefix);
+  });
+  if (!key) throw new Error(`Unexpected request: ${method} ${url}`);
+  const answer = routes[key];
+  const { status = 200, json = null } = typeof answer === 'function' ? answer(url) : answer;
+  return new Response(json === null ? null : JSON.stringify(json), { status });
+});
+
+const loadProvider = async (id) => {
+  const { getProvider } = await import('./providers');
+  return getProvider(id);
+};
+
+beforeEach(() => {
+  vi.resetModules();
+  vi.stubEnv('VITE_SPOTIFY_ACCOUNTS_URL', SPOTIFY_ACCOUNTS);
+  vi.stubEnv('VITE_SPOTIFY_API_URL', SPOTIFY_API);
+  vi.stubEnv('VITE_APPLE_MUSIC_API_URL', APPLE_MUSIC_API);
+  vi.stubEnv('VITE_YOUTUBE_API_URL', YOUTUBE_API);
+  vi.stubGlobal('fetch', stubFetch);
+
+  savedDocs = {};
+  callableResults = {};
+  routes = {};
+  requests = [];
+  getDoc.mockImplementation(async (path) => ({ exists: () => path in savedDocs, data: () => savedDocs[path] }));
+  setDoc.mockImplementation(async (path, data) => {
+    savedDocs[path] = data;
+  });
+  deleteDoc.mockImplementation(async (path) => {
+    delete savedDocs[path];
+  });
+  httpsCallable.mockImplementation((functions, name) => async () => ({ data: callableResults[name]() }));
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.clearAllMocks();
+});
+
+const spotifyTrack = (id, name, artist) => ({
+  id,
+  name,
+  artists: [{ name: artist }],
+  album: { images: [{ url: `https://i.scdn.co/${id}/640` }, { url: `https://i.scdn.co/${id}/300` }, { url: `https://i.scdn.co/${id}/64` }] },
+  external_urls: { spotify: `https://open.spotify.com/track/${id}` },
+  external_ids: { isrc: `ISRC${id}` }
+});
+
+describe('Spotify', () => {
+  beforeEach(() => {
+    savedDocs['users/alice/private/spotify'] = { refreshToken: 'refresh-1' };
+    routes[`POST ${SPOTIFY_ACCOUNTS}/api/token`] = { json: { access_token: 'access-1', expires_in: 3600, refresh_token: 'refresh-2', scope: 'playlist-modify-private' } };
+  });
+
+  it('refreshes the saved session and searches', async () => {
+    const spotify = await loadProvider('spotify');
+    expect(await spotify.loadSession('alice')).toBe(true);
+    routes[`GET ${SPOTIFY_API}/search`] = { json: { tracks: { items: [spotifyTrack('t1', 'Heroes', 'David Bowie')] } } };
+
+    await expect(spotify.search('heroes')).resolves.toEqual([{
+      id: 't1',
+      songName: 'Heroes',
+      artist: 'David Bowie',
+      artworkUrl: 'https://i.scdn.co/t1/300',
+      thumbnailUrl: 'https://i.scdn.co/t1/64',
+      link: 'https://open.spotify.com/track/t1',
+      platform: 'Spotify',
+      isrc: 'ISRCt1'
+    }]);
+    expect(requests.map(request => request.method)).toEqual(['POST', 'GET']);
+    expect(requests[1].url).toBe(`${SPOTIFY_API}/search?type=track&limit=10&q=heroes`);
+    // Rotated refresh tokens are kept
+    expect(savedDocs['users/alice/private/spotify'].refreshToken).toBe('refresh-2');
+  });
+
+  it('refreshes once more when the API rejects the token', async () => {
+    const spotify = await loadProvider('spotify');
+    await spotify.loadSession('alice');
+    let searches = 0;
+    routes[`GET ${SPOTIFY_API}/search`] = () => (++searches === 1 ? { status: 401 } : { json: { tracks: { items: [] } } });
+
+    await expect(spotify.search('heroes')).resolves.toEqual([]);
+    expect(requests.filter(request => request.url.endsWith('/api/token'))).toHaveLength(2);
+  });
+
+  it('clears a revoked session', async () => {
+    routes[`POST ${SPOTIFY_ACCOUNTS}/api/token`] = { status: 400, json: { error: 'invalid_grant', error_description: 'Refresh token revoked' } };
+    const spotify = await loadProvider('spotify');
+    await spotify.loadSession('alice');
+
+    await expect(spotify.search('heroes')).rejects.toMatchObject({ name: 'ProviderError', code: 'access-revoked' });
+    expect(spotify.isConnected()).toBe(false);
+    expect(savedDocs['users/alice/private/spotify']).toBeUndefined();
+  });
+
+  it('creates a playlist and fills it in batches of 100', async () => {
+    const spotify = await loadProvider('spotify');
+    await spotify.loadSession('alice');
+    routes[`GET ${SPOTIFY_API}/me`] = { json: { id: 'alice-spotify' } };
+    routes[`POST ${SPOTIFY_API}/users/alice-spotify/playlists`] = { json: { id: 'pl1', external_urls: { spotify: 'https://open.spotify.com/playlist/pl1' } } };
+    routes[`PUT ${SPOTIFY_API}/playlists/pl1/tracks`] = { json: { snapshot_id: 's1' } };
+    routes[`POST ${SPOTIFY_API}/playlists/pl1/tracks`] = { json: { snapshot_id: 's2' } };
+
+    const trackIds = Array.from({ length: 150 }, (_, index) => `t${index}`);
+    await expect(spotify.syncPlaylist({ playlistId: null, title: 'Week', description: 'Picks', trackIds }))
+      .resolves.toEqual({ playlistId: 'pl1', url: 'https://open.spotify.com/playlist/pl1' });
+
+    const trackWrites = requests.filter(request => request.url.endsWith('/playlists/pl1/tracks'));
+    expect(trackWrites.map(request => [request.method, request.body.uris.length])).toEqual([['PUT', 100], ['POST', 50]]);
+    expect(trackWrites[0].body.uris[0]).toBe('spotify:track:t0');
+  });
+
+  it('counts recent and top tracks as listening history', async () => {
+    const spotify = await loadProvider('spotify');
+    await spotify.loadSession('alice');
+    routes[`GET ${SPOTIFY_API}/me/player/recently-played`] = { json: { items: [{ track: spotifyTrack('t1', 'Heroes', 'David Bowie') }] } };
+    routes[`GET ${SPOTIFY_API}/me/top/tracks`] = { json: { items: [spotifyTrack('t2', 'Changes', 'David Bowie')] } };
+
+    const history = await spotify.getListeningHistory();
+    expect(history.map(track => [track.songName, track.plays])).toEqual([['Heroes', 1], ['Changes', 1]]);
+  });
+});
+
+describe('Apple Music', () => {
+  beforeEach(() => {
+    savedDocs['users/alice/private/appleMusic'] = { userToken: 'music-user-token', storefront: 'gb' };
+    callableResults.getAppleMusicToken = () => ({ token: 'developer-token', expiresAt: Date.now() + 60 * 60 * 1000 });
+  });
+
+  it('searches the member\'s storefront with both tokens', async () => {
+    const appleMusic = await loadProvider('appleMusic');
+    expect(await appleMusic.loadSession('alice')).toBe(true);
+    routes[`GET ${APPLE_MUSIC_API}/catalog/gb/search`] = {
+      json: {
+        results: {
+          songs: {
+            data: [{
+              id: '123',
+              attributes: {
+                name: 'Heroes',
+                artistName: 'David Bowie',
+                artwork: { url: 'https://is1.mzstatic.com/{w}x{h}bb.jpg' },
+                url: 'https://music.apple.com/gb/song/heroes/123',
+                isrc: 'GBAYE7700012'
+              }
+            }]
+          }
+        }
+      }
+    };
+
+    await expect(appleMusic.search('heroes')).resolves.toEqual([{
+      id: '123',
+      songName: 'Heroes',
+      artist: 'David Bowie',
+      artworkUrl: 'https://is1.mzstatic.com/300x300bb.jpg',
+      thumbnailUrl: 'https://is1.mzstatic.com/80x80bb.jpg',
+      link: 'https://music.apple.com/gb/song/heroes/123',
+      platform: 'Apple Music',
+      isrc: 'GBAYE7700012'
+    }]);
+    const [{ url }] = requests;
+    expect(url).toBe(`${APPLE_MUSIC_API}/catalog/gb/search?types=songs&limit=10&term=heroes`);
+    expect(stubFetch.mock.calls[0][1].headers).toMatchObject({
+      Authorization: 'Bearer developer-token',
+      'Music-User-Token': 'music-user-token'
+    });
+  });
+
+  it('treats a rejected user token as an expired session', async () => {
+    const appleMusic = await loadProvider('appleMusic');
+    await appleMusic.loadSession('alice');
+    routes[`GET ${APPLE_MUSIC_API}/catalog/gb/search`] = { status: 403 };
+
+    await expect(appleMusic.search('heroes')).rejects.toMatchObject({ code: 'session-expired' });
+    expect(appleMusic.isConnected()).toBe(false);
+    expect(savedDocs['users/alice/private/appleMusic']).toBeUndefined();
+  });
+
+  it('only adds the songs a playlist is missing', async () => {
+    const appleMusic = await loadProvider('appleMusic');
+    await appleMusic.loadSession('alice');
+    routes[`GET ${APPLE_MUSIC_API}/me/library/playlists/p.1/tracks`] = {
+      json: { data: [{ attributes: { playParams: { catalogId: '1' } } }] }
+    };
+    routes[`POST ${APPLE_MUSIC_API}/me/library/playlists/p.1/tracks`] = { status: 204 };
+
+    await expect(appleMusic.syncPlaylist({ playlistId: 'p.1', title: 'Week', description: '', trackIds: ['1', '2', '3'] }))
+      .resolves.toEqual({ playlistId: 'p.1', url: 'https://music.apple.com/library/playlist/p.1' });
+    const added = requests.find(request => request.method === 'POST');
+    expect(added.body.data).toEqual([{ id: '2', type: 'songs' }, { id: '3', type: 'songs' }]);
+  });
+});
+
+describe('YouTube Music', () => {
+  beforeEach(() => {
+    savedDocs['users/alice/private/youtube'] = { connectedAt: '2026-10-01T00:00:00.000Z' };
+    callableResults.refreshYouTubeToken = () => ({ accessToken: 'yt-access', expiresIn: 3600 });
+  });
+
+  const video = (videoId, title, channelTitle) => ({
+    id: { videoId },
+    snippet: { title, channelTitle, thumbnails: { default: { url: `https://i.ytimg.com/${videoId}/default.jpg` } } }
+  });
+
+  it('searches music videos with a token from the refresh function', async () => {
+    const youtube = await loadProvider('youtube');
+    expect(await youtube.loadSession('alice')).toBe(true);
+    routes[`GET ${YOUTUBE_API}/search`] = { json: { items: [video('v1', 'Heroes', 'David Bowie - Topic')] } };
+
+    await expect(youtube.search('heroes')).resolves.toEqual([{
+      id: 'v1',
+      songName: 'Heroes',
+      artist: 'David Bowie',
+      artworkUrl: 'https://i.ytimg.com/v1/default.jpg',
+      thumbnailUrl: 'https://i.ytimg.com/v1/default.jpg',
+      link: 'https://music.youtube.com/watch?v=v1',
+      platform: 'YouTube Music',
+      isrc: null
+    }]);
+    expect(stubFetch.mock.calls[0][1].headers.Authorization).toBe('Bearer yt-access');
+  });
+
+  it('reports an exhausted quota as rate limiting', async () => {
+    const youtube = await loadProvider('youtube');
+    await youtube.loadSession('alice');
+    routes[`GET ${YOUTUBE_API}/search`] = { status: 403, json: { error: { errors: [{ reason: 'quotaExceeded' }] } } };
+
+    await expect(youtube.search('heroes')).rejects.toMatchObject({ code: 'rate-limited' });
+  });
+
+  it('removes extra videos and inserts missing ones in order', async () => {
+    const youtube = await loadProvider('youtube');
+    await youtube.loadSession('alice');
+    routes[`PUT ${YOUTUBE_API}/playlists`] = { json: { id: 'PL1' } };
+    routes[`GET ${YOUTUBE_API}/playlistItems`] = {
+      json: {
+        items: [
+          { id: 'item-a', snippet: { resourceId: { videoId: 'a' } } },
+          { id: 'item-x', snippet: { resourceId: { videoId: 'x' } } }
+        ]
+      }
+    };
+    routes[`DELETE ${YOUTUBE_API}/playlistItems`] = { status: 204 };
+    routes[`POST ${YOUTUBE_API}/playlistItems`] = { json: {} };
+
+    await expect(youtube.syncPlaylist({ playlistId: 'PL1', title: 'Week', description: '', trackIds: ['a', 'b'] }))
+      .resolves.toEqual({ playlistId: 'PL1', url: 'https://music.youtube.com/playlist?list=PL1' });
+    expect(requests.filter(request => request.method === 'DELETE').map(request => request.url))
+      .toEqual([`${YOUTUBE_API}/playlistItems?id=item-x`]);
+    expect(requests.find(request => request.method === 'POST').body.snippet).toMatchObject({ playlistId: 'PL1', position: 1, resourceId: { videoId: 'b' } });
+  });
+});
@@ -0,0 +1,108 @@
+import { formatWeekLabel } from './weeks';
+
+// A square image of the week's cover art for posting in chats, drawn on a
+// canvas in the browser. Covers that can't be loaded with CORS would taint
+// the canvas, so they are drawn as a tile with the song name instead.
+
+const SIZE = 1080;
+const PADDING = 60;
+const HEADER_HEIGHT = 220;
+const GAP = 12;
+const MAX_COVERS = 16;
+
+const loadImage = (url) => new Promise((resolve) => {
+  if (!url) {
+    resolve(null);
+    return;
+  }
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => resolve(null);
+  image.src = url;
+});
+
+// Cuts the text down with an ellipsis until it fits the width
+const fitText = (context, text, maxWidth) => {
+  if (context.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && context.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+};
+
+const drawPlaceholder = (context, song, x, y, size) => {
+  context.fillStyle = '#c7d2fe';
+  context.fillRect(x, y, size, size);
+  context.fillStyle = '#312e81';
+  context.font = `bold ${Math.round(size / 9)}px sans-serif`;
+  context.fillText(fitText(context, song.songName, size - 24), x + 12, y + size / 2);
+  context.font = `${Math.round(size / 11)}px sans-serif`;
+  context.fillText(fitText(context, song.artist, size - 24), x + 12, y + size / 2 + size / 7);
+};
+
+export const drawRecapImage = async ({ groupName, weekKey, theme, songs }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = SIZE;
+  canvas.height = SIZE;
+  const context = canvas.getContext('2d');
+
+  const background = context.createLinearGradient(0, 0, SIZE, SIZE);
+  background.addColorStop(0, '#eff6ff');
+  background.addColorStop(1, '#e0e7ff');
+  context.fillStyle = background;
+  context.fillRect(0, 0, SIZE, SIZE);
+
+  const textWidth = SIZE - PADDING * 2;
+  context.textBaseline = 'alphabetic';
+  context.fillStyle = '#111827';
+  context.font = 'bold 56px sans-serif';
+  context.fillText(fitText(context, groupName, textWidth), PADDING, PADDING + 50);
+  context.fillStyle = '#4b5563';
+  context.font = '36px sans-serif';
+  context.fillText(fitText(context, formatWeekLabel(weekKey), textWidth), PADDING, PADDING + 105);
+  if (theme) {
+    context.fillStyle = '#6b21a8';
+    context.font = 'bold 36px sans-serif';
+    context.fillText(fitText(context, `Theme: ${theme.name}`, textWidth), PADDING, PADDING + 155);
+  }
+
+  const covers = songs.slice(0, MAX_COVERS);
+  const columns = Math.max(1, Math.ceil(Math.sqrt(covers.length)));
+  const gridSize = SIZE - PADDING * 2;
+  const gridHeight = SIZE - HEADER_HEIGHT - PADDING * 2;
+  const tileSize = Math.floor((Math.min(gridSize, gridHeight) - GAP * (columns - 1)) / columns);
+  const gridLeft = (SIZE - (tileSize * columns + GAP * (columns - 1))) / 2;
+  const images = await Promise.all(covers.map(song => loadImage(song.artworkUrl)));
+
+  covers.forEach((song, index) => {
+    const x = gridLeft + (index % columns) * (tileSize + GAP);
+    const y = PADDING + HEADER_HEIGHT + Math.floor(index / columns) * (tileSize + GAP);
+    if (images[index]) {
+      context.drawImage(images[index], x, y, tileSize, tileSize);
+    } else {
+      drawPlaceholder(context, song, x, y, tileSize);
+    }
+  });
+
+  if (songs.length > covers.length) {
+    context.fillStyle = '#4b5563';
+    context.font = '28px sans-serif';
+    context.fillText(`+${songs.length - covers.length} more`, PADDING, SIZE - PADDING / 2);
+  }
+
+  return canvas;
+};
+
+export const downloadRecapImage = async (recap) => {
+  const canvas = await drawRecapImage(recap);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  const url = URL.createObjectURL(blob);
+  const name = `${recap.groupName}-${recap.weekKey}`;
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name.replace(/[^a-z0-9-]+/gi, '-').replace(/^-|-$/g, '').toLowerCase()}.png`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
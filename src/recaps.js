@@ -0,0 +1,35 @@
+import { db } from './firebase';
+import { doc, deleteDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { randomString } from './providerRequest';
+
+// A shared recap is a recaps/{token} doc: { groupId, weekKey, createdBy,
+// createdAt }. The token is the only way in, so anyone with the link can
+// read the week through the getRecap function without signing in, and
+// deleting the doc revokes the link.
+
+export const shareRecap = async (groupId, weekKey, userId) => {
+  const token = randomString(24);
+  await setDoc(doc(db, 'recaps', token), {
+    groupId,
+    weekKey,
+    createdBy: userId,
+    createdAt: serverTimestamp()
+  });
+  return token;
+};
+
+export const unshareRecap = async (token) => {
+  await deleteDoc(doc(db, 'recaps', token));
+};
+
+export const getRecapLink = (token) =>
+  `${window.location.origin}${window.location.pathname}?recap=${token}`;
+
+export const getRecapTokenFromUrl = () => new URLSearchParams(window.location.search).get('recap');
+
+// Resolves to { groupName, weekKey, theme, songs, playlists }
+export const loadRecap = async (token) => {
+  const result = await httpsCallable(getFunctions(), 'getRecap')({ token });
+  return result.data;
+};
@@ -0,0 +1,58 @@
+import { firestoreSongs, firestoreUsers, firestoreGroups } from './firestoreRepository';
+import { localSongs, localUsers, localGroups } from './localRepository';
+
+// Where the app reads songs, user profiles and group data, and writes picks
+// and profiles. Set VITE_DATA_BACKEND=local for the in-browser backend
+// (localRepository.js), which also turns on demo mode: a signed-in demo user
+// in a demo group, with no Firebase project needed for picks.
+//
+// The song repository implements:
+//   add(song, { blockDuplicates })              resolves to the new song ID
+//   update(song, changes, { blockDuplicates })
+//   remove(songId)                              moves the pick to the trash; resolves to its trash ID
+//   restore(trashId)                            resolves to the restored pick's song ID
+//   purge(trashId)                              deletes a trashed pick for good
+//   countVisible(groupId)                       resolves to the number of visible picks
+//   loadGroupSongs(groupId, userId, weekKey)    every pick the user can see, newest first
+//   loadMemberSongs(groupId, memberId, viewerId, count)   up to count of the member's picks
+//                                                        the viewer can see, newest first
+//   loadVersions(song)                          the pick's edits, newest first
+//   subscribeFeed({ groupId, filter, sortId, limit }, onChange, onError)
+//   subscribeOwnHidden(groupId, userId, onChange, onError)
+//   subscribeUserWeek(groupId, userId, weekKey, onChange, onError)
+//   subscribeWeek(groupId, weekKey, onChange, onError)   a week's visible picks, oldest first
+//   subscribeTrash(groupId, userId, onChange, onError)   trashed picks by the user, or the
+//                                                        whole group's with no userId; newest first
+//   subscribeReactions(groupId, songIds, onChange, onError)   reactions to the given picks
+//   subscribeComments(song, onChange, onError)                the pick's comments, oldest first
+// Subscriptions call onChange with the matching songs straight away and
+// after every change, and return a function that stops them. Songs use
+// ISO string dates.
+//
+// The user repository implements:
+//   get(userId)               resolves to the profile, or null
+//   update(userId, changes)   merges into the profile
+//   subscribe(userId, onChange, onError)         the profile, or null
+//   subscribeMany(userIds, onChange, onError)    the profiles that exist, with their IDs
+//   setListened(userId, song, listened)                marks the pick as listened to, or not
+//   subscribeListened(userId, groupId, onChange, onError)   IDs of the group's picks the user listened to
+//   getListeningAccounts(userId)              resolves to { lastfm, listenbrainz } usernames, where set
+//   setListeningAccounts(userId, accounts)
+//
+// The group repository implements:
+//   subscribeGroups(userId, onChange, onError)      the user's groups, by name
+//   subscribeWeek(groupId, weekKey, onChange, onError)   the week's settings, or null;
+//                                                        its times are Timestamps
+//   subscribeVotes(groupId, weekKey, userId, onChange, onError)   the user's votes that week
+//   subscribeLeaderboard(groupId, onChange, onError)
+//   subscribeThemes(groupId, onChange, onError)     themes keyed by week
+//   subscribeRecaps(groupId, onChange, onError)     shared recap IDs keyed by week
+//   subscribePlaylists(groupId, onChange, onError)  playlist records keyed by ID
+//   subscribeAuditLog(groupId, count, onChange, onError)   the latest entries, newest first
+export const DEMO_MODE = import.meta.env.VITE_DATA_BACKEND === 'local';
+
+export const songRepository = DEMO_MODE ? localSongs : firestoreSongs;
+
+export const userRepository = DEMO_MODE ? localUsers : firestoreUsers;
+
+export const groupRepository = DEMO_MODE ? localGroups : firestoreGroups;
@@ -0,0 +1,19 @@
+// Makes the app installable and lets it open offline (see public/sw.js).
+// Skipped in development, where a cached shell would hide code changes.
+// Resolves once registration has finished or failed.
+export const registerServiceWorker = async () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  if (!document.querySelector('link[rel="manifest"]')) {
+    const link = document.createElement('link');
+    link.rel = 'manifest';
+    link.href = '/manifest.webmanifest';
+    document.head.appendChild(link);
+  }
+
+  try {
+    await navigator.serviceWorker.register('/sw.js');
+  } catch (err) {
+    console.error('Error registering service worker:', err);
+  }
+};
@@ -0,0 +1,62 @@
+import { formatCsv } from './csv';
+import { LISTEN_PLATFORMS } from './platforms';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+  { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+  { id: 'm3u', label: 'M3U playlist', extension: 'm3u8', type: 'audio/x-mpegurl' },
+  { id: 'xspf', label: 'XSPF playlist', extension: 'xspf', type: 'application/xspf+xml' }
+];
+
+// Column names double as the import format, so an export can be re-imported
+const FIELDS = ['weekKey', 'createdAt', 'user', 'songName', 'artist', 'platform', 'link', 'votes', 'pickOfTheWeek'];
+
+// The pick's own link, or the first service it was matched on
+const getListenUrl = (song) =>
+  song.link || LISTEN_PLATFORMS.map(platform => song.matches?.[platform]?.url).find(Boolean) || null;
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]));
+
+const SERIALIZERS = {
+  csv: (songs) => formatCsv(FIELDS, songs.map(song => FIELDS.map(field => song[field] ?? ''))),
+  json: (songs) => JSON.stringify(songs.map(song => Object.fromEntries(FIELDS.map(field => [field, song[field] ?? null]))), null, 2),
+  // M3U entries need a location, so picks without any link are left out
+  m3u: (songs, title) => [
+    '#EXTM3U',
+    `#PLAYLIST:${title}`,
+    ...songs.filter(getListenUrl).flatMap(song => [`#EXTINF:-1,${song.artist} - ${song.songName}`, getListenUrl(song)])
+  ].join('\n'),
+  xspf: (songs, title) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <trackList>',
+    ...songs.map(song => [
+      '    <track>',
+      getListenUrl(song) && `      <location>${escapeXml(getListenUrl(song))}</location>`,
+      `      <title>${escapeXml(song.songName)}</title>`,
+      `      <creator>${escapeXml(song.artist)}</creator>`,
+      `      <annotation>${escapeXml(`Picked by ${song.user}`)}</annotation>`,
+      song.artworkUrl && `      <image>${escapeXml(song.artworkUrl)}</image>`,
+      '    </track>'
+    ].filter(Boolean).join('\n')),
+    '  </trackList>',
+    '</playlist>'
+  ].join('\n')
+};
+
+export const serializeSongs = (songs, formatId, title) => SERIALIZERS[formatId](songs, title);
+
+// Oldest first, like a playlist
+export const exportSongs = (songs, formatId, title) => {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId);
+  const ordered = [...songs].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const blob = new Blob([serializeSongs(ordered, formatId, title)], { type: format.type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${title.replace(/[^a-z0-9-]+/gi, '-').replace(/^-|-$/g, '').toLowerCase()}.${format.extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv } from './csv';
+import { serializeSongs } from './songExport';
+
+const SONGS = [
+  {
+    weekKey: '2026-10-11', createdAt: '2026-10-12T09:00:00.000Z', user: 'Alice', songName: 'Heroes, live', artist: 'David Bowie',
+    platform: 'Spotify', link: 'https://open.spotify.com/track/abc', votes: 3, pickOfTheWeek: true, artworkUrl: 'https://i.scdn.co/a&b'
+  },
+  {
+    weekKey: '2026-10-11', createdAt: '2026-10-13T09:00:00.000Z', user: 'Bob', songName: '=Rock & Roll', artist: 'The "Velvet" Underground',
+    platform: 'Other', link: '', matches: { 'Apple Music': { status: 'matched', url: 'https://music.apple.com/x' } }
+  },
+  { weekKey: '2026-10-11', createdAt: '2026-10-14T09:00:00.000Z', user: 'Carol', songName: 'Hidden', artist: 'Nobody', platform: 'Other', link: '' }
+];
+
+describe('serializeSongs', () => {
+  it('writes CSV that reads back as the import columns', () => {
+    const [header, first, second] = parseCsv(serializeSongs(SONGS, 'csv', 'Week'));
+    expect(header).toEqual(['weekKey', 'createdAt', 'user', 'songName', 'artist', 'platform', 'link', 'votes', 'pickOfTheWeek']);
+    expect(first).toEqual(['2026-10-11', '2026-10-12T09:00:00.000Z', 'Alice', 'Heroes, live', 'David Bowie', 'Spotify', 'https://open.spotify.com/track/abc', '3', 'true']);
+    expect(second.slice(3, 5)).toEqual(['=Rock & Roll', 'The "Velvet" Underground']);
+  });
+
+  it('writes JSON with every column, missing ones as null', () => {
+    const [, second] = JSON.parse(serializeSongs(SONGS, 'json', 'Week'));
+    expect(second).toMatchObject({ user: 'Bob', link: '', votes: null, pickOfTheWeek: null });
+    expect(second).not.toHaveProperty('matches');
+  });
+
+  it('writes playlists of the picks with somewhere to listen', () => {
+    expect(serializeSongs(SONGS, 'm3u', 'Week of Oct 11')).toBe([
+      '#EXTM3U',
+      '#PLAYLIST:Week of Oct 11',
+      '#EXTINF:-1,David Bowie - Heroes, live',
+      'https://open.spotify.com/track/abc',
+      '#EXTINF:-1,The "Velvet" Underground - =Rock & Roll',
+      'https://music.apple.com/x'
+    ].join('\n'));
+  });
+
+  it('escapes XSPF text', () => {
+    const xspf = serializeSongs(SONGS, 'xspf', 'Tom & Jerry\'s picks');
+    expect(xspf).toContain('<title>Tom &amp; Jerry&apos;s picks</title>');
+    expect(xspf).toContain('<creator>The &quot;Velvet&quot; Underground</creator>');
+    expect(xspf).toContain('<image>https://i.scdn.co/a&amp;b</image>');
+    expect(xspf.match(/<track>/g)).toHaveLength(3);
+    expect(xspf.match(/<location>/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,158 @@
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { parseCsv } from './csv';
+import { PLATFORMS } from './platforms';
+import { parseSongLink, validateSongLink, normalizeSongLink } from './links';
+import { getCanonicalKey } from './normalize';
+import { getWeekKey, getWeekKeyForDateString, getWeekKeyFromLabel, parseWeekKey } from './weeks';
+
+// Keep in sync with functions/imports.js
+export const MAX_IMPORT_ROWS = 500;
+export const MAX_FIELD_LENGTH = 200;
+
+export const IMPORT_FIELDS = [
+  { key: 'songName', label: 'Song', required: true, aliases: ['song', 'songname', 'title', 'track', 'trackname', 'name'] },
+  { key: 'artist', label: 'Artist', required: true, aliases: ['artist', 'artists', 'artistname', 'by', 'band'] },
+  { key: 'user', label: 'Submitted by', required: true, aliases: ['user', 'submitter', 'submittedby', 'member', 'pickedby', 'who', 'person'] },
+  { key: 'date', label: 'Date or week', required: true, aliases: ['weekkey', 'week', 'weekof', 'date', 'createdat', 'submitted', 'timestamp'] },
+  { key: 'platform', label: 'Platform', required: false, aliases: ['platform', 'service', 'source'] },
+  { key: 'link', label: 'Link', required: false, aliases: ['link', 'url', 'songlink', 'listen'] }
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Turn a CSV or JSON file into { columns, records, firstRowNumber }.
+// JSON may be an array of objects or { songs: [...] } (our own export).
+export const parseImportFile = (fileName, text) => {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('That file isn\'t valid JSON.');
+    }
+    const items = Array.isArray(data) ? data : data.songs;
+    if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object')) {
+      throw new Error('The JSON file should contain a list of songs.');
+    }
+    const columns = [...new Set(items.flatMap(Object.keys))];
+    const records = items.map(item =>
+      Object.fromEntries(columns.map(column => [column, item[column] === null || item[column] === undefined ? '' : String(item[column])]))
+    );
+    return { columns, records, firstRowNumber: 1 };
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('That file is empty.');
+  }
+  const columns = header.map((column, index) => column.trim() || `Column ${index + 1}`);
+  const records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] || ''])));
+  // Row 1 is the header
+  return { columns, records, firstRowNumber: 2 };
+};
+
+// First column whose header matches each field; earlier aliases win
+export const guessMapping = (columns) => {
+  const used = new Set();
+  return Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const column = field.aliases
+      .map(alias => columns.find(c => !used.has(c) && normalizeHeader(c) === alias))
+      .find(Boolean) || '';
+    if (column) used.add(column);
+    return [field.key, column];
+  }));
+};
+
+// Submitter names in the file, matched to members by display name or email
+export const guessMembers = (records, mapping, members) => {
+  const names = [...new Set(records.map(record => (record[mapping.user] || '').trim()).filter(Boolean))];
+  return Object.fromEntries(names.map(name => {
+    const member = members.find(m =>
+      (m.displayName || '').toLowerCase() === name.toLowerCase() ||
+      (m.email || '').toLowerCase() === name.toLowerCase()
+    );
+    return [name, member ? member.id : ''];
+  }));
+};
+
+// Week keys, ISO dates and datetimes, our "Week of Oct 18, 2026" labels,
+// or anything else Date can read
+const parseDate = (value, timeZone) => {
+  const text = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const weekKey = getWeekKeyForDateString(text);
+    return { weekKey, createdAt: parseWeekKey(text).toISOString() };
+  }
+  const labelWeekKey = getWeekKeyFromLabel(text);
+  if (/^week of/i.test(text) && labelWeekKey) {
+    return { weekKey: labelWeekKey, createdAt: parseWeekKey(labelWeekKey).toISOString() };
+  }
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+  return { weekKey: getWeekKey(date, timeZone), createdAt: date.toISOString() };
+};
+
+const getPlatform = (value, link) => {
+  if (link) {
+    try {
+      return parseSongLink(link).platform;
+    } catch {
+      // Fall through to the platform column
+    }
+  }
+  return PLATFORMS.find(platform => platform.toLowerCase() === value.trim().toLowerCase()) || 'Other';
+};
+
+// Validate every record and flag duplicates of existing picks (same member,
+// week and song) or of earlier rows. Returns
+// [{ rowNumber, status: 'ready' | 'duplicate' | 'error', message, song }].
+export const buildImportRows = ({ records, firstRowNumber, mapping, memberIds, existingSongs, currentWeekKey, timeZone }) => {
+  const seen = new Set(existingSongs.map(song => `${song.userId}|${song.weekKey}|${getCanonicalKey(song.songName, song.artist)}`));
+
+  return records.map((record, index) => {
+    const rowNumber = firstRowNumber + index;
+    const get = (field) => (mapping[field] ? String(record[mapping[field]] || '').trim() : '');
+    const fail = (message) => ({ rowNumber, status: 'error', message, song: null });
+
+    const songName = get('songName');
+    const artist = get('artist');
+    const submitter = get('user');
+    const link = get('link');
+    if (!songName) return fail('Missing song name.');
+    if (!artist) return fail('Missing artist.');
+    if (!submitter) return fail('Missing submitter.');
+    if ([songName, artist, submitter].some(value => value.length > MAX_FIELD_LENGTH)) {
+      return fail(`Fields can be at most ${MAX_FIELD_LENGTH} characters.`);
+    }
+
+    const userId = memberIds[submitter];
+    if (!userId) return fail(`"${submitter}" isn't matched to a member.`);
+
+    const date = parseDate(get('date'), timeZone);
+    if (!date) return fail(`Couldn't read the date "${get('date')}".`);
+    if (date.weekKey > currentWeekKey) return fail('The date is in the future.');
+
+    const platform = getPlatform(get('platform'), link);
+    const linkError = validateSongLink(link, platform);
+    if (linkError) return fail(linkError);
+
+    const song = { userId, user: submitter, songName, artist, platform, link: normalizeSongLink(link, platform), ...date };
+    const key = `${userId}|${date.weekKey}|${getCanonicalKey(songName, artist)}`;
+    if (seen.has(key)) {
+      return { rowNumber, status: 'duplicate', message: 'Already picked by this member that week.', song };
+    }
+    seen.add(key);
+    return { rowNumber, status: 'ready', message: null, song };
+  });
+};
+
+// Imported picks are written by the importSongs function, since the
+// security rules only let members add picks to the current week.
+// Resolves to [{ rowNumber, status: 'imported' | 'duplicate' | 'error', message }].
+export const importSongs = async (groupId, rows) => {
+  const result = await httpsCallable(getFunctions(), 'importSongs')({
+    groupId,
+    rows: rows.map(({ rowNumber, song }) => ({ rowNumber, ...song }))
+  });
+  return result.data.results;
+};
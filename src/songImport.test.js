@@ -0,0 +1,154 @@
+import { describe, expect, it, vi } from 'vitest';
+import { buildImportRows, guessMapping, guessMembers, parseImportFile } from './songImport';
+
+// links.js reaches the Spotify client, which needs a browser
+vi.mock('./spotify', () => ({
+  isSpotifyConnected: vi.fn(() => false),
+  getTrack: vi.fn()
+}));
+
+const SPOTIFY_ID = '4uLU6hMCjMI75M1A2tKUQC';
+
+// The shape of the links functions/imports.js accepts
+const SERVER_LINK = /^https?:\/\//i;
+
+const MAPPING = { songName: 'song', artist: 'artist', user: 'user', date: 'date', platform: 'platform', link: 'link' };
+
+const build = (records, options = {}) => buildImportRows({
+  records,
+  firstRowNumber: 2,
+  mapping: MAPPING,
+  memberIds: { Alice: 'alice', Bob: 'bob' },
+  existingSongs: [],
+  currentWeekKey: '2026-10-18',
+  timeZone: 'UTC',
+  ...options
+});
+
+const row = (overrides = {}) => ({
+  song: 'Heroes', artist: 'David Bowie', user: 'Alice', date: '2026-10-14', platform: '', link: '', ...overrides
+});
+
+describe('parseImportFile', () => {
+  it('reads CSV with a header row', () => {
+    expect(parseImportFile('picks.csv', 'Song,Artist,\r\n"Heroes, live",David Bowie,x\r\n')).toEqual({
+      columns: ['Song', 'Artist', 'Column 3'],
+      records: [{ Song: 'Heroes, live', Artist: 'David Bowie', 'Column 3': 'x' }],
+      firstRowNumber: 2
+    });
+  });
+
+  it('reads JSON lists and our own export', () => {
+    const songs = [{ songName: 'Heroes', votes: 3, link: null }];
+    const expected = { columns: ['songName', 'votes', 'link'], records: [{ songName: 'Heroes', votes: '3', link: '' }], firstRowNumber: 1 };
+    expect(parseImportFile('picks.json', JSON.stringify(songs))).toEqual(expected);
+    expect(parseImportFile('picks.txt', JSON.stringify({ songs }))).toEqual(expected);
+  });
+
+  it('rejects empty and malformed files', () => {
+    expect(() => parseImportFile('picks.csv', '')).toThrow('That file is empty.');
+    expect(() => parseImportFile('picks.json', '{"songs":')).toThrow('That file isn\'t valid JSON.');
+    expect(() => parseImportFile('picks.json', '{"songs": [1]}')).toThrow('The JSON file should contain a list of songs.');
+  });
+});
+
+describe('guessMapping', () => {
+  it('matches headers by their aliases, each column once', () => {
+    expect(guessMapping(['Track Name', 'Artist(s)', 'Picked by', 'Week of', 'URL', 'Title'])).toEqual({
+      songName: 'Title',
+      artist: 'Artist(s)',
+      user: 'Picked by',
+      date: 'Week of',
+      platform: '',
+      link: 'URL'
+    });
+  });
+});
+
+describe('guessMembers', () => {
+  it('matches submitters by display name or email, ignoring case', () => {
+    const members = [{ id: 'alice', displayName: 'Alice' }, { id: 'bob', displayName: 'Robert', email: 'bob@example.com' }];
+    const records = [{ who: 'alice' }, { who: 'BOB@example.com' }, { who: 'Carol' }, { who: ' ' }];
+    expect(guessMembers(records, { user: 'who' }, members)).toEqual({ alice: 'alice', 'BOB@example.com': 'bob', Carol: '' });
+  });
+});
+
+describe('buildImportRows', () => {
+  it('files picks under the week of their date', () => {
+    const [imported] = build([row()]);
+    expect(imported).toMatchObject({ rowNumber: 2, status: 'ready', message: null });
+    expect(imported.song).toMatchObject({ userId: 'alice', weekKey: '2026-10-11', createdAt: '2026-10-14T00:00:00.000Z', platform: 'Other' });
+  });
+
+  it('reads week labels and week keys', () => {
+    const [fromLabel, fromKey] = build([row({ date: 'Week of Oct 4, 2026' }), row({ date: '2026-10-04' })]);
+    expect(fromLabel.song.weekKey).toBe('2026-10-04');
+    expect(fromKey.song.weekKey).toBe('2026-10-04');
+  });
+
+  it('saves links in the form the server accepts', () => {
+    const rows = build([
+      row({ link: `spotify:track:${SPOTIFY_ID}` }),
+      row({ link: 'music.apple.com/us/song/heroes/123', user: 'Bob' }),
+      row({ link: 'https://soundcloud.com/davidbowie/heroes', date: '2026-10-05' })
+    ]);
+    expect(rows.map(({ status }) => status)).toEqual(['ready', 'ready', 'ready']);
+    expect(rows[0].song).toMatchObject({ platform: 'Spotify', link: `https://open.spotify.com/track/${SPOTIFY_ID}` });
+    expect(rows[1].song).toMatchObject({ platform: 'Apple Music', link: 'https://music.apple.com/us/song/heroes/123' });
+    expect(rows.every(({ song }) => SERVER_LINK.test(song.link))).toBe(true);
+  });
+
+  it('takes the platform column when there is no link', () => {
+    expect(build([row({ platform: 'deezer' })])[0].song.platform).toBe('Deezer');
+  });
+
+  it('keeps other web links as "Other"', () => {
+    const [imported] = build([row({ link: 'https://example.com/heroes' })]);
+    expect(imported.status).toBe('ready');
+    expect(imported.song).toMatchObject({ platform: 'Other', link: 'https://example.com/heroes' });
+  });
+
+  it('rejects links the server would turn down', () => {
+    const rows = build([
+      row({ link: 'javascript:alert(1)' }),
+      row({ link: 'example.com/heroes', platform: 'Other', user: 'Bob' }),
+      row({ link: 'https://open.spotify.com/album/abc', platform: 'Spotify', date: '2026-10-05' }),
+      row({ link: 'https://example.com/heroes', platform: 'Spotify', date: '2026-09-28' })
+    ]);
+    expect(rows.map(({ status }) => status)).toEqual(['error', 'error', 'error', 'error']);
+    expect(rows[2].message).toMatch(/isn't a track/);
+    expect(rows[3].message).toMatch(/Links from example\.com aren't supported/);
+  });
+
+  it('reports missing and unreadable fields', () => {
+    const rows = build([
+      row({ song: '' }),
+      row({ artist: ' ' }),
+      row({ user: 'Carol' }),
+      row({ date: 'someday' }),
+      row({ date: '2026-10-25' }),
+      row({ song: 'x'.repeat(201) })
+    ]);
+    expect(rows.map(({ message }) => message)).toEqual([
+      'Missing song name.',
+      'Missing artist.',
+      '"Carol" isn\'t matched to a member.',
+      'Couldn\'t read the date "someday".',
+      'The date is in the future.',
+      'Fields can be at most 200 characters.'
+    ]);
+    expect(rows.every(({ status, song }) => status === 'error' && song === null)).toBe(true);
+  });
+
+  it('flags picks the member already made that week, in the group or earlier in the file', () => {
+    const existingSongs = [{ userId: 'alice', weekKey: '2026-10-11', songName: 'Heroes', artist: 'David Bowie' }];
+    const rows = build([
+      row({ song: 'HEROES ' }),
+      row({ song: 'Changes' }),
+      row({ song: 'Changes', date: '2026-10-16' }),
+      row({ song: 'Changes', user: 'Bob' })
+    ], { existingSongs });
+    expect(rows.map(({ status }) => status)).toEqual(['duplicate', 'ready', 'duplicate', 'ready']);
+    expect(rows[0].message).toBe('Already picked by this member that week.');
+  });
+});
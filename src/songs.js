@@ -0,0 +1,185 @@
+import { db } from './firebase';
+import { collection, doc, getDoc, getDocs, getCountFromServer, query, where, orderBy, limit, runTransaction, updateDoc, deleteDoc, writeBatch, serverTimestamp, FieldPath } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { getFeedSort } from './feedQuery';
+import { getCanonicalKey, isClaimable } from './normalize';
+import { DuplicatePickError, getSongId } from './picks';
+
+// Songs are stamped with the server's clock (the security rules check it).
+// The app works with ISO strings, which sort the same way, so timestamps
+// are converted as songs are read; a pick still being written gets the
+// local estimate.
+const toIsoString = (value) => (value?.toDate ? value.toDate().toISOString() : value);
+
+export const toSong = (songDoc) => {
+  const data = songDoc.data({ serverTimestamps: 'estimate' });
+  return {
+    id: songDoc.id,
+    ...data,
+    createdAt: toIsoString(data.createdAt),
+    ...(data.updatedAt ? { updatedAt: toIsoString(data.updatedAt) } : {})
+  };
+};
+
+// When a group blocks duplicates, each song can be claimed by one pick per
+// week (see firestore.rules). Taken claims can't be read, so a denied read
+// means someone already has the song.
+const getClaimRef = (groupId, weekKey, canonicalKey) => doc(db, 'groups', groupId, 'weeks', weekKey, 'claims', canonicalKey);
+
+const isSongClaimed = async (claimRef) => {
+  try {
+    await getDoc(claimRef);
+    return false;
+  } catch (err) {
+    if (err.code === 'permission-denied') return true;
+    throw err;
+  }
+};
+
+// Returns the claim to write alongside the pick, if the week needs one
+const claimSong = async (song, songId, blockDuplicates) => {
+  if (!blockDuplicates || !isClaimable(song.canonicalKey)) return null;
+  const claimRef = getClaimRef(song.groupId, song.weekKey, song.canonicalKey);
+  if (await isSongClaimed(claimRef)) {
+    throw new DuplicatePickError();
+  }
+  return { ref: claimRef, data: { songId, userId: song.userId, createdAt: new Date().toISOString() } };
+};
+
+export const addSong = async (song, { blockDuplicates = false } = {}) => {
+  const songRef = doc(db, 'songs', getSongId(song.groupId, song.weekKey, song.userId, song.slot));
+  const claim = await claimSong(song, songRef.id, blockDuplicates);
+  await runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(songRef);
+    if (existing.exists()) {
+      throw new Error('That pick slot is already taken.');
+    }
+    transaction.set(songRef, { ...song, createdAt: serverTimestamp() });
+    if (claim) transaction.set(claim.ref, claim.data);
+  });
+  return songRef.id;
+};
+
+// Renaming a pick makes it a different song, which needs its own claim;
+// the releaseClaims function frees the old one
+export const updateSong = async (song, changes, { blockDuplicates = false } = {}) => {
+  const songRef = doc(db, 'songs', song.id);
+  const canonicalKey = getCanonicalKey(changes.songName, changes.artist);
+  const identityChanged = changes.songName !== song.songName || changes.artist !== song.artist;
+  const stamped = { ...changes, updatedAt: serverTimestamp() };
+  if (!identityChanged || canonicalKey === song.canonicalKey) {
+    await updateDoc(songRef, stamped);
+    return;
+  }
+
+  const updated = { ...song, ...changes, canonicalKey };
+  const claim = await claimSong(updated, song.id, blockDuplicates);
+  const batch = writeBatch(db);
+  batch.update(songRef, { ...stamped, canonicalKey });
+  if (claim) batch.set(claim.ref, claim.data);
+  await batch.commit();
+};
+
+// Deleted picks go to the trash, where their author or an admin can
+// restore them for TRASH_DAYS (picks.js); see functions/trash.js.
+// Resolves to the pick's ID in the trash
+export const trashSong = async (songId) => {
+  const result = await httpsCallable(getFunctions(), 'trashSong')({ songId });
+  return result.data.trashId;
+};
+
+// Resolves to the pick's song ID, which is a new one if its slot was taken
+export const restoreSong = async (trashId) => {
+  const result = await httpsCallable(getFunctions(), 'restoreSong')({ trashId });
+  return result.data.songId;
+};
+
+export const purgeSong = (trashId) => deleteDoc(doc(db, 'trash', trashId));
+
+// Trashed picks keep their song ID in songId; their own ID is the trash doc's
+export const toTrashedSong = (trashDoc) => ({
+  ...toSong(trashDoc),
+  deletedAt: toIsoString(trashDoc.data({ serverTimestamps: 'estimate' }).deletedAt)
+});
+
+// A pick's edit history, newest first. Blind picks' history can only be
+// read by their author until the reveal, like the picks.
+export const loadSongVersions = async (song) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'songVersions'),
+    where('groupId', '==', song.groupId),
+    where('songId', '==', song.id),
+    song.hidden ? where('userId', '==', song.userId) : where('hidden', '==', false)
+  ));
+  return snapshot.docs
+    .map(versionDoc => {
+      const data = versionDoc.data({ serverTimestamps: 'estimate' });
+      return { id: versionDoc.id, ...data, createdAt: toIsoString(data.createdAt) };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+const needsReview = (match) => !match || match.status === 'ambiguous' || match.status === 'unmatched';
+
+// The submitter settles a flagged match by picking a candidate, pasting the
+// right link, or marking the song as unavailable there (url: null).
+export const confirmSongMatch = async (song, platform, url) => {
+  const match = { status: url ? 'confirmed' : 'unavailable', url: url || null };
+  const matches = { ...song.matches, [platform]: match };
+  await updateDoc(
+    doc(db, 'songs', song.id),
+    new FieldPath('matches', platform), match,
+    'matchStatus', Object.values(matches).some(needsReview) ? 'needs-review' : 'matched'
+  );
+};
+
+// One page window of the feed: the group's visible picks, narrowed by at
+// most one server-side filter and ordered by the chosen sort
+export const getFeedQuery = (groupId, filter, sortId, pageLimit) => {
+  const sort = getFeedSort(sortId);
+  const constraints = [
+    where('groupId', '==', groupId),
+    where('hidden', '==', false),
+    ...(filter ? [where(filter.field, filter.op, filter.value)] : []),
+    orderBy(sort.field, sort.direction),
+    ...(sort.field !== 'createdAt' ? [orderBy('createdAt', 'desc')] : []),
+    limit(pageLimit)
+  ];
+  return query(collection(db, 'songs'), ...constraints);
+};
+
+export const countVisibleSongs = async (groupId) => {
+  const snapshot = await getCountFromServer(query(
+    collection(db, 'songs'),
+    where('groupId', '==', groupId),
+    where('hidden', '==', false)
+  ));
+  return snapshot.data().count;
+};
+
+// One member's picks, newest first, up to `count`. Their blind picks are
+// left out unless the viewer is the member.
+export const loadMemberSongs = async (groupId, memberId, viewerId, count) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'songs'),
+    where('groupId', '==', groupId),
+    where('userId', '==', memberId),
+    ...(memberId === viewerId ? [] : [where('hidden', '==', false)]),
+    orderBy('createdAt', 'desc'),
+    limit(count)
+  ));
+  return snapshot.docs.map(toSong);
+};
+
+// Every pick the user can see, optionally for one week, newest first. For
+// stats, exports and import checks, which need more than the feed's pages.
+export const loadGroupSongs = async (groupId, userId, weekKey = null) => {
+  const weekFilter = weekKey ? [where('weekKey', '==', weekKey)] : [];
+  const [visible, ownHidden] = await Promise.all([
+    getDocs(query(collection(db, 'songs'), where('groupId', '==', groupId), ...weekFilter, where('hidden', '==', false))),
+    getDocs(query(collection(db, 'songs'), where('groupId', '==', groupId), where('userId', '==', userId), ...weekFilter, where('hidden', '==', true)))
+  ]);
+  return [...visible.docs, ...ownHidden.docs]
+    .map(toSong)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
@@ -0,0 +1,272 @@
+import { db } from './firebase';
+import { doc, getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { ProviderError, fetchWithRetry, readResponse, randomString, getCodeChallenge, readAuthRedirect } from './providerRequest';
+
+// Authorization Code flow with PKCE. The refresh token lives in an
+// owner-only Firestore doc (users/{uid}/private/spotify) so it follows the
+// signed-in account rather than the browser; access tokens stay in memory.
+
+const NAME = 'Spotify';
+const CLIENT_ID = import.meta.env.VITE_SPOTIFY_CLIENT_ID;
+const REDIRECT_URI = `${window.location.origin}/`;
+const SCOPES = [
+  'playlist-modify-private',
+  'playlist-modify-public',
+  // Listening history for pick suggestions; connections made before these
+  // were asked for get a 403 there until they connect again
+  'user-read-recently-played',
+  'user-top-read'
+];
+// Overridable so the app can run against local stand-in servers
+const ACCOUNTS_URL = import.meta.env.VITE_SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com';
+const API_URL = import.meta.env.VITE_SPOTIFY_API_URL || 'https://api.spotify.com/v1';
+
+const VERIFIER_KEY = 'spotifyCodeVerifier';
+const STATE_KEY = 'spotifyAuthState';
+
+// Refresh this long before the access token actually expires
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const TRACKS_PER_REQUEST = 100;
+
+// Session for the signed-in user
+let session = { uid: null, refreshToken: null, accessToken: null, expiresAt: 0 };
+let refreshing = null;
+
+const sessionRef = (uid) => doc(db, 'users', uid, 'private', 'spotify');
+
+export const redirectToSpotifyAuth = async () => {
+  const verifier = randomString(64);
+  const state = `spotify.${randomString(16)}`;
+  sessionStorage.setItem(VERIFIER_KEY, verifier);
+  sessionStorage.setItem(STATE_KEY, state);
+
+  const params = new URLSearchParams({
+    client_id: CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: REDIRECT_URI,
+    code_challenge_method: 'S256',
+    code_challenge: await getCodeChallenge(verifier),
+    scope: SCOPES.join(' '),
+    state
+  });
+  window.location.assign(`${ACCOUNTS_URL}/authorize?${params}`);
+};
+
+const requestToken = async (params) => {
+  const response = await fetchWithRetry(NAME, `${ACCOUNTS_URL}/api/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: CLIENT_ID, ...params })
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Spotify answers invalid_grant both for revoked and for expired refresh tokens
+    if (body.error === 'invalid_grant') {
+      const revoked = /revoked/i.test(body.error_description || '');
+      throw new ProviderError(NAME, revoked ? 'access-revoked' : 'session-expired', response.status);
+    }
+    throw new ProviderError(NAME, 'auth', response.status);
+  }
+  return body;
+};
+
+const saveTokens = async (tokens) => {
+  session = {
+    ...session,
+    accessToken: tokens.access_token,
+    expiresAt: Date.now() + tokens.expires_in * 1000,
+    // Refresh tokens may rotate; keep the newest one
+    refreshToken: tokens.refresh_token || session.refreshToken
+  };
+  await setDoc(sessionRef(session.uid), {
+    refreshToken: session.refreshToken,
+    scope: tokens.scope || '',
+    updatedAt: new Date().toISOString()
+  });
+};
+
+const clearSession = async () => {
+  const { uid } = session;
+  session = { uid, refreshToken: null, accessToken: null, expiresAt: 0 };
+  if (uid) {
+    await deleteDoc(sessionRef(uid)).catch(err => console.error('Error clearing Spotify session:', err));
+  }
+};
+
+// Finish the redirect back from Spotify, if this page load is one.
+// Resolves to true when a new connection was made.
+export const completeSpotifyAuth = async (uid) => {
+  const redirect = readAuthRedirect('spotify');
+  if (!redirect) return false;
+
+  const expectedState = sessionStorage.getItem(STATE_KEY);
+  const verifier = sessionStorage.getItem(VERIFIER_KEY);
+  sessionStorage.removeItem(STATE_KEY);
+  sessionStorage.removeItem(VERIFIER_KEY);
+
+  if (redirect.error) {
+    throw new ProviderError(NAME, 'access-denied');
+  }
+  if (!verifier || redirect.state !== expectedState) {
+    throw new ProviderError(NAME, 'auth');
+  }
+
+  session = { uid, refreshToken: null, accessToken: null, expiresAt: 0 };
+  const tokens = await requestToken({
+    grant_type: 'authorization_code',
+    code: redirect.code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: verifier
+  });
+  await saveTokens(tokens);
+  return true;
+};
+
+// Load the signed-in user's saved connection. Resolves to whether one exists.
+export const loadSpotifySession = async (uid) => {
+  if (session.uid === uid && session.refreshToken) return true;
+
+  const saved = await getDoc(sessionRef(uid));
+  session = {
+    uid,
+    refreshToken: saved.exists() ? saved.data().refreshToken : null,
+    accessToken: null,
+    expiresAt: 0
+  };
+  return !!session.refreshToken;
+};
+
+export const isSpotifyConnected = () => !!session.refreshToken;
+
+export const disconnectSpotify = async () => {
+  await clearSession();
+};
+
+const refreshAccessToken = () => {
+  // Concurrent API calls share one refresh
+  if (!refreshing) {
+    refreshing = (async () => {
+      if (!session.refreshToken) {
+        throw new ProviderError(NAME, 'session-expired');
+      }
+      try {
+        await saveTokens(await requestToken({ grant_type: 'refresh_token', refresh_token: session.refreshToken }));
+      } catch (err) {
+        if (err.code === 'session-expired' || err.code === 'access-revoked') {
+          await clearSession();
+        }
+        throw err;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+export const getAccessToken = async () => {
+  if (!session.accessToken || Date.now() > session.expiresAt - EXPIRY_MARGIN_MS) {
+    await refreshAccessToken();
+  }
+  return session.accessToken;
+};
+
+// Authenticated Web API request. Refreshes once if Spotify rejects a
+// token that looked valid.
+export const spotifyFetch = async (path, { method = 'GET', body } = {}) => {
+  for (let refreshed = false; ; refreshed = true) {
+    const token = await getAccessToken();
+    const response = await fetchWithRetry(NAME, `${API_URL}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401 && !refreshed) {
+      session.accessToken = null;
+      continue;
+    }
+    if (response.status === 401) {
+      await clearSession();
+    }
+    return readResponse(NAME, response);
+  }
+};
+
+export const searchTracks = async (query, limit = 10) => {
+  const data = await spotifyFetch(`/search?type=track&limit=${limit}&q=${encodeURIComponent(query)}`);
+  return data.tracks.items;
+};
+
+export const getTrack = (id) => spotifyFetch(`/tracks/${id}`);
+
+export const getCurrentSpotifyUser = () => spotifyFetch('/me');
+
+const toTrack = (track) => ({
+  id: track.id,
+  songName: track.name,
+  artist: track.artists.map(a => a.name).join(', '),
+  artworkUrl: track.album.images[1]?.url || track.album.images[0]?.url || '',
+  thumbnailUrl: track.album.images[2]?.url || '',
+  link: track.external_urls.spotify,
+  platform: 'Spotify',
+  isrc: track.external_ids?.isrc || null
+});
+
+// The last 50 plays and the top tracks of roughly the last four weeks
+// (Spotify's shortest range); each appearance counts as one play
+const getSpotifyListeningHistory = async () => {
+  const [recent, top] = await Promise.all([
+    spotifyFetch('/me/player/recently-played?limit=50'),
+    spotifyFetch('/me/top/tracks?time_range=short_term&limit=20')
+  ]);
+  return [...recent.items.map(item => item.track), ...top.items].map(track => ({ ...toTrack(track), plays: 1 }));
+};
+
+// Create the playlist or rename the existing one, then replace its tracks
+const syncSpotifyPlaylist = async ({ playlistId, title, description, trackIds }) => {
+  let url = null;
+  if (playlistId) {
+    await spotifyFetch(`/playlists/${playlistId}`, { method: 'PUT', body: { name: title, description } });
+    url = `https://open.spotify.com/playlist/${playlistId}`;
+  } else {
+    const profile = await getCurrentSpotifyUser();
+    const playlist = await spotifyFetch(`/users/${profile.id}/playlists`, {
+      method: 'POST',
+      body: { name: title, description, public: false }
+    });
+    playlistId = playlist.id;
+    url = playlist.external_urls.spotify;
+  }
+
+  // Replacing sets the first 100 tracks and clears the rest; append the remainder
+  const uris = trackIds.map(id => `spotify:track:${id}`);
+  await spotifyFetch(`/playlists/${playlistId}/tracks`, {
+    method: 'PUT',
+    body: { uris: uris.slice(0, TRACKS_PER_REQUEST) }
+  });
+  for (let i = TRACKS_PER_REQUEST; i < uris.length; i += TRACKS_PER_REQUEST) {
+    await spotifyFetch(`/playlists/${playlistId}/tracks`, {
+      method: 'POST',
+      body: { uris: uris.slice(i, i + TRACKS_PER_REQUEST) }
+    });
+  }
+  return { playlistId, url };
+};
+
+// Streaming service interface; see providers.js
+export const spotifyProvider = {
+  id: 'spotify',
+  platform: 'Spotify',
+  color: 'bg-green-500',
+  connect: redirectToSpotifyAuth,
+  completeConnect: completeSpotifyAuth,
+  loadSession: loadSpotifySession,
+  isConnected: isSpotifyConnected,
+  disconnect: disconnectSpotify,
+  search: async (query) => (await searchTracks(query)).map(toTrack),
+  searchForSong: async ({ songName, artist }) => (await searchTracks(`track:${songName} artist:${artist}`)).map(toTrack),
+  getListeningHistory: getSpotifyListeningHistory,
+  syncPlaylist: syncSpotifyPlaylist
+};
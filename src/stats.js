@@ -0,0 +1,99 @@
+import { shiftWeek } from './weeks';
+import { normalizeArtist } from './normalize';
+
+// Picks within an inclusive week range, optionally for one member
+export const filterSongs = (songs, { fromWeekKey, toWeekKey, userId }) =>
+  songs.filter(song =>
+    (!fromWeekKey || song.weekKey >= fromWeekKey) &&
+    (!toWeekKey || song.weekKey <= toWeekKey) &&
+    (!userId || song.userId === userId)
+  );
+
+// Every week key from `from` to `to`, inclusive
+export const listWeeks = (fromWeekKey, toWeekKey) => {
+  const weeks = [];
+  for (let weekKey = fromWeekKey; weekKey <= toWeekKey; weekKey = shiftWeek(weekKey, 1)) {
+    weeks.push(weekKey);
+  }
+  return weeks;
+};
+
+// [{ label, count }] sorted by count, then label
+const countBy = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+// Streaks and missed weeks count from a member's first pick in the range.
+// The current week doesn't count as missed while it is still open.
+export const getMemberStreaks = (songs, memberIds, weeks, currentWeekKey) =>
+  memberIds.map(userId => {
+    const pickedWeeks = new Set(songs.filter(song => song.userId === userId).map(song => song.weekKey));
+    if (pickedWeeks.size === 0) {
+      return { userId, picks: 0, weeksPicked: 0, currentStreak: 0, longestStreak: 0, missedWeeks: 0 };
+    }
+
+    const firstWeekKey = [...pickedWeeks].sort()[0];
+    const activeWeeks = weeks.filter(weekKey => weekKey >= firstWeekKey);
+    let run = 0;
+    let longestStreak = 0;
+    let missedWeeks = 0;
+    activeWeeks.forEach(weekKey => {
+      if (pickedWeeks.has(weekKey)) {
+        run++;
+        longestStreak = Math.max(longestStreak, run);
+      } else if (weekKey !== currentWeekKey) {
+        run = 0;
+        missedWeeks++;
+      }
+    });
+
+    return {
+      userId,
+      picks: songs.filter(song => song.userId === userId).length,
+      weeksPicked: pickedWeeks.size,
+      currentStreak: run,
+      longestStreak,
+      missedWeeks
+    };
+  }).sort((a, b) => b.currentStreak - a.currentStreak || b.longestStreak - a.longestStreak);
+
+// Grouped by primary artist, shown as first submitted
+export const getTopArtists = (songs, limit = 10) => {
+  const names = new Map();
+  const keys = songs.map(song => {
+    const key = normalizeArtist(song.artist);
+    if (!names.has(key)) names.set(key, song.artist.split(/,|&| feat\.? | ft\.? /i)[0].trim());
+    return key;
+  });
+  return countBy(keys.filter(Boolean)).slice(0, limit).map(({ label, count }) => ({ label: names.get(label), count }));
+};
+
+export const getPlatformSplit = (songs) => countBy(songs.map(song => song.platform));
+
+// Submitters and picks per week, with the change in submitters from the week before
+export const getParticipation = (songs, weeks) =>
+  weeks.map((weekKey, index) => {
+    const weekSongs = songs.filter(song => song.weekKey === weekKey);
+    const submitters = new Set(weekSongs.map(song => song.userId)).size;
+    const previous = index > 0 ? new Set(songs.filter(song => song.weekKey === weeks[index - 1]).map(song => song.userId)).size : null;
+    return { weekKey, picks: weekSongs.length, submitters, change: previous === null ? null : submitters - previous };
+  });
+
+// Breakdowns from the Spotify metadata the matching function stores on each pick
+export const getGenreBreakdown = (songs, limit = 10) =>
+  countBy(songs.flatMap(song => song.metadata?.genres || [])).slice(0, limit);
+
+export const getEraBreakdown = (songs) =>
+  countBy(songs
+    .filter(song => song.metadata?.releaseYear)
+    .map(song => `${Math.floor(song.metadata.releaseYear / 10) * 10}s`))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+export const getMoodBreakdown = (songs) =>
+  countBy(songs.filter(song => song.metadata?.mood).map(song => song.metadata.mood));
+
+export const countEnriched = (songs) => songs.filter(song => song.metadata).length;
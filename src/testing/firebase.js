@@ -0,0 +1,5 @@
+// Stands in for src/firebase.js, which each deployment provides with its own
+// project config, so modules that import it load under test. Tests mock the
+// Firebase SDK calls that would use these.
+export const db = {};
+export const auth = {};
@@ -0,0 +1,28 @@
+import { db } from './firebase';
+import { doc, deleteDoc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+
+// Weekly themes are scheduled ahead by group admins, one per week, at
+// groups/{groupId}/themes/{weekKey}: { name, description, createdBy, updatedAt }.
+// Keep the limits in sync with firestore.rules.
+export const MAX_THEME_NAME_LENGTH = 80;
+export const MAX_THEME_DESCRIPTION_LENGTH = 500;
+
+const themeRef = (groupId, weekKey) => doc(db, 'groups', groupId, 'themes', weekKey);
+
+export const getTheme = async (groupId, weekKey) => {
+  const themeDoc = await getDoc(themeRef(groupId, weekKey));
+  return themeDoc.exists() ? themeDoc.data() : null;
+};
+
+export const saveTheme = async (groupId, weekKey, { name, description }, userId) => {
+  await setDoc(themeRef(groupId, weekKey), {
+    name: name.trim(),
+    description: description.trim(),
+    createdBy: userId,
+    updatedAt: serverTimestamp()
+  });
+};
+
+export const deleteTheme = async (groupId, weekKey) => {
+  await deleteDoc(themeRef(groupId, weekKey));
+};
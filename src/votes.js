@@ -0,0 +1,66 @@
+import { db } from './firebase';
+import { doc, setDoc, deleteDoc, writeBatch } from 'firebase/firestore';
+import { getNextSlot } from './picks';
+
+// Keys must match the list in firestore.rules
+export const REACTIONS = [
+  { key: 'fire', emoji: '🔥' },
+  { key: 'heart', emoji: '❤️' },
+  { key: 'dance', emoji: '💃' },
+  { key: 'cry', emoji: '😭' },
+  { key: 'mindblown', emoji: '🤯' }
+];
+
+export const toggleReaction = async (song, reaction, userId, active) => {
+  const reactionRef = doc(db, 'reactions', `${song.id}_${userId}_${reaction}`);
+  if (active) {
+    await deleteDoc(reactionRef);
+  } else {
+    await setDoc(reactionRef, {
+      groupId: song.groupId,
+      songId: song.id,
+      userId,
+      reaction,
+      createdAt: new Date().toISOString()
+    });
+  }
+};
+
+// Votes take numbered slots per member and week, which the security rules
+// cap. Each vote also claims its pick for the member, so no pick gets two
+// votes from the same person; the claim comes and goes with the vote.
+const getVoteClaimRef = (groupId, weekKey, userId, songId) =>
+  doc(db, 'groups', groupId, 'weeks', weekKey, 'voteClaims', `${userId}_${songId}`);
+
+export const castVote = async (song, userId, myVotes) => {
+  const slot = getNextSlot(myVotes, userId, song.weekKey);
+  const voteId = `${song.groupId}_${song.weekKey}_${userId}_${slot}`;
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'votes', voteId), {
+    groupId: song.groupId,
+    weekKey: song.weekKey,
+    songId: song.id,
+    userId,
+    slot,
+    createdAt: new Date().toISOString()
+  });
+  batch.set(getVoteClaimRef(song.groupId, song.weekKey, userId, song.id), { voteId, userId });
+  await batch.commit();
+};
+
+export const removeVote = async (vote) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'votes', vote.id));
+  batch.delete(getVoteClaimRef(vote.groupId, vote.weekKey, vote.userId, vote.songId));
+  await batch.commit();
+};
+
+// { [songId]: { [reaction]: [userId, ...] } }
+export const groupReactions = (reactions) => {
+  const bySong = {};
+  reactions.forEach(({ songId, reaction, userId }) => {
+    const songReactions = bySong[songId] || (bySong[songId] = {});
+    (songReactions[reaction] || (songReactions[reaction] = [])).push(userId);
+  });
+  return bySong;
+};
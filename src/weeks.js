@@ -0,0 +1,66 @@
+// Weeks run Sunday to Saturday and are identified by the ISO date of their
+// Sunday ("2026-10-18"), evaluated in the group's time zone. Keys sort and
+// compare as plain strings, so they can be queried and ordered in Firestore.
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getBrowserTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+
+export const getTimeZones = () => {
+  const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return timeZones.includes(DEFAULT_TIME_ZONE) ? timeZones : [DEFAULT_TIME_ZONE, ...timeZones];
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toKey = (utcDate) =>
+  `${utcDate.getUTCFullYear()}-${pad(utcDate.getUTCMonth() + 1)}-${pad(utcDate.getUTCDate())}`;
+
+// Calendar date of an instant as seen in a time zone, as a UTC midnight Date
+const getZonedCalendarDate = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return new Date(Date.UTC(get('year'), get('month') - 1, get('day')));
+};
+
+const startOfWeek = (utcDate) => new Date(utcDate.getTime() - utcDate.getUTCDay() * DAY_MS);
+
+export const isWeekKey = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseWeekKey(value).getUTCDay() === 0;
+
+export const parseWeekKey = (weekKey) => {
+  const [year, month, day] = weekKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const getWeekKey = (date = new Date(), timeZone = DEFAULT_TIME_ZONE) =>
+  toKey(startOfWeek(getZonedCalendarDate(date, timeZone)));
+
+// Week containing a calendar date such as the value of an <input type="date">
+export const getWeekKeyForDateString = (dateString) => toKey(startOfWeek(parseWeekKey(dateString)));
+
+export const shiftWeek = (weekKey, weeks) =>
+  toKey(new Date(parseWeekKey(weekKey).getTime() + weeks * 7 * DAY_MS));
+
+export const formatWeekLabel = (weekKey) =>
+  `Week of ${parseWeekKey(weekKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+
+// Recover a key from the old "Week of Oct 19, 2026" labels stored on songs
+export const getWeekKeyFromLabel = (label) => {
+  const date = new Date(`${String(label).replace(/^Week of\s+/, '')} UTC`);
+  return Number.isNaN(date.getTime()) ? null : toKey(startOfWeek(date));
+};
+
+// e.g. "Sun 8:00 PM", in the group's time zone
+export const formatWeekTime = (date, timeZone = DEFAULT_TIME_ZONE) =>
+  date.toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit', timeZone });
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
@@ -0,0 +1,234 @@
+import { db } from './firebase';
+import { doc, getDoc } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { ProviderError, fetchWithRetry, readResponse, randomString, getCodeChallenge, readAuthRedirect } from './providerRequest';
+
+// Google OAuth with PKCE. Google insists on the client secret for the code
+// exchange, so that and every refresh go through the connectYouTube and
+// refreshYouTubeToken functions; the refresh token stays server-side.
+
+const NAME = 'YouTube Music';
+const CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID;
+const REDIRECT_URI = `${window.location.origin}/`;
+const SCOPE = 'https://www.googleapis.com/auth/youtube';
+// Overridable so the app can run against local stand-in servers
+const AUTH_URL = import.meta.env.VITE_GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth';
+const API_URL = import.meta.env.VITE_YOUTUBE_API_URL || 'https://www.googleapis.com/youtube/v3';
+
+const VERIFIER_KEY = 'youtubeCodeVerifier';
+const STATE_KEY = 'youtubeAuthState';
+
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const ITEMS_PER_PAGE = 50;
+
+let session = { uid: null, connected: false, accessToken: null, expiresAt: 0 };
+let refreshing = null;
+
+const callFunction = async (name, data) => {
+  try {
+    const result = await httpsCallable(getFunctions(), name)(data);
+    return result.data;
+  } catch (err) {
+    const reason = err.details?.reason;
+    if (reason === 'session-expired') {
+      session = { ...session, connected: false, accessToken: null, expiresAt: 0 };
+    }
+    throw new ProviderError(NAME, reason || 'auth');
+  }
+};
+
+const saveAccessToken = ({ accessToken, expiresIn }) => {
+  session = { ...session, connected: true, accessToken, expiresAt: Date.now() + expiresIn * 1000 };
+};
+
+export const redirectToYouTubeAuth = async () => {
+  const verifier = randomString(64);
+  const state = `youtube.${randomString(16)}`;
+  sessionStorage.setItem(VERIFIER_KEY, verifier);
+  sessionStorage.setItem(STATE_KEY, state);
+
+  const params = new URLSearchParams({
+    client_id: CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: REDIRECT_URI,
+    code_challenge_method: 'S256',
+    code_challenge: await getCodeChallenge(verifier),
+    scope: SCOPE,
+    // Ask for a refresh token even if the user connected before
+    access_type: 'offline',
+    prompt: 'consent',
+    state
+  });
+  window.location.assign(`${AUTH_URL}?${params}`);
+};
+
+// Finish the redirect back from Google, if this page load is one
+export const completeYouTubeAuth = async (uid) => {
+  const redirect = readAuthRedirect('youtube');
+  if (!redirect) return false;
+
+  const expectedState = sessionStorage.getItem(STATE_KEY);
+  const verifier = sessionStorage.getItem(VERIFIER_KEY);
+  sessionStorage.removeItem(STATE_KEY);
+  sessionStorage.removeItem(VERIFIER_KEY);
+
+  if (redirect.error) {
+    throw new ProviderError(NAME, 'access-denied');
+  }
+  if (!verifier || redirect.state !== expectedState) {
+    throw new ProviderError(NAME, 'auth');
+  }
+
+  session = { uid, connected: false, accessToken: null, expiresAt: 0 };
+  saveAccessToken(await callFunction('connectYouTube', {
+    code: redirect.code,
+    codeVerifier: verifier,
+    redirectUri: REDIRECT_URI
+  }));
+  return true;
+};
+
+export const loadYouTubeSession = async (uid) => {
+  if (session.uid === uid && session.connected) return true;
+
+  const saved = await getDoc(doc(db, 'users', uid, 'private', 'youtube'));
+  session = { uid, connected: saved.exists(), accessToken: null, expiresAt: 0 };
+  return session.connected;
+};
+
+export const isYouTubeConnected = () => session.connected;
+
+export const disconnectYouTube = async () => {
+  await callFunction('disconnectYouTube');
+  session = { ...session, connected: false, accessToken: null, expiresAt: 0 };
+};
+
+const getAccessToken = async () => {
+  if (!session.accessToken || Date.now() > session.expiresAt - EXPIRY_MARGIN_MS) {
+    if (!refreshing) {
+      refreshing = callFunction('refreshYouTubeToken')
+        .then(saveAccessToken)
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    await refreshing;
+  }
+  return session.accessToken;
+};
+
+export const youtubeFetch = async (path, { method = 'GET', body } = {}) => {
+  for (let refreshed = false; ; refreshed = true) {
+    const token = await getAccessToken();
+    const response = await fetchWithRetry(NAME, `${API_URL}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401 && !refreshed) {
+      session.accessToken = null;
+      continue;
+    }
+    // The Data API reports an exhausted daily quota as 403 quotaExceeded
+    if (response.status === 403) {
+      const error = await response.clone().json().catch(() => ({}));
+      if (error.error?.errors?.some(e => e.reason === 'quotaExceeded' || e.reason === 'rateLimitExceeded')) {
+        throw new ProviderError(NAME, 'rate-limited', 403);
+      }
+    }
+    return readResponse(NAME, response);
+  }
+};
+
+const toTrack = (item) => {
+  const videoId = item.id.videoId || item.snippet.resourceId?.videoId || item.id;
+  return {
+    id: videoId,
+    songName: item.snippet.title,
+    // Auto-generated YouTube Music channels are named "Artist - Topic"
+    artist: item.snippet.channelTitle.replace(/ - Topic$/, ''),
+    artworkUrl: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url || '',
+    thumbnailUrl: item.snippet.thumbnails?.default?.url || '',
+    link: `https://music.youtube.com/watch?v=${videoId}`,
+    platform: 'YouTube Music',
+    isrc: null
+  };
+};
+
+export const searchVideos = async (query, limit = 10) => {
+  const params = new URLSearchParams({
+    part: 'snippet',
+    type: 'video',
+    videoCategoryId: '10',
+    maxResults: String(limit),
+    q: query
+  });
+  const data = await youtubeFetch(`/search?${params}`);
+  return data.items.map(toTrack);
+};
+
+const listPlaylistItems = async (playlistId) => {
+  const items = [];
+  let pageToken = '';
+  do {
+    const params = new URLSearchParams({ part: 'snippet', playlistId, maxResults: String(ITEMS_PER_PAGE) });
+    if (pageToken) params.set('pageToken', pageToken);
+    const data = await youtubeFetch(`/playlistItems?${params}`);
+    items.push(...data.items);
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return items;
+};
+
+// YouTube has no "replace all", so remove what no longer belongs and insert
+// what is missing at its position
+const syncYouTubePlaylist = async ({ playlistId, title, description, trackIds }) => {
+  if (playlistId) {
+    await youtubeFetch('/playlists?part=snippet', {
+      method: 'PUT',
+      body: { id: playlistId, snippet: { title, description } }
+    });
+  } else {
+    const playlist = await youtubeFetch('/playlists?part=snippet,status', {
+      method: 'POST',
+      body: { snippet: { title, description }, status: { privacyStatus: 'unlisted' } }
+    });
+    playlistId = playlist.id;
+  }
+
+  const kept = new Set();
+  for (const item of await listPlaylistItems(playlistId)) {
+    const videoId = item.snippet.resourceId.videoId;
+    if (trackIds.includes(videoId) && !kept.has(videoId)) {
+      kept.add(videoId);
+    } else {
+      await youtubeFetch(`/playlistItems?id=${item.id}`, { method: 'DELETE' });
+    }
+  }
+
+  for (const [position, videoId] of trackIds.entries()) {
+    if (kept.has(videoId)) continue;
+    await youtubeFetch('/playlistItems?part=snippet', {
+      method: 'POST',
+      body: { snippet: { playlistId, position, resourceId: { kind: 'youtube#video', videoId } } }
+    });
+  }
+
+  return { playlistId, url: `https://music.youtube.com/playlist?list=${playlistId}` };
+};
+
+// Streaming service interface; see providers.js
+export const youTubeMusicProvider = {
+  id: 'youtube',
+  platform: 'YouTube Music',
+  color: 'bg-red-500',
+  connect: redirectToYouTubeAuth,
+  completeConnect: completeYouTubeAuth,
+  loadSession: loadYouTubeSession,
+  isConnected: isYouTubeConnected,
+  disconnect: disconnectYouTube,
+  search: searchVideos,
+  searchForSong: ({ songName, artist }) => searchVideos(`${artist} ${songName}`, 5),
+  syncPlaylist: syncYouTubePlaylist
+};
@@ -0,0 +1,90 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { GROUP_ID, asUser, createTestEnvironment, makeSong, seed, seedGroup, songId } from './helpers.js';
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedGroup(testEnv);
+  await seed(testEnv, {
+    [`songs/${songId('alice')}`]: makeSong(),
+    [`songs/${songId('bob')}`]: makeSong({ userId: 'bob', user: 'Bob', hidden: true }),
+    'comments/existing': {
+      groupId: GROUP_ID,
+      songId: songId('alice'),
+      userId: 'bob',
+      text: 'Great pick',
+      mentions: [],
+      createdAt: new Date().toISOString()
+    }
+  });
+});
+
+const comment = (uid, pickId, overrides = {}) => setDoc(doc(asUser(testEnv, uid), 'comments', `${uid}-comment`), {
+  groupId: GROUP_ID,
+  songId: pickId,
+  userId: uid,
+  text: 'Love this one',
+  mentions: [],
+  createdAt: new Date().toISOString(),
+  ...overrides
+});
+
+describe('adding comments', () => {
+  it('lets members comment on visible picks', async () => {
+    await assertSucceeds(comment('bob', songId('alice')));
+    await assertSucceeds(comment('alice', songId('alice')));
+  });
+
+  it('keeps comments off blind picks until the reveal', async () => {
+    await assertFails(comment('alice', songId('bob')));
+    await assertFails(comment('bob', songId('bob')));
+  });
+
+  it('lets admins comment on blind picks', async () => {
+    await assertSucceeds(comment('admin', songId('bob')));
+    await assertSucceeds(comment('owner', songId('bob')));
+  });
+
+  it('rejects comments from outside the group or in someone else\'s name', async () => {
+    await assertFails(comment('mallory', songId('alice')));
+    await assertFails(comment('alice', songId('alice'), { userId: 'bob' }));
+  });
+
+  it('rejects comments on picks from another group', async () => {
+    await seed(testEnv, { 'songs/other-pick': makeSong({ groupId: 'group2' }) });
+    await assertFails(comment('alice', 'other-pick'));
+  });
+
+  it('checks the text and mentions', async () => {
+    await assertFails(comment('bob', songId('alice'), { text: '' }));
+    await assertFails(comment('bob', songId('alice'), { text: 'x'.repeat(1001) }));
+    await assertFails(comment('bob', songId('alice'), { mentions: 'alice' }));
+  });
+});
+
+describe('reading and changing comments', () => {
+  it('shows comments to members only', async () => {
+    await assertSucceeds(getDoc(doc(asUser(testEnv, 'alice'), 'comments', 'existing')));
+    await assertFails(getDoc(doc(asUser(testEnv, 'mallory'), 'comments', 'existing')));
+  });
+
+  it('lets only the author edit the text', async () => {
+    await assertSucceeds(updateDoc(doc(asUser(testEnv, 'bob'), 'comments', 'existing'), { text: 'Great pick!', updatedAt: new Date().toISOString() }));
+    await assertFails(updateDoc(doc(asUser(testEnv, 'alice'), 'comments', 'existing'), { text: 'Edited' }));
+    await assertFails(updateDoc(doc(asUser(testEnv, 'bob'), 'comments', 'existing'), { songId: songId('bob') }));
+  });
+
+  it('lets only the author delete', async () => {
+    await assertFails(deleteDoc(doc(asUser(testEnv, 'alice'), 'comments', 'existing')));
+    await assertSucceeds(deleteDoc(doc(asUser(testEnv, 'bob'), 'comments', 'existing')));
+  });
+});
@@ -0,0 +1,92 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, doc, setDoc } from 'firebase/firestore';
+
+// Shared fixtures for the firestore.rules tests, which run against the
+// Firestore emulator: `npm run test:rules`.
+
+export const GROUP_ID = 'group1';
+export const OPEN_WEEK = '2026-10-18';
+export const CLOSED_WEEK = '2026-10-11';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const hoursFromNow = (hours) => Timestamp.fromMillis(Date.now() + hours * HOUR_MS);
+
+// owner and admin moderate; alice and bob are members; mallory isn't in the group
+export const MEMBERS = {
+  owner: { displayName: 'Olive', email: 'olive@example.com' },
+  admin: { displayName: 'Adam', email: 'adam@example.com' },
+  alice: { displayName: 'Alice', email: 'alice@example.com' },
+  bob: { displayName: 'Bob', email: 'bob@example.com' },
+  mallory: { displayName: 'Mallory', email: 'mallory@example.com' }
+};
+
+export const createTestEnvironment = () => initializeTestEnvironment({
+  projectId: 'weekly-tunes-rules',
+  firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+});
+
+export const asUser = (testEnv, uid) =>
+  testEnv.authenticatedContext(uid, { email: MEMBERS[uid]?.email }).firestore();
+
+export const seed = (testEnv, docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  for (const [path, data] of Object.entries(docs)) {
+    await setDoc(doc(db, path), data);
+  }
+});
+
+export const makeWeek = (overrides = {}) => ({
+  startsAt: hoursFromNow(-24),
+  deadlineAt: hoursFromNow(24),
+  endsAt: hoursFromNow(48),
+  revealAt: hoursFromNow(-24),
+  blind: false,
+  revealed: true,
+  maxPicksPerWeek: 2,
+  blockDuplicates: false,
+  votesPerWeek: 3,
+  ...overrides
+});
+
+export const makeSong = (overrides = {}) => ({
+  groupId: GROUP_ID,
+  user: 'Alice',
+  userId: 'alice',
+  songName: 'Heroes',
+  artist: 'David Bowie',
+  platform: 'Spotify',
+  link: 'https://open.spotify.com/track/abc',
+  artworkUrl: '',
+  weekKey: OPEN_WEEK,
+  slot: 0,
+  hidden: false,
+  canonicalKey: 'heroes|david bowie',
+  reactionCount: 0,
+  createdAt: hoursFromNow(-1),
+  ...overrides
+});
+
+export const songId = (userId, weekKey = OPEN_WEEK, slot = 0) => `${GROUP_ID}_${weekKey}_${userId}_${slot}`;
+
+// A group with an open week and a week whose deadline has passed
+export const seedGroup = (testEnv, { group = {}, openWeek = {}, closedWeek = {} } = {}) => seed(testEnv, {
+  [`groups/${GROUP_ID}`]: {
+    name: 'Test Group',
+    ownerId: 'owner',
+    adminIds: ['admin'],
+    memberIds: ['owner', 'admin', 'alice', 'bob'],
+    inviteCode: 'INVITE12',
+    timeZone: 'UTC',
+    ...group
+  },
+  [`groups/${GROUP_ID}/weeks/${OPEN_WEEK}`]: makeWeek(openWeek),
+  [`groups/${GROUP_ID}/weeks/${CLOSED_WEEK}`]: makeWeek({
+    startsAt: hoursFromNow(-24 * 8),
+    deadlineAt: hoursFromNow(-24),
+    endsAt: hoursFromNow(-1),
+    ...closedWeek
+  }),
+  ...Object.fromEntries(Object.entries(MEMBERS).map(([uid, { displayName }]) => [`users/${uid}`, { displayName }]))
+});
@@ -0,0 +1,111 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { addDoc, arrayRemove, arrayUnion, collection, doc, getDocs, serverTimestamp, updateDoc } from 'firebase/firestore';
+import { GROUP_ID, OPEN_WEEK, asUser, createTestEnvironment, seed, seedGroup } from './helpers.js';
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedGroup(testEnv);
+  await seed(testEnv, {
+    [`groups/${GROUP_ID}/auditLog/entry1`]: {
+      action: 'lock-week',
+      actorId: 'admin',
+      targetUserId: null,
+      songId: null,
+      details: OPEN_WEEK,
+      createdAt: new Date()
+    }
+  });
+});
+
+const updateGroup = (uid, changes) => updateDoc(doc(asUser(testEnv, uid), 'groups', GROUP_ID), changes);
+
+// The same writes as src/moderation.js
+const removeMember = (uid, memberId) => updateGroup(uid, { memberIds: arrayRemove(memberId), adminIds: arrayRemove(memberId) });
+
+const setAdmin = (uid, memberId, admin) => updateGroup(uid, { adminIds: admin ? arrayUnion(memberId) : arrayRemove(memberId) });
+
+const setWeekLocked = (uid, locked) =>
+  updateDoc(doc(asUser(testEnv, uid), 'groups', GROUP_ID, 'weeks', OPEN_WEEK), { locked });
+
+describe('admin roles', () => {
+  it('lets only the owner appoint and remove admins', async () => {
+    await assertFails(setAdmin('admin', 'alice', true));
+    await assertFails(setAdmin('alice', 'alice', true));
+    await assertSucceeds(setAdmin('owner', 'alice', true));
+    await assertSucceeds(setAdmin('owner', 'admin', false));
+  });
+
+  it('keeps admins to members other than the owner', async () => {
+    await assertFails(setAdmin('owner', 'mallory', true));
+    await assertFails(setAdmin('owner', 'owner', true));
+  });
+
+  it('hands the group to a member, who leaves the admins', async () => {
+    await assertFails(updateGroup('admin', { ownerId: 'admin', adminIds: ['owner'] }));
+    await assertFails(updateGroup('owner', { ownerId: 'mallory', adminIds: ['admin', 'owner'] }));
+    await assertFails(updateGroup('owner', { ownerId: 'admin', adminIds: ['admin', 'owner'] }));
+    await assertSucceeds(updateGroup('owner', { ownerId: 'admin', adminIds: ['owner'] }));
+  });
+});
+
+describe('removing members', () => {
+  it('lets admins remove members', async () => {
+    await assertFails(removeMember('bob', 'alice'));
+    await assertSucceeds(removeMember('admin', 'alice'));
+  });
+
+  it('lets only the owner remove admins', async () => {
+    await seedGroup(testEnv, { group: { adminIds: ['admin', 'alice'] } });
+    await assertFails(removeMember('admin', 'alice'));
+    await assertSucceeds(removeMember('owner', 'alice'));
+  });
+
+  it('never removes the owner', async () => {
+    await assertFails(removeMember('admin', 'owner'));
+    await assertFails(updateGroup('admin', { memberIds: ['admin', 'alice', 'bob'] }));
+  });
+
+  it('removes one member at a time', async () => {
+    await assertFails(updateGroup('owner', { memberIds: ['owner', 'admin'] }));
+  });
+});
+
+describe('locking weeks', () => {
+  it('lets admins lock and unlock a week', async () => {
+    await assertSucceeds(setWeekLocked('admin', true));
+    await assertSucceeds(setWeekLocked('owner', false));
+  });
+
+  it('keeps members from locking weeks or changing anything else', async () => {
+    await assertFails(setWeekLocked('alice', true));
+    await assertFails(setWeekLocked('admin', 'yes'));
+    await assertFails(updateDoc(doc(asUser(testEnv, 'admin'), 'groups', GROUP_ID, 'weeks', OPEN_WEEK), { maxPicksPerWeek: 10 }));
+  });
+});
+
+describe('the audit log', () => {
+  const auditLog = (uid) => collection(asUser(testEnv, uid), 'groups', GROUP_ID, 'auditLog');
+
+  it('is read by admins only', async () => {
+    await assertSucceeds(getDocs(auditLog('owner')));
+    await assertSucceeds(getDocs(auditLog('admin')));
+    await assertFails(getDocs(auditLog('alice')));
+    await assertFails(getDocs(auditLog('mallory')));
+  });
+
+  it('is written by the functions only', async () => {
+    const entry = (actorId) => ({ action: 'lock-week', actorId, targetUserId: null, songId: null, details: OPEN_WEEK, createdAt: serverTimestamp() });
+    await assertFails(addDoc(auditLog('owner'), entry('owner')));
+    await assertFails(addDoc(auditLog('admin'), entry('admin')));
+    await assertFails(updateDoc(doc(auditLog('owner'), 'entry1'), { details: 'Edited' }));
+  });
+});
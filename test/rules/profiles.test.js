@@ -0,0 +1,85 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, serverTimestamp, setDoc } from 'firebase/firestore';
+import { GROUP_ID, OPEN_WEEK, asUser, createTestEnvironment, seed, seedGroup, songId } from './helpers.js';
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedGroup(testEnv);
+  await seed(testEnv, {
+    'users/alice/private/listening': { spotify: true },
+    'users/alice/pushTokens/alice-phone': { token: 'alice-phone', createdAt: new Date() }
+  });
+});
+
+const userDoc = (uid, userId, ...path) => doc(asUser(testEnv, uid), 'users', userId, ...path);
+
+// The same write as userRepository.update in src/firestoreRepository.js
+const saveProfile = (uid, userId, profile) => setDoc(userDoc(uid, userId), profile, { merge: true });
+
+describe('profiles', () => {
+  it('are read by anyone signed in', async () => {
+    await assertSucceeds(getDoc(userDoc('bob', 'alice')));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'users', 'alice')));
+  });
+
+  it('are edited by their owner only', async () => {
+    await assertSucceeds(saveProfile('alice', 'alice', { displayName: 'Ally', bio: 'Mostly Bowie' }));
+    await assertFails(saveProfile('bob', 'alice', { displayName: 'Not Alice' }));
+    await assertFails(saveProfile('owner', 'alice', { displayName: 'Not Alice' }));
+  });
+
+  it('keep to the limits in src/profiles.js', async () => {
+    await assertSucceeds(saveProfile('alice', 'alice', { displayName: 'A'.repeat(50), bio: 'b'.repeat(300), avatarUrl: 'https://example.com/a.png' }));
+    await assertFails(saveProfile('alice', 'alice', { displayName: 'A'.repeat(51) }));
+    await assertFails(saveProfile('alice', 'alice', { displayName: '   ' }));
+    await assertFails(saveProfile('alice', 'alice', { bio: 'b'.repeat(301) }));
+    await assertFails(saveProfile('alice', 'alice', { avatarUrl: 'a'.repeat(60001) }));
+    await assertFails(saveProfile('alice', 'alice', { displayName: 42 }));
+  });
+
+  it('can leave the profile fields out', async () => {
+    await assertSucceeds(saveProfile('alice', 'alice', { notifications: { reminderEmail: true } }));
+  });
+});
+
+describe('private data', () => {
+  it('keeps listening accounts to their owner', async () => {
+    await assertSucceeds(getDoc(userDoc('alice', 'alice', 'private', 'listening')));
+    await assertFails(getDoc(userDoc('bob', 'alice', 'private', 'listening')));
+    await assertFails(setDoc(userDoc('bob', 'alice', 'private', 'listening'), { spotify: false }));
+  });
+
+  it('keeps what a member listened to their own', async () => {
+    const listened = (uid) => setDoc(userDoc(uid, 'alice', 'listened', songId('bob')), {
+      groupId: GROUP_ID, weekKey: OPEN_WEEK, listenedAt: serverTimestamp()
+    });
+    await assertSucceeds(listened('alice'));
+    await assertFails(listened('bob'));
+    await assertFails(getDoc(userDoc('bob', 'alice', 'listened', songId('bob'))));
+  });
+});
+
+describe('push tokens', () => {
+  const saveToken = (uid, token, data = { token }) => setDoc(userDoc(uid, 'alice', 'pushTokens', token), data);
+
+  it('are saved under their own token by their owner', async () => {
+    await assertSucceeds(saveToken('alice', 'alice-laptop'));
+    await assertFails(saveToken('alice', 'alice-laptop', { token: 'something-else' }));
+    await assertFails(saveToken('bob', 'bob-phone'));
+  });
+
+  it('are read and removed by their owner only', async () => {
+    await assertFails(getDoc(userDoc('bob', 'alice', 'pushTokens', 'alice-phone')));
+    await assertFails(deleteDoc(userDoc('bob', 'alice', 'pushTokens', 'alice-phone')));
+    await assertSucceeds(deleteDoc(userDoc('alice', 'alice', 'pushTokens', 'alice-phone')));
+  });
+});
@@ -0,0 +1,79 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, serverTimestamp, setDoc } from 'firebase/firestore';
+import { CLOSED_WEEK, GROUP_ID, asUser, createTestEnvironment, seed, seedGroup } from './helpers.js';
+
+let testEnv;
+
+// src/recaps.js uses 24 random bytes, 32 characters in base64url
+const TOKEN = 'a'.repeat(32);
+const SHARED_TOKEN = 'b'.repeat(32);
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedGroup(testEnv);
+  await seed(testEnv, {
+    [`recaps/${SHARED_TOKEN}`]: { groupId: GROUP_ID, weekKey: CLOSED_WEEK, createdBy: 'admin', createdAt: new Date() }
+  });
+});
+
+const recapDoc = (uid, token) => doc(asUser(testEnv, uid), 'recaps', token);
+
+// The same write as src/recaps.js
+const shareRecap = (uid, { token = TOKEN, ...overrides } = {}) => setDoc(recapDoc(uid, token), {
+  groupId: GROUP_ID,
+  weekKey: CLOSED_WEEK,
+  createdBy: uid,
+  createdAt: serverTimestamp(),
+  ...overrides
+});
+
+describe('sharing recaps', () => {
+  it('lets admins share a week', async () => {
+    await assertSucceeds(shareRecap('admin'));
+    await assertSucceeds(shareRecap('owner', { token: 'c'.repeat(32) }));
+  });
+
+  it('keeps members and outsiders from sharing', async () => {
+    await assertFails(shareRecap('alice'));
+    await assertFails(shareRecap('mallory'));
+  });
+
+  it('needs a full-length token', async () => {
+    await assertFails(shareRecap('admin', { token: 'short' }));
+  });
+
+  it('records who shared it and when', async () => {
+    await assertFails(shareRecap('admin', { createdBy: 'owner' }));
+    await assertFails(shareRecap('admin', { createdAt: new Date() }));
+  });
+
+  it('takes nothing but the recap fields', async () => {
+    await assertFails(shareRecap('admin', { songs: [] }));
+    await assertFails(shareRecap('admin', { weekKey: 42 }));
+  });
+
+  it('never edits a shared link', async () => {
+    await assertFails(setDoc(recapDoc('admin', SHARED_TOKEN), {
+      groupId: GROUP_ID, weekKey: CLOSED_WEEK, createdBy: 'admin', createdAt: serverTimestamp()
+    }));
+  });
+});
+
+describe('reading and revoking recaps', () => {
+  it('shows the group\'s links to its members only', async () => {
+    await assertSucceeds(getDoc(recapDoc('alice', SHARED_TOKEN)));
+    await assertFails(getDoc(recapDoc('mallory', SHARED_TOKEN)));
+  });
+
+  it('lets admins revoke a link', async () => {
+    await assertFails(deleteDoc(recapDoc('alice', SHARED_TOKEN)));
+    await assertSucceeds(deleteDoc(recapDoc('owner', SHARED_TOKEN)));
+  });
+});
@@ -0,0 +1,198 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { FieldPath, Timestamp, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+import { CLOSED_WEEK, OPEN_WEEK, asUser, createTestEnvironment, makeSong, seed, seedGroup, songId } from './helpers.js';
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedGroup(testEnv);
+});
+
+const newPick = (overrides = {}) => makeSong({ createdAt: serverTimestamp(), ...overrides });
+
+const addPick = (uid, id, song) => setDoc(doc(asUser(testEnv, uid), 'songs', id), song);
+
+describe('creating picks', () => {
+  it('lets a member pick in one of their slots of an open week', async () => {
+    await assertSucceeds(addPick('alice', songId('alice'), newPick()));
+  });
+
+  it('accepts the email address as the name when no display name is set', async () => {
+    await seed(testEnv, { 'users/alice': {} });
+    await assertSucceeds(addPick('alice', songId('alice'), newPick({ user: 'alice@example.com' })));
+  });
+
+  it('rejects someone outside the group', async () => {
+    await assertFails(addPick('mallory', songId('mallory'), newPick({ userId: 'mallory', user: 'Mallory' })));
+  });
+
+  it('rejects signed-out writes', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, 'songs', songId('alice')), newPick()));
+  });
+
+  it('rejects picks in someone else\'s name or slot', async () => {
+    await assertFails(addPick('alice', songId('alice'), newPick({ userId: 'bob', user: 'Bob' })));
+    await assertFails(addPick('alice', songId('bob'), newPick()));
+    await assertFails(addPick('alice', songId('alice'), newPick({ user: 'Bob' })));
+  });
+
+  it('rejects slots past the weekly pick limit', async () => {
+    await assertSucceeds(addPick('alice', songId('alice', OPEN_WEEK, 1), newPick({ slot: 1 })));
+    await assertFails(addPick('alice', songId('alice', OPEN_WEEK, 2), newPick({ slot: 2 })));
+    await assertFails(addPick('alice', songId('alice', OPEN_WEEK, -1), newPick({ slot: -1 })));
+  });
+
+  it('rejects picks after the deadline or for a week that isn\'t open', async () => {
+    await assertFails(addPick('alice', songId('alice', CLOSED_WEEK), newPick({ weekKey: CLOSED_WEEK })));
+    await assertFails(addPick('alice', songId('alice', '2026-10-25'), newPick({ weekKey: '2026-10-25' })));
+  });
+
+  it('rejects picks in a locked week', async () => {
+    await seedGroup(testEnv, { openWeek: { locked: true } });
+    await assertFails(addPick('alice', songId('alice'), newPick()));
+  });
+
+  it('requires the server time as createdAt', async () => {
+    await assertFails(addPick('alice', songId('alice'), newPick({ createdAt: Timestamp.now() })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ createdAt: new Date().toISOString() })));
+  });
+
+  it('requires every field of the schema and nothing else', async () => {
+    const { canonicalKey, ...withoutKey } = newPick();
+    await assertFails(addPick('alice', songId('alice'), withoutKey));
+    await assertFails(addPick('alice', songId('alice'), newPick({ pickOfTheWeek: true })));
+    await assertSucceeds(addPick('alice', songId('alice'), newPick({ onTheme: true, outboxId: 'outbox-1' })));
+  });
+
+  it('checks types and lengths of the details', async () => {
+    await assertFails(addPick('alice', songId('alice'), newPick({ songName: 'x'.repeat(201) })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ artist: '   ' })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ platform: 'Napster' })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ link: 'javascript:alert(1)' })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ link: `https://example.com/${'x'.repeat(500)}` })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ artworkUrl: 'ftp://example.com/cover.jpg' })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ onTheme: 'yes' })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ slot: '0' })));
+    await assertSucceeds(addPick('alice', songId('alice'), newPick({ link: '', platform: 'Other' })));
+  });
+
+  it('starts picks with no reactions, hidden only in unrevealed blind weeks', async () => {
+    await assertFails(addPick('alice', songId('alice'), newPick({ reactionCount: 5 })));
+    await assertFails(addPick('alice', songId('alice'), newPick({ hidden: true })));
+
+    await seedGroup(testEnv, { openWeek: { blind: true, revealed: false } });
+    await assertFails(addPick('alice', songId('alice'), newPick()));
+    await assertSucceeds(addPick('alice', songId('alice'), newPick({ hidden: true })));
+  });
+});
+
+describe('reading picks', () => {
+  beforeEach(() => seed(testEnv, {
+    [`songs/${songId('alice')}`]: makeSong(),
+    [`songs/${songId('bob')}`]: makeSong({ userId: 'bob', user: 'Bob', hidden: true })
+  }));
+
+  it('shows picks to members only', async () => {
+    await assertSucceeds(getDoc(doc(asUser(testEnv, 'bob'), 'songs', songId('alice'))));
+    await assertFails(getDoc(doc(asUser(testEnv, 'mallory'), 'songs', songId('alice'))));
+  });
+
+  it('keeps hidden picks to their author', async () => {
+    await assertSucceeds(getDoc(doc(asUser(testEnv, 'bob'), 'songs', songId('bob'))));
+    await assertFails(getDoc(doc(asUser(testEnv, 'alice'), 'songs', songId('bob'))));
+  });
+});
+
+describe('editing picks', () => {
+  beforeEach(() => seed(testEnv, {
+    [`songs/${songId('alice')}`]: makeSong(),
+    [`songs/${songId('alice', CLOSED_WEEK)}`]: makeSong({ weekKey: CLOSED_WEEK })
+  }));
+
+  const edit = (uid, id, changes) => updateDoc(doc(asUser(testEnv, uid), 'songs', id), {
+    updatedAt: serverTimestamp(),
+    updatedBy: uid,
+    ...changes
+  });
+
+  it('lets authors edit the details until the deadline', async () => {
+    await assertSucceeds(edit('alice', songId('alice'), { songName: 'Changes', canonicalKey: 'changes|david bowie' }));
+    await assertFails(edit('alice', songId('alice', CLOSED_WEEK), { songName: 'Changes' }));
+  });
+
+  it('stops authors once an admin locks the week', async () => {
+    await seedGroup(testEnv, { openWeek: { locked: true } });
+    await assertFails(edit('alice', songId('alice'), { songName: 'Changes' }));
+  });
+
+  it('lets the owner and admins edit any pick at any time', async () => {
+    await assertSucceeds(edit('admin', songId('alice', CLOSED_WEEK), { artist: 'Bowie' }));
+    await assertSucceeds(edit('owner', songId('alice'), { platform: 'Other', link: '' }));
+  });
+
+  it('doesn\'t let other members edit', async () => {
+    await assertFails(edit('bob', songId('alice'), { songName: 'Changes' }));
+    await assertFails(edit('mallory', songId('alice'), { songName: 'Changes' }));
+  });
+
+  it('requires the server time and the editor\'s own ID', async () => {
+    await assertFails(edit('alice', songId('alice'), { songName: 'Changes', updatedAt: Timestamp.now() }));
+    await assertFails(edit('alice', songId('alice'), { songName: 'Changes', updatedBy: 'bob' }));
+    await assertFails(updateDoc(doc(asUser(testEnv, 'alice'), 'songs', songId('alice')), { songName: 'Changes' }));
+  });
+
+  it('keeps who picked it, when and for which week', async () => {
+    await assertFails(edit('alice', songId('alice'), { userId: 'bob' }));
+    await assertFails(edit('alice', songId('alice'), { createdAt: serverTimestamp() }));
+    await assertFails(edit('alice', songId('alice'), { weekKey: CLOSED_WEEK }));
+    await assertFails(edit('admin', songId('alice'), { user: 'Adam' }));
+    await assertFails(edit('admin', songId('alice'), { slot: 1 }));
+    await assertFails(edit('admin', songId('alice'), { reactionCount: 10 }));
+    await assertFails(edit('admin', songId('alice'), { hidden: true }));
+  });
+
+  it('checks edited details like new ones', async () => {
+    await assertFails(edit('alice', songId('alice'), { songName: '' }));
+    await assertFails(edit('alice', songId('alice'), { link: 'not a link' }));
+  });
+
+  // The same write as src/songs.js confirmSongMatch
+  const confirmMatch = (uid, id, platform, match, matchStatus = 'matched') =>
+    updateDoc(doc(asUser(testEnv, uid), 'songs', id), new FieldPath('matches', platform), match, 'matchStatus', matchStatus);
+
+  it('lets authors correct matches after the deadline', async () => {
+    const confirmed = { status: 'confirmed', url: 'https://music.apple.com/us/song/heroes/123' };
+    await assertSucceeds(confirmMatch('alice', songId('alice', CLOSED_WEEK), 'Apple Music', confirmed));
+    await assertSucceeds(confirmMatch('alice', songId('alice'), 'Deezer', { status: 'unavailable', url: null }, 'needs-review'));
+    await assertFails(confirmMatch('bob', songId('alice', CLOSED_WEEK), 'Apple Music', confirmed));
+  });
+
+  it('checks corrected matches', async () => {
+    const id = songId('alice');
+    await assertFails(confirmMatch('alice', id, 'Apple Music', { status: 'confirmed', url: 'javascript:alert(1)' }));
+    await assertFails(confirmMatch('alice', id, 'Apple Music', { status: 'confirmed', url: null }));
+    await assertFails(confirmMatch('alice', id, 'Apple Music', { status: 'unavailable', url: 'https://music.apple.com/x' }));
+    await assertFails(confirmMatch('alice', id, 'Apple Music', { status: 'matched', url: 'https://music.apple.com/x' }));
+    await assertFails(confirmMatch('alice', id, 'Apple Music', { status: 'confirmed', url: 'https://music.apple.com/x', candidates: [] }));
+    await assertFails(confirmMatch('alice', id, 'Napster', { status: 'confirmed', url: 'https://napster.com/x' }));
+    await assertFails(confirmMatch('alice', id, 'Deezer', { status: 'unavailable', url: null }, 'confirmed'));
+  });
+});
+
+describe('deleting picks', () => {
+  beforeEach(() => seed(testEnv, { [`songs/${songId('alice')}`]: makeSong() }));
+
+  it('only happens through the trashSong function', async () => {
+    await assertFails(deleteDoc(doc(asUser(testEnv, 'alice'), 'songs', songId('alice'))));
+    await assertFails(deleteDoc(doc(asUser(testEnv, 'owner'), 'songs', songId('alice'))));
+  });
+});
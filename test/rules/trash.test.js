@@ -0,0 +1,88 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, setDoc } from 'firebase/firestore';
+import { GROUP_ID, OPEN_WEEK, asUser, createTestEnvironment, hoursFromNow, makeSong, seed, seedGroup, songId } from './helpers.js';
+
+let testEnv;
+
+const makeVersion = (overrides = {}) => ({
+  songId: songId('alice'),
+  groupId: GROUP_ID,
+  weekKey: OPEN_WEEK,
+  userId: 'alice',
+  hidden: false,
+  editedBy: 'alice',
+  before: { songName: 'Changes' },
+  after: { songName: 'Heroes' },
+  createdAt: hoursFromNow(-1),
+  ...overrides
+});
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedGroup(testEnv);
+  await seed(testEnv, {
+    'trash/byAuthor': makeSong({ songId: songId('alice'), deletedAt: hoursFromNow(-1), deletedBy: 'alice' }),
+    'trash/byAdmin': makeSong({ songId: songId('alice'), deletedAt: hoursFromNow(-1), deletedBy: 'admin' }),
+    'songVersions/shown': makeVersion(),
+    'songVersions/blind': makeVersion({ hidden: true })
+  });
+});
+
+const trashDoc = (uid, trashId) => doc(asUser(testEnv, uid), 'trash', trashId);
+const versionDoc = (uid, versionId) => doc(asUser(testEnv, uid), 'songVersions', versionId);
+
+describe('the trash', () => {
+  it('is read by the author and the group\'s admins', async () => {
+    await assertSucceeds(getDoc(trashDoc('alice', 'byAuthor')));
+    await assertSucceeds(getDoc(trashDoc('admin', 'byAuthor')));
+    await assertSucceeds(getDoc(trashDoc('owner', 'byAdmin')));
+    await assertFails(getDoc(trashDoc('bob', 'byAuthor')));
+    await assertFails(getDoc(trashDoc('mallory', 'byAuthor')));
+  });
+
+  it('keeps removed members out of their own deleted picks', async () => {
+    await seedGroup(testEnv, { group: { memberIds: ['owner', 'admin', 'bob'] } });
+    await assertFails(getDoc(trashDoc('alice', 'byAuthor')));
+  });
+
+  it('lets authors empty out picks they deleted themselves', async () => {
+    await assertFails(deleteDoc(trashDoc('alice', 'byAdmin')));
+    await assertFails(deleteDoc(trashDoc('bob', 'byAuthor')));
+    await assertSucceeds(deleteDoc(trashDoc('alice', 'byAuthor')));
+  });
+
+  it('lets admins empty out any of the group\'s picks', async () => {
+    await assertSucceeds(deleteDoc(trashDoc('admin', 'byAuthor')));
+    await assertSucceeds(deleteDoc(trashDoc('owner', 'byAdmin')));
+  });
+
+  it('is written by the functions only', async () => {
+    await assertFails(setDoc(trashDoc('alice', 'byAuthor'), makeSong({ deletedBy: 'alice' })));
+    await assertFails(setDoc(trashDoc('admin', 'new'), makeSong({ deletedBy: 'admin' })));
+  });
+});
+
+describe('edit history', () => {
+  it('is read by members once the pick is shown', async () => {
+    await assertSucceeds(getDoc(versionDoc('bob', 'shown')));
+    await assertFails(getDoc(versionDoc('mallory', 'shown')));
+  });
+
+  it('keeps blind picks\' history to the author and admins', async () => {
+    await assertSucceeds(getDoc(versionDoc('alice', 'blind')));
+    await assertSucceeds(getDoc(versionDoc('admin', 'blind')));
+    await assertFails(getDoc(versionDoc('bob', 'blind')));
+  });
+
+  it('is written by the functions only', async () => {
+    await assertFails(setDoc(versionDoc('alice', 'shown'), makeVersion({ after: { songName: 'Life on Mars?' } })));
+    await assertFails(deleteDoc(versionDoc('admin', 'shown')));
+  });
+});
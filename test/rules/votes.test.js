@@ -0,0 +1,114 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, deleteDoc, writeBatch } from 'firebase/firestore';
+import { CLOSED_WEEK, GROUP_ID, OPEN_WEEK, asUser, createTestEnvironment, makeSong, seed, seedGroup, songId } from './helpers.js';
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedGroup(testEnv);
+  await seed(testEnv, {
+    [`songs/${songId('alice')}`]: makeSong(),
+    [`songs/${songId('alice', OPEN_WEEK, 1)}`]: makeSong({ slot: 1, songName: 'Changes', canonicalKey: 'changes|david bowie' }),
+    [`songs/${songId('bob')}`]: makeSong({ userId: 'bob', user: 'Bob' }),
+    [`songs/${songId('alice', CLOSED_WEEK)}`]: makeSong({ weekKey: CLOSED_WEEK })
+  });
+});
+
+const voteId = (userId, slot, weekKey = OPEN_WEEK) => `${GROUP_ID}_${weekKey}_${userId}_${slot}`;
+
+const claimPath = (weekKey, userId, pickId) => `groups/${GROUP_ID}/weeks/${weekKey}/voteClaims/${userId}_${pickId}`;
+
+// The vote and its claim, written together the way castVote does
+const vote = (uid, pickId, slot, { weekKey = OPEN_WEEK, withClaim = true, claimFor = pickId } = {}) => {
+  const db = asUser(testEnv, uid);
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'votes', voteId(uid, slot, weekKey)), {
+    groupId: GROUP_ID,
+    weekKey,
+    songId: pickId,
+    userId: uid,
+    slot,
+    createdAt: new Date().toISOString()
+  });
+  if (withClaim) {
+    batch.set(doc(db, claimPath(weekKey, uid, claimFor)), { voteId: voteId(uid, slot, weekKey), userId: uid });
+  }
+  return batch.commit();
+};
+
+const unvote = (uid, pickId, slot, { withClaim = true } = {}) => {
+  const db = asUser(testEnv, uid);
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'votes', voteId(uid, slot)));
+  if (withClaim) batch.delete(doc(db, claimPath(OPEN_WEEK, uid, pickId)));
+  return batch.commit();
+};
+
+describe('casting votes', () => {
+  it('lets a member vote for someone else\'s pick', async () => {
+    await assertSucceeds(vote('bob', songId('alice'), 0));
+  });
+
+  it('allows one vote per pick per member', async () => {
+    await assertSucceeds(vote('bob', songId('alice'), 0));
+    await assertFails(vote('bob', songId('alice'), 1));
+    await assertSucceeds(vote('bob', songId('alice', OPEN_WEEK, 1), 1));
+  });
+
+  it('requires the claim alongside the vote', async () => {
+    await assertFails(vote('bob', songId('alice'), 0, { withClaim: false }));
+    await assertFails(vote('bob', songId('alice'), 0, { claimFor: songId('alice', OPEN_WEEK, 1) }));
+  });
+
+  it('caps votes at the week\'s limit', async () => {
+    await seed(testEnv, {
+      [`songs/${songId('owner')}`]: makeSong({ userId: 'owner', user: 'Olive' }),
+      [`songs/${songId('admin')}`]: makeSong({ userId: 'admin', user: 'Adam' })
+    });
+    await assertSucceeds(vote('bob', songId('alice'), 0));
+    await assertSucceeds(vote('bob', songId('alice', OPEN_WEEK, 1), 1));
+    await assertSucceeds(vote('bob', songId('owner'), 2));
+    await assertFails(vote('bob', songId('admin'), 3));
+  });
+
+  it('rejects votes for your own, hidden or other weeks\' picks', async () => {
+    await assertFails(vote('alice', songId('alice'), 0));
+    await assertFails(vote('bob', songId('alice', CLOSED_WEEK), 0));
+    await seed(testEnv, { [`songs/${songId('owner')}`]: makeSong({ userId: 'owner', user: 'Olive', hidden: true }) });
+    await assertFails(vote('bob', songId('owner'), 0));
+  });
+
+  it('rejects votes once the week has ended', async () => {
+    await assertFails(vote('bob', songId('alice', CLOSED_WEEK), 0, { weekKey: CLOSED_WEEK }));
+  });
+
+  it('rejects votes from outside the group', async () => {
+    await assertFails(vote('mallory', songId('alice'), 0));
+  });
+});
+
+describe('removing votes', () => {
+  beforeEach(() => vote('bob', songId('alice'), 0));
+
+  it('removes the vote and its claim together', async () => {
+    await assertSucceeds(unvote('bob', songId('alice'), 0));
+    await assertSucceeds(vote('bob', songId('alice'), 0));
+  });
+
+  it('keeps the claim while the vote stands', async () => {
+    await assertFails(deleteDoc(doc(asUser(testEnv, 'bob'), claimPath(OPEN_WEEK, 'bob', songId('alice')))));
+    await assertFails(unvote('bob', songId('alice'), 0, { withClaim: false }));
+  });
+
+  it('doesn\'t let others remove a vote', async () => {
+    await assertFails(deleteDoc(doc(asUser(testEnv, 'alice'), 'votes', voteId('bob', 0))));
+  });
+});
@@ -0,0 +1,10 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    alias: [
+      { find: /^\.\/firebase$/, replacement: fileURLToPath(new URL('./src/testing/firebase.js', import.meta.url)) }
+    ]
+  }
+});